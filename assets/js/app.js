@@ -24,9 +24,27 @@ import {Socket} from "phoenix"
 import {LiveSocket} from "phoenix_live_view"
 import {hooks as colocatedHooks} from "phoenix-colocated/curupira"
 import topbar from "../vendor/topbar"
+import {DraftJournal} from "./draft_journal"
+import {MergeConflict} from "./merge_conflict"
+import {TextEditor} from "./text_editor"
+import {continueBlock, indentLines} from "./text_ops"
+import {ImageUploads} from "./image_uploads"
+import {CommandPalette} from "./command_palette"
+import {ScrollSync, ScrollSyncToggle} from "./scroll_sync"
+import {ClientPreview} from "./markdown_preview"
+import {PaginationScroll} from "./pagination_scroll"
+// Shared with the static site's search; defines window.blogCombobox
+import "../../priv/static/static-combobox.js"
 
 const Hooks = {}
 
+Hooks.DraftJournal = DraftJournal
+Hooks.MergeConflict = MergeConflict
+Hooks.CommandPalette = CommandPalette
+Hooks.ScrollSync = ScrollSync
+Hooks.ScrollSyncToggle = ScrollSyncToggle
+Hooks.ClientPreview = ClientPreview
+
 Hooks.AutoResize = {
   mounted() {
     this.resize()
@@ -41,434 +59,58 @@ Hooks.AutoResize = {
   }
 }
 
-// Combined hook for title textarea: AutoResize + Keyboard shortcuts (no custom undo/redo - use browser native)
+// Title textarea: AutoResize + shared editor behaviour (commands, undo/redo, auto-save)
 Hooks.TitleEditor = {
+  ...TextEditor,
   mounted() {
-    // Auto-save state
-    this.autoSaveTimeout = null
+    this.setupEditor()
 
     // AutoResize functionality
     this.resize()
-    this.el.addEventListener('input', (e) => {
-      this.resize()
-      this.handleInput(e)
-    })
-
-    // Keyboard shortcuts (formatting only, undo/redo is native browser)
-    this.setupKeyboardShortcuts()
-  },
-  handleInput(e) {
-    // Auto-save after 5 seconds of inactivity
-    clearTimeout(this.autoSaveTimeout)
-    this.autoSaveTimeout = setTimeout(() => {
-      const form = document.getElementById('article-form')
-      if (form) {
-        const submitEvent = new Event('submit', { bubbles: true, cancelable: true })
-        form.dispatchEvent(submitEvent)
-      }
-    }, 5000)
+    this.el.addEventListener('input', () => this.resize())
   },
   updated() {
+    this.syncEditor()
+    this.resize()
+  },
+  afterChange() {
     this.resize()
   },
   resize() {
     this.el.style.height = 'auto'
     this.el.style.height = this.el.scrollHeight + 'px'
-  },
-  setupKeyboardShortcuts() {
-    this.el.addEventListener('keydown', (e) => {
-      const isMac = navigator.platform.toUpperCase().indexOf('MAC') >= 0
-      const modifier = isMac ? e.metaKey : e.ctrlKey
-
-      if (!modifier) return
-
-      const key = e.key.toLowerCase()
-
-      // NOTE: Undo/Redo (Ctrl+Z / Ctrl+Shift+Z) is handled natively by the browser
-      // We don't intercept these - browser native undo/redo works perfectly
-
-      // Save: Cmd/Ctrl + S
-      if (key === 's') {
-        e.preventDefault()
-        const submitButton = document.querySelector('button[type="submit"][form="article-form"]')
-        if (submitButton) {
-          submitButton.click()
-        }
-        return false
-      }
-
-      // Bold: Cmd/Ctrl + B
-      if (key === 'b') {
-        e.preventDefault()
-        this.toggleFormatting('**', '**')
-        return false
-      }
-
-      // Italic: Cmd/Ctrl + I
-      if (key === 'i') {
-        e.preventDefault()
-        this.toggleFormatting('*', '*')
-        return false
-      }
-    })
-  },
-  toggleFormatting(before, after) {
-    const start = this.el.selectionStart
-    const end = this.el.selectionEnd
-    const text = this.el.value
-    const selectedText = text.substring(start, end)
-
-    if (start !== end) {
-      const beforeStart = start - before.length
-      const afterEnd = end + after.length
-      const textBefore = text.substring(beforeStart, start)
-      const textAfter = text.substring(end, afterEnd)
-
-      if (textBefore === before && textAfter === after) {
-        // Remove formatting
-        const newText = text.substring(0, beforeStart) + selectedText + text.substring(afterEnd)
-        this.el.value = newText
-        this.el.dispatchEvent(new Event('input', { bubbles: true }))
-        this.el.setSelectionRange(beforeStart, beforeStart + selectedText.length)
-      } else {
-        // Add formatting
-        const newText = text.substring(0, start) + before + selectedText + after + text.substring(end)
-        this.el.value = newText
-        this.el.dispatchEvent(new Event('input', { bubbles: true }))
-        const newCursorPos = start + before.length + selectedText.length + after.length
-        this.el.setSelectionRange(newCursorPos, newCursorPos)
-      }
-    } else {
-      const newText = text.substring(0, start) + before + after + text.substring(end)
-      this.el.value = newText
-      this.el.dispatchEvent(new Event('input', { bubbles: true }))
-      const newCursorPos = start + before.length
-      this.el.setSelectionRange(newCursorPos, newCursorPos)
-    }
-
-    this.el.focus()
-    this.resize()
   }
 }
 
-// Markdown content editor with keyboard shortcuts (no custom undo/redo - use browser native)
+// Markdown content editor: shared editor behaviour plus markdown-only commands,
+// structural editing and image uploads (preview scroll sync lives in ScrollSync)
 Hooks.MarkdownEditor = {
+  ...TextEditor,
+  ...ImageUploads,
   mounted() {
-    // Configuration
-    this.AUTO_SAVE_DELAY_MS = 5000
-    this.PREVIEW_SYNC_DELAY_MS = 500  // Quick response for preview sync
-    this.BOTTOM_THRESHOLD_LINES = 5   // Consider "at bottom" if within 5 lines from end
+    this.setupEditor({ markdown: true })
 
-    // State
-    this.autoSaveTimeout = null
-    this.previewSyncTimeout = null
+    // Structural editing: Enter continues lists/quotes/tables, Tab indents
+    this.el.addEventListener('keydown', (e) => this.handleStructuralKey(e))
 
-    // Setup input handler
-    this.el.addEventListener('input', (e) => {
-      this.handleInput(e)
-    })
-
-    // Keyboard shortcuts (formatting only, undo/redo is native browser)
-    this.setupKeyboardShortcuts()
-
-    // Listen for image upload completion from server
-    this.handleEvent("image-uploaded", ({url}) => {
-      this.insertImageAtCursor(url)
-    })
-
-    // Setup paste support for images
-    this.setupPasteUpload()
+    // Pasted and dropped images upload behind placeholders
+    this.setupImageUploads()
   },
-  handleInput(e) {
-    // Auto-save after 5 seconds of inactivity
-    clearTimeout(this.autoSaveTimeout)
-    this.autoSaveTimeout = setTimeout(() => {
-      const form = document.getElementById('article-form')
-      if (form) {
-        const submitEvent = new Event('submit', { bubbles: true, cancelable: true })
-        form.dispatchEvent(submitEvent)
-      }
-    }, this.AUTO_SAVE_DELAY_MS)
-
-    // Sync preview scroll after brief delay (responsive but not every keystroke)
-    clearTimeout(this.previewSyncTimeout)
-    this.previewSyncTimeout = setTimeout(() => {
-      this.syncPreviewScroll()
-    }, this.PREVIEW_SYNC_DELAY_MS)
-  },
-  syncPreviewScroll() {
-    const preview = document.getElementById('preview-container')
-    if (!preview) return
-
-    // Don't interrupt if user is manually scrolling preview
-    const previewHook = this.findHookById('preview-container')
-    if (previewHook && previewHook.isManuallyScrolling) return
-
-    // Calculate cursor position in text
-    const cursorPos = this.el.selectionStart
-    const textBeforeCursor = this.el.value.substring(0, cursorPos)
-    const currentLine = (textBeforeCursor.match(/\n/g) || []).length
-    const totalLines = (this.el.value.match(/\n/g) || []).length + 1
-
-    // Check if typing near the bottom
-    const linesFromBottom = totalLines - currentLine
-    const isNearBottom = linesFromBottom <= this.BOTTOM_THRESHOLD_LINES
-
-    // Only scroll to bottom if typing near bottom
-    // When typing in the middle, don't touch preview scroll (user does manual scroll)
-    if (isNearBottom) {
-      preview.scrollTo({
-        top: preview.scrollHeight,
-        behavior: 'smooth'
-      })
-    }
-  },
-  findHookById(elementId) {
-    const element = document.getElementById(elementId)
-    if (!element) return null
-
-    // Access LiveView's hook instance (if available)
-    const hookAttr = element.getAttribute('data-phx-hook')
-    if (hookAttr && window.liveSocket) {
-      // Try to access the view's hooks
-      const view = window.liveSocket.getViewByEl(element)
-      if (view && view.liveSocket && view.liveSocket.hooks) {
-        return view.liveSocket.hooks[hookAttr]
-      }
+  handleStructuralKey(e) {
+    if (e.isComposing || e.ctrlKey || e.metaKey || e.altKey) return
+
+    let applied = false
+    if (e.key === 'Enter' && !e.shiftKey) {
+      applied = this.apply(continueBlock)
+    } else if (e.key === 'Tab') {
+      // Caret outside a list: leave Tab to move focus
+      applied = this.apply(indentLines, e.shiftKey)
     }
 
-    // Fallback: store in global namespace (simpler approach)
-    return window.__previewHook
-  },
-  setupPasteUpload() {
-    this.el.addEventListener('paste', (e) => {
-      const items = e.clipboardData?.items
-      if (!items) return
-
-      for (let item of items) {
-        if (item.type.startsWith('image/')) {
-          e.preventDefault()
-          const file = item.getAsFile()
-
-          // Find the LiveView file input (has data-phx-upload-ref attribute)
-          const fileInput = document.querySelector('input[data-phx-upload-ref]')
-          if (fileInput) {
-            // Create a new FileList-like object
-            const dataTransfer = new DataTransfer()
-            dataTransfer.items.add(file)
-
-            // Assign files to input
-            fileInput.files = dataTransfer.files
-
-            // Dispatch input event that LiveView listens to
-            const event = new Event('input', { bubbles: true })
-            fileInput.dispatchEvent(event)
-          }
-          break
-        }
-      }
-    })
-  },
-  insertImageAtCursor(url) {
-    const textarea = this.el
-    const start = textarea.selectionStart
-    const end = textarea.selectionEnd
-    const text = textarea.value
-    const selectedText = text.substring(start, end)
-
-    // Use selected text as alt text, or default to "image"
-    const altText = selectedText || "image"
-    const imageMarkdown = `![${altText}](${url})`
-
-    const newText = text.substring(0, start) + imageMarkdown + text.substring(end)
-    textarea.value = newText
-    textarea.dispatchEvent(new Event('input', { bubbles: true }))
-
-    // Position cursor after the inserted image
-    const newCursorPos = start + imageMarkdown.length
-    textarea.setSelectionRange(newCursorPos, newCursorPos)
-    textarea.focus()
+    if (applied) e.preventDefault()
   },
-  setupKeyboardShortcuts() {
-    this.el.addEventListener('keydown', (e) => {
-      const isMac = navigator.platform.toUpperCase().indexOf('MAC') >= 0
-      const modifier = isMac ? e.metaKey : e.ctrlKey
-
-      if (!modifier) return
-
-      const key = e.key.toLowerCase()
-
-      // NOTE: Undo/Redo (Ctrl+Z / Ctrl+Shift+Z) is handled natively by the browser
-      // We don't intercept these - browser native undo/redo works perfectly
-
-      // Save: Cmd/Ctrl + S
-      if (key === 's') {
-        e.preventDefault()
-        const submitButton = document.querySelector('button[type="submit"][form="article-form"]')
-        if (submitButton) {
-          submitButton.click()
-        }
-        return false
-      }
-
-      // Bold: Cmd/Ctrl + B
-      if (key === 'b') {
-        e.preventDefault()
-        this.toggleFormatting('**', '**')
-        return false
-      }
-
-      // Italic: Cmd/Ctrl + I
-      if (key === 'i') {
-        e.preventDefault()
-        this.toggleFormatting('*', '*')
-        return false
-      }
-
-      // Code: Cmd/Ctrl + E
-      if (key === 'e') {
-        e.preventDefault()
-        this.toggleFormatting('`', '`')
-        return false
-      }
-
-      // Link: Cmd/Ctrl + K
-      if (key === 'k' && !e.shiftKey) {
-        e.preventDefault()
-        this.insertLink()
-        return false
-      }
-
-      // Strikethrough: Cmd/Ctrl + Shift + X
-      if (key === 'x' && e.shiftKey) {
-        e.preventDefault()
-        this.toggleFormatting('~~', '~~')
-        return false
-      }
-
-      // Code Block: Cmd/Ctrl + Shift + K
-      if (key === 'k' && e.shiftKey) {
-        e.preventDefault()
-        this.toggleCodeBlock()
-        return false
-      }
-    })
-  },
-  toggleFormatting(before, after) {
-    const start = this.el.selectionStart
-    const end = this.el.selectionEnd
-    const text = this.el.value
-    const selectedText = text.substring(start, end)
-
-    if (start !== end) {
-      const beforeStart = start - before.length
-      const afterEnd = end + after.length
-      const textBefore = text.substring(beforeStart, start)
-      const textAfter = text.substring(end, afterEnd)
-
-      if (textBefore === before && textAfter === after) {
-        // Remove formatting
-        const newText = text.substring(0, beforeStart) + selectedText + text.substring(afterEnd)
-        this.el.value = newText
-        this.el.dispatchEvent(new Event('input', { bubbles: true }))
-        this.el.setSelectionRange(beforeStart, beforeStart + selectedText.length)
-      } else {
-        // Add formatting
-        const newText = text.substring(0, start) + before + selectedText + after + text.substring(end)
-        this.el.value = newText
-        this.el.dispatchEvent(new Event('input', { bubbles: true }))
-        const newCursorPos = start + before.length + selectedText.length + after.length
-        this.el.setSelectionRange(newCursorPos, newCursorPos)
-      }
-    } else {
-      const newText = text.substring(0, start) + before + after + text.substring(end)
-      this.el.value = newText
-      this.el.dispatchEvent(new Event('input', { bubbles: true }))
-      const newCursorPos = start + before.length
-      this.el.setSelectionRange(newCursorPos, newCursorPos)
-    }
-
-    this.el.focus()
-  },
-  insertLink() {
-    const start = this.el.selectionStart
-    const end = this.el.selectionEnd
-    const text = this.el.value
-    const selectedText = text.substring(start, end)
-
-    const linkText = selectedText || 'link text'
-    const linkFormat = `[${linkText}](url)`
-
-    const newText = text.substring(0, start) + linkFormat + text.substring(end)
-    this.el.value = newText
-    this.el.dispatchEvent(new Event('input', { bubbles: true }))
-
-    // Select the URL part
-    const urlStart = start + linkText.length + 3
-    const urlEnd = urlStart + 3
-    this.el.setSelectionRange(urlStart, urlEnd)
-    this.el.focus()
-  },
-  toggleCodeBlock() {
-    const start = this.el.selectionStart
-    const end = this.el.selectionEnd
-    const text = this.el.value
-    const selectedText = text.substring(start, end)
-
-    // Find the start of the current line
-    let lineStart = start
-    while (lineStart > 0 && text[lineStart - 1] !== '\n') {
-      lineStart--
-    }
-
-    // Find the end of the current line
-    let lineEnd = end
-    while (lineEnd < text.length && text[lineEnd] !== '\n') {
-      lineEnd++
-    }
-
-    const before = '```\n'
-    const after = '\n```'
-
-    // Check if already in code block
-    const checkStart = Math.max(0, lineStart - 4)
-    const checkEnd = Math.min(text.length, lineEnd + 4)
-    const surrounding = text.substring(checkStart, checkEnd)
-
-    if (surrounding.includes('```')) {
-      // Try to remove code block
-      const beforeBlock = text.substring(checkStart, lineStart)
-      const afterBlock = text.substring(lineEnd, checkEnd)
-
-      if (beforeBlock.trim() === '```' || beforeBlock.endsWith('\n```\n')) {
-        // Remove the code block markers
-        let newLineStart = lineStart
-        while (newLineStart > 0 && text.substring(newLineStart - 4, newLineStart) !== '```\n') {
-          newLineStart--
-        }
-        newLineStart -= 4
-
-        let newLineEnd = lineEnd
-        while (newLineEnd < text.length && text.substring(newLineEnd, newLineEnd + 4) !== '\n```') {
-          newLineEnd++
-        }
-        newLineEnd += 4
-
-        const newText = text.substring(0, newLineStart) + text.substring(newLineStart + 4, newLineEnd - 4) + text.substring(newLineEnd)
-        this.el.value = newText
-        this.el.dispatchEvent(new Event('input', { bubbles: true }))
-        this.el.setSelectionRange(start - 4, end - 4)
-        this.el.focus()
-        return
-      }
-    }
-
-    // Add code block
-    const newText = text.substring(0, lineStart) + before + text.substring(lineStart, lineEnd) + after + text.substring(lineEnd)
-    this.el.value = newText
-    this.el.dispatchEvent(new Event('input', { bubbles: true }))
-    this.el.setSelectionRange(lineStart + before.length, lineEnd + before.length)
-    this.el.focus()
+  updated() {
+    this.syncEditor()
   }
 }
 
@@ -549,67 +191,33 @@ Hooks.PreserveScroll = {
 
 Hooks.PreviewAnchorScroll = {
   mounted() {
-    // Configuration
-    this.MANUAL_SCROLL_RESET_MS = 3000  // Consider user "done scrolling" after 3s
-
-    // State
-    this.isManuallyScrolling = false
-    this.manualScrollTimeout = null
-
-    // Expose hook instance globally for MarkdownEditor to access
-    window.__previewHook = this
-
-    // Track manual scrolling
-    this.el.addEventListener('scroll', (e) => {
-      // Only consider it "manual" if it's a real user scroll, not programmatic
-      // Check if this scroll event was triggered by user interaction
-      const isProgrammatic = e.isTrusted === false
-
-      if (!isProgrammatic) {
-        this.isManuallyScrolling = true
-        clearTimeout(this.manualScrollTimeout)
-
-        // Reset after user stops scrolling
-        this.manualScrollTimeout = setTimeout(() => {
-          this.isManuallyScrolling = false
-        }, this.MANUAL_SCROLL_RESET_MS)
-      }
-    })
-
-    this.setupAnchorNavigation()
-  },
-  updated() {
-    this.setupAnchorNavigation()
-  },
-  setupAnchorNavigation() {
-    // Find all anchor links in the preview
-    const anchorLinks = this.el.querySelectorAll('a[href^="#"]')
+    // Delegated, so links in blocks patched in by ClientPreview work too
+    this.el.addEventListener('click', (e) => {
+      const link = e.target.closest('a[href^="#"]')
+      if (!link || !this.el.contains(link)) return
 
-    anchorLinks.forEach(link => {
-      link.addEventListener('click', (e) => {
-        e.preventDefault()
-        e.stopPropagation()
+      e.preventDefault()
+      e.stopPropagation()
 
-        const href = link.getAttribute('href').substring(1)
-        // Decode URL-encoded characters in the href
-        const targetId = decodeURIComponent(href)
+      const href = link.getAttribute('href').substring(1)
+      // Decode URL-encoded characters in the href
+      const targetId = decodeURIComponent(href)
 
-        // Try to find the target element by ID
-        let targetElement = this.el.querySelector(`#${CSS.escape(targetId)}`)
+      // Try to find the target element by ID
+      let targetElement = this.el.querySelector(`#${CSS.escape(targetId)}`)
 
-        // If not found, try with the raw href (for cases where IDs are already encoded)
-        if (!targetElement) {
-          targetElement = this.el.querySelector(`#${CSS.escape(href)}`)
-        }
+      // If not found, try with the raw href (for cases where IDs are already encoded)
+      if (!targetElement) {
+        targetElement = this.el.querySelector(`#${CSS.escape(href)}`)
+      }
 
-        if (targetElement) {
-          // Smooth scroll to the target element within the preview container
-          targetElement.scrollIntoView({
-            behavior: 'smooth',
-            block: 'start'
-          })
-        }
-      })
+      if (targetElement) {
+        // Smooth scroll to the target element within the preview container
+        targetElement.scrollIntoView({
+          behavior: 'smooth',
+          block: 'start'
+        })
+      }
     })
   }
 }
@@ -680,45 +288,26 @@ Hooks.BioEditor = {
   }
 }
 
-Hooks.PaginationScroll = {
+Hooks.PaginationScroll = PaginationScroll
+
+Hooks.SearchCombobox = {
   mounted() {
-    // Store initial state from URL
-    const urlParams = new URLSearchParams(window.location.search)
-    this.previousPage = urlParams.get('page') || '1'
-    this.previousQuery = urlParams.get('q') || ''
-  },
-  updated() {
-    // Get current state from URL
-    const urlParams = new URLSearchParams(window.location.search)
-    const currentPage = urlParams.get('page') || '1'
-    const currentQuery = urlParams.get('q') || ''
-
-    // Only scroll if:
-    // - Page changed AND
-    // - Search query stayed the same (not a new search)
-    const pageChanged = currentPage !== this.previousPage
-    const queryChanged = currentQuery !== this.previousQuery
-
-    if (pageChanged && !queryChanged) {
-      // Scroll to top of this container
-      this.el.scrollIntoView({ behavior: 'smooth', block: 'start', inline: 'nearest' })
-
-      // Also scroll window to absolute top to ensure bookmark is visible
-      setTimeout(() => {
-        const rect = this.el.getBoundingClientRect()
-        const scrollTop = window.pageYOffset || document.documentElement.scrollTop
-        const targetScroll = rect.top + scrollTop - 32 // 32px padding from top
-
-        window.scrollTo({
-          top: targetScroll,
-          behavior: 'smooth'
-        })
-      }, 100)
-    }
+    const input = this.el.querySelector('[role="combobox"]')
+    this.combobox = window.blogCombobox.attach(input, this.el.querySelector('#search-results'), {
+      status: this.el.querySelector('[role="status"]')
+    })
 
-    // Update stored values
-    this.previousPage = currentPage
-    this.previousQuery = currentQuery
+    // Results are rendered by the server; the dropdown opens while typing
+    input.addEventListener('input', () => {
+      if (input.value.trim()) {
+        this.combobox.open()
+      } else {
+        this.combobox.close()
+      }
+    })
+  },
+  destroyed() {
+    this.combobox.destroy()
   }
 }
 
@@ -0,0 +1,324 @@
+// Keyboard dispatch and command palette for the article editor.
+//
+// The CommandPalette hook lives on <dialog id="command-palette">. It owns the
+// page-wide keydown listener that maps key presses to commands (see
+// editor_commands.js), runs the palette (Cmd/Ctrl+Shift+P by default) and
+// renders the shortcut list from the bindings in effect.
+import {
+  COMMANDS,
+  bindingFromEvent,
+  commandForBinding,
+  formatBinding,
+  rebind,
+  resetBinding,
+  resolveBindings,
+  searchCommands
+} from "./editor_commands"
+
+// TextEditor hooks on the page, and the one focused last
+const editors = new Set()
+let activeEditor = null
+
+export function registerEditor(editor) {
+  editors.add(editor)
+  editor.el.addEventListener('focus', () => { activeEditor = editor })
+}
+
+export function unregisterEditor(editor) {
+  editors.delete(editor)
+  if (activeEditor === editor) activeEditor = null
+}
+
+function editorFor(el) {
+  return [...editors].find(editor => editor.el === el) || null
+}
+
+// Editor a command should act on; `target` is the focused element for key presses
+function targetEditor(command, target) {
+  if (target !== undefined) {
+    const editor = editorFor(target)
+    if (!editor) return null
+    return command.scope === 'markdown' && !editor.markdown ? null : editor
+  }
+
+  if (command.scope === 'markdown') {
+    return [...editors].find(editor => editor.markdown) || null
+  }
+  return activeEditor || [...editors][0] || null
+}
+
+function isAvailable(command) {
+  return !command.available || command.available()
+}
+
+export const CommandPalette = {
+  mounted() {
+    this.input = this.el.querySelector('[data-palette-input]')
+    this.list = this.el.querySelector('[data-palette-list]')
+    this.status = this.el.querySelector('[data-palette-status]')
+
+    this.bindings = resolveBindings()
+    this.results = []
+    this.selected = 0
+    this.recording = null  // command id waiting for a new binding
+    this.returnFocus = null
+
+    this.onKeydown = (e) => this.handleShortcut(e)
+    document.addEventListener('keydown', this.onKeydown)
+
+    this.input.addEventListener('input', () => this.search())
+    this.input.addEventListener('keydown', (e) => this.handlePaletteKey(e))
+
+    this.list.addEventListener('click', (e) => {
+      const rebindButton = e.target.closest('[data-palette-rebind]')
+      if (rebindButton) {
+        e.preventDefault()
+        this.startRecording(rebindButton.getAttribute('data-palette-rebind'))
+        return
+      }
+
+      const option = e.target.closest('[data-command-id]')
+      if (option) this.runFromPalette(option.getAttribute('data-command-id'))
+    })
+
+    // Escape while recording cancels the recording, not the palette
+    this.el.addEventListener('cancel', (e) => {
+      if (this.recording) {
+        e.preventDefault()
+        this.stopRecording()
+      }
+    })
+    this.el.addEventListener('close', () => this.afterClose())
+
+    this.renderShortcutList()
+  },
+  destroyed() {
+    document.removeEventListener('keydown', this.onKeydown)
+  },
+  handleShortcut(e) {
+    if (this.el.open) return
+
+    // Plain keys are for typing; only modifier combinations are shortcuts
+    if (!(e.ctrlKey || e.metaKey || e.altKey)) return
+
+    const binding = bindingFromEvent(e)
+    const command = binding && commandForBinding(binding, this.bindings)
+    if (!command || !isAvailable(command)) return
+
+    if (command.scope === 'page') {
+      e.preventDefault()
+      command.run(this)
+      return
+    }
+
+    // Formatting shortcuts only apply while typing in an editor
+    const editor = targetEditor(command, e.target)
+    if (!editor) return
+
+    e.preventDefault()
+    command.run(editor)
+  },
+  open() {
+    this.returnFocus = document.activeElement
+    this.input.value = ''
+    this.setStatus('')
+    this.search()
+    this.el.showModal()
+    this.input.focus()
+  },
+  close() {
+    if (this.el.open) this.el.close()
+  },
+  afterClose() {
+    this.stopRecording()
+    if (this.returnFocus && document.contains(this.returnFocus)) this.returnFocus.focus()
+    this.returnFocus = null
+  },
+  search() {
+    const available = COMMANDS.filter(command => command.id !== 'command_palette' && isAvailable(command))
+    this.results = searchCommands(this.input.value, available)
+    this.selected = 0
+    this.renderResults()
+  },
+  handlePaletteKey(e) {
+    if (this.recording) {
+      this.recordBinding(e)
+      return
+    }
+
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault()
+      if (this.results.length === 0) return
+      const step = e.key === 'ArrowDown' ? 1 : -1
+      this.selected = (this.selected + step + this.results.length) % this.results.length
+      this.renderResults()
+    } else if (e.key === 'Enter') {
+      e.preventDefault()
+      const command = this.results[this.selected]
+      if (!command) return
+
+      if (e.altKey) {
+        this.startRecording(command.id)
+      } else {
+        this.runFromPalette(command.id)
+      }
+    }
+  },
+  runFromPalette(commandId) {
+    const command = COMMANDS.find(c => c.id === commandId)
+    if (!command) return
+
+    this.close()
+
+    if (command.scope === 'page') {
+      command.run(this)
+      return
+    }
+
+    const editor = targetEditor(command)
+    if (editor) {
+      editor.el.focus()
+      command.run(editor)
+    }
+  },
+  startRecording(commandId) {
+    const command = COMMANDS.find(c => c.id === commandId)
+    if (!command) return
+
+    this.recording = commandId
+    this.input.value = ''
+    this.input.placeholder = `Press the new shortcut for "${command.label}"`
+    this.setStatus('Esc to cancel, Backspace to restore the default')
+    this.input.focus()
+  },
+  stopRecording() {
+    this.recording = null
+    this.input.placeholder = 'Type a command...'
+  },
+  recordBinding(e) {
+    e.preventDefault()
+    const commandId = this.recording
+    const command = COMMANDS.find(c => c.id === commandId)
+
+    if (e.key === 'Escape') {
+      this.stopRecording()
+      this.setStatus('')
+      return
+    }
+
+    if (e.key === 'Backspace') {
+      resetBinding(commandId)
+      this.finishRecording(`${command.label} restored to its default shortcut`)
+      return
+    }
+
+    const binding = bindingFromEvent(e)
+    if (!binding) return  // Only a modifier so far
+
+    if (!(e.ctrlKey || e.metaKey || e.altKey)) {
+      this.setStatus('Shortcuts need Cmd/Ctrl or Alt, otherwise they would block typing')
+      return
+    }
+
+    const displaced = rebind(commandId, binding)
+    const labels = displaced.map(id => COMMANDS.find(c => c.id === id).label)
+    const note = labels.length > 0 ? ` (removed from ${labels.join(', ')})` : ''
+    this.finishRecording(`${command.label}: ${formatBinding(binding)}${note}`)
+  },
+  finishRecording(message) {
+    this.stopRecording()
+    this.bindings = resolveBindings()
+    this.setStatus(message)
+    this.renderResults()
+    this.renderShortcutList()
+  },
+  setStatus(message) {
+    if (!this.status) return
+    this.status.textContent = message
+    this.status.classList.toggle('hidden', message === '')
+  },
+  renderResults() {
+    this.list.innerHTML = ''
+
+    if (this.results.length === 0) {
+      const empty = document.createElement('li')
+      empty.className = 'px-4 py-3 text-sm text-base-content/50'
+      empty.textContent = 'No matching commands'
+      this.list.appendChild(empty)
+      this.input.removeAttribute('aria-activedescendant')
+      return
+    }
+
+    this.results.forEach((command, index) => {
+      const item = document.createElement('li')
+      item.id = `command-${command.id}`
+      item.setAttribute('role', 'option')
+      item.setAttribute('aria-selected', index === this.selected ? 'true' : 'false')
+
+      const row = document.createElement('a')
+      row.className = 'flex justify-between items-center' + (index === this.selected ? ' menu-active' : '')
+      row.setAttribute('data-command-id', command.id)
+
+      const label = document.createElement('span')
+      label.textContent = command.label
+      row.appendChild(label)
+
+      const keys = this.bindings[command.id]
+      const rebindButton = document.createElement('button')
+      rebindButton.type = 'button'
+      rebindButton.className = 'flex gap-1 items-center text-xs text-base-content/60'
+      rebindButton.title = 'Change shortcut'
+      rebindButton.setAttribute('data-palette-rebind', command.id)
+      rebindButton.appendChild(this.renderKeys(keys))
+      row.appendChild(rebindButton)
+
+      item.appendChild(row)
+      this.list.appendChild(item)
+    })
+
+    this.input.setAttribute('aria-activedescendant', `command-${this.results[this.selected].id}`)
+    this.list.children[this.selected]?.scrollIntoView({ block: 'nearest' })
+  },
+  renderKeys(keys) {
+    const fragment = document.createDocumentFragment()
+
+    if (keys.length === 0) {
+      const none = document.createElement('span')
+      none.className = 'text-base-content/40'
+      none.textContent = 'unbound'
+      fragment.appendChild(none)
+      return fragment
+    }
+
+    keys.forEach(key => {
+      const kbd = document.createElement('kbd')
+      kbd.className = 'kbd kbd-xs'
+      kbd.textContent = formatBinding(key)
+      fragment.appendChild(kbd)
+    })
+    return fragment
+  },
+  // Fills the "Keyboard Shortcuts" dropdown with the bindings in effect
+  renderShortcutList() {
+    const container = document.getElementById('shortcut-list')
+    if (!container) return
+
+    container.innerHTML = ''
+    COMMANDS.forEach(command => {
+      const row = document.createElement('div')
+      row.className = 'flex justify-between items-center'
+
+      const label = document.createElement('span')
+      label.className = 'text-base-content/60'
+      label.textContent = command.label
+      row.appendChild(label)
+
+      const keys = document.createElement('div')
+      keys.className = 'flex items-center gap-0.5'
+      keys.appendChild(this.renderKeys(this.bindings[command.id]))
+      row.appendChild(keys)
+
+      container.appendChild(row)
+    })
+  }
+}
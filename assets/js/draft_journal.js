@@ -0,0 +1,253 @@
+// Offline draft journal for the article editor.
+//
+// Every keystroke in the title/content textareas is written to IndexedDB,
+// keyed by article id ("new" for /articles/new), with the lock_version the
+// editor's copy is based on. If the LiveView socket drops or the tab closes
+// before the next save, the local copy survives and is offered back on the
+// next mount, unless the article was saved since that version.
+import {diffLines} from "./line_diff.js"
+
+const DB_NAME = 'curupira-drafts'
+const DB_VERSION = 1
+const STORE_NAME = 'drafts'
+const NEW_DRAFT_KEY = 'new'
+
+let databasePromise = null
+
+function openDatabase() {
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve, reject) => {
+      if (!window.indexedDB) {
+        reject(new Error('IndexedDB is not available'))
+        return
+      }
+
+      const request = window.indexedDB.open(DB_NAME, DB_VERSION)
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE_NAME, { keyPath: 'key' })
+      }
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => reject(request.error)
+    })
+  }
+
+  return databasePromise
+}
+
+function withStore(mode, operation) {
+  return openDatabase().then(db => new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, mode)
+    const request = operation(transaction.objectStore(STORE_NAME))
+    transaction.oncomplete = () => resolve(request.result)
+    transaction.onerror = () => reject(transaction.error)
+  }))
+}
+
+export function saveDraft(key, {title, content, baseVersion}) {
+  return withStore('readwrite', store => store.put({ key, title, content, baseVersion, savedAt: Date.now() }))
+}
+
+export function loadDraft(key) {
+  return withStore('readonly', store => store.get(key))
+}
+
+export function deleteDraft(key) {
+  return withStore('readwrite', store => store.delete(key))
+}
+
+// Whether the server saved the article after the version the draft is based
+// on (from another device, or this one before the draft was left). Drafts
+// that don't say are kept.
+export function savedSince(draft, lockVersion) {
+  return draft.baseVersion < lockVersion
+}
+
+export function draftDiffers(draft, {title, content}) {
+  return draft.title !== title || draft.content !== content
+}
+
+// Drops the draft only if nothing was typed after `syncedAt`
+export function deleteDraftIfSynced(key, syncedAt) {
+  return loadDraft(key).then(draft => {
+    if (draft && draft.savedAt <= syncedAt) return deleteDraft(key)
+  })
+}
+
+// Hook mounted on #article-form. Expects:
+//   data-draft-key     article id, or "new"
+//   data-lock-version  the article's lock_version as rendered
+// the #article-lock-version field (kept up to date by MergeConflict) and a
+// #draft-banner element (phx-update="ignore") with data-draft-action buttons.
+export const DraftJournal = {
+  mounted() {
+    this.key = this.el.dataset.draftKey
+    this.lockVersion = parseInt(this.el.dataset.lockVersion || '1', 10)
+    this.lastSubmitAt = 0
+    this.pendingDraft = null
+
+    this.el.addEventListener('input', () => this.record())
+
+    // Capture phase: autosave dispatches synthetic submits straight on the form
+    this.el.addEventListener('submit', () => {
+      this.lastSubmitAt = Date.now()
+    }, true)
+
+    this.handleEvent('article-saved', () => {
+      deleteDraftIfSynced(this.key, this.lastSubmitAt).catch(error => {
+        console.error('Failed to clear local draft:', error)
+      })
+    })
+
+    this.setupBanner()
+    this.checkForNewerDraft()
+    if (this.key !== NEW_DRAFT_KEY) this.clearCreatedDraft()
+  },
+  titleField() {
+    return this.el.querySelector('[name="article[title]"]')
+  },
+  contentField() {
+    return this.el.querySelector('[name="article[content]"]')
+  },
+  currentValues() {
+    return {
+      title: this.titleField()?.value || '',
+      content: this.contentField()?.value || ''
+    }
+  },
+  clearDraft() {
+    deleteDraft(this.key).catch(error => {
+      console.error('Failed to clear local draft:', error)
+    })
+  },
+  // The version the next save is based on
+  baseVersion() {
+    const field = document.getElementById('article-lock-version')
+    return field ? parseInt(field.value, 10) : this.lockVersion
+  },
+  record() {
+    saveDraft(this.key, { ...this.currentValues(), baseVersion: this.baseVersion() }).catch(error => {
+      console.error('Failed to save local draft:', error)
+    })
+  },
+  async checkForNewerDraft() {
+    let draft
+    try {
+      draft = await loadDraft(this.key)
+    } catch (error) {
+      console.error('Failed to load local draft:', error)
+      return
+    }
+    if (!draft) return
+
+    if (!draftDiffers(draft, this.currentValues())) {
+      // Local copy already matches what the server has
+      this.clearDraft()
+      return
+    }
+
+    if (savedSince(draft, this.lockVersion)) {
+      // Server copy was saved after this draft (e.g. from another device)
+      this.clearDraft()
+      return
+    }
+
+    this.pendingDraft = draft
+    this.showBanner(draft)
+  },
+  // Creating an article navigates here from /articles/new, whose hook may
+  // not have cleared its draft: it's dropped once it's what was created
+  async clearCreatedDraft() {
+    try {
+      const draft = await loadDraft(NEW_DRAFT_KEY)
+      if (draft && !draftDiffers(draft, this.currentValues())) await deleteDraft(NEW_DRAFT_KEY)
+    } catch (error) {
+      console.error('Failed to clear local draft:', error)
+    }
+  },
+  setupBanner() {
+    this.banner = document.getElementById('draft-banner')
+    if (!this.banner) return
+
+    this.banner.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-draft-action]')
+      if (!button) return
+
+      e.preventDefault()
+      const action = button.getAttribute('data-draft-action')
+
+      if (action === 'restore') this.restoreDraft()
+      if (action === 'discard') this.discardDraft()
+      if (action === 'diff') this.toggleDiff()
+    })
+  },
+  showBanner(draft) {
+    if (!this.banner) return
+
+    const timeEl = this.banner.querySelector('[data-draft-time]')
+    if (timeEl) timeEl.textContent = new Date(draft.savedAt).toLocaleString()
+
+    this.banner.classList.remove('hidden')
+  },
+  hideBanner() {
+    if (!this.banner) return
+
+    this.banner.classList.add('hidden')
+    const diffEl = this.banner.querySelector('[data-draft-diff]')
+    if (diffEl) {
+      diffEl.classList.add('hidden')
+      diffEl.innerHTML = ''
+    }
+  },
+  restoreDraft() {
+    const draft = this.pendingDraft
+    if (!draft) return
+
+    const fields = [[this.titleField(), draft.title], [this.contentField(), draft.content]]
+    fields.forEach(([field, value]) => {
+      if (!field || field.value === value) return
+      field.value = value
+      field.dispatchEvent(new Event('input', { bubbles: true }))
+    })
+
+    this.pendingDraft = null
+    this.hideBanner()
+  },
+  discardDraft() {
+    deleteDraft(this.key).catch(error => {
+      console.error('Failed to discard local draft:', error)
+    })
+    this.pendingDraft = null
+    this.hideBanner()
+  },
+  toggleDiff() {
+    const diffEl = this.banner?.querySelector('[data-draft-diff]')
+    if (!diffEl || !this.pendingDraft) return
+
+    if (!diffEl.classList.contains('hidden')) {
+      diffEl.classList.add('hidden')
+      return
+    }
+
+    const server = this.currentValues()
+    const asDocument = ({title, content}) => `# ${title}\n\n${content}`
+    const changes = diffLines(asDocument(server), asDocument(this.pendingDraft))
+
+    diffEl.innerHTML = ''
+    changes.forEach(({type, text}) => {
+      const line = document.createElement('div')
+      if (type === 'insert') {
+        line.className = 'bg-success/15 text-success'
+        line.textContent = `+ ${text}`
+      } else if (type === 'delete') {
+        line.className = 'bg-error/15 text-error'
+        line.textContent = `- ${text}`
+      } else {
+        line.className = 'text-base-content/50'
+        line.textContent = `  ${text}`
+      }
+      diffEl.appendChild(line)
+    })
+
+    diffEl.classList.remove('hidden')
+  }
+}
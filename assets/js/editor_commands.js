@@ -0,0 +1,222 @@
+// Named commands for the article editor and their key bindings.
+//
+// Every editor action is a command with an id, a label (shown in the command
+// palette) and default bindings such as "Mod+Shift+K", where Mod is Cmd on
+// macOS and Ctrl elsewhere. Users can rebind commands from the palette; their
+// overrides are kept in localStorage and win over the defaults.
+import {
+  indentLines,
+  insertLink,
+  toggleFence,
+  toggleHeading,
+  toggleQuote,
+  toggleTask,
+  toggleWrap
+} from "./text_ops.js"
+import {toggleScrollSync} from "./scroll_sync.js"
+import {TOGGLE_PREVIEW_MODE_EVENT} from "./markdown_preview.js"
+
+const STORAGE_KEY = 'curupira-keybindings'
+
+// `scope`:
+//   'editor'    runs on the focused title/content textarea
+//   'markdown'  runs on the content textarea only
+//   'page'      runs from anywhere in the editor page (`run` gets the palette hook)
+export const COMMANDS = [
+  { id: 'bold', label: 'Toggle bold', keys: ['Mod+B'], scope: 'editor', run: editor => editor.apply(toggleWrap, '**') },
+  { id: 'italic', label: 'Toggle italic', keys: ['Mod+I'], scope: 'editor', run: editor => editor.apply(toggleWrap, '*') },
+  { id: 'code', label: 'Toggle inline code', keys: ['Mod+E'], scope: 'markdown', run: editor => editor.apply(toggleWrap, '`') },
+  { id: 'strikethrough', label: 'Toggle strikethrough', keys: ['Mod+Shift+X'], scope: 'markdown', run: editor => editor.apply(toggleWrap, '~~') },
+  // Not Mod+K: browsers and extensions claim it before the page sees it
+  { id: 'link', label: 'Insert link', keys: ['Mod+Shift+L'], scope: 'markdown', run: editor => editor.apply(insertLink) },
+  { id: 'code_block', label: 'Toggle code block', keys: ['Mod+Shift+K'], scope: 'markdown', run: editor => editor.apply(toggleFence) },
+  { id: 'quote', label: 'Toggle blockquote', keys: ['Mod+Shift+>'], scope: 'markdown', run: editor => editor.apply(toggleQuote) },
+  { id: 'task', label: 'Toggle task checkbox', keys: ['Mod+Alt+X'], scope: 'markdown', run: editor => editor.apply(toggleTask) },
+  { id: 'indent', label: 'Indent lines', keys: ['Mod+]'], scope: 'markdown', run: editor => editor.apply(indentLines, false) },
+  { id: 'outdent', label: 'Outdent lines', keys: ['Mod+['], scope: 'markdown', run: editor => editor.apply(indentLines, true) },
+  ...[1, 2, 3, 4, 5, 6].map(level => ({
+    id: `heading_${level}`,
+    label: `Toggle heading ${level}`,
+    keys: [`Mod+${level}`],
+    scope: 'markdown',
+    run: editor => editor.apply(toggleHeading, level)
+  })),
+  { id: 'undo', label: 'Undo', keys: ['Mod+Z'], scope: 'editor', run: editor => editor.history.undo() },
+  { id: 'redo', label: 'Redo', keys: ['Mod+Shift+Z', 'Mod+Y'], scope: 'editor', run: editor => editor.history.redo() },
+  { id: 'save', label: 'Save article', keys: ['Mod+S'], scope: 'page', run: () => saveArticle() },
+  { id: 'layout_split', label: 'Layout: split view', keys: ['Mod+Alt+1'], scope: 'page', run: page => page.pushEvent('switch_layout', { mode: 'split' }) },
+  { id: 'layout_editor', label: 'Layout: editor only', keys: ['Mod+Alt+2'], scope: 'page', run: page => page.pushEvent('switch_layout', { mode: 'editor' }) },
+  { id: 'layout_preview', label: 'Layout: preview only', keys: ['Mod+Alt+3'], scope: 'page', run: page => page.pushEvent('switch_layout', { mode: 'preview' }) },
+  {
+    id: 'toggle_preview_mode',
+    label: 'Preview: switch between browser and server rendering',
+    keys: [],
+    scope: 'page',
+    run: () => window.dispatchEvent(new CustomEvent(TOGGLE_PREVIEW_MODE_EVENT))
+  },
+  { id: 'toggle_scroll_sync', label: 'Toggle scroll sync', keys: [], scope: 'page', run: () => toggleScrollSync() },
+  {
+    id: 'toggle_publish',
+    label: 'Publish / unpublish article',
+    keys: ['Mod+Shift+Enter'],
+    scope: 'page',
+    // Only saved articles have a publish button
+    available: () => !!document.querySelector('[phx-click="toggle_publish"]'),
+    run: page => page.pushEvent('toggle_publish', {})
+  },
+  { id: 'command_palette', label: 'Show all commands', keys: ['Mod+Shift+P'], scope: 'page', run: page => page.open() }
+]
+
+function saveArticle() {
+  const submitButton = document.querySelector('button[type="submit"][form="article-form"]')
+  if (submitButton) {
+    submitButton.click()
+  }
+}
+
+export function isMac() {
+  if (typeof navigator === 'undefined') return false
+
+  // navigator.platform is deprecated; prefer User-Agent Client Hints
+  const platform = navigator.userAgentData?.platform || navigator.userAgent || ''
+  return /mac|iphone|ipad/i.test(platform)
+}
+
+// Key bindings
+
+const MODIFIERS = ['Mod', 'Ctrl', 'Alt', 'Shift']
+
+// Canonical form of a binding string: "shift+mod+k" -> "Mod+Shift+K"
+export function normalizeBinding(binding) {
+  const parts = binding.split('+').map(part => part.trim()).filter(Boolean)
+  const key = parts.pop() || ''
+  const modifiers = MODIFIERS.filter(modifier =>
+    parts.some(part => part.toLowerCase() === modifier.toLowerCase())
+  )
+
+  return [...modifiers, key.length === 1 ? key.toUpperCase() : key].join('+')
+}
+
+// Binding string for a keydown event, or null for a bare modifier press.
+// Letters and digits come from `code`, so Alt/Option combinations on macOS
+// ("¡" for Option+1) still read as the physical key.
+export function bindingFromEvent(e, mac = isMac()) {
+  if (['Control', 'Meta', 'Alt', 'Shift'].includes(e.key)) return null
+
+  const parts = []
+  if (mac ? e.metaKey : e.ctrlKey) parts.push('Mod')
+  if (mac && e.ctrlKey) parts.push('Ctrl')
+  if (e.altKey) parts.push('Alt')
+  if (e.shiftKey) parts.push('Shift')
+
+  const match = (e.code || '').match(/^(?:Key|Digit)(.)$/)
+  parts.push(match ? match[1] : (e.key.length === 1 ? e.key.toUpperCase() : e.key))
+
+  return parts.join('+')
+}
+
+// Human-readable binding for the current platform: "⌘⇧K" or "Ctrl+Shift+K"
+export function formatBinding(binding, mac = isMac()) {
+  const symbols = mac
+    ? { Mod: '⌘', Ctrl: '⌃', Alt: '⌥', Shift: '⇧', Enter: '↩' }
+    : { Mod: 'Ctrl' }
+
+  const parts = binding.split('+').map(part => symbols[part] || part)
+  return mac ? parts.join('') : parts.join('+')
+}
+
+export function loadOverrides(storage = globalThis.localStorage) {
+  try {
+    const overrides = JSON.parse(storage?.getItem(STORAGE_KEY) || '{}')
+    return overrides && typeof overrides === 'object' && !Array.isArray(overrides) ? overrides : {}
+  } catch (_error) {
+    return {}
+  }
+}
+
+// Stored overrides are lists of binding strings; anything else (edited by
+// hand, left by an older version) is ignored
+function validKeys(keys) {
+  return Array.isArray(keys) && keys.every(key => typeof key === 'string')
+}
+
+function saveOverrides(overrides, storage = globalThis.localStorage) {
+  storage?.setItem(STORAGE_KEY, JSON.stringify(overrides))
+}
+
+// Bindings in effect: user overrides on top of the defaults
+export function resolveBindings(overrides = loadOverrides()) {
+  const bindings = {}
+  COMMANDS.forEach(command => {
+    const keys = Object.prototype.hasOwnProperty.call(overrides, command.id) && validKeys(overrides[command.id])
+      ? overrides[command.id]
+      : command.keys
+    bindings[command.id] = keys.map(normalizeBinding)
+  })
+  return bindings
+}
+
+export function commandForBinding(binding, bindings = resolveBindings()) {
+  return COMMANDS.find(command => bindings[command.id].includes(binding)) || null
+}
+
+// Binds `binding` to a command, taking it away from any other command using it.
+// Returns the ids of commands that lost the binding.
+export function rebind(commandId, binding, storage = globalThis.localStorage) {
+  const normalized = normalizeBinding(binding)
+  const overrides = loadOverrides(storage)
+  const bindings = resolveBindings(overrides)
+  const displaced = []
+
+  COMMANDS.forEach(command => {
+    if (command.id !== commandId && bindings[command.id].includes(normalized)) {
+      overrides[command.id] = bindings[command.id].filter(key => key !== normalized)
+      displaced.push(command.id)
+    }
+  })
+  overrides[commandId] = [normalized]
+
+  saveOverrides(overrides, storage)
+  return displaced
+}
+
+export function resetBinding(commandId, storage = globalThis.localStorage) {
+  const overrides = loadOverrides(storage)
+  delete overrides[commandId]
+  saveOverrides(overrides, storage)
+}
+
+// Fuzzy matching for the palette
+
+// Scores `query` as a subsequence of `text`; null when it doesn't match.
+// Consecutive characters and matches at word starts score higher.
+export function fuzzyScore(query, text) {
+  const needle = query.toLowerCase().replace(/\s+/g, '')
+  const haystack = text.toLowerCase()
+  if (needle === '') return 0
+
+  let score = 0
+  let streak = 0
+  let position = 0
+
+  for (const char of needle) {
+    const index = haystack.indexOf(char, position)
+    if (index === -1) return null
+
+    streak = index === position ? streak + 1 : 0
+    const wordStart = index === 0 || /[\s:/-]/.test(haystack[index - 1])
+    score += 1 + streak * 2 + (wordStart ? 3 : 0)
+    position = index + 1
+  }
+
+  // Prefer shorter labels on ties
+  return score - haystack.length * 0.01
+}
+
+export function searchCommands(query, commands = COMMANDS) {
+  return commands
+    .map(command => ({ command, score: fuzzyScore(query, command.label) }))
+    .filter(({score}) => score !== null)
+    .sort((a, b) => b.score - a.score)
+    .map(({command}) => command)
+}
@@ -0,0 +1,154 @@
+// Editor-level undo/redo shared by the title and content textareas.
+//
+// Formatting commands rewrite `el.value` directly, which wipes the browser's
+// native undo stack. Instead, every change (typing, paste, shortcut, image
+// insert) is recorded here as one transaction holding the value and selection
+// before and after, and undo/redo replay those transactions.
+//
+// Histories are kept per article outside the hooks, so they outlive hook
+// remounts and LiveView re-renders.
+
+const MAX_ENTRIES = 500
+const TYPING_MERGE_MS = 1000
+const TYPING_INPUT_TYPES = ['insertText', 'deleteContentBackward', 'deleteContentForward']
+
+const histories = new Map()
+
+export function historyFor(key) {
+  if (!histories.has(key)) histories.set(key, new EditorHistory())
+  return histories.get(key)
+}
+
+function snapshot(el) {
+  return {
+    value: el.value,
+    selectionStart: el.selectionStart,
+    selectionEnd: el.selectionEnd
+  }
+}
+
+export class EditorHistory {
+  constructor() {
+    this.undoStack = []
+    this.redoStack = []
+    this.snapshots = new Map()  // element id -> last recorded state
+    this.pending = new Map()    // element id -> state captured on beforeinput
+    this.applying = false
+  }
+
+  attach(el) {
+    this.snapshots.set(el.id, snapshot(el))
+
+    el.addEventListener('beforeinput', (e) => {
+      if (e.inputType === 'historyUndo') {
+        e.preventDefault()
+        this.undo()
+      } else if (e.inputType === 'historyRedo') {
+        e.preventDefault()
+        this.redo()
+      } else {
+        this.pending.set(el.id, snapshot(el))
+      }
+    })
+
+    el.addEventListener('input', (e) => {
+      if (this.applying) return
+      this.recordInput(el, e.inputType)
+    })
+  }
+
+  // Call from the hook's updated(): accept server-side value changes as the
+  // new baseline without dropping the history.
+  sync(el) {
+    const last = this.snapshots.get(el.id)
+    if (!last || last.value !== el.value) {
+      this.snapshots.set(el.id, snapshot(el))
+    }
+  }
+
+  // Runs `change` (which may rewrite el.value and dispatch input events)
+  // as a single undoable step.
+  transact(el, change) {
+    const before = snapshot(el)
+
+    this.applying = true
+    try {
+      change()
+    } finally {
+      this.applying = false
+    }
+
+    const after = snapshot(el)
+    if (after.value === before.value) return
+
+    this.push({ elementId: el.id, kind: 'command', before, after, time: Date.now() })
+  }
+
+  recordInput(el, inputType) {
+    const before = this.pending.get(el.id) || this.snapshots.get(el.id) || snapshot(el)
+    const after = snapshot(el)
+    this.pending.delete(el.id)
+
+    if (before.value === after.value) return
+
+    const now = Date.now()
+    const isTyping = TYPING_INPUT_TYPES.includes(inputType)
+    const last = this.undoStack[this.undoStack.length - 1]
+
+    // Coalesce a burst of keystrokes into one step
+    if (
+      isTyping && last && last.kind === 'typing' && last.elementId === el.id &&
+      now - last.time < TYPING_MERGE_MS && last.after.value === before.value
+    ) {
+      last.after = after
+      last.time = now
+      this.snapshots.set(el.id, after)
+      this.redoStack = []
+      return
+    }
+
+    this.push({ elementId: el.id, kind: isTyping ? 'typing' : 'edit', before, after, time: now })
+  }
+
+  push(entry) {
+    this.undoStack.push(entry)
+    if (this.undoStack.length > MAX_ENTRIES) this.undoStack.shift()
+    this.redoStack = []
+    this.snapshots.set(entry.elementId, entry.after)
+  }
+
+  undo() {
+    const entry = this.undoStack.pop()
+    if (!entry) return false
+
+    this.redoStack.push(entry)
+    this.restore(entry.elementId, entry.before)
+    return true
+  }
+
+  redo() {
+    const entry = this.redoStack.pop()
+    if (!entry) return false
+
+    this.undoStack.push(entry)
+    this.restore(entry.elementId, entry.after)
+    return true
+  }
+
+  restore(elementId, state) {
+    const el = document.getElementById(elementId)
+    if (!el) return
+
+    this.applying = true
+    try {
+      el.value = state.value
+      el.dispatchEvent(new Event('input', { bubbles: true }))
+    } finally {
+      this.applying = false
+    }
+
+    el.focus()
+    el.setSelectionRange(state.selectionStart, state.selectionEnd)
+    this.snapshots.set(elementId, { ...state })
+  }
+}
@@ -0,0 +1,74 @@
+// Shrinks images in the browser before they are uploaded.
+//
+// Images wider than the configured max width are scaled down, and every
+// image is redrawn on a canvas and re-encoded to the first format the
+// browser can encode: AVIF, then WebP, then PNG. Redrawing drops all
+// metadata (EXIF, GPS) along the way. GIFs are left alone, since a canvas
+// would only keep their first frame.
+
+export const DEFAULT_MAX_WIDTH = 1600
+
+// Preferred first; browsers that can't encode a type hand back a PNG instead
+const OUTPUT_FORMATS = [
+  { type: 'image/avif', extension: '.avif', quality: 0.6 },
+  { type: 'image/webp', extension: '.webp', quality: 0.82 },
+  { type: 'image/png', extension: '.png' }
+]
+
+// Size to draw at: no wider than maxWidth, aspect ratio kept, never upscaled
+export function fitWithin(width, height, maxWidth) {
+  if (width <= maxWidth) return { width, height }
+  return { width: maxWidth, height: Math.max(1, Math.round(height * maxWidth / width)) }
+}
+
+// "my-cat_photo.final.JPG" -> "my cat photo final"; "" for names that
+// say nothing about the image (pasted "image.png", cameras' "IMG_1234")
+export function altFromFilename(name) {
+  const alt = (name || '')
+    .replace(/\.[a-z0-9]+$/i, '')
+    .replace(/[-_.]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+
+  return /^(image|blob|img \d+|dsc\w? ?\d+|pxl \d+.*)$/i.test(alt) ? '' : alt
+}
+
+function encode(canvas, {type, quality}) {
+  if (canvas.convertToBlob) return canvas.convertToBlob({ type, quality })
+  return new Promise(resolve => canvas.toBlob(resolve, type, quality))
+}
+
+function createCanvas(width, height) {
+  if (typeof OffscreenCanvas !== 'undefined') return new OffscreenCanvas(width, height)
+
+  const canvas = document.createElement('canvas')
+  canvas.width = width
+  canvas.height = height
+  return canvas
+}
+
+// Resolves to {blob, extension}. Falls back to the original file when it
+// can't be decoded or is a GIF.
+export async function optimizeImage(file, {maxWidth = DEFAULT_MAX_WIDTH} = {}) {
+  const original = { blob: file, extension: null }
+  if (file.type === 'image/gif') return original
+
+  let bitmap
+  try {
+    // Applies the EXIF orientation before it is dropped
+    bitmap = await createImageBitmap(file, { imageOrientation: 'from-image' })
+  } catch (_error) {
+    return original
+  }
+
+  const {width, height} = fitWithin(bitmap.width, bitmap.height, maxWidth)
+  const canvas = createCanvas(width, height)
+  canvas.getContext('2d').drawImage(bitmap, 0, 0, width, height)
+  bitmap.close()
+
+  for (const format of OUTPUT_FORMATS) {
+    const blob = await encode(canvas, format)
+    if (blob && blob.type === format.type) return { blob, extension: format.extension }
+  }
+  return original
+}
@@ -0,0 +1,266 @@
+// Image uploads into the markdown editor: paste, drag-and-drop and the
+// toolbar's #image-picker all go through the LiveView `images` upload.
+//
+// Every pasted or dropped image gets a placeholder at the caret,
+// `![Uploading image-1…]()`, which is replaced in place once the server
+// reports the upload finished (or failed), wherever the caret is by then.
+// Files are renamed after their placeholder label before they're handed to
+// LiveView, so the server events (which carry the entry's client_name) can
+// be matched back to it. In-flight uploads are listed in #upload-queue with
+// a cancel button.
+//
+// Images are resized and re-encoded in the browser first (image_optimizer.js),
+// so the server stores the optimised file.
+import {insertText, replaceText, stateOf} from "./text_ops.js"
+import {DEFAULT_MAX_WIDTH, altFromFilename, optimizeImage} from "./image_optimizer.js"
+
+// Labels stay unique for the whole page, across editor remounts
+let uploadCount = 0
+
+export function uploadingPlaceholder(label) {
+  return `![Uploading ${label}…]()`
+}
+
+export function failedPlaceholder(label, reason) {
+  return `![Upload failed: ${label} (${reason})]()`
+}
+
+export function imageMarkdown(alt, url) {
+  return `![${alt}](${url})`
+}
+
+const EXTENSIONS = { 'image/jpeg': '.jpg', 'image/png': '.png', 'image/gif': '.gif', 'image/webp': '.webp', 'image/avif': '.avif' }
+
+// ".png" for "Screenshot.PNG"; pasted images may come without a usable name
+export function uploadExtension(file) {
+  const match = (file.name || '').match(/\.[a-z0-9]+$/i)
+  return match ? match[0].toLowerCase() : (EXTENSIONS[file.type] || '')
+}
+
+function imageFiles(fileList) {
+  return Array.from(fileList || []).filter(file => file.type.startsWith('image/'))
+}
+
+function hasFiles(e) {
+  return Array.from(e.dataTransfer?.types || []).includes('Files')
+}
+
+// Spread into the MarkdownEditor hook (after TextEditor); call
+// setupImageUploads() from mounted(). Expects on the textarea:
+//   data-max-uploads       the upload's max_entries
+//   data-image-max-width   wider images are scaled down to this width
+export const ImageUploads = {
+  setupImageUploads() {
+    // upload name -> {label, placeholder, alt, ref, cancelled, row}
+    this.uploads = new Map()
+    this.maxUploads = parseInt(this.el.dataset.maxUploads || '1', 10)
+    this.maxWidth = parseInt(this.el.dataset.imageMaxWidth || DEFAULT_MAX_WIDTH, 10)
+    this.queue = document.getElementById('upload-queue')
+
+    this.el.addEventListener('paste', (e) => {
+      const files = imageFiles(e.clipboardData?.files)
+      if (files.length === 0) return
+
+      e.preventDefault()
+      this.uploadImages(files)
+    })
+
+    this.el.addEventListener('dragover', (e) => {
+      if (!hasFiles(e)) return
+      e.preventDefault()
+      this.el.classList.add('bg-primary/5')
+    })
+    this.el.addEventListener('dragleave', () => this.el.classList.remove('bg-primary/5'))
+    this.el.addEventListener('drop', (e) => {
+      this.el.classList.remove('bg-primary/5')
+      const files = imageFiles(e.dataTransfer?.files)
+      if (files.length === 0) return
+
+      e.preventDefault()
+      this.el.focus()
+      this.uploadImages(files)
+    })
+
+    this.picker = document.getElementById('image-picker')
+    this.picker?.addEventListener('change', () => {
+      const files = imageFiles(this.picker.files)
+      this.picker.value = ''
+      if (files.length === 0) return
+
+      this.el.focus()
+      this.uploadImages(files)
+    })
+
+    this.queue?.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-cancel-upload]')
+      if (button) this.cancelImageUpload(button.getAttribute('data-cancel-upload'))
+    })
+
+    this.handleEvent('image-upload-progress', ({name, ref, progress}) => this.imageUploadProgress(name, ref, progress))
+    this.handleEvent('image-uploaded', ({name, url}) => this.imageUploaded(name, url))
+    this.handleEvent('image-upload-failed', ({name, reason}) => this.imageUploadFailed(name, reason))
+  },
+  async uploadImages(files) {
+    const room = Math.max(0, this.maxUploads - this.uploads.size)
+    const selection = this.el.value.substring(this.el.selectionStart, this.el.selectionEnd)
+
+    const entries = files.map((file, index) => {
+      const label = `image-${++uploadCount}`
+      return {
+        label,
+        file,
+        // Selected text becomes the alt text of a single image, else the file name
+        alt: (files.length === 1 && selection) || altFromFilename(file.name) || 'image',
+        placeholder: index < room
+          ? uploadingPlaceholder(label)
+          : failedPlaceholder(label, `at most ${this.maxUploads} uploads at a time`)
+      }
+    })
+
+    this.apply(insertText, entries.map(entry => entry.placeholder).join('\n'))
+
+    const accepted = entries.slice(0, room)
+    if (accepted.length === 0) return
+
+    // Keyed by label while being optimised
+    accepted.forEach(({label, alt, placeholder}) => {
+      this.uploads.set(label, { label, alt, placeholder, ref: null, cancelled: false, row: this.renderUploadRow(label, label) })
+    })
+    this.renderQueue()
+
+    let prepared
+    try {
+      const optimized = await Promise.all(accepted.map(({file}) => this.optimizeImage(file)))
+      prepared = accepted.map(({label, file}, index) => {
+        const {blob, extension} = optimized[index]
+        return new File([blob], `${label}${extension || uploadExtension(file)}`, { type: blob.type })
+      })
+    } catch (error) {
+      // None of them is uploaded: their placeholders say so
+      console.error('Failed to prepare images for upload:', error)
+      accepted.forEach(({label}) => this.settleUpload(label, failedPlaceholder(label, 'could not be read')))
+      return
+    }
+
+    // Renamed after their placeholder label and keyed by that name from here on
+    const renamed = []
+    accepted.forEach(({label}, index) => {
+      const upload = this.uploads.get(label)
+      this.uploads.delete(label)
+      // Cancelled while being optimised: never uploaded
+      if (upload.cancelled) return
+
+      const file = prepared[index]
+      upload.row?.querySelector('[data-cancel-upload]')?.setAttribute('data-cancel-upload', file.name)
+      this.uploads.set(file.name, upload)
+      renamed.push(file)
+    })
+    this.renderQueue()
+
+    if (renamed.length > 0) this.upload('images', renamed)
+  },
+  optimizeImage(file) {
+    return optimizeImage(file, { maxWidth: this.maxWidth })
+  },
+  imageUploadProgress(name, ref, progress) {
+    const upload = this.uploads.get(name)
+    if (!upload) return
+
+    upload.ref = ref
+    // Cancelled before the server told us its ref
+    if (upload.cancelled) {
+      this.pushEvent('cancel_image_upload', { ref })
+      this.forgetUpload(name)
+      return
+    }
+
+    const bar = upload.row?.querySelector('progress')
+    if (bar) bar.value = progress
+  },
+  imageUploaded(name, url) {
+    const upload = this.uploads.get(name)
+    if (!upload) {
+      // Not one of ours (no placeholder): insert at the caret
+      const {value, selectionStart, selectionEnd} = this.el
+      this.apply(insertText, imageMarkdown(value.substring(selectionStart, selectionEnd) || 'image', url))
+      return
+    }
+
+    this.settleUpload(name, imageMarkdown(upload.alt, url))
+  },
+  imageUploadFailed(name, reason) {
+    const upload = this.uploads.get(name)
+    if (!upload) {
+      this.apply(insertText, failedPlaceholder(name, reason))
+      return
+    }
+
+    this.settleUpload(name, failedPlaceholder(upload.label, reason))
+  },
+  cancelImageUpload(name) {
+    const upload = this.uploads.get(name)
+    if (!upload || upload.cancelled) return
+
+    this.replacePlaceholder(upload.placeholder, '')
+    if (upload.ref) {
+      this.pushEvent('cancel_image_upload', { ref: upload.ref })
+      this.forgetUpload(name)
+    } else {
+      upload.cancelled = true
+      upload.row?.remove()
+      this.renderQueue()
+    }
+  },
+  // Swaps the placeholder for the final markdown without moving focus,
+  // as a single undoable step
+  settleUpload(name, replacement) {
+    const upload = this.uploads.get(name)
+    this.forgetUpload(name)
+    if (!upload.cancelled) this.replacePlaceholder(upload.placeholder, replacement)
+  },
+  replacePlaceholder(placeholder, replacement) {
+    const state = stateOf(this.el)
+    // Removing a placeholder takes its line break along
+    const result = (replacement === '' && replaceText(state, `${placeholder}\n`, '')) ||
+      replaceText(state, placeholder, replacement)
+
+    // Null when the placeholder was edited away meanwhile
+    this.applyResult(result, { focus: false })
+  },
+  forgetUpload(name) {
+    this.uploads.get(name)?.row?.remove()
+    this.uploads.delete(name)
+    this.renderQueue()
+  },
+  renderUploadRow(name, label) {
+    if (!this.queue) return null
+
+    const row = document.createElement('li')
+    row.className = 'flex items-center gap-2'
+
+    const text = document.createElement('span')
+    text.textContent = label
+    row.appendChild(text)
+
+    const bar = document.createElement('progress')
+    bar.className = 'progress progress-primary w-24'
+    bar.max = 100
+    bar.value = 0
+    row.appendChild(bar)
+
+    const cancel = document.createElement('button')
+    cancel.type = 'button'
+    cancel.className = 'btn btn-ghost btn-xs'
+    cancel.textContent = '✕'
+    cancel.title = 'Cancel upload'
+    cancel.setAttribute('aria-label', `Cancel upload of ${label}`)
+    cancel.setAttribute('data-cancel-upload', name)
+    row.appendChild(cancel)
+
+    this.queue.appendChild(row)
+    return row
+  },
+  renderQueue() {
+    this.queue?.classList.toggle('hidden', this.queue.children.length === 0)
+  }
+}
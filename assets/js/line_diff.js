@@ -0,0 +1,167 @@
+// Line-based diffing used by the editor (draft restore preview, merge UI).
+// Plain LCS over lines: articles are a few hundred lines at most, so the
+// quadratic table is cheap once the common prefix/suffix is trimmed.
+
+export function splitLines(text) {
+  return (text || '').split('\n')
+}
+
+// Returns, for every line of `a`, the index of the matching line in `b`
+// (or -1 when the line was removed). Matches are monotonic.
+export function matchLines(a, b) {
+  const matches = new Array(a.length).fill(-1)
+
+  let prefix = 0
+  while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) {
+    matches[prefix] = prefix
+    prefix++
+  }
+
+  let suffix = 0
+  while (
+    suffix < a.length - prefix &&
+    suffix < b.length - prefix &&
+    a[a.length - 1 - suffix] === b[b.length - 1 - suffix]
+  ) {
+    matches[a.length - 1 - suffix] = b.length - 1 - suffix
+    suffix++
+  }
+
+  const rows = a.length - prefix - suffix
+  const cols = b.length - prefix - suffix
+  if (rows === 0 || cols === 0) return matches
+
+  // lengths[i][j] = LCS length of a[prefix + i..] and b[prefix + j..]
+  const lengths = []
+  for (let i = 0; i <= rows; i++) lengths.push(new Int32Array(cols + 1))
+
+  for (let i = rows - 1; i >= 0; i--) {
+    for (let j = cols - 1; j >= 0; j--) {
+      lengths[i][j] = a[prefix + i] === b[prefix + j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1])
+    }
+  }
+
+  let i = 0
+  let j = 0
+  while (i < rows && j < cols) {
+    if (a[prefix + i] === b[prefix + j]) {
+      matches[prefix + i] = prefix + j
+      i++
+      j++
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      i++
+    } else {
+      j++
+    }
+  }
+
+  return matches
+}
+
+// Diff two texts line by line.
+// Returns [{type: 'equal' | 'delete' | 'insert', text}] in document order.
+export function diffLines(before, after) {
+  const a = splitLines(before)
+  const b = splitLines(after)
+  const matches = matchLines(a, b)
+  const result = []
+
+  let j = 0
+  a.forEach((line, i) => {
+    const match = matches[i]
+    if (match === -1) {
+      result.push({type: 'delete', text: line})
+      return
+    }
+    while (j < match) result.push({type: 'insert', text: b[j++]})
+    result.push({type: 'equal', text: line})
+    j = match + 1
+  })
+  while (j < b.length) result.push({type: 'insert', text: b[j++]})
+
+  return result
+}
+
+function sameLines(a, b) {
+  return a.length === b.length && a.every((line, i) => line === b[i])
+}
+
+// Three-way merge of two descendants (`mine`, `theirs`) of a common `base`.
+// Returns chunks in document order:
+//   {type: 'equal', lines}
+//   {type: 'change', changedBy: 'mine' | 'theirs' | 'both', base, mine, theirs}
+// 'both' means the two sides changed the same region differently (a conflict).
+export function merge3(base, mine, theirs) {
+  const o = splitLines(base)
+  const a = splitLines(mine)
+  const b = splitLines(theirs)
+  const matchA = matchLines(o, a)
+  const matchB = matchLines(o, b)
+  const chunks = []
+
+  const pushEqual = (lines) => {
+    if (lines.length === 0) return
+    const last = chunks[chunks.length - 1]
+    if (last && last.type === 'equal') {
+      last.lines.push(...lines)
+    } else {
+      chunks.push({type: 'equal', lines: [...lines]})
+    }
+  }
+
+  let io = 0
+  let ia = 0
+  let ib = 0
+
+  while (true) {
+    // Next base line kept by both sides
+    let k = io
+    while (k < o.length && (matchA[k] === -1 || matchB[k] === -1)) k++
+
+    const endA = k < o.length ? matchA[k] : a.length
+    const endB = k < o.length ? matchB[k] : b.length
+    const baseLines = o.slice(io, k)
+    const mineLines = a.slice(ia, endA)
+    const theirLines = b.slice(ib, endB)
+
+    const mineChanged = !sameLines(mineLines, baseLines)
+    const theirsChanged = !sameLines(theirLines, baseLines)
+
+    if (!mineChanged && !theirsChanged) {
+      pushEqual(baseLines)
+    } else if (sameLines(mineLines, theirLines)) {
+      pushEqual(mineLines)
+    } else {
+      const changedBy = mineChanged && theirsChanged ? 'both' : (mineChanged ? 'mine' : 'theirs')
+      chunks.push({type: 'change', changedBy, base: baseLines, mine: mineLines, theirs: theirLines})
+    }
+
+    if (k === o.length) break
+
+    pushEqual([o[k]])
+    io = k + 1
+    ia = endA + 1
+    ib = endB + 1
+  }
+
+  return chunks
+}
+
+// Default pick for a change chunk: take the side that changed, keep ours on conflicts
+export function defaultChoice(chunk) {
+  return chunk.changedBy === 'theirs' ? 'theirs' : 'mine'
+}
+
+// Builds the merged text. `choices` maps chunk index to 'mine' | 'theirs' | 'both'.
+export function resolveMerge(chunks, choices = {}) {
+  return chunks.flatMap((chunk, index) => {
+    if (chunk.type === 'equal') return chunk.lines
+
+    const choice = choices[index] || defaultChoice(chunk)
+    if (choice === 'theirs') return chunk.theirs
+    if (choice === 'both') return [...chunk.mine, ...chunk.theirs]
+    return chunk.mine
+  }).join('\n')
+}
@@ -0,0 +1,345 @@
+// Browser-side markdown preview for the article editor.
+//
+// In "client" preview mode the editor renders markdown locally instead of
+// waiting for the server to re-render the whole document on every
+// keystroke, and only the blocks that changed are patched into the page.
+// markdown-it is configured to match Curupira.Markdown.Parser (comrak via
+// MDEx): GFM tables, strikethrough, autolinks, task lists, footnotes,
+// heading anchors, smart punctuation, hard line breaks and raw HTML.
+//
+// The server render stays authoritative: after each save the server sends
+// its HTML and the two renders are compared; differences are flagged.
+import markdownit from "../vendor/markdown-it.js"
+import footnote from "../vendor/markdown-it-footnote.js"
+
+const STORAGE_KEY = 'curupira-preview-mode'
+export const TOGGLE_PREVIEW_MODE_EVENT = 'curupira:toggle-preview-mode'
+export const PREVIEW_RENDERED_EVENT = 'curupira:preview-rendered'
+
+// comrak's anchorizer: lowercase, drop everything but letters, marks,
+// numbers, connectors, spaces and hyphens, then spaces to hyphens
+function slugify(text) {
+  return text.toLowerCase().replace(/[^\p{L}\p{M}\p{N}\p{Pc} -]/gu, '').replace(/ /g, '-')
+}
+
+function headingAnchors(md) {
+  md.core.ruler.push('heading_anchors', (state) => {
+    const used = new Map()
+
+    state.tokens.forEach((token, i) => {
+      if (token.type !== 'heading_open') return
+      const inline = state.tokens[i + 1]
+
+      const text = inline.children
+        .filter(child => child.type === 'text' || child.type === 'code_inline')
+        .map(child => child.content)
+        .join('')
+
+      let id = slugify(text)
+      const count = used.get(id) || 0
+      used.set(id, count + 1)
+      if (count > 0) id = `${id}-${count}`
+      if (state.env.headings) state.env.headings.push({ id, text: text.trim(), level: Number(token.tag.slice(1)) })
+
+      const anchor = new state.Token('html_inline', '', 0)
+      anchor.content = `<a href="#${id}" aria-hidden="true" class="anchor" id="${id}"></a>`
+      inline.children.unshift(anchor)
+    })
+  })
+}
+
+function taskLists(md) {
+  md.core.ruler.after('inline', 'task_lists', (state) => {
+    state.tokens.forEach((token, i) => {
+      if (token.type !== 'inline' || i < 2) return
+      if (state.tokens[i - 1].type !== 'paragraph_open' || state.tokens[i - 2].type !== 'list_item_open') return
+
+      const first = token.children[0]
+      const match = first && first.type === 'text' && first.content.match(/^\[([ xX])\](?: |$)/)
+      if (!match) return
+
+      first.content = first.content.substring(match[0].length)
+      const checkbox = new state.Token('html_inline', '', 0)
+      const checked = match[1] === ' ' ? '' : 'checked="" '
+      checkbox.content = `<input type="checkbox" ${checked}disabled="" /> `
+      token.children.unshift(checkbox)
+    })
+  })
+}
+
+// data-sourcepos="start:1-end:1" on block elements, like comrak's sourcepos
+// option, so scroll sync works the same on both renders
+function sourcePositions(md) {
+  md.core.ruler.push('source_positions', (state) => {
+    const lines = state.src.split('\n')
+
+    state.tokens.forEach(token => {
+      if (!token.block || !token.map || token.nesting === -1) return
+
+      let [start, end] = token.map
+      // markdown-it counts trailing blank lines into lists and quotes
+      while (end > start + 1 && (lines[end - 1] || '').trim() === '') end--
+
+      token.attrSet('data-sourcepos', `${start + 1}:1-${end}:1`)
+    })
+  })
+}
+
+// Footnote markup as comrak renders it
+function comrakFootnotes(md) {
+  const rules = md.renderer.rules
+  const label = (tokens, idx) => tokens[idx].meta.label || String(tokens[idx].meta.id + 1)
+
+  rules.footnote_block_open = () => '<section class="footnotes" data-footnotes>\n<ol>\n'
+  rules.footnote_block_close = () => '</ol>\n</section>\n'
+  rules.footnote_open = (tokens, idx) => `<li id="fn-${label(tokens, idx)}">\n`
+  rules.footnote_close = () => '</li>\n'
+  rules.footnote_ref = (tokens, idx) => {
+    const name = label(tokens, idx)
+    const number = tokens[idx].meta.id + 1
+    return `<sup class="footnote-ref"><a href="#fn-${name}" id="fnref-${name}" data-footnote-ref>${number}</a></sup>`
+  }
+  rules.footnote_anchor = (tokens, idx) => {
+    const name = label(tokens, idx)
+    const number = tokens[idx].meta.id + 1
+    return ` <a href="#fnref-${name}" class="footnote-backref" data-footnote-backref ` +
+      `data-footnote-backref-idx="${number}" aria-label="Back to reference ${number}">↩</a>`
+  }
+}
+
+let renderer = null
+
+function markdownRenderer() {
+  if (!renderer) {
+    renderer = markdownit({ html: true, linkify: true, typographer: true, breaks: true, xhtmlOut: true })
+      .use(footnote)
+      .use(comrakFootnotes)
+      .use(taskLists)
+      .use(headingAnchors)
+      .use(sourcePositions)
+  }
+  return renderer
+}
+
+export function renderMarkdown(markdown, env = {}) {
+  return markdownRenderer().render(markdown || '', env)
+}
+
+// Headings nested under the closest one of a lower level, as
+// Curupira.Markdown.Parser.headings/1 nests them
+export function nestHeadings(headings) {
+  const nested = []
+  let i = 0
+
+  while (i < headings.length) {
+    const heading = headings[i]
+    let end = i + 1
+    while (end < headings.length && headings[end].level > heading.level) end++
+
+    nested.push({ ...heading, children: nestHeadings(headings.slice(i + 1, end)) })
+    i = end
+  }
+  return nested
+}
+
+// The preview's HTML and its headings (see nestHeadings)
+export function renderPreview(markdown) {
+  const env = { headings: [] }
+  const html = renderMarkdown(markdown, env)
+  return { html, toc: nestHeadings(env.headings) }
+}
+
+// Same document the server previews (see ArticleLive.Form.build_full_markdown/2)
+export function previewMarkdown(title, content) {
+  if (!title) return content || ''
+  if (!content) return `# ${title}`
+  return `# ${title}\n\n${content}`
+}
+
+// Divergence check
+
+const BLOCK_TAGS = new Set([
+  'p', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'ul', 'ol', 'li', 'blockquote', 'pre',
+  'table', 'thead', 'tbody', 'tr', 'th', 'td', 'hr', 'section', 'img', 'input'
+])
+
+const ENTITIES = { '&amp;': '&', '&lt;': '<', '&gt;': '>', '&quot;': '"', '&#39;': "'", '&#x27;': "'" }
+
+// Structure and text of rendered HTML, ignoring attributes and formatting
+// differences between the renderers: block tags as "<p>", text collapsed
+export function renderSignature(html) {
+  const parts = []
+  let text = ''
+
+  const flushText = () => {
+    const collapsed = text.replace(/\s+/g, ' ').trim()
+    if (collapsed) parts.push(collapsed)
+    text = ''
+  }
+
+  ;(html.match(/<\/?([a-zA-Z0-9]+)[^>]*>|[^<]+/g) || []).forEach(piece => {
+    const tag = piece.match(/^<(\/?)([a-zA-Z0-9]+)/)
+    if (!tag) {
+      text += piece.replace(/&(?:amp|lt|gt|quot|#39|#x27);/g, entity => ENTITIES[entity])
+      return
+    }
+
+    const name = tag[2].toLowerCase()
+    if (BLOCK_TAGS.has(name)) {
+      flushText()
+      parts.push(`<${tag[1]}${name}>`)
+    }
+  })
+  flushText()
+
+  return parts
+}
+
+// null when both renders match, otherwise where they first differ
+export function compareRenders(clientHtml, serverHtml) {
+  const client = renderSignature(clientHtml)
+  const server = renderSignature(serverHtml)
+  const length = Math.max(client.length, server.length)
+
+  for (let i = 0; i < length; i++) {
+    if (client[i] !== server[i]) {
+      return { index: i, client: client[i] ?? '(end)', server: server[i] ?? '(end)' }
+    }
+  }
+  return null
+}
+
+// Block patching
+
+const SOURCEPOS_RE = / data-sourcepos="[^"]*"/g
+
+function blockKey(el) {
+  return el.outerHTML.replace(SOURCEPOS_RE, '')
+}
+
+// Replaces the children of `container` with `html`, touching only the
+// top-level blocks that changed. Blocks that only moved get their
+// data-sourcepos attributes updated in place.
+export function patchBlocks(container, html) {
+  const template = document.createElement('template')
+  template.innerHTML = html
+
+  const next = Array.from(template.content.children)
+  const current = Array.from(container.children)
+  const nextKeys = next.map(blockKey)
+  const currentKeys = current.map(blockKey)
+
+  let prefix = 0
+  while (prefix < next.length && prefix < current.length && nextKeys[prefix] === currentKeys[prefix]) prefix++
+
+  let suffix = 0
+  while (
+    suffix < next.length - prefix && suffix < current.length - prefix &&
+    nextKeys[next.length - 1 - suffix] === currentKeys[current.length - 1 - suffix]
+  ) suffix++
+
+  const keep = (oldEl, newEl) => {
+    const oldPositions = [oldEl, ...oldEl.querySelectorAll('[data-sourcepos]')]
+    const newPositions = [newEl, ...newEl.querySelectorAll('[data-sourcepos]')]
+    oldPositions.forEach((el, i) => {
+      const position = newPositions[i]?.getAttribute('data-sourcepos')
+      if (position && el.getAttribute('data-sourcepos') !== position) el.setAttribute('data-sourcepos', position)
+    })
+  }
+
+  for (let i = 0; i < prefix; i++) keep(current[i], next[i])
+  for (let i = 0; i < suffix; i++) keep(current[current.length - 1 - i], next[next.length - 1 - i])
+
+  const anchor = suffix > 0 ? current[current.length - suffix] : null
+  current.slice(prefix, current.length - suffix).forEach(el => el.remove())
+  next.slice(prefix, next.length - suffix).forEach(el => container.insertBefore(el, anchor))
+
+  return next.length - prefix - suffix
+}
+
+// Mounted on #client-preview (phx-update="ignore"). Owns the preview mode:
+// in "client" mode it renders the title/content fields on every input and
+// tells the server to stop sending preview HTML. Expects the
+// #preview-mode-toggle button and the #preview-divergence notice.
+export const ClientPreview = {
+  mounted() {
+    this.form = document.getElementById('article-form')
+    this.notice = document.getElementById('preview-divergence')
+    this.mode = localStorage.getItem(STORAGE_KEY) === 'client' ? 'client' : 'server'
+    this.frame = null
+
+    this.form?.addEventListener('input', () => {
+      if (this.mode !== 'client') return
+      cancelAnimationFrame(this.frame)
+      this.frame = requestAnimationFrame(() => this.render())
+    })
+
+    this.onToggle = () => this.setMode(this.mode === 'client' ? 'server' : 'client')
+    window.addEventListener(TOGGLE_PREVIEW_MODE_EVENT, this.onToggle)
+    document.getElementById('preview-mode-toggle')?.addEventListener('click', this.onToggle)
+
+    this.notice?.addEventListener('click', (e) => {
+      if (e.target.closest('[data-preview-action="server"]')) this.setMode('server')
+      if (e.target.closest('[data-preview-action="dismiss"]')) this.hideNotice()
+    })
+
+    // Authoritative render after each save
+    this.handleEvent('server-preview', ({markdown, html}) => this.checkDivergence(markdown, html))
+
+    if (this.mode === 'client') this.setMode('client')
+  },
+  destroyed() {
+    window.removeEventListener(TOGGLE_PREVIEW_MODE_EVENT, this.onToggle)
+  },
+  setMode(mode) {
+    this.mode = mode
+    localStorage.setItem(STORAGE_KEY, mode)
+    this.pushEvent('set_preview_mode', { mode })
+
+    if (mode === 'client') {
+      this.toc = null
+      this.render()
+    } else {
+      this.el.innerHTML = ''
+      this.hideNotice()
+    }
+  },
+  field(name) {
+    return this.form?.querySelector(`[name="article[${name}]"]`)
+  },
+  render() {
+    const markdown = previewMarkdown(this.field('title')?.value, this.field('content')?.value)
+    const {html, toc} = renderPreview(markdown)
+    patchBlocks(this.el, html)
+    window.dispatchEvent(new CustomEvent(PREVIEW_RENDERED_EVENT))
+
+    // The server renders the outline above the preview; it's sent when the
+    // headings change
+    const outline = JSON.stringify(toc)
+    if (outline !== this.toc) {
+      this.toc = outline
+      this.pushEvent('preview_toc', { toc })
+    }
+  },
+  checkDivergence(markdown, serverHtml) {
+    if (this.mode !== 'client') return
+
+    const difference = compareRenders(renderMarkdown(markdown), serverHtml)
+    if (!difference) {
+      this.hideNotice()
+      return
+    }
+
+    this.showNotice(difference)
+  },
+  showNotice({client, server}) {
+    if (!this.notice) return
+
+    const detail = this.notice.querySelector('[data-preview-difference]')
+    if (detail) detail.textContent = `Here: ${client.slice(0, 80)} · Saved: ${server.slice(0, 80)}`
+    this.notice.classList.remove('hidden')
+  },
+  hideNotice() {
+    this.notice?.classList.add('hidden')
+  }
+}
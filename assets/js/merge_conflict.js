@@ -0,0 +1,196 @@
+// Optimistic concurrency for the article editor.
+//
+// Every save carries the lock_version the editor was based on
+// (#article-lock-version). When another tab saved first, the server replies
+// with "save-conflict" and the current server copy; this hook then shows a
+// three-way merge (last synced copy vs. ours vs. theirs) and re-saves on
+// top of the server version once hunks are picked.
+import {merge3, resolveMerge, defaultChoice} from "./line_diff"
+
+const CHANGE_LABELS = {
+  mine: 'Changed here',
+  theirs: 'Changed elsewhere',
+  both: 'Conflict: changed on both sides'
+}
+
+export const MergeConflict = {
+  mounted() {
+    this.form = document.getElementById('article-form')
+    this.versionField = document.getElementById('article-lock-version')
+    this.hunksEl = this.el.querySelector('[data-merge-hunks]')
+
+    // Last copy known to be on the server, the "base" of a three-way merge
+    this.base = this.currentValues()
+    this.pendingBase = null
+    this.conflict = null
+
+    if (this.form) {
+      this.form.addEventListener('submit', () => {
+        this.pendingBase = this.currentValues()
+      }, true)
+    }
+
+    this.handleEvent('article-saved', ({lock_version}) => {
+      if (this.pendingBase) this.base = this.pendingBase
+      this.pendingBase = null
+      if (this.versionField && lock_version) this.versionField.value = lock_version
+    })
+
+    // Language or status saved on their own
+    this.handleEvent('article-version', ({lock_version}) => {
+      if (this.versionField) this.versionField.value = lock_version
+    })
+
+    this.handleEvent('save-conflict', (theirs) => {
+      this.pendingBase = null
+      this.openMerge(theirs)
+    })
+
+    this.el.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-merge-action]')
+      if (!button) return
+
+      e.preventDefault()
+      const action = button.getAttribute('data-merge-action')
+      if (action === 'apply') this.applyMerge()
+      if (action === 'cancel') this.closeMerge()
+    })
+
+    this.el.addEventListener('change', (e) => {
+      const input = e.target.closest('input[data-merge-choice]')
+      if (!input || !this.conflict) return
+
+      const [field, index] = input.getAttribute('data-merge-choice').split(':')
+      this.conflict.choices[field][index] = input.value
+    })
+  },
+  field(name) {
+    return this.form?.querySelector(`[name="article[${name}]"]`)
+  },
+  currentValues() {
+    return {
+      title: this.field('title')?.value || '',
+      content: this.field('content')?.value || ''
+    }
+  },
+  openMerge(theirs) {
+    const mine = this.currentValues()
+
+    this.conflict = {
+      lockVersion: theirs.lock_version,
+      theirs: { title: theirs.title || '', content: theirs.content || '' },
+      chunks: {
+        title: merge3(this.base.title, mine.title, theirs.title || ''),
+        content: merge3(this.base.content, mine.content, theirs.content || '')
+      },
+      choices: { title: {}, content: {} }
+    }
+
+    this.renderHunks()
+    if (!this.el.open) this.el.showModal()
+  },
+  closeMerge() {
+    this.conflict = null
+    if (this.el.open) this.el.close()
+  },
+  renderHunks() {
+    if (!this.hunksEl) return
+    this.hunksEl.innerHTML = ''
+
+    let hunkCount = 0
+    ;['title', 'content'].forEach(field => {
+      this.conflict.chunks[field].forEach((chunk, index) => {
+        if (chunk.type !== 'change') return
+        hunkCount++
+        this.hunksEl.appendChild(this.renderHunk(field, index, chunk))
+      })
+    })
+
+    if (hunkCount === 0) {
+      const empty = document.createElement('p')
+      empty.className = 'text-sm text-base-content/60'
+      empty.textContent = 'Both copies are identical. Saving will just move to the latest version.'
+      this.hunksEl.appendChild(empty)
+    }
+  },
+  renderHunk(field, index, chunk) {
+    const wrapper = document.createElement('div')
+    wrapper.className = 'border border-base-300 rounded-lg p-3 space-y-2'
+    if (chunk.changedBy === 'both') wrapper.classList.add('border-warning')
+
+    const header = document.createElement('div')
+    header.className = 'text-xs font-semibold uppercase tracking-wide text-base-content/60'
+    header.textContent = `${field === 'title' ? 'Title' : 'Content'} · ${CHANGE_LABELS[chunk.changedBy]}`
+    wrapper.appendChild(header)
+
+    const sides = document.createElement('div')
+    sides.className = 'grid grid-cols-2 gap-2'
+    sides.appendChild(this.renderSide('Yours', chunk.mine))
+    sides.appendChild(this.renderSide('Theirs', chunk.theirs))
+    wrapper.appendChild(sides)
+
+    const selected = defaultChoice(chunk)
+    const options = document.createElement('div')
+    options.className = 'flex gap-4 text-sm'
+    ;[['mine', 'Keep yours'], ['theirs', 'Use theirs'], ['both', 'Keep both']].forEach(([value, label]) => {
+      const option = document.createElement('label')
+      option.className = 'flex items-center gap-1.5 cursor-pointer'
+
+      const input = document.createElement('input')
+      input.type = 'radio'
+      input.className = 'radio radio-xs'
+      input.name = `merge-${field}-${index}`
+      input.value = value
+      input.checked = value === selected
+      input.setAttribute('data-merge-choice', `${field}:${index}`)
+
+      option.appendChild(input)
+      option.appendChild(document.createTextNode(label))
+      options.appendChild(option)
+    })
+    wrapper.appendChild(options)
+
+    return wrapper
+  },
+  renderSide(label, lines) {
+    const side = document.createElement('div')
+
+    const title = document.createElement('div')
+    title.className = 'text-xs text-base-content/50 mb-1'
+    title.textContent = label
+    side.appendChild(title)
+
+    const pre = document.createElement('pre')
+    pre.className = 'bg-base-200 rounded p-2 text-xs whitespace-pre-wrap max-h-48 overflow-y-auto'
+    pre.textContent = lines.length > 0 ? lines.join('\n') : '(removed)'
+    side.appendChild(pre)
+
+    return side
+  },
+  applyMerge() {
+    if (!this.conflict) return
+
+    const {chunks, choices, theirs, lockVersion} = this.conflict
+    const merged = {
+      title: resolveMerge(chunks.title, choices.title),
+      content: resolveMerge(chunks.content, choices.content)
+    }
+
+    ;['title', 'content'].forEach(name => {
+      const field = this.field(name)
+      if (!field || field.value === merged[name]) return
+      field.value = merged[name]
+      field.dispatchEvent(new Event('input', { bubbles: true }))
+    })
+
+    // We are now based on the server copy we just merged with
+    this.base = theirs
+    if (this.versionField) this.versionField.value = lockVersion
+
+    this.closeMerge()
+
+    if (this.form) {
+      this.form.dispatchEvent(new Event('submit', { bubbles: true, cancelable: true }))
+    }
+  }
+}
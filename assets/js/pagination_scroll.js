@@ -0,0 +1,172 @@
+// Scrolling through the articles list (ArticleLive.Index).
+//
+// With `config :curupira, :pagination, mode: :pages` (the default) page
+// links patch ?page= and the list scrolls back to its top. In the :load_more
+// and :infinite_scroll modes the next page is appended to the list instead,
+// from the "Load more" button or, in :infinite_scroll, as soon as it comes
+// into view. ?page= then follows the page being read, and the list holds
+// every page up to it, so reloads and back navigation come back to the same
+// scroll position (kept in sessionStorage).
+
+const STORAGE_KEY = 'curupira-articles-scroll'
+
+// Page of the card at the top of the viewport, from the cards' tops in
+// list order (relative to the viewport, in pixels)
+export function pageInView(tops, perPage, threshold = 0) {
+  const index = tops.reduce((last, top, i) => (top <= threshold ? i : last), 0)
+  return Math.floor(index / perPage) + 1
+}
+
+// The current URL with ?page= set (page 1 is left out)
+export function pageUrl(href, page) {
+  const url = new URL(href)
+  if (page > 1) {
+    url.searchParams.set('page', page)
+  } else {
+    url.searchParams.delete('page')
+  }
+  return url.pathname + url.search + url.hash
+}
+
+function queryOf(href) {
+  return new URL(href).searchParams.get('q') || ''
+}
+
+export const PaginationScroll = {
+  mounted() {
+    // Store initial state from URL
+    const urlParams = new URLSearchParams(window.location.search)
+    this.previousPage = urlParams.get('page') || '1'
+    this.previousQuery = urlParams.get('q') || ''
+
+    if (!this.scrolling()) return
+
+    this.onScroll = () => {
+      if (this.frame) return
+      this.frame = requestAnimationFrame(() => {
+        this.frame = null
+        this.trackPage()
+      })
+    }
+    window.addEventListener('scroll', this.onScroll, { passive: true })
+
+    this.observeLoadMore()
+    this.restoreScroll()
+  },
+
+  updated() {
+    if (this.scrolling()) {
+      // The button is rendered again with each page
+      this.observeLoadMore()
+      this.previousQuery = queryOf(window.location.href)
+      return
+    }
+
+    // Get current state from URL
+    const urlParams = new URLSearchParams(window.location.search)
+    const currentPage = urlParams.get('page') || '1'
+    const currentQuery = urlParams.get('q') || ''
+
+    // Only scroll if:
+    // - Page changed AND
+    // - Search query stayed the same (not a new search)
+    const pageChanged = currentPage !== this.previousPage
+    const queryChanged = currentQuery !== this.previousQuery
+
+    if (pageChanged && !queryChanged) {
+      // Scroll to top of this container
+      this.el.scrollIntoView({ behavior: 'smooth', block: 'start', inline: 'nearest' })
+
+      // Also scroll window to absolute top to ensure bookmark is visible
+      setTimeout(() => {
+        const rect = this.el.getBoundingClientRect()
+        const scrollTop = window.pageYOffset || document.documentElement.scrollTop
+        const targetScroll = rect.top + scrollTop - 32 // 32px padding from top
+
+        window.scrollTo({
+          top: targetScroll,
+          behavior: 'smooth'
+        })
+      }, 100)
+    }
+
+    // Update stored values
+    this.previousPage = currentPage
+    this.previousQuery = currentQuery
+  },
+
+  destroyed() {
+    if (this.onScroll) window.removeEventListener('scroll', this.onScroll)
+    if (this.frame) cancelAnimationFrame(this.frame)
+    if (this.observer) this.observer.disconnect()
+  },
+
+  scrolling() {
+    return this.el.dataset.mode === 'load_more' || this.el.dataset.mode === 'infinite_scroll'
+  },
+
+  // In :infinite_scroll the "Load more" button loads the next page as it
+  // comes into view (it stays clickable in case the observer isn't there)
+  observeLoadMore() {
+    if (this.el.dataset.mode !== 'infinite_scroll' || !('IntersectionObserver' in window)) return
+
+    const button = this.el.querySelector('#load-more')
+    if (button === this.observed) return
+
+    if (this.observer) this.observer.disconnect()
+    this.observed = button
+    if (!button) return
+
+    this.observer = new IntersectionObserver(entries => {
+      if (!entries.some(entry => entry.isIntersecting) || this.loading) return
+
+      this.loading = true
+      this.pushEvent('load_more', {}, () => {
+        this.loading = false
+        // Observing again reports whether the button is still in view
+        this.observed = null
+        this.observeLoadMore()
+      })
+    }, { rootMargin: '400px 0px' })
+    this.observer.observe(button)
+  },
+
+  // Keeps ?page= on the page being read, and where it's read from
+  trackPage() {
+    const cards = Array.from(this.el.querySelectorAll('#articles > [id]'))
+    if (cards.length === 0) return
+
+    const perPage = parseInt(this.el.dataset.perPage) || 10
+    const page = pageInView(cards.map(card => card.getBoundingClientRect().top), perPage, window.innerHeight / 3)
+    const href = pageUrl(window.location.href, page)
+
+    // LiveView keeps its own state in history entries
+    if (href !== window.location.pathname + window.location.search + window.location.hash) {
+      history.replaceState(history.state, '', href)
+    }
+    this.previousPage = String(page)
+
+    sessionStorage.setItem(STORAGE_KEY, JSON.stringify({
+      page,
+      query: queryOf(window.location.href),
+      scrollY: window.scrollY
+    }))
+  },
+
+  // Back on the list where it was left (the server renders every page up
+  // to ?page=)
+  restoreScroll() {
+    let saved
+    try {
+      saved = JSON.parse(sessionStorage.getItem(STORAGE_KEY))
+    } catch (e) {
+      saved = null
+    }
+    if (!saved) return
+
+    const page = parseInt(new URLSearchParams(window.location.search).get('page')) || 1
+    if (saved.page === page && saved.query === queryOf(window.location.href) && page > 1) {
+      requestAnimationFrame(() => window.scrollTo(0, saved.scrollY))
+    }
+  }
+}
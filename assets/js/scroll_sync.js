@@ -0,0 +1,291 @@
+// Source-mapped scroll sync between the markdown textarea and the preview.
+//
+// Preview blocks carry `data-sourcepos="startLine:col-endLine:col"` (rendered
+// by Curupira.Markdown.Parser with sourcepos: true). Both panes are mapped to
+// fractional source lines, so the preview follows the caret line and
+// scrolling either pane moves the other to the same place in the document.
+
+import {PREVIEW_RENDERED_EVENT} from "./markdown_preview.js"
+
+const STORAGE_KEY = 'curupira-scroll-sync'
+const TOGGLE_EVENT = 'curupira:scroll-sync'
+
+export function isScrollSyncEnabled() {
+  return localStorage.getItem(STORAGE_KEY) !== 'off'
+}
+
+export function setScrollSyncEnabled(enabled) {
+  localStorage.setItem(STORAGE_KEY, enabled ? 'on' : 'off')
+  window.dispatchEvent(new CustomEvent(TOGGLE_EVENT, { detail: { enabled } }))
+}
+
+export function toggleScrollSync() {
+  setScrollSyncEnabled(!isScrollSyncEnabled())
+}
+
+// "3:1-5:12" -> {start: 3, end: 5}
+export function parseSourcepos(value) {
+  const match = (value || '').match(/^(\d+):\d+-(\d+):\d+$/)
+  return match ? { start: parseInt(match[1], 10), end: parseInt(match[2], 10) } : null
+}
+
+// Blocks are [{start, end, top, bottom}]: source lines (1-based, inclusive)
+// and their vertical extent in the preview.
+
+function innermost(candidates, size) {
+  return candidates.reduce((best, block) => (!best || size(block) < size(best) ? block : best), null)
+}
+
+// Preview offset for a fractional source line
+export function lineToOffset(blocks, line) {
+  const containing = blocks.filter(block => block.start <= line && line < block.end + 1)
+  const block = innermost(containing, b => b.end - b.start)
+  if (block) {
+    const fraction = (line - block.start) / (block.end - block.start + 1)
+    return block.top + fraction * (block.bottom - block.top)
+  }
+
+  // Between blocks (blank lines): interpolate across the gap
+  const previous = blocks.filter(b => b.end < line).reduce((a, b) => (!a || b.end > a.end ? b : a), null)
+  const next = blocks.filter(b => b.start > line).reduce((a, b) => (!a || b.start < a.start ? b : a), null)
+
+  if (previous && next) {
+    const fraction = (line - previous.end - 1) / Math.max(1, next.start - previous.end - 1)
+    return previous.bottom + fraction * (next.top - previous.bottom)
+  }
+  if (previous) return previous.bottom
+  if (next) return next.top
+  return 0
+}
+
+// Fractional source line shown at a preview offset
+export function offsetToLine(blocks, offset) {
+  const containing = blocks.filter(block => block.top <= offset && offset < block.bottom)
+  const block = innermost(containing, b => b.bottom - b.top)
+  if (block) {
+    const fraction = (offset - block.top) / (block.bottom - block.top)
+    return block.start + fraction * (block.end - block.start + 1)
+  }
+
+  const previous = blocks.filter(b => b.bottom <= offset).reduce((a, b) => (!a || b.bottom > a.bottom ? b : a), null)
+  const next = blocks.filter(b => b.top > offset).reduce((a, b) => (!a || b.top < a.top ? b : a), null)
+
+  if (previous && next) {
+    const fraction = (offset - previous.bottom) / Math.max(1, next.top - previous.bottom)
+    return previous.end + 1 + fraction * (next.start - previous.end - 1)
+  }
+  if (previous) return previous.end + 1
+  if (next) return next.start
+  return 1
+}
+
+// `tops` holds the y offset of every textarea line (index 0 = line 1) and
+// `height` the full content height. Returns a fractional 1-based line.
+export function textareaLineAt(tops, height, y) {
+  if (tops.length === 0) return 1
+
+  let low = 0
+  let high = tops.length - 1
+  while (low < high) {
+    const middle = Math.ceil((low + high) / 2)
+    if (tops[middle] <= y) low = middle
+    else high = middle - 1
+  }
+
+  const top = tops[low]
+  const bottom = low + 1 < tops.length ? tops[low + 1] : height
+  const fraction = bottom > top ? Math.min(1, Math.max(0, (y - top) / (bottom - top))) : 0
+  return low + 1 + fraction
+}
+
+export function textareaOffsetOf(tops, height, line) {
+  if (tops.length === 0) return 0
+
+  const index = Math.min(tops.length - 1, Math.max(0, Math.floor(line) - 1))
+  const top = tops[index]
+  const bottom = index + 1 < tops.length ? tops[index + 1] : height
+  return top + (line - Math.floor(line)) * (bottom - top)
+}
+
+const MIRROR_STYLES = [
+  'fontFamily', 'fontSize', 'fontWeight', 'fontStyle', 'lineHeight', 'letterSpacing',
+  'wordSpacing', 'tabSize', 'textTransform', 'paddingTop', 'paddingRight', 'paddingBottom',
+  'paddingLeft'
+]
+
+// Measures where each line of a textarea starts, accounting for wrapping,
+// by laying the text out in a hidden copy with the same styles
+function measureTextarea(textarea) {
+  const style = window.getComputedStyle(textarea)
+  const mirror = document.createElement('div')
+  MIRROR_STYLES.forEach(property => { mirror.style[property] = style[property] })
+  Object.assign(mirror.style, {
+    position: 'absolute',
+    visibility: 'hidden',
+    top: '0',
+    left: '-9999px',
+    boxSizing: 'border-box',
+    width: `${textarea.clientWidth}px`,
+    whiteSpace: 'pre-wrap',
+    overflowWrap: 'break-word'
+  })
+
+  textarea.value.split('\n').forEach(line => {
+    const row = document.createElement('div')
+    // Empty lines still take up a line
+    row.textContent = line || '\u200b'
+    mirror.appendChild(row)
+  })
+
+  document.body.appendChild(mirror)
+  const tops = Array.from(mirror.children, row => row.offsetTop)
+  const height = mirror.scrollHeight
+  mirror.remove()
+
+  return { tops, height }
+}
+
+// Mounted on #preview-content (also reads #client-preview when shown). Expects:
+//   data-line-offset  source line where the content textarea starts in the
+//                     previewed markdown (the title heading comes first)
+export const ScrollSync = {
+  mounted() {
+    this.editor = document.getElementById('article_content')
+    this.container = this.el.closest('#preview-container')
+    this.enabled = isScrollSyncEnabled()
+    this.blocks = null
+    this.editorLayout = null
+    // Scroll positions we set ourselves, so their scroll events are not echoed back
+    this.expected = { editor: null, preview: null }
+
+    if (!this.editor || !this.container) return
+
+    this.onToggle = (e) => {
+      this.enabled = e.detail.enabled
+      if (this.enabled) this.followCaret()
+    }
+    window.addEventListener(TOGGLE_EVENT, this.onToggle)
+
+    this.onResize = () => this.invalidate()
+    window.addEventListener('resize', this.onResize)
+
+    // Client-side preview renders don't go through updated()
+    this.onPreviewRendered = () => this.updated()
+    window.addEventListener(PREVIEW_RENDERED_EVENT, this.onPreviewRendered)
+
+    this.editor.addEventListener('scroll', () => {
+      if (this.isEcho('editor', this.editor)) return
+      this.schedule(() => this.syncPreviewToEditor())
+    })
+    this.container.addEventListener('scroll', () => {
+      if (this.isEcho('preview', this.container)) return
+      this.schedule(() => this.syncEditorToPreview())
+    })
+
+    this.editor.addEventListener('input', () => { this.editorLayout = null })
+    ;['keyup', 'click'].forEach(type => {
+      this.editor.addEventListener(type, () => this.schedule(() => this.followCaret()))
+    })
+  },
+  updated() {
+    // New preview HTML: block positions changed
+    this.blocks = null
+    this.schedule(() => this.followCaret())
+  },
+  destroyed() {
+    window.removeEventListener(TOGGLE_EVENT, this.onToggle)
+    window.removeEventListener('resize', this.onResize)
+    window.removeEventListener(PREVIEW_RENDERED_EVENT, this.onPreviewRendered)
+  },
+  invalidate() {
+    this.blocks = null
+    this.editorLayout = null
+  },
+  schedule(fn) {
+    cancelAnimationFrame(this.frame)
+    this.frame = requestAnimationFrame(fn)
+  },
+  isActive() {
+    // Both panes must be visible (split layout)
+    return this.enabled && this.editor.offsetParent !== null && this.container.offsetParent !== null
+  },
+  isEcho(pane, el) {
+    const expected = this.expected[pane]
+    this.expected[pane] = null
+    return expected !== null && Math.abs(el.scrollTop - expected) <= 1
+  },
+  lineOffset() {
+    return parseInt(this.el.dataset.lineOffset || '0', 10)
+  },
+  previewBlocks() {
+    if (!this.blocks) {
+      const containerTop = this.container.getBoundingClientRect().top - this.container.scrollTop
+      // The browser-rendered preview when it is showing, else the server one
+      const client = document.getElementById('client-preview')
+      const root = client && client.offsetParent !== null ? client : this.el
+
+      this.blocks = Array.from(root.querySelectorAll('[data-sourcepos]')).flatMap(el => {
+        const position = parseSourcepos(el.getAttribute('data-sourcepos'))
+        if (!position) return []
+
+        const rect = el.getBoundingClientRect()
+        return [{ ...position, top: rect.top - containerTop, bottom: rect.bottom - containerTop }]
+      })
+    }
+    return this.blocks
+  },
+  editorLines() {
+    if (!this.editorLayout) this.editorLayout = measureTextarea(this.editor)
+    return this.editorLayout
+  },
+  scrollPane(pane, el, top) {
+    const clamped = Math.max(0, Math.min(top, el.scrollHeight - el.clientHeight))
+    if (Math.abs(el.scrollTop - clamped) <= 1) return
+
+    this.expected[pane] = clamped
+    el.scrollTop = clamped
+  },
+  // Keep the caret line at the same height in both panes
+  followCaret() {
+    if (!this.isActive()) return
+
+    const {tops, height} = this.editorLines()
+    const caretLine = this.editor.value.substring(0, this.editor.selectionStart).split('\n').length
+    const caretY = textareaOffsetOf(tops, height, caretLine) - this.editor.scrollTop
+
+    const target = lineToOffset(this.previewBlocks(), caretLine + this.lineOffset())
+    this.scrollPane('preview', this.container, target - caretY)
+  },
+  syncPreviewToEditor() {
+    if (!this.isActive()) return
+
+    const {tops, height} = this.editorLines()
+    const line = textareaLineAt(tops, height, this.editor.scrollTop)
+    this.scrollPane('preview', this.container, lineToOffset(this.previewBlocks(), line + this.lineOffset()))
+  },
+  syncEditorToPreview() {
+    if (!this.isActive()) return
+
+    const line = offsetToLine(this.previewBlocks(), this.container.scrollTop) - this.lineOffset()
+    const {tops, height} = this.editorLines()
+    this.scrollPane('editor', this.editor, textareaOffsetOf(tops, height, Math.max(1, line)))
+  }
+}
+
+// Toolbar button turning scroll sync on and off
+export const ScrollSyncToggle = {
+  mounted() {
+    this.render(isScrollSyncEnabled())
+    this.el.addEventListener('click', () => toggleScrollSync())
+
+    this.onToggle = (e) => this.render(e.detail.enabled)
+    window.addEventListener(TOGGLE_EVENT, this.onToggle)
+  },
+  destroyed() {
+    window.removeEventListener(TOGGLE_EVENT, this.onToggle)
+  },
+  render(enabled) {
+    this.el.classList.toggle('btn-active', enabled)
+    this.el.setAttribute('aria-pressed', enabled ? 'true' : 'false')
+  }
+}
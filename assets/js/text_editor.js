@@ -0,0 +1,73 @@
+// Behaviour shared by the title and content editor hooks: undo/redo history,
+// auto-save and applying text_ops results.
+//
+// Hooks spread `TextEditor` into themselves, call `setupEditor()` from
+// mounted() and may define `afterChange()` (the title editor resizes).
+// Keyboard shortcuts are commands (editor_commands.js), dispatched by the
+// CommandPalette hook to the editor that has focus.
+import {historyFor} from "./editor_history"
+import {stateOf} from "./text_ops"
+import {registerEditor, unregisterEditor} from "./command_palette"
+
+const AUTO_SAVE_DELAY_MS = 5000
+
+// Undo/redo history shared by the title and content editors of the current article
+function articleHistory() {
+  const form = document.getElementById('article-form')
+  return historyFor(form ? form.dataset.draftKey : 'default')
+}
+
+export const TextEditor = {
+  // `markdown: true` enables the markdown-only commands (code, link, ...)
+  setupEditor({markdown = false} = {}) {
+    this.autoSaveTimeout = null
+    this.markdown = markdown
+
+    // Undo/redo (shared between the title and content editors)
+    this.history = articleHistory()
+    this.history.attach(this.el)
+
+    this.el.addEventListener('input', () => this.scheduleAutoSave())
+    registerEditor(this)
+  },
+  destroyed() {
+    clearTimeout(this.autoSaveTimeout)
+    unregisterEditor(this)
+  },
+  syncEditor() {
+    this.history.sync(this.el)
+  },
+  scheduleAutoSave() {
+    // Auto-save after 5 seconds of inactivity
+    clearTimeout(this.autoSaveTimeout)
+    this.autoSaveTimeout = setTimeout(() => {
+      const form = document.getElementById('article-form')
+      if (form) {
+        const submitEvent = new Event('submit', { bubbles: true, cancelable: true })
+        form.dispatchEvent(submitEvent)
+      }
+    }, AUTO_SAVE_DELAY_MS)
+  },
+  // Runs a text_ops operation on the textarea as a single undoable step:
+  //   this.apply(toggleWrap, '**')
+  // Returns false when the operation didn't apply (returned null).
+  apply(operation, ...args) {
+    return this.applyResult(operation(stateOf(this.el), ...args))
+  },
+  // Same for an already computed result; `focus: false` leaves focus alone
+  // for changes the user didn't make just now (finished uploads)
+  applyResult(result, {focus = true} = {}) {
+    if (!result) return false
+
+    this.history.transact(this.el, () => {
+      this.el.value = result.value
+      this.el.dispatchEvent(new Event('input', { bubbles: true }))
+      this.el.setSelectionRange(result.selectionStart, result.selectionEnd)
+      if (focus) this.el.focus()
+    })
+
+    this.afterChange()
+    return true
+  },
+  afterChange() {}
+}
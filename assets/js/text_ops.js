@@ -0,0 +1,661 @@
+// Pure text operations for the article editor.
+//
+// Every function takes and returns a plain state object
+//   {value, selectionStart, selectionEnd}
+// and never touches the DOM, so they can be unit tested (assets/test) and
+// shared by the title and content editors.
+
+export function stateOf(el) {
+  return { value: el.value, selectionStart: el.selectionStart, selectionEnd: el.selectionEnd }
+}
+
+// Replace the selection with `text`, leaving the caret after it
+export function insertText(state, text) {
+  const {value, selectionStart: start, selectionEnd: end} = state
+  const caret = start + text.length
+
+  return {
+    value: value.substring(0, start) + text + value.substring(end),
+    selectionStart: caret,
+    selectionEnd: caret
+  }
+}
+
+export function isWrapped(state, before, after) {
+  const {value, selectionStart: start, selectionEnd: end} = state
+  if (start < before.length) return false
+
+  return value.substring(start - before.length, start) === before &&
+    value.substring(end, end + after.length) === after
+}
+
+// Wrap the selection; the caret lands after the closing marker, or between
+// the markers when nothing is selected
+export function wrap(state, before, after) {
+  const {value, selectionStart: start, selectionEnd: end} = state
+  const selected = value.substring(start, end)
+  const caret = start === end
+    ? start + before.length
+    : start + before.length + selected.length + after.length
+
+  return {
+    value: value.substring(0, start) + before + selected + after + value.substring(end),
+    selectionStart: caret,
+    selectionEnd: caret
+  }
+}
+
+// Remove markers around the selection (which stays selected)
+export function unwrap(state, before, after) {
+  const {value, selectionStart: start, selectionEnd: end} = state
+  const selected = value.substring(start, end)
+  const newStart = start - before.length
+
+  return {
+    value: value.substring(0, newStart) + selected + value.substring(end + after.length),
+    selectionStart: newStart,
+    selectionEnd: newStart + selected.length
+  }
+}
+
+export function toggleWrap(state, before, after = before) {
+  const {value, selectionStart: start, selectionEnd: end} = state
+
+  if (start !== end) {
+    if (isWrapped(state, before, after)) return unwrap(state, before, after)
+
+    // Markers selected along with the text: **bold**
+    const selected = value.substring(start, end)
+    if (
+      selected.length >= before.length + after.length &&
+      selected.startsWith(before) && selected.endsWith(after)
+    ) {
+      return unwrap({
+        value,
+        selectionStart: start + before.length,
+        selectionEnd: end - after.length
+      }, before, after)
+    }
+  }
+
+  return wrap(state, before, after)
+}
+
+// [text](url) with the url placeholder selected
+export function insertLink(state) {
+  const {value, selectionStart: start, selectionEnd: end} = state
+  const text = value.substring(start, end) || 'link text'
+  const link = `[${text}](url)`
+  const urlStart = start + text.length + 3
+
+  return {
+    value: value.substring(0, start) + link + value.substring(end),
+    selectionStart: urlStart,
+    selectionEnd: urlStart + 3
+  }
+}
+
+// Line helpers
+
+// Offsets of the first line start and last line end touched by the selection
+export function selectedLineRange(state) {
+  const {value, selectionStart: start, selectionEnd: end} = state
+  // A selection ending right after a newline doesn't include the next line
+  const effectiveEnd = end > start && value[end - 1] === '\n' ? end - 1 : end
+
+  const lineStart = value.lastIndexOf('\n', start - 1) + 1
+  let lineEnd = value.indexOf('\n', effectiveEnd)
+  if (lineEnd === -1) lineEnd = value.length
+
+  return {lineStart, lineEnd}
+}
+
+function lineIndexAt(lines, offset) {
+  let position = 0
+  for (let i = 0; i < lines.length; i++) {
+    const next = position + lines[i].length + 1
+    if (offset < next) return i
+    position = next
+  }
+  return lines.length - 1
+}
+
+function lineOffset(lines, index) {
+  let position = 0
+  for (let i = 0; i < index; i++) position += lines[i].length + 1
+  return position
+}
+
+// Add `prefix` to every selected line, or remove it when all of them have it
+export function toggleLinePrefix(state, prefix) {
+  const {value, selectionStart, selectionEnd} = state
+  const {lineStart, lineEnd} = selectedLineRange(state)
+  const lines = value.substring(lineStart, lineEnd).split('\n')
+  const remove = lines.every(line => line.startsWith(prefix))
+
+  const positions = []
+  let position = lineStart
+  lines.forEach(line => {
+    positions.push(position)
+    position += line.length + 1
+  })
+
+  const mapOffset = (offset) => {
+    let shift = 0
+    positions.forEach(lineOffset => {
+      if (offset < lineOffset) return
+      shift += remove ? -Math.min(prefix.length, offset - lineOffset) : prefix.length
+    })
+    return offset + shift
+  }
+
+  const replaced = lines
+    .map(line => remove ? line.substring(prefix.length) : prefix + line)
+    .join('\n')
+
+  return {
+    value: value.substring(0, lineStart) + replaced + value.substring(lineEnd),
+    selectionStart: mapOffset(selectionStart),
+    selectionEnd: mapOffset(selectionEnd)
+  }
+}
+
+// Remove whole lines, mapping offsets into the new text
+function removeLines(lines, indexes, offsets) {
+  const remaining = [...lines]
+  let mapped = [...offsets]
+
+  ;[...indexes].sort((a, b) => b - a).forEach(index => {
+    const start = lineOffset(remaining, index)
+    const length = remaining[index].length
+    let from, to
+    if (index < remaining.length - 1) {
+      [from, to] = [start, start + length + 1]
+    } else if (index > 0) {
+      [from, to] = [start - 1, start + length]
+    } else {
+      [from, to] = [0, length]
+    }
+
+    mapped = mapped.map(offset => {
+      if (offset >= to) return offset - (to - from)
+      if (offset > from) return from
+      return offset
+    })
+    remaining.splice(index, 1)
+  })
+
+  return {lines: remaining, offsets: mapped}
+}
+
+// Fenced code blocks
+
+const FENCE_RE = /^ {0,3}(`{3,}|~{3,})(.*)$/
+
+// Finds fenced code blocks, following CommonMark's closing rules: a fence is
+// closed by the same character, at least as long, with no info string.
+// Returns [{open, close}] as line indexes; close is null when unclosed.
+export function findFences(lines) {
+  const blocks = []
+  let current = null
+
+  lines.forEach((line, i) => {
+    const match = line.match(FENCE_RE)
+    if (!match) return
+
+    const fence = match[1]
+    if (!current) {
+      // Backtick fences can't have backticks in the info string
+      if (fence[0] === '`' && match[2].includes('`')) return
+      current = {open: i, close: null, char: fence[0], length: fence.length}
+      return
+    }
+
+    if (fence[0] === current.char && fence.length >= current.length && match[2].trim() === '') {
+      current.close = i
+      blocks.push(current)
+      current = null
+    }
+  })
+
+  if (current) blocks.push(current)
+  return blocks
+}
+
+function longestFenceRun(lines) {
+  return lines.reduce((longest, line) => {
+    const match = line.match(/^ {0,3}(`{3,})/)
+    return match ? Math.max(longest, match[1].length) : longest
+  }, 0)
+}
+
+// Toggle a fenced code block around the selected lines:
+// - inside a block (or selecting exactly one): remove its fences
+// - otherwise wrap, extending the selection over any block it cuts through,
+//   with a fence longer than any fence inside so nesting stays intact
+export function toggleFence(state) {
+  const {value, selectionStart, selectionEnd} = state
+  const lines = value.split('\n')
+  const effectiveEnd = selectionEnd > selectionStart && value[selectionEnd - 1] === '\n'
+    ? selectionEnd - 1
+    : selectionEnd
+  let first = lineIndexAt(lines, selectionStart)
+  let last = lineIndexAt(lines, effectiveEnd)
+
+  const blocks = findFences(lines)
+  const closeOf = block => block.close === null ? lines.length - 1 : block.close
+
+  // Selection within a single block: unwrap it
+  const enclosing = blocks.find(block => block.open <= first && last <= closeOf(block))
+  if (enclosing) {
+    const fenceLines = enclosing.close === null ? [enclosing.open] : [enclosing.open, enclosing.close]
+    const result = removeLines(lines, fenceLines, [selectionStart, selectionEnd])
+
+    return {
+      value: result.lines.join('\n'),
+      selectionStart: result.offsets[0],
+      selectionEnd: result.offsets[1]
+    }
+  }
+
+  // Grow the selection over blocks it partially covers
+  let changed = true
+  while (changed) {
+    changed = false
+    blocks.forEach(block => {
+      const close = closeOf(block)
+      const overlaps = block.open <= last && close >= first
+      if (overlaps && (block.open < first || close > last)) {
+        first = Math.min(first, block.open)
+        last = Math.max(last, close)
+        changed = true
+      }
+    })
+  }
+
+  const body = lines.slice(first, last + 1)
+  const fence = '`'.repeat(Math.max(3, longestFenceRun(body) + 1))
+  const newLines = [...lines.slice(0, first), fence, ...body, fence, ...lines.slice(last + 1)]
+
+  const contentStart = lineOffset(newLines, first + 1)
+  const contentEnd = contentStart + body.join('\n').length
+
+  return {
+    value: newLines.join('\n'),
+    selectionStart: contentStart,
+    selectionEnd: contentEnd
+  }
+}
+
+// Lists, quotes, tables and headings (GFM, as rendered by Curupira.Markdown.Parser)
+
+const QUOTE_RE = /^(?: {0,3}> ?)+/
+const LIST_ITEM_RE = /^( *)(?:([-*+])|(\d{1,9})([.)]))( +|$)/
+const TASK_RE = /^\[([ xX])\]( +|$)/
+const THEMATIC_BREAK_RE = /^ {0,3}([-*_])(?: *\1){2,} *$/
+const TABLE_ROW_RE = /^ *\|.*\| *$/
+const TABLE_DELIMITER_RE = /^ *\|(?: *:?-+:? *\|)+ *$/
+
+// Splits a line into its blockquote prefix and, when it is a list item,
+// the item's marker, number and checkbox:
+//   "> 2. [x] done" -> {quote: "> ", item: {indent: 0, number: 2, delimiter: ".", task: "x", ...}}
+export function parseLine(line) {
+  const quote = (line.match(QUOTE_RE) || [''])[0]
+  const rest = line.substring(quote.length)
+  const match = rest.match(LIST_ITEM_RE)
+  if (!match || THEMATIC_BREAK_RE.test(rest)) return {quote, item: null}
+
+  const [marker, indent, bullet, number, delimiter, spacing] = match
+  const afterMarker = rest.substring(marker.length)
+  const task = afterMarker.match(TASK_RE)
+
+  return {
+    quote,
+    item: {
+      indent: indent.length,
+      bullet: bullet || null,
+      number: number === undefined ? null : parseInt(number, 10),
+      delimiter: delimiter || null,
+      spacing: spacing || ' ',
+      task: task ? task[1] : null,
+      // Offsets within the full line
+      markerStart: quote.length + indent.length,
+      markerEnd: quote.length + marker.length,
+      contentStart: quote.length + marker.length + (task ? task[0].length : 0)
+    }
+  }
+}
+
+function markerText(item, number = item.number) {
+  return (item.bullet || `${number}${item.delimiter}`) + item.spacing
+}
+
+function insideFence(lines, index) {
+  return findFences(lines).some(block =>
+    block.open < index && (block.close === null || index < block.close)
+  )
+}
+
+// Rewrites the number of the ordered item on `lines[index]`
+function setItemNumber(lines, index, number) {
+  const {item} = parseLine(lines[index])
+  const line = lines[index]
+  lines[index] = line.substring(0, item.markerStart) + number + line.substring(item.markerStart + String(item.number).length)
+}
+
+// Index of the first item of the ordered list containing `lines[index]`
+function listStart(lines, index) {
+  const {quote, item} = parseLine(lines[index])
+  let first = index
+
+  for (let i = index - 1; i >= 0; i--) {
+    const parsed = parseLine(lines[i])
+    const rest = lines[i].substring(parsed.quote.length)
+    if (parsed.quote !== quote) break
+    if (rest.trim() === '') continue
+
+    if (parsed.item && parsed.item.indent === item.indent) {
+      if (parsed.item.number === null || parsed.item.delimiter !== item.delimiter) break
+      first = i
+    } else if (rest.search(/\S/) <= item.indent) {
+      break
+    }
+  }
+
+  return first
+}
+
+// Renumbers the ordered list containing `lines[index]` in place, counting up
+// from its first item. Nested items and continuation lines are skipped.
+export function renumberList(lines, index, start = null) {
+  const {quote, item} = parseLine(lines[index] ?? '')
+  if (!item || item.number === null) return lines
+
+  const first = listStart(lines, index)
+  let number = start ?? parseLine(lines[first]).item.number
+
+  for (let i = first; i < lines.length; i++) {
+    const parsed = parseLine(lines[i])
+    const rest = lines[i].substring(parsed.quote.length)
+    if (parsed.quote !== quote) break
+    if (rest.trim() === '') continue
+
+    if (parsed.item && parsed.item.indent === item.indent) {
+      if (parsed.item.number === null || parsed.item.delimiter !== item.delimiter) break
+      if (parsed.item.number !== number) setItemNumber(lines, i, number)
+      number++
+    } else if (rest.search(/\S/) <= item.indent) {
+      break
+    }
+  }
+
+  return lines
+}
+
+// A body row (or the delimiter row) of a table: new rows can follow it
+function isTableBodyRow(lines, index) {
+  for (let i = index; i >= 0 && TABLE_ROW_RE.test(lines[i]); i--) {
+    if (TABLE_DELIMITER_RE.test(lines[i])) return true
+  }
+  return false
+}
+
+function tableCells(line) {
+  return line.trim().replace(/^\||\|$/g, '').split(/(?<!\\)\|/)
+}
+
+// Enter: continue the list item, blockquote or table row under the caret.
+// Returns null when Enter should just insert a newline.
+export function continueBlock(state) {
+  const {value, selectionStart, selectionEnd} = state
+  if (selectionStart !== selectionEnd) return null
+
+  const lines = value.split('\n')
+  const index = lineIndexAt(lines, selectionStart)
+  if (insideFence(lines, index)) return null
+
+  const line = lines[index]
+  const lineStart = lineOffset(lines, index)
+  const column = selectionStart - lineStart
+  const {quote, item} = parseLine(line)
+
+  // Enter on an empty item, quote line or table row ends the block
+  const endBlock = (keep) => {
+    lines[index] = keep
+    const caret = lineStart + keep.length
+    return {value: lines.join('\n'), selectionStart: caret, selectionEnd: caret}
+  }
+
+  let prefix
+  if (item) {
+    if (column < item.contentStart) return null
+    if (line.substring(item.contentStart).trim() === '') return endBlock(quote)
+
+    prefix = line.substring(0, item.markerStart) + markerText(item, item.number + 1) +
+      (item.task === null ? '' : '[ ] ')
+  } else if (quote) {
+    if (column < quote.length) return null
+    if (line.substring(quote.length).trim() === '') return endBlock('')
+
+    prefix = quote
+  } else if (TABLE_ROW_RE.test(line) && column === line.length && isTableBodyRow(lines, index)) {
+    const cells = tableCells(line)
+    if (cells.every(cell => cell.trim() === '')) return endBlock('')
+
+    lines.splice(index + 1, 0, '| ' + cells.map(() => '').join(' | ') + ' |')
+    const caret = lineOffset(lines, index + 1) + 2
+    return {value: lines.join('\n'), selectionStart: caret, selectionEnd: caret}
+  } else {
+    return null
+  }
+
+  const before = line.substring(0, column)
+  const after = line.substring(column).replace(/^ +/, '')
+  lines.splice(index, 1, before.replace(/ +$/, ''), prefix + after)
+  if (item && item.number !== null) renumberList(lines, index + 1)
+
+  const caret = lineOffset(lines, index + 1) + (lines[index + 1].length - after.length)
+  return {value: lines.join('\n'), selectionStart: caret, selectionEnd: caret}
+}
+
+// Replaces lines (same count) and maps the selection. Each edit is assumed to
+// change a line's prefix: carets in the unchanged tail move with it, carets
+// inside the rewritten prefix snap to its end.
+function replaceLines(state, lines, newLines) {
+  const map = (offset) => {
+    const index = lineIndexAt(lines, offset)
+    const column = offset - lineOffset(lines, index)
+    const oldLine = lines[index]
+    const newLine = newLines[index]
+
+    let suffix = 0
+    while (
+      suffix < oldLine.length && suffix < newLine.length &&
+      oldLine[oldLine.length - 1 - suffix] === newLine[newLine.length - 1 - suffix]
+    ) suffix++
+
+    const tailStart = oldLine.length - suffix
+    const newColumn = column >= tailStart
+      ? column + newLine.length - oldLine.length
+      : Math.min(column, newLine.length - suffix)
+
+    return lineOffset(newLines, index) + newColumn
+  }
+
+  return {
+    value: newLines.join('\n'),
+    selectionStart: map(state.selectionStart),
+    selectionEnd: map(state.selectionEnd)
+  }
+}
+
+function selectedLines(state, lines) {
+  const {value, selectionStart, selectionEnd} = state
+  const effectiveEnd = selectionEnd > selectionStart && value[selectionEnd - 1] === '\n'
+    ? selectionEnd - 1
+    : selectionEnd
+  return [lineIndexAt(lines, selectionStart), lineIndexAt(lines, effectiveEnd)]
+}
+
+function leadingSpaces(line) {
+  return line.length - line.replace(/^ +/, '').length
+}
+
+// Width to indent a list item by so it nests under the previous item
+// (GFM needs the child to line up with its parent's content)
+function nestWidth(lines, index) {
+  const {item} = parseLine(lines[index])
+  for (let i = index - 1; i >= 0; i--) {
+    const previous = parseLine(lines[i]).item
+    if (previous && previous.indent === item.indent) return previous.markerEnd - previous.markerStart
+    if (previous && previous.indent < item.indent) break
+    if (!previous && lines[i].trim() !== '' && leadingSpaces(lines[i]) <= item.indent) break
+  }
+  return 2
+}
+
+// Width to outdent a list item by so it lines up with its parent item
+function unnestWidth(lines, index) {
+  const {item} = parseLine(lines[index])
+  for (let i = index - 1; i >= 0; i--) {
+    const previous = parseLine(lines[i]).item
+    if (previous && previous.indent < item.indent) return item.indent - previous.indent
+  }
+  return Math.min(item.indent, 2)
+}
+
+// Tab / Shift+Tab: indent or outdent the selected lines. List items move by
+// a nesting level and ordered lists are renumbered. Returns null for a caret
+// outside a list item, so Tab keeps moving focus out of the textarea.
+export function indentLines(state, outdent = false) {
+  const lines = state.value.split('\n')
+  const [first, last] = selectedLines(state, lines)
+  if (first === last && !parseLine(lines[first]).item) return null
+
+  const newLines = [...lines]
+  const moved = []
+
+  for (let i = first; i <= last; i++) {
+    const line = lines[i]
+    if (line.trim() === '') continue
+
+    const {quote, item} = parseLine(line)
+    const body = line.substring(quote.length)
+
+    if (outdent) {
+      const width = Math.min(leadingSpaces(body), item ? unnestWidth(lines, i) : 2)
+      if (width === 0) continue
+      newLines[i] = quote + body.substring(width)
+    } else {
+      const width = item ? nestWidth(lines, i) : 2
+      newLines[i] = quote + ' '.repeat(width) + body
+    }
+    if (item && item.number !== null) moved.push(i)
+  }
+
+  // Renumber the lists the items left and joined
+  moved.forEach(i => {
+    const start = listStart(newLines, i)
+    renumberList(newLines, i, start === i && !outdent ? 1 : null)
+  })
+  ;[first - 1, last + 1].forEach(i => {
+    const parsed = i >= 0 && i < newLines.length && parseLine(newLines[i]).item
+    if (parsed && parsed.number !== null) renumberList(newLines, i)
+  })
+
+  return replaceLines(state, lines, newLines)
+}
+
+const HEADING_RE = /^ {0,3}(#{1,6})(?: +|$)/
+
+// Makes the selected lines headings of `level`, or plain text when they
+// already all are
+export function toggleHeading(state, level) {
+  const lines = state.value.split('\n')
+  const [first, last] = selectedLines(state, lines)
+  const range = lines.slice(first, last + 1)
+
+  const levelOf = line => (line.match(HEADING_RE) || [null, ''])[1].length
+  const remove = range.every(line => line.trim() === '' || levelOf(line) === level)
+
+  const newLines = [...lines]
+  range.forEach((line, offset) => {
+    if (line.trim() === '') return
+    const text = line.replace(HEADING_RE, '')
+    newLines[first + offset] = remove ? text : '#'.repeat(level) + ' ' + text
+  })
+
+  return replaceLines(state, lines, newLines)
+}
+
+export function toggleQuote(state) {
+  const lines = state.value.split('\n')
+  const [first, last] = selectedLines(state, lines)
+  const range = lines.slice(first, last + 1)
+  const remove = range.every(line => QUOTE_RE.test(line))
+
+  const newLines = [...lines]
+  range.forEach((line, offset) => {
+    newLines[first + offset] = remove ? line.replace(/^ {0,3}> ?/, '') : '> ' + line
+  })
+
+  return replaceLines(state, lines, newLines)
+}
+
+// Turns the selected lines into task items, or, when they all are, checks
+// them (or unchecks them when all are already done)
+export function toggleTask(state) {
+  const lines = state.value.split('\n')
+  const [first, last] = selectedLines(state, lines)
+  const newLines = [...lines]
+
+  const indexes = []
+  for (let i = first; i <= last; i++) {
+    if (lines[i].trim() !== '') indexes.push(i)
+  }
+  if (indexes.length === 0) indexes.push(first)
+
+  const parsed = indexes.map(i => parseLine(lines[i]))
+  const allTasks = parsed.every(({item}) => item && item.task !== null)
+  const allDone = allTasks && parsed.every(({item}) => item.task !== ' ')
+
+  indexes.forEach((i, n) => {
+    const {quote, item} = parsed[n]
+    const line = lines[i]
+
+    if (allTasks) {
+      const box = allDone ? '[ ]' : '[x]'
+      newLines[i] = line.substring(0, item.markerEnd) + box + line.substring(item.markerEnd + 3)
+    } else if (item && item.task === null) {
+      newLines[i] = line.substring(0, item.markerEnd) + '[ ] ' + line.substring(item.markerEnd)
+    } else if (!item) {
+      const body = line.substring(quote.length)
+      const indent = ' '.repeat(leadingSpaces(body))
+      newLines[i] = quote + indent + '- [ ] ' + body.trimStart()
+    }
+  })
+
+  return replaceLines(state, lines, newLines)
+}
+
+// Replaces the first occurrence of `search` (e.g. an upload placeholder),
+// keeping the selection where it was relative to the surrounding text.
+// Returns null when `search` isn't in the text anymore.
+export function replaceText(state, search, replacement) {
+  const {value, selectionStart, selectionEnd} = state
+  const start = value.indexOf(search)
+  if (start === -1) return null
+
+  const end = start + search.length
+  const map = (offset) => {
+    if (offset >= end) return offset + replacement.length - search.length
+    if (offset > start) return start + replacement.length
+    return offset
+  }
+
+  return {
+    value: value.substring(0, start) + replacement + value.substring(end),
+    selectionStart: map(selectionStart),
+    selectionEnd: map(selectionEnd)
+  }
+}
@@ -0,0 +1,27 @@
+import {test, describe} from "node:test"
+import assert from "node:assert/strict"
+import {draftDiffers, savedSince} from "../js/draft_journal.js"
+
+describe('savedSince', () => {
+  test('drafts based on an older version were saved over', () => {
+    assert.equal(savedSince({baseVersion: 3}, 4), true)
+  })
+
+  test('drafts based on the current version are still unsaved', () => {
+    assert.equal(savedSince({baseVersion: 4}, 4), false)
+  })
+
+  test('drafts without a version are kept', () => {
+    assert.equal(savedSince({savedAt: 0}, 4), false)
+  })
+})
+
+describe('draftDiffers', () => {
+  test('compares the title and content', () => {
+    const server = {title: 'Title', content: 'Body'}
+
+    assert.equal(draftDiffers({title: 'Title', content: 'Body', savedAt: 1}, server), false)
+    assert.equal(draftDiffers({title: 'Title', content: 'Body!'}, server), true)
+    assert.equal(draftDiffers({title: 'Other', content: 'Body'}, server), true)
+  })
+})
@@ -0,0 +1,121 @@
+import {test, describe} from "node:test"
+import assert from "node:assert/strict"
+import {
+  COMMANDS,
+  bindingFromEvent,
+  commandForBinding,
+  formatBinding,
+  fuzzyScore,
+  loadOverrides,
+  normalizeBinding,
+  rebind,
+  resetBinding,
+  resolveBindings,
+  searchCommands
+} from "../js/editor_commands.js"
+
+function memoryStorage() {
+  const data = new Map()
+  return {
+    getItem: key => data.has(key) ? data.get(key) : null,
+    setItem: (key, value) => data.set(key, String(value))
+  }
+}
+
+function keydown(props) {
+  return {ctrlKey: false, metaKey: false, altKey: false, shiftKey: false, code: '', ...props}
+}
+
+describe('bindings', () => {
+  test('normalizeBinding orders modifiers and upcases the key', () => {
+    assert.equal(normalizeBinding('shift+mod+k'), 'Mod+Shift+K')
+    assert.equal(normalizeBinding('Alt + Mod + Enter'), 'Mod+Alt+Enter')
+  })
+
+  test('bindingFromEvent maps Cmd on macOS and Ctrl elsewhere to Mod', () => {
+    assert.equal(bindingFromEvent(keydown({metaKey: true, key: 'b', code: 'KeyB'}), true), 'Mod+B')
+    assert.equal(bindingFromEvent(keydown({ctrlKey: true, key: 'b', code: 'KeyB'}), false), 'Mod+B')
+    assert.equal(bindingFromEvent(keydown({ctrlKey: true, key: 'b', code: 'KeyB'}), true), 'Ctrl+B')
+  })
+
+  test('bindingFromEvent reads the physical key for Option combinations', () => {
+    const e = keydown({metaKey: true, altKey: true, key: '¡', code: 'Digit1'})
+    assert.equal(bindingFromEvent(e, true), 'Mod+Alt+1')
+  })
+
+  test('bindingFromEvent ignores bare modifier presses', () => {
+    assert.equal(bindingFromEvent(keydown({ctrlKey: true, key: 'Control', code: 'ControlLeft'})), null)
+  })
+
+  test('formatBinding uses symbols on macOS', () => {
+    assert.equal(formatBinding('Mod+Shift+K', true), '⌘⇧K')
+    assert.equal(formatBinding('Mod+Shift+K', false), 'Ctrl+Shift+K')
+  })
+
+  test('the palette and the link command have defaults that avoid Mod+K', () => {
+    const bindings = resolveBindings({})
+    assert.equal(commandForBinding('Mod+Shift+P', bindings).id, 'command_palette')
+    assert.equal(commandForBinding('Mod+K', bindings), null)
+  })
+})
+
+describe('rebind', () => {
+  test('overrides are persisted and win over defaults', () => {
+    const storage = memoryStorage()
+    rebind('link', 'mod+k', storage)
+
+    const bindings = resolveBindings(JSON.parse(storage.getItem('curupira-keybindings')))
+    assert.deepEqual(bindings.link, ['Mod+K'])
+  })
+
+  test('takes the binding away from the command that had it', () => {
+    const storage = memoryStorage()
+    const displaced = rebind('link', 'Mod+B', storage)
+
+    assert.deepEqual(displaced, ['bold'])
+    const bindings = resolveBindings(JSON.parse(storage.getItem('curupira-keybindings')))
+    assert.deepEqual(bindings.bold, [])
+    assert.equal(commandForBinding('Mod+B', bindings).id, 'link')
+  })
+
+  test('resetBinding restores the default', () => {
+    const storage = memoryStorage()
+    rebind('save', 'Mod+Alt+S', storage)
+    resetBinding('save', storage)
+
+    const bindings = resolveBindings(JSON.parse(storage.getItem('curupira-keybindings')))
+    assert.deepEqual(bindings.save, ['Mod+S'])
+  })
+
+  test('malformed stored overrides fall back to the defaults', () => {
+    const storage = memoryStorage()
+    storage.setItem('curupira-keybindings', JSON.stringify({save: 'Mod+Alt+S', bold: [1], link: ['Mod+K']}))
+
+    const bindings = resolveBindings(loadOverrides(storage))
+    assert.deepEqual(bindings.save, ['Mod+S'])
+    assert.deepEqual(bindings.bold, ['Mod+B'])
+    assert.deepEqual(bindings.link, ['Mod+K'])
+
+    storage.setItem('curupira-keybindings', '["Mod+K"]')
+    assert.deepEqual(loadOverrides(storage), {})
+  })
+})
+
+describe('fuzzy search', () => {
+  test('matches subsequences and rejects the rest', () => {
+    assert.notEqual(fuzzyScore('cblk', 'Toggle code block'), null)
+    assert.equal(fuzzyScore('xyz', 'Toggle code block'), null)
+  })
+
+  test('ranks word-start matches first', () => {
+    assert.ok(fuzzyScore('prev', 'Layout: preview only') > fuzzyScore('prev', 'Improve visibility'))
+
+    // Both match at a word start; the label starting with the query first
+    const ids = searchCommands('prev').map(command => command.id)
+    assert.deepEqual(ids, ['toggle_preview_mode', 'layout_preview'])
+  })
+
+  test('an empty query lists every command in registry order', () => {
+    assert.deepEqual(searchCommands(''), COMMANDS)
+  })
+})
@@ -0,0 +1,150 @@
+import {test, describe, beforeEach} from "node:test"
+import assert from "node:assert/strict"
+import {EditorHistory} from "../js/editor_history.js"
+
+// Textareas by id, for EditorHistory#restore
+const elements = new Map()
+globalThis.document = { getElementById: id => elements.get(id) || null }
+
+function textarea(id, value = '') {
+  const el = {
+    id,
+    value,
+    selectionStart: value.length,
+    selectionEnd: value.length,
+    dispatchEvent() {},
+    focus() {},
+    setSelectionRange(start, end) {
+      this.selectionStart = start
+      this.selectionEnd = end
+    }
+  }
+  elements.set(id, el)
+  return el
+}
+
+// Types `value` into the textarea at `time`, as an input event would report it
+function input(history, el, value, time, inputType = 'insertText') {
+  const now = Date.now
+  Date.now = () => time
+  try {
+    el.value = value
+    el.setSelectionRange(value.length, value.length)
+    history.recordInput(el, inputType)
+  } finally {
+    Date.now = now
+  }
+}
+
+describe('EditorHistory', () => {
+  let history
+  let el
+
+  beforeEach(() => {
+    elements.clear()
+    history = new EditorHistory()
+    el = textarea('content')
+    history.sync(el)
+  })
+
+  describe('recordInput', () => {
+    test('coalesces a burst of typing into one step', () => {
+      input(history, el, 'a', 0)
+      input(history, el, 'ab', 500)
+      input(history, el, 'abc', 1400)
+
+      assert.equal(history.undoStack.length, 1)
+      history.undo()
+      assert.equal(el.value, '')
+    })
+
+    test('starts a new step after a pause in typing', () => {
+      input(history, el, 'a', 0)
+      input(history, el, 'ab', 1000)
+
+      assert.equal(history.undoStack.length, 2)
+      history.undo()
+      assert.equal(el.value, 'a')
+    })
+
+    test('keeps pastes and other edits as steps of their own', () => {
+      input(history, el, 'a', 0)
+      input(history, el, 'a pasted', 100, 'insertFromPaste')
+      input(history, el, 'a pasted!', 200)
+
+      assert.deepEqual(history.undoStack.map(entry => entry.kind), ['typing', 'edit', 'typing'])
+    })
+
+    test('does not coalesce typing across editors', () => {
+      const title = textarea('title')
+      history.sync(title)
+
+      input(history, el, 'a', 0)
+      input(history, title, 'T', 100)
+      input(history, el, 'ab', 200)
+
+      assert.equal(history.undoStack.length, 3)
+    })
+
+    test('does not coalesce typing after a command', () => {
+      input(history, el, 'a', 0)
+      history.transact(el, () => { el.value = '**a**' })
+      input(history, el, '**a**b', 100)
+
+      assert.deepEqual(history.undoStack.map(entry => entry.kind), ['typing', 'command', 'typing'])
+    })
+
+    test('ignores input that leaves the value unchanged', () => {
+      input(history, el, '', 0)
+
+      assert.equal(history.undoStack.length, 0)
+    })
+  })
+
+  describe('undo and redo', () => {
+    test('restore the value and selection around a step', () => {
+      input(history, el, 'hello', 0)
+      el.setSelectionRange(0, 5)
+      history.transact(el, () => {
+        el.value = '**hello**'
+        el.setSelectionRange(2, 7)
+      })
+
+      assert.equal(history.undo(), true)
+      assert.equal(el.value, 'hello')
+      assert.deepEqual([el.selectionStart, el.selectionEnd], [0, 5])
+
+      assert.equal(history.redo(), true)
+      assert.equal(el.value, '**hello**')
+      assert.deepEqual([el.selectionStart, el.selectionEnd], [2, 7])
+    })
+
+    test('a new edit clears what there was to redo', () => {
+      input(history, el, 'a', 0)
+      input(history, el, 'ab', 2000)
+      history.undo()
+
+      input(history, el, 'ac', 3000)
+
+      assert.equal(history.redo(), false)
+      assert.equal(el.value, 'ac')
+    })
+
+    test('typing coalesced into the last step clears what there was to redo', () => {
+      input(history, el, 'a', 0)
+      input(history, el, 'a pasted', 100, 'insertFromPaste')
+      history.undo()
+
+      input(history, el, 'ab', 200)
+
+      assert.equal(history.undoStack.length, 1)
+      assert.equal(history.redo(), false)
+    })
+
+    test('do nothing on empty stacks', () => {
+      assert.equal(history.undo(), false)
+      assert.equal(history.redo(), false)
+      assert.equal(el.value, '')
+    })
+  })
+})
@@ -0,0 +1,26 @@
+import {test, describe} from "node:test"
+import assert from "node:assert/strict"
+import {fitWithin, altFromFilename} from "../js/image_optimizer.js"
+
+describe('fitWithin', () => {
+  test('scales wide images down to the max width, keeping the aspect ratio', () => {
+    assert.deepEqual(fitWithin(3200, 1800, 1600), {width: 1600, height: 900})
+  })
+
+  test('never upscales', () => {
+    assert.deepEqual(fitWithin(800, 600, 1600), {width: 800, height: 600})
+  })
+})
+
+describe('altFromFilename', () => {
+  test('turns the file name into words', () => {
+    assert.equal(altFromFilename('my-cat_photo.final.JPG'), 'my cat photo final')
+  })
+
+  test('ignores names that say nothing about the image', () => {
+    assert.equal(altFromFilename('image.png'), '')
+    assert.equal(altFromFilename('IMG_1234.jpeg'), '')
+    assert.equal(altFromFilename('DSC01234.jpg'), '')
+    assert.equal(altFromFilename(''), '')
+  })
+})
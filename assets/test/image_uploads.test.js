@@ -0,0 +1,86 @@
+import {test, describe} from "node:test"
+import assert from "node:assert/strict"
+import {ImageUploads, uploadingPlaceholder, failedPlaceholder, imageMarkdown, uploadExtension} from "../js/image_uploads.js"
+import {stateOf} from "../js/text_ops.js"
+
+describe('placeholders', () => {
+  test('uploading and failed placeholders are empty images', () => {
+    assert.equal(uploadingPlaceholder('image-1'), '![Uploading image-1…]()')
+    assert.equal(failedPlaceholder('image-2', 'larger than 5 MB'), '![Upload failed: image-2 (larger than 5 MB)]()')
+    assert.equal(imageMarkdown('cat', '/uploads/1.png'), '![cat](/uploads/1.png)')
+  })
+})
+
+describe('uploadExtension', () => {
+  test('keeps the file extension, lowercased', () => {
+    assert.equal(uploadExtension({name: 'Screenshot.PNG', type: 'image/png'}), '.png')
+  })
+
+  test('falls back to the MIME type for unnamed files', () => {
+    assert.equal(uploadExtension({name: '', type: 'image/jpeg'}), '.jpg')
+    assert.equal(uploadExtension({name: 'blob', type: 'image/webp'}), '.webp')
+  })
+})
+
+// The upload half of the MarkdownEditor hook, on a bare textarea, with the
+// editor's apply and LiveView's upload
+function uploader(optimizeImage) {
+  const el = {
+    value: 'Intro\n',
+    selectionStart: 6,
+    selectionEnd: 6,
+    setSelectionRange(start, end) {
+      this.selectionStart = start
+      this.selectionEnd = end
+    }
+  }
+
+  return {
+    ...ImageUploads,
+    el,
+    uploads: new Map(),
+    maxUploads: 10,
+    queue: null,
+    uploaded: [],
+    optimizeImage,
+    apply(operation, ...args) {
+      return this.applyResult(operation(stateOf(this.el), ...args))
+    },
+    applyResult(result) {
+      if (!result) return false
+      this.el.value = result.value
+      this.el.setSelectionRange(result.selectionStart, result.selectionEnd)
+      return true
+    },
+    upload(name, files) {
+      this.uploaded.push(...files)
+    }
+  }
+}
+
+describe('uploadImages', () => {
+  const image = () => new File(['png'], 'Cat.PNG', { type: 'image/png' })
+
+  test('uploads optimised images renamed after their placeholder', async () => {
+    const hook = uploader(file => Promise.resolve({ blob: file, extension: null }))
+
+    await hook.uploadImages([image()])
+
+    const [file] = hook.uploaded
+    assert.match(file.name, /^image-\d+\.png$/)
+    assert.equal(hook.el.value, `Intro\n${uploadingPlaceholder(file.name.replace('.png', ''))}`)
+    assert.deepEqual([...hook.uploads.keys()], [file.name])
+  })
+
+  test('marks the placeholders failed when an image cannot be optimised', async (t) => {
+    t.mock.method(console, 'error', () => {})
+    const hook = uploader(() => Promise.reject(new Error('decode failed')))
+
+    await hook.uploadImages([image(), image()])
+
+    assert.deepEqual(hook.uploaded, [])
+    assert.equal(hook.uploads.size, 0)
+    assert.doesNotMatch(hook.el.value, /Uploading/)
+    assert.equal(hook.el.value.match(/!\[Upload failed: image-\d+ \(could not be read\)\]\(\)/g).length, 2)
+  })
+})
@@ -0,0 +1,134 @@
+import {test, describe} from "node:test"
+import assert from "node:assert/strict"
+import {defaultChoice, diffLines, matchLines, merge3, resolveMerge} from "../js/line_diff.js"
+
+describe('matchLines', () => {
+  test('matches identical texts line for line', () => {
+    assert.deepEqual(matchLines(['a', 'b', 'c'], ['a', 'b', 'c']), [0, 1, 2])
+  })
+
+  test('marks removed lines with -1', () => {
+    assert.deepEqual(matchLines(['a', 'b', 'c'], ['a', 'c']), [0, -1, 1])
+  })
+
+  test('skips inserted lines', () => {
+    assert.deepEqual(matchLines(['a', 'c'], ['new', 'a', 'b', 'c', 'end']), [1, 3])
+  })
+
+  test('keeps the longest common subsequence, in order', () => {
+    assert.deepEqual(matchLines(['a', 'b', 'c', 'd'], ['c', 'a', 'x', 'b', 'd']), [1, 3, -1, 4])
+  })
+
+  test('matches nothing against an empty text', () => {
+    assert.deepEqual(matchLines(['a', 'b'], []), [-1, -1])
+    assert.deepEqual(matchLines([], ['a']), [])
+  })
+})
+
+describe('diffLines', () => {
+  test('reports unchanged texts as equal lines', () => {
+    assert.deepEqual(diffLines('a\nb', 'a\nb'), [
+      {type: 'equal', text: 'a'},
+      {type: 'equal', text: 'b'}
+    ])
+  })
+
+  test('lists deletions before the insertions replacing them', () => {
+    assert.deepEqual(diffLines('a\nold\nc', 'a\nnew\nc'), [
+      {type: 'equal', text: 'a'},
+      {type: 'delete', text: 'old'},
+      {type: 'insert', text: 'new'},
+      {type: 'equal', text: 'c'}
+    ])
+  })
+
+  test('reports lines added at the start and end', () => {
+    assert.deepEqual(diffLines('a', 'start\na\nend'), [
+      {type: 'insert', text: 'start'},
+      {type: 'equal', text: 'a'},
+      {type: 'insert', text: 'end'}
+    ])
+  })
+
+  test('treats missing texts as a single empty line', () => {
+    assert.deepEqual(diffLines(null, 'a'), [
+      {type: 'delete', text: ''},
+      {type: 'insert', text: 'a'}
+    ])
+  })
+})
+
+describe('merge3', () => {
+  test('merges edits to different lines cleanly', () => {
+    const chunks = merge3('a\nb\nc\nd', 'a\nB\nc\nd', 'a\nb\nc\nD')
+
+    assert.deepEqual(chunks, [
+      {type: 'equal', lines: ['a']},
+      {type: 'change', changedBy: 'mine', base: ['b'], mine: ['B'], theirs: ['b']},
+      {type: 'equal', lines: ['c']},
+      {type: 'change', changedBy: 'theirs', base: ['d'], mine: ['d'], theirs: ['D']}
+    ])
+    assert.equal(resolveMerge(chunks), 'a\nB\nc\nD')
+  })
+
+  test('reports overlapping edits as a conflict', () => {
+    const chunks = merge3('a\nb\nc', 'a\nmine\nc', 'a\ntheirs\nc')
+
+    assert.deepEqual(chunks, [
+      {type: 'equal', lines: ['a']},
+      {type: 'change', changedBy: 'both', base: ['b'], mine: ['mine'], theirs: ['theirs']},
+      {type: 'equal', lines: ['c']}
+    ])
+  })
+
+  test('takes identical edits on both sides once', () => {
+    assert.deepEqual(merge3('a\nb\nc', 'a\nB\nc', 'a\nB\nc'), [{type: 'equal', lines: ['a', 'B', 'c']}])
+  })
+
+  test('merges insertions at the start and end of the file', () => {
+    const chunks = merge3('a\nb', 'start\na\nb', 'a\nb\nend')
+
+    assert.deepEqual(chunks, [
+      {type: 'change', changedBy: 'mine', base: [], mine: ['start'], theirs: []},
+      {type: 'equal', lines: ['a', 'b']},
+      {type: 'change', changedBy: 'theirs', base: [], mine: [], theirs: ['end']}
+    ])
+    assert.equal(resolveMerge(chunks), 'start\na\nb\nend')
+  })
+
+  test('reports different insertions at the same place as a conflict', () => {
+    assert.deepEqual(merge3('a', 'a\nmine', 'a\ntheirs'), [
+      {type: 'equal', lines: ['a']},
+      {type: 'change', changedBy: 'both', base: [], mine: ['mine'], theirs: ['theirs']}
+    ])
+  })
+
+  test('leaves unchanged texts as one equal chunk', () => {
+    assert.deepEqual(merge3('a\nb', 'a\nb', 'a\nb'), [{type: 'equal', lines: ['a', 'b']}])
+  })
+})
+
+describe('resolveMerge', () => {
+  const chunks = merge3('a\nb\nc', 'a\nmine\nc', 'a\ntheirs\nc')
+
+  test('keeps our side of conflicts by default', () => {
+    assert.equal(defaultChoice(chunks[1]), 'mine')
+    assert.equal(resolveMerge(chunks), 'a\nmine\nc')
+  })
+
+  test('applies the chosen side of each chunk', () => {
+    assert.equal(resolveMerge(chunks, {1: 'theirs'}), 'a\ntheirs\nc')
+    assert.equal(resolveMerge(chunks, {1: 'mine'}), 'a\nmine\nc')
+  })
+
+  test('keeps both sides, ours first', () => {
+    assert.equal(resolveMerge(chunks, {1: 'both'}), 'a\nmine\ntheirs\nc')
+  })
+
+  test('takes the side that changed by default', () => {
+    const theirs = merge3('a\nb', 'a\nb', 'a\nB')
+
+    assert.equal(defaultChoice(theirs[1]), 'theirs')
+    assert.equal(resolveMerge(theirs), 'a\nB')
+  })
+})
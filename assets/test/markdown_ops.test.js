@@ -0,0 +1,157 @@
+import {test, describe} from "node:test"
+import assert from "node:assert/strict"
+import {
+  continueBlock,
+  indentLines,
+  parseLine,
+  renumberList,
+  toggleHeading,
+  toggleQuote,
+  toggleTask
+} from "../js/text_ops.js"
+
+// Text with the caret marked by ¦, or a selection by « and »
+function state(marked) {
+  if (marked.includes('¦')) {
+    const caret = marked.indexOf('¦')
+    return {value: marked.replace('¦', ''), selectionStart: caret, selectionEnd: caret}
+  }
+  const start = marked.indexOf('«')
+  const end = marked.indexOf('»') - 1
+  return {value: marked.replace('«', '').replace('»', ''), selectionStart: start, selectionEnd: end}
+}
+
+// Renders a result back with the same markers
+function marked({value, selectionStart, selectionEnd}) {
+  if (selectionStart === selectionEnd) {
+    return value.substring(0, selectionStart) + '¦' + value.substring(selectionStart)
+  }
+  return value.substring(0, selectionStart) + '«' + value.substring(selectionStart, selectionEnd) +
+    '»' + value.substring(selectionEnd)
+}
+
+describe('parseLine', () => {
+  test('reads quote, marker, number and checkbox', () => {
+    const {quote, item} = parseLine('> 12) [x] done')
+    assert.equal(quote, '> ')
+    assert.equal(item.number, 12)
+    assert.equal(item.delimiter, ')')
+    assert.equal(item.task, 'x')
+    assert.equal(item.contentStart, 10)
+  })
+
+  test('thematic breaks are not list items', () => {
+    assert.equal(parseLine('* * *').item, null)
+    assert.equal(parseLine('---').item, null)
+  })
+})
+
+describe('continueBlock', () => {
+  test('continues a bullet list', () => {
+    assert.equal(marked(continueBlock(state('- one¦'))), '- one\n- ¦')
+  })
+
+  test('splits the item at the caret', () => {
+    assert.equal(marked(continueBlock(state('* one¦ two'))), '* one\n* ¦two')
+  })
+
+  test('continues an ordered list and renumbers the rest', () => {
+    const result = continueBlock(state('1. one¦\n2. two\n3. three'))
+    assert.equal(marked(result), '1. one\n2. ¦\n3. two\n4. three')
+  })
+
+  test('renumbering skips nested items and stops at the end of the list', () => {
+    const result = continueBlock(state('1. a¦\n   - nested\n2. b\n\nText\n\n1. other'))
+    assert.equal(result.value, '1. a\n2. \n   - nested\n3. b\n\nText\n\n1. other')
+  })
+
+  test('continues task lists with an unchecked box', () => {
+    assert.equal(marked(continueBlock(state('- [x] done¦'))), '- [x] done\n- [ ] ¦')
+  })
+
+  test('keeps the indentation of nested items', () => {
+    assert.equal(marked(continueBlock(state('- a\n  - b¦'))), '- a\n  - b\n  - ¦')
+  })
+
+  test('Enter on an empty item ends the list', () => {
+    assert.equal(marked(continueBlock(state('- one\n- ¦'))), '- one\n¦')
+    assert.equal(marked(continueBlock(state('- one\n- [ ] ¦'))), '- one\n¦')
+  })
+
+  test('continues blockquotes, including lists inside them', () => {
+    assert.equal(marked(continueBlock(state('> quote¦'))), '> quote\n> ¦')
+    assert.equal(marked(continueBlock(state('> - item¦'))), '> - item\n> - ¦')
+    assert.equal(marked(continueBlock(state('> - item\n> - ¦'))), '> - item\n> ¦')
+    assert.equal(marked(continueBlock(state('> quote\n> ¦'))), '> quote\n¦')
+  })
+
+  test('adds an empty row to a table and ends it on an empty row', () => {
+    const table = '| a | b |\n|---|---|\n| 1 | 2 |'
+    assert.equal(marked(continueBlock(state(table + '¦'))), table + '\n| ¦ |  |')
+    assert.equal(marked(continueBlock(state(table + '\n|  |  |¦'))), table + '\n¦')
+  })
+
+  test('leaves Enter alone outside lists, in code blocks and before the marker', () => {
+    assert.equal(continueBlock(state('plain¦')), null)
+    assert.equal(continueBlock(state('```\n- code¦\n```')), null)
+    assert.equal(continueBlock(state('¦- item')), null)
+    assert.equal(continueBlock(state('| a | b |¦\n|---|---|')), null)
+  })
+})
+
+describe('renumberList', () => {
+  test('counts up from the first item', () => {
+    const lines = ['3. a', '7. b', '1. c']
+    assert.deepEqual(renumberList(lines, 2), ['3. a', '4. b', '5. c'])
+  })
+})
+
+describe('indentLines', () => {
+  test('nests a list item under the previous one', () => {
+    assert.equal(marked(indentLines(state('- a\n- b¦'))), '- a\n  - b¦')
+    assert.equal(indentLines(state('1. a\n2. b¦')).value, '1. a\n   1. b')
+  })
+
+  test('outdents to the parent item and renumbers both lists', () => {
+    const result = indentLines(state('1. a\n   1. b¦\n2. c'), true)
+    assert.equal(result.value, '1. a\n2. b\n3. c')
+  })
+
+  test('indents every line of a multi-line selection', () => {
+    const result = indentLines(state('«one\ntwo»\nthree'))
+    assert.equal(marked(result), '  «one\n  two»\nthree')
+  })
+
+  test('leaves Tab alone for a caret outside a list', () => {
+    assert.equal(indentLines(state('plain¦ text')), null)
+  })
+})
+
+describe('toggleHeading', () => {
+  test('sets, replaces and removes a heading level', () => {
+    assert.equal(marked(toggleHeading(state('Ti¦tle'), 2)), '## Ti¦tle')
+    assert.equal(marked(toggleHeading(state('## Ti¦tle'), 3)), '### Ti¦tle')
+    assert.equal(marked(toggleHeading(state('### Ti¦tle'), 3)), 'Ti¦tle')
+  })
+})
+
+describe('toggleQuote', () => {
+  test('quotes and unquotes the selected lines', () => {
+    const quoted = toggleQuote(state('«a\nb»'))
+    assert.equal(quoted.value, '> a\n> b')
+    assert.equal(toggleQuote(quoted).value, 'a\nb')
+  })
+})
+
+describe('toggleTask', () => {
+  test('turns text and list items into tasks', () => {
+    assert.equal(toggleTask(state('buy milk¦')).value, '- [ ] buy milk')
+    assert.equal(toggleTask(state('- buy milk¦')).value, '- [ ] buy milk')
+  })
+
+  test('checks and unchecks tasks', () => {
+    assert.equal(toggleTask(state('- [ ] a¦')).value, '- [x] a')
+    assert.equal(toggleTask(state('«- [x] a\n- [X] b»')).value, '- [ ] a\n- [ ] b')
+    assert.equal(toggleTask(state('«- [x] a\n- [ ] b»')).value, '- [x] a\n- [x] b')
+  })
+})
@@ -0,0 +1,96 @@
+import {test, describe} from "node:test"
+import assert from "node:assert/strict"
+import {compareRenders, nestHeadings, previewMarkdown, renderMarkdown, renderPreview, renderSignature} from "../js/markdown_preview.js"
+
+describe('renderMarkdown', () => {
+  test('renders heading anchors like comrak, with unique ids', () => {
+    const html = renderMarkdown('# Hello, World!\n\n## Hello World')
+    assert.match(html, /<a href="#hello-world" aria-hidden="true" class="anchor" id="hello-world"><\/a>Hello, World!/)
+    assert.match(html, /id="hello-world-1"/)
+  })
+
+  test('renders task lists', () => {
+    const html = renderMarkdown('- [ ] todo\n- [x] done')
+    assert.match(html, /<input type="checkbox" disabled="" \/> todo/)
+    assert.match(html, /<input type="checkbox" checked="" disabled="" \/> done/)
+  })
+
+  test('renders tables, strikethrough, autolinks and hard breaks', () => {
+    const html = renderMarkdown('| a |\n|---|\n| 1 |\n\n~~old~~ www.example.com\nnext')
+    assert.match(html, /<table/)
+    assert.match(html, /<s>old<\/s>/)
+    assert.match(html, /<a href="http:\/\/www.example.com">/)
+    assert.match(html, /<br \/>/)
+  })
+
+  test('renders footnotes with comrak ids', () => {
+    const html = renderMarkdown('Text[^a]\n\n[^a]: Note')
+    assert.match(html, /<a href="#fn-a" id="fnref-a" data-footnote-ref>1<\/a>/)
+    assert.match(html, /<section class="footnotes" data-footnotes>/)
+  })
+
+  test('annotates blocks with source lines, without trailing blank lines', () => {
+    const html = renderMarkdown('# T\n\n- a\n- b\n\npara')
+    assert.match(html, /<h1 data-sourcepos="1:1-1:1">/)
+    assert.match(html, /<ul data-sourcepos="3:1-4:1">/)
+    assert.match(html, /<p data-sourcepos="6:1-6:1">para/)
+  })
+
+  test('previews the same document as the server', () => {
+    assert.equal(previewMarkdown('Title', 'Body'), '# Title\n\nBody')
+    assert.equal(previewMarkdown('', 'Body'), 'Body')
+    assert.equal(previewMarkdown('Title', ''), '# Title')
+  })
+})
+
+describe('renderPreview', () => {
+  test('returns the outline of the headings, with their anchor ids', () => {
+    const {html, toc} = renderPreview('# Title\n\n## Setup\n\n### `mix` tasks\n\n## Setup')
+
+    assert.equal(html, renderMarkdown('# Title\n\n## Setup\n\n### `mix` tasks\n\n## Setup'))
+    assert.deepEqual(toc, [
+      {id: 'title', text: 'Title', level: 1, children: [
+        {id: 'setup', text: 'Setup', level: 2, children: [
+          {id: 'mix-tasks', text: 'mix tasks', level: 3, children: []}
+        ]},
+        {id: 'setup-1', text: 'Setup', level: 2, children: []}
+      ]}
+    ])
+  })
+})
+
+describe('nestHeadings', () => {
+  test('nests headings under the closest one of a lower level', () => {
+    const nested = nestHeadings([
+      {id: 'a', text: 'A', level: 3},
+      {id: 'b', text: 'B', level: 2},
+      {id: 'c', text: 'C', level: 4},
+      {id: 'd', text: 'D', level: 3}
+    ])
+
+    assert.deepEqual(nested.map(h => [h.id, h.children.map(c => c.id)]), [['a', []], ['b', ['c', 'd']]])
+  })
+
+  test('returns nothing without headings', () => {
+    assert.deepEqual(nestHeadings([]), [])
+  })
+})
+
+describe('compareRenders', () => {
+  const server = '<h1 data-sourcepos="1:1-1:7"><a href="#title" aria-hidden="true" class="anchor" id="title"></a>Title</h1>\n' +
+    '<p data-sourcepos="3:1-4:4">Some &quot;text&quot;<br />\nmore</p>\n'
+
+  test('ignores attributes and whitespace', () => {
+    assert.equal(compareRenders(renderMarkdown('# Title\n\nSome &quot;text&quot;\nmore'), server), null)
+  })
+
+  test('reports the first differing block', () => {
+    const difference = compareRenders('<h1>Title</h1><p>Other</p>', server)
+    assert.equal(difference.client, 'Other')
+    assert.equal(difference.server, 'Some "text" more')
+  })
+
+  test('signatures keep block structure and text', () => {
+    assert.deepEqual(renderSignature('<ul><li><p>a <em>b</em></p></li></ul>'), ['<ul>', '<li>', '<p>', 'a b', '</p>', '</li>', '</ul>'])
+  })
+})
@@ -0,0 +1,26 @@
+import {test, describe} from "node:test"
+import assert from "node:assert/strict"
+import {pageInView, pageUrl} from "../js/pagination_scroll.js"
+
+describe('pageInView', () => {
+  test('the page of the last card above the threshold', () => {
+    const tops = [-500, -300, -100, 100, 300]
+    assert.equal(pageInView(tops, 2, 0), 2)
+    assert.equal(pageInView(tops, 2, 200), 2)
+    assert.equal(pageInView(tops, 2, 400), 3)
+  })
+
+  test('the first page before the list is reached', () => {
+    assert.equal(pageInView([200, 400], 10, 0), 1)
+  })
+})
+
+describe('pageUrl', () => {
+  test('sets the page, keeping the search', () => {
+    assert.equal(pageUrl('http://localhost/articles?q=elixir', 3), '/articles?q=elixir&page=3')
+  })
+
+  test('leaves the first page out', () => {
+    assert.equal(pageUrl('http://localhost/articles?page=2', 1), '/articles')
+  })
+})
@@ -0,0 +1,80 @@
+import {test, describe} from "node:test"
+import assert from "node:assert/strict"
+import {
+  lineToOffset,
+  offsetToLine,
+  parseSourcepos,
+  textareaLineAt,
+  textareaOffsetOf
+} from "../js/scroll_sync.js"
+
+// # Title          line 1     top 0..50
+//                  line 2
+// Paragraph        lines 3-4  top 60..100
+//                  line 5
+// - a              lines 6-7  top 120..200 (list), items 120..160 and 160..200
+// - b
+const blocks = [
+  {start: 1, end: 1, top: 0, bottom: 50},
+  {start: 3, end: 4, top: 60, bottom: 100},
+  {start: 6, end: 7, top: 120, bottom: 200},
+  {start: 6, end: 6, top: 120, bottom: 160},
+  {start: 7, end: 7, top: 160, bottom: 200}
+]
+
+describe('parseSourcepos', () => {
+  test('reads start and end lines', () => {
+    assert.deepEqual(parseSourcepos('3:1-5:12'), {start: 3, end: 5})
+    assert.equal(parseSourcepos('nonsense'), null)
+  })
+})
+
+describe('lineToOffset', () => {
+  test('maps a line to its block, interpolating within it', () => {
+    assert.equal(lineToOffset(blocks, 3), 60)
+    assert.equal(lineToOffset(blocks, 4), 80)
+  })
+
+  test('prefers the innermost block', () => {
+    assert.equal(lineToOffset(blocks, 7), 160)
+  })
+
+  test('interpolates over blank lines between blocks', () => {
+    assert.equal(lineToOffset(blocks, 2), 50)
+    assert.equal(lineToOffset(blocks, 2.5), 55)
+  })
+
+  test('clamps past the last block', () => {
+    assert.equal(lineToOffset(blocks, 20), 200)
+  })
+})
+
+describe('offsetToLine', () => {
+  test('is the inverse of lineToOffset inside blocks', () => {
+    ;[1, 3, 3.5, 4, 6, 7.25].forEach(line => {
+      assert.equal(offsetToLine(blocks, lineToOffset(blocks, line)), line)
+    })
+  })
+
+  test('maps gaps to the blank lines between blocks', () => {
+    assert.equal(offsetToLine(blocks, 50), 2)
+    assert.equal(offsetToLine(blocks, 110), 5.5)
+  })
+})
+
+describe('textarea lines', () => {
+  // Line 2 wraps over two rows of 20px
+  const tops = [0, 20, 60, 80]
+  const height = 100
+
+  test('textareaLineAt finds the fractional line at a y offset', () => {
+    assert.equal(textareaLineAt(tops, height, 0), 1)
+    assert.equal(textareaLineAt(tops, height, 40), 2.5)
+    assert.equal(textareaLineAt(tops, height, 90), 4.5)
+  })
+
+  test('textareaOffsetOf is its inverse', () => {
+    assert.equal(textareaOffsetOf(tops, height, 2.5), 40)
+    assert.equal(textareaOffsetOf(tops, height, 4), 80)
+  })
+})
@@ -0,0 +1,72 @@
+import {test, describe, afterEach} from "node:test"
+import assert from "node:assert/strict"
+import {readFileSync} from "node:fs"
+
+// See static_filters.test.js
+function loadArticles() {
+  const window = {addEventListener() {}}
+  const document = {readyState: 'loading', addEventListener() {}}
+  for (const script of ["static-router.js", "static-article-loader.js"]) {
+    const source = readFileSync(new URL(`../../priv/static/${script}`, import.meta.url), "utf8")
+    new Function("window", "document", source)(window, document)
+  }
+  return window.blogArticles
+}
+
+const articles = loadArticles()
+
+describe('createCache', () => {
+  test('drops the least recently used entry once full', () => {
+    const cache = articles.createCache(2)
+    cache.set('a', 1)
+    cache.set('b', 2)
+    cache.get('a')
+    cache.set('c', 3)
+
+    assert.deepEqual(cache.keys(), ['a', 'c'])
+    assert.equal(cache.get('b'), undefined)
+  })
+
+  test('setting a key again refreshes it', () => {
+    const cache = articles.createCache(2)
+    cache.set('a', 1)
+    cache.set('b', 2)
+    cache.set('a', 10)
+    cache.set('c', 3)
+
+    assert.deepEqual(cache.keys(), ['a', 'c'])
+    assert.equal(cache.get('a'), 10)
+  })
+})
+
+describe('fetchArticle', () => {
+  const originalFetch = globalThis.fetch
+  afterEach(() => { globalThis.fetch = originalFetch })
+
+  test('asks for an article once while it is being fetched', async () => {
+    const requests = []
+    globalThis.fetch = url => {
+      requests.push(url)
+      return Promise.resolve({ok: false})
+    }
+
+    const first = articles.fetchArticle('hello-world')
+    const second = articles.fetchArticle('hello-world')
+
+    assert.equal(first, second)
+    await assert.rejects(first, /Article not found/)
+    assert.deepEqual(requests, ['/articles/hello-world.html'])
+  })
+
+  test('failed articles are asked for again', async () => {
+    let requests = 0
+    globalThis.fetch = () => {
+      requests++
+      return Promise.resolve({ok: false})
+    }
+
+    await assert.rejects(articles.fetchArticle('missing'))
+    await assert.rejects(articles.fetchArticle('missing'))
+    assert.equal(requests, 2)
+  })
+})
@@ -0,0 +1,49 @@
+import {test, describe} from "node:test"
+import assert from "node:assert/strict"
+import {readFileSync} from "node:fs"
+
+// priv/static scripts are plain browser scripts: run them against a fake window
+function loadCombobox() {
+  const window = {}
+  const source = readFileSync(new URL("../../priv/static/static-combobox.js", import.meta.url), "utf8")
+  new Function("window", source)(window)
+  return window.blogCombobox
+}
+
+const combobox = loadCombobox()
+
+describe('nextIndex', () => {
+  test('arrows start at either end when nothing is active', () => {
+    assert.equal(combobox.nextIndex(-1, 3, 'ArrowDown'), 0)
+    assert.equal(combobox.nextIndex(-1, 3, 'ArrowUp'), 2)
+  })
+
+  test('arrows wrap around', () => {
+    assert.equal(combobox.nextIndex(2, 3, 'ArrowDown'), 0)
+    assert.equal(combobox.nextIndex(0, 3, 'ArrowUp'), 2)
+    assert.equal(combobox.nextIndex(1, 3, 'ArrowDown'), 2)
+  })
+
+  test('Home and End go to the first and last option', () => {
+    assert.equal(combobox.nextIndex(1, 3, 'Home'), 0)
+    assert.equal(combobox.nextIndex(1, 3, 'End'), 2)
+  })
+
+  test('is null without options or for other keys', () => {
+    assert.equal(combobox.nextIndex(-1, 0, 'ArrowDown'), null)
+    assert.equal(combobox.nextIndex(0, 3, 'a'), null)
+  })
+})
+
+describe('isTypingTarget', () => {
+  test('form fields and editable elements take the "/" key', () => {
+    assert.equal(combobox.isTypingTarget({tagName: 'INPUT'}), true)
+    assert.equal(combobox.isTypingTarget({tagName: 'TEXTAREA'}), true)
+    assert.equal(combobox.isTypingTarget({tagName: 'DIV', isContentEditable: true}), true)
+  })
+
+  test('anything else is a shortcut target', () => {
+    assert.equal(combobox.isTypingTarget({tagName: 'BODY'}), false)
+    assert.equal(combobox.isTypingTarget(null), false)
+  })
+})
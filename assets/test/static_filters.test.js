@@ -0,0 +1,88 @@
+import {test, describe} from "node:test"
+import assert from "node:assert/strict"
+import {readFileSync} from "node:fs"
+
+// priv/static scripts are plain browser scripts: run them against a fake
+// window, with a document still loading so they don't initialize
+function loadFilters(links = []) {
+  const window = {addEventListener() {}}
+  const document = {
+    readyState: 'loading',
+    addEventListener() {},
+    querySelectorAll: (selector) => links.filter(link => selector.startsWith(`a.${link.className}`))
+  }
+  for (const script of ["static-router.js", "static-filters.js"]) {
+    const source = readFileSync(new URL(`../../priv/static/${script}`, import.meta.url), "utf8")
+    new Function("window", "document", source)(window, document)
+  }
+  return window.blogFilters
+}
+
+const filters = loadFilters()
+
+describe('parseTags', () => {
+  test('splits, trims, lowercases and dedupes', () => {
+    assert.deepEqual(filters.parseTags('Kubernetes, docker,,kubernetes'), ['kubernetes', 'docker'])
+  })
+
+  test('nothing selected', () => {
+    assert.deepEqual(filters.parseTags(null), [])
+    assert.deepEqual(filters.parseTags(''), [])
+  })
+})
+
+describe('matchesTags', () => {
+  const tags = ['ruby', 'rails']
+
+  test('matches any selected tag by default', () => {
+    assert.ok(filters.matchesTags(tags, ['ruby', 'go']))
+    assert.ok(!filters.matchesTags(tags, ['go', 'rust']))
+  })
+
+  test('matches only articles with every selected tag in and mode', () => {
+    assert.ok(filters.matchesTags(tags, ['ruby', 'rails'], 'and'))
+    assert.ok(!filters.matchesTags(tags, ['ruby', 'go'], 'and'))
+  })
+
+  test('compares whole tags, not substrings', () => {
+    assert.ok(!filters.matchesTags(['javascript'], ['java']))
+    assert.ok(!filters.matchesTags(['go'], ['golang']))
+  })
+
+  test('an empty selection matches everything', () => {
+    assert.ok(filters.matchesTags(tags, []))
+    assert.ok(filters.matchesTags([], [], 'and'))
+  })
+
+  test('articles without tags only match an empty selection', () => {
+    assert.ok(!filters.matchesTags(undefined, ['ruby']))
+  })
+})
+
+describe('listingUrl', () => {
+  const link = (className, attribute, value, href) =>
+    ({className, href, getAttribute: name => ({[attribute]: value, href})[name]})
+
+  const filters = loadFilters([
+    link('tag-pill', 'data-tag', 'ruby', '/tags/ruby/'),
+    link('lang-filter-btn', 'data-lang', 'pt', '/lang/pt/')
+  ])
+
+  test('the homepage without filters', () => {
+    assert.equal(filters.listingUrl({tags: [], lang: 'all'}), '/')
+  })
+
+  test('a lone tag or language has its own page', () => {
+    assert.equal(filters.listingUrl({tags: ['ruby'], lang: 'all'}), '/tags/ruby/')
+    assert.equal(filters.listingUrl({tags: [], lang: 'pt'}), '/lang/pt/')
+  })
+
+  test('the homepage filters anything else', () => {
+    assert.equal(filters.listingUrl({tags: ['ruby'], lang: 'pt'}), '/?lang=pt&tag=ruby')
+    assert.equal(filters.listingUrl({tags: ['ruby', 'go'], tagMode: 'and', lang: 'all'}), '/?tag=ruby%2Cgo&tagmode=and')
+  })
+
+  test('the homepage when the page has no link to the tag', () => {
+    assert.equal(filters.listingUrl({tags: ['go'], lang: 'all'}), '/?tag=go')
+  })
+})
@@ -0,0 +1,64 @@
+import {test, describe} from "node:test"
+import assert from "node:assert/strict"
+import {readFileSync} from "node:fs"
+
+function read(script) {
+  return readFileSync(new URL(`../../priv/static/${script}`, import.meta.url), "utf8")
+}
+
+// The build defines VERSION and PRECACHE before the service worker
+function loadServiceWorker() {
+  const self = {addEventListener() {}, location: new URL("http://localhost/")}
+  new Function("self", "VERSION", "PRECACHE", read("static-sw.js"))(self, "test", [])
+  return self.blogServiceWorker
+}
+
+// See static_filters.test.js
+function loadOffline() {
+  const window = {addEventListener() {}}
+  const document = {readyState: 'loading', addEventListener() {}}
+  new Function("window", "document", read("static-offline.js"))(window, document)
+  return window.blogOffline
+}
+
+describe('strategy', () => {
+  const {strategy} = loadServiceWorker()
+  const of = path => strategy(new URL(path, "http://localhost/"))
+
+  test('articles are revalidated in the background', () => {
+    assert.equal(of('/articles/hello-world.html'), 'article')
+    assert.equal(of('/articles/hello-world.html?ref=feed'), 'article')
+  })
+
+  test('hashed scripts, CSS and uploads come from the cache first', () => {
+    assert.equal(of('/static-filters.1a2b3c4d.js'), 'asset')
+    assert.equal(of('/assets/css/app.1a2b3c4d.css'), 'asset')
+    assert.equal(of('/uploads/photo.webp'), 'asset')
+    assert.equal(of('/images/favicon.svg'), 'asset')
+  })
+
+  test('pages and data come from the network first', () => {
+    assert.equal(of('/'), 'page')
+    assert.equal(of('/tags/ruby/page/2/'), 'page')
+    assert.equal(of('/search.html?q=gc'), 'page')
+    assert.equal(of('/search-index.json'), 'page')
+    assert.equal(of('/sw.js'), 'page')
+  })
+})
+
+describe('offlineArticles', () => {
+  const {offlineArticles} = loadOffline()
+
+  test('lists saved articles first, then the ones read', () => {
+    assert.deepEqual(offlineArticles(['/articles/b.html'], ['/articles/a.html', '/articles/b.html']), [
+      {path: '/articles/b.html', saved: true},
+      {path: '/articles/a.html', saved: false}
+    ])
+  })
+
+  test('leaves out what is not an article', () => {
+    assert.deepEqual(offlineArticles(['/uploads/photo.webp', '/articles/a.html'], []), [
+      {path: '/articles/a.html', saved: true}
+    ])
+  })
+})
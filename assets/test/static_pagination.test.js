@@ -0,0 +1,56 @@
+import {test, describe} from "node:test"
+import assert from "node:assert/strict"
+import {readFileSync} from "node:fs"
+
+// See static_filters.test.js
+function loadPagination() {
+  const window = {addEventListener() {}}
+  const document = {readyState: 'loading', addEventListener() {}}
+  for (const script of ["static-router.js", "static-pagination.js"]) {
+    const source = readFileSync(new URL(`../../priv/static/${script}`, import.meta.url), "utf8")
+    new Function("window", "document", source)(window, document)
+  }
+  return window.pagination
+}
+
+const pagination = loadPagination()
+
+describe('pagePath', () => {
+  test('the first page is the listing itself', () => {
+    assert.equal(pagination.pagePath('/', 1), '/')
+    assert.equal(pagination.pagePath('/tags/ruby/', 1), '/tags/ruby/')
+  })
+
+  test('next pages are under page/<n>/', () => {
+    assert.equal(pagination.pagePath('/', 2), '/page/2/')
+    assert.equal(pagination.pagePath('/lang/pt/', 12), '/lang/pt/page/12/')
+  })
+})
+
+describe('pageFromPath', () => {
+  test('reads the page', () => {
+    assert.equal(pagination.pageFromPath('/page/3/'), 3)
+    assert.equal(pagination.pageFromPath('/tags/ruby/page/2/index.html'), 2)
+  })
+
+  test('first pages', () => {
+    assert.equal(pagination.pageFromPath('/'), 1)
+    assert.equal(pagination.pageFromPath('/tags/page/'), 1)
+  })
+})
+
+describe('pageInView', () => {
+  const cards = [
+    {page: 1, top: -900}, {page: 1, top: -400},
+    {page: 2, top: 100}, {page: 2, top: 600}
+  ]
+
+  test('the page of the last card scrolled past the threshold', () => {
+    assert.equal(pagination.pageInView(cards, 0), 1)
+    assert.equal(pagination.pageInView(cards, 300), 2)
+  })
+
+  test('the first page before any card is reached', () => {
+    assert.equal(pagination.pageInView([{page: 3, top: 200}], 0), 3)
+  })
+})
@@ -0,0 +1,52 @@
+import {test, describe} from "node:test"
+import assert from "node:assert/strict"
+import {readFileSync} from "node:fs"
+
+// See static_filters.test.js
+function loadReading() {
+  const window = {addEventListener() {}}
+  const document = {readyState: 'loading', addEventListener() {}}
+  const source = readFileSync(new URL("../../priv/static/static-reading.js", import.meta.url), "utf8")
+  new Function("window", "document", source)(window, document)
+  return window.blogReading
+}
+
+const {progressOf, record} = loadReading()
+
+describe('progressOf', () => {
+  test('goes from the article top at the viewport top to its bottom at the viewport bottom', () => {
+    assert.equal(progressOf(0, 3000, 1000), 0)
+    assert.equal(progressOf(-1000, 3000, 1000), 0.5)
+    assert.equal(progressOf(-2000, 3000, 1000), 1)
+  })
+
+  test('stays between 0 and 1', () => {
+    assert.equal(progressOf(300, 3000, 1000), 0)
+    assert.equal(progressOf(-2500, 3000, 1000), 1)
+  })
+
+  test('articles shorter than the viewport are read at once', () => {
+    assert.equal(progressOf(100, 500, 1000), 1)
+  })
+})
+
+describe('record', () => {
+  test('keeps where an article was left', () => {
+    assert.deepEqual(record({}, 'gc', 0.4, 10), {gc: {progress: 0.4, at: 10}})
+  })
+
+  test('forgets articles barely started or finished', () => {
+    const positions = {gc: {progress: 0.4, at: 10}}
+    assert.deepEqual(record(positions, 'gc', 0.01, 20), {})
+    assert.deepEqual(record(positions, 'gc', 0.97, 20), {})
+  })
+
+  test('keeps the articles read last', () => {
+    let positions = {}
+    for (let i = 0; i < 55; i++) positions = record(positions, `article-${i}`, 0.5, i)
+
+    assert.equal(Object.keys(positions).length, 50)
+    assert.ok(!('article-4' in positions))
+    assert.ok('article-54' in positions)
+  })
+})
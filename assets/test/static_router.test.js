@@ -0,0 +1,102 @@
+import {test, describe} from "node:test"
+import assert from "node:assert/strict"
+import {readFileSync} from "node:fs"
+
+// See static_filters.test.js; the fake history records what's pushed
+function loadRouter(href = "http://localhost/") {
+  const listeners = {}
+  const entries = []
+  const window = {
+    location: new URL(href),
+    history: {
+      state: null,
+      pushState(state, _title, url) { entries.push(url); this.state = state },
+      replaceState(state, _title, url) { entries[entries.length - 1] = url; this.state = state }
+    },
+    addEventListener(type, fn) { listeners[type] = fn }
+  }
+  const source = readFileSync(new URL("../../priv/static/static-router.js", import.meta.url), "utf8")
+  new Function("window", source)(window)
+  return {router: window.blogRouter, window, entries, popstate: listeners.popstate}
+}
+
+describe('parse', () => {
+  const {router} = loadRouter()
+
+  test('reads the listing and its query', () => {
+    assert.deepEqual(router.parse('/tags/ruby/page/2/?lang=pt&tag=Go,rust&tagmode=and&q=gc&page=3'), {
+      path: '/tags/ruby/page/2/',
+      lang: 'pt',
+      tags: ['go', 'rust'],
+      tagMode: 'and',
+      q: 'gc',
+      page: 3,
+      article: null
+    })
+  })
+
+  test('reads the article shown', () => {
+    const state = router.parse('/articles/hello-world.html')
+    assert.equal(state.article, 'hello-world')
+    assert.equal(state.path, '/')
+  })
+
+  test('treats index.html as its directory', () => {
+    assert.equal(router.parse('/index.html').path, '/')
+  })
+})
+
+describe('url', () => {
+  const {router} = loadRouter()
+
+  test('leaves defaults out', () => {
+    assert.equal(router.url(router.parse('/')), '/')
+    assert.equal(router.url({path: '/lang/en/', lang: 'all', tags: [], tagMode: 'or', page: 1}), '/lang/en/')
+  })
+
+  test('round-trips a state', () => {
+    const href = '/?lang=pt&tag=go%2Crust&tagmode=and&q=gc&page=2'
+    assert.equal(router.url(router.parse(href)), href)
+  })
+
+  test('keeps the tag mode for several tags only', () => {
+    assert.equal(router.url({path: '/', tags: ['go'], tagMode: 'and'}), '/?tag=go')
+  })
+
+  test('articles have their page', () => {
+    assert.equal(router.url({path: '/', article: 'hello-world'}), '/articles/hello-world.html')
+  })
+})
+
+describe('navigate and popstate', () => {
+  test('pushes or replaces the changed state', () => {
+    const {router, entries} = loadRouter('http://localhost/?q=gc')
+
+    router.navigate({tags: ['go'], page: 1})
+    router.navigate({q: 'gcs'}, {replace: true})
+
+    assert.deepEqual(entries, ['/?tag=go&q=gcs'])
+    assert.deepEqual(router.state().tags, ['go'])
+  })
+
+  test('notifies subscribers with the entry state', () => {
+    const {router, popstate} = loadRouter('http://localhost/?lang=pt')
+    const calls = []
+    router.subscribe((state, previous) => calls.push([state.lang, previous.lang]))
+
+    popstate({state: {blogRouter: {path: '/', lang: 'en'}}})
+
+    assert.deepEqual(calls, [['en', 'pt']])
+    assert.equal(router.state().lang, 'en')
+  })
+
+  test('unsubscribes', () => {
+    const {router, popstate} = loadRouter()
+    let calls = 0
+    const unsubscribe = router.subscribe(() => calls++)
+    unsubscribe()
+
+    popstate({state: null})
+    assert.equal(calls, 0)
+  })
+})
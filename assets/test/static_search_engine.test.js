@@ -0,0 +1,241 @@
+import {test, describe} from "node:test"
+import assert from "node:assert/strict"
+import {readFileSync} from "node:fs"
+
+// priv/static scripts are plain browser scripts: run them against a fake window
+function loadEngine() {
+  const window = {}
+  const source = readFileSync(new URL("../../priv/static/static-search-engine.js", import.meta.url), "utf8")
+  new Function("window", source)(window)
+  return window.blogSearchEngine
+}
+
+const engine = loadEngine()
+const stemCases = JSON.parse(readFileSync(new URL("../../test/support/fixtures/search_stems.json", import.meta.url), "utf8"))
+
+// Same shape as Curupira.Search.Index.build/1 output
+function buildIndex(docs) {
+  const terms = {}
+  const spellings = {}
+  const words = text => (text || '').normalize('NFC').toLowerCase().match(/[\p{L}\p{M}\p{N}]+/gu) || []
+  const lengths = docs.map((doc, i) => {
+    const tokens = [
+      ...Array(3).fill(words(doc.title)).flat(),
+      ...Array(2).fill((doc.tags || []).flatMap(words)).flat(),
+      ...words(doc.body)
+    ].filter(word => engine.tokenize(word).length > 0)
+    const counts = {}
+    tokens.forEach(word => {
+      const term = engine.stem(engine.tokenize(word)[0], doc.language)
+      counts[term] = (counts[term] || 0) + 1
+      const seen = (spellings[term] ||= {})
+      seen[word] = (seen[word] || 0) + 1
+    })
+    Object.entries(counts).forEach(([term, count]) => { (terms[term] ||= []).push(i, count) })
+    return tokens.length
+  })
+
+  const common = Object.fromEntries(Object.entries(spellings).map(([term, seen]) => [
+    term,
+    Object.entries(seen).sort(([a, x], [b, y]) => y - x || (a < b ? -1 : 1))[0][0]
+  ]))
+
+  return {
+    index: {
+      docs: docs.map(({slug, title, language, tags, published_at}) => ({slug, title, language, tags: tags || [], published_at})),
+      lengths,
+      avg_length: lengths.reduce((a, b) => a + b, 0) / lengths.length,
+      terms,
+      words: common
+    },
+    texts: docs.map(doc => doc.body)
+  }
+}
+
+const {index, texts} = buildIndex([
+  {slug: 'k8s', title: 'Kubernetes in practice', language: 'en', tags: ['kubernetes'], published_at: '2024-03-10T09:00:00Z', body: "Kubernetes's scheduler places pods. A rolling update replaces pods one by one."},
+  {slug: 'docker', title: 'Docker basics', language: 'en', tags: ['docker'], published_at: '2023-06-20T09:00:00Z', body: 'Containers are processes. Updating one is not rolling anything out.'},
+  {slug: 'pt', title: 'Servidores web', language: 'pt-BR', tags: ['kubernetes', 'web'], published_at: '2023-11-02T09:00:00Z', body: 'Configurando servidores com Kubernetes e containers.'},
+  {slug: 'funcoes', title: 'Funções puras', language: 'pt-BR', tags: ['elixir'], published_at: '2022-01-15T09:00:00Z', body: 'Cada função devolve sempre o mesmo valor.'}
+])
+
+const slugs = (query) => engine.search(index, texts, query).map(result => result.item.slug)
+
+describe('stem', () => {
+  test('matches the shared cases (Curupira.Search.Stemmer)', () => {
+    stemCases.forEach(({word, language, stem}) => {
+      assert.equal(engine.stem(word, language), stem, `${word} (${language})`)
+    })
+  })
+})
+
+describe('parseQuery', () => {
+  test('splits words, prefixes and phrases', () => {
+    const {words, phrases} = engine.parseQuery('deploy* "Rolling Update" kube')
+    assert.deepEqual(words, [{text: 'deploy', prefix: true}, {text: 'kube', prefix: true}])
+    assert.deepEqual(phrases, [['rolling', 'update']])
+  })
+
+  test('the last word is only a prefix while it is being typed', () => {
+    assert.equal(engine.parseQuery('kube ').words[0].prefix, false)
+    assert.equal(engine.parseQuery('kube tag:docker').words[0].prefix, false)
+    assert.equal(engine.parseQuery('kube -docker').words[0].prefix, false)
+  })
+
+  test('splits out exclusions and field filters', () => {
+    const {words, exclude, filters} = engine.parseQuery('deploy -docker -"rolling update" TAG:Rust -lang:en after:2023-06 ')
+    assert.deepEqual(words, [{text: 'deploy', prefix: false}])
+    assert.deepEqual(exclude, {words: ['docker'], phrases: [['rolling', 'update']]})
+    assert.deepEqual(filters, [
+      {field: 'tag', value: 'rust', negate: false},
+      {field: 'lang', value: 'en', negate: true},
+      {field: 'after', value: '2023-06', negate: false}
+    ])
+  })
+
+  test('treats malformed or negated dates as words', () => {
+    const {words, filters} = engine.parseQuery('before:soon -after:2020 ')
+    assert.deepEqual(filters, [])
+    assert.deepEqual(words.map(word => word.text), ['before', 'soon'])
+  })
+})
+
+describe('search', () => {
+  test('finds words that only appear in the body', () => {
+    assert.deepEqual(slugs('scheduler '), ['k8s'])
+  })
+
+  test('matches other word forms', () => {
+    assert.deepEqual(slugs("kubernetes's "), ['k8s', 'pt'])
+    assert.deepEqual(slugs('servidor '), ['pt'])
+  })
+
+  test('ranks articles matching more of the words first', () => {
+    assert.equal(slugs('docker pods ').length, 2)
+    assert.deepEqual(slugs('kubernetes containers ')[0], 'pt')
+  })
+
+  test('matches prefixes', () => {
+    assert.deepEqual(slugs('schedul'), ['k8s'])
+  })
+
+  test('phrases must appear in order', () => {
+    assert.deepEqual(slugs('"rolling update"'), ['k8s'])
+    assert.deepEqual(slugs('"update rolling"'), [])
+  })
+
+  test('ignores accents', () => {
+    assert.deepEqual(slugs('funcao '), ['funcoes'])
+    assert.deepEqual(slugs('FUNÇÕES '), ['funcoes'])
+  })
+
+  test('matches misspelled words', () => {
+    assert.deepEqual(slugs('kubernetis '), ['k8s', 'pt'])
+    assert.deepEqual(slugs('schedular '), ['k8s'])
+  })
+
+  test('leaves short words alone', () => {
+    assert.deepEqual(slugs('pad '), [])
+  })
+
+  test('filters by tag and language', () => {
+    assert.deepEqual(slugs('kubernetes tag:web'), ['pt'])
+    assert.deepEqual(slugs('kubernetes -tag:web'), ['k8s'])
+    assert.deepEqual(slugs('kubernetes lang:pt'), ['pt'])
+    assert.deepEqual(slugs('kubernetes lang:en'), ['k8s'])
+  })
+
+  test('filters by publication date', () => {
+    assert.deepEqual(slugs('kubernetes before:2024'), ['pt'])
+    assert.deepEqual(slugs('kubernetes after:2023'), ['k8s'])
+    assert.deepEqual(slugs('containers after:2023-06'), ['pt'])
+    assert.deepEqual(slugs('containers after:2023-05'), ['pt', 'docker'])
+  })
+
+  test('drops articles with excluded words and phrases', () => {
+    assert.deepEqual(slugs('kubernetes -servidores'), ['k8s'])
+    assert.deepEqual(slugs('pods -"rolling update"'), [])
+    assert.deepEqual(slugs('rolling -scheduler '), ['docker'])
+  })
+
+  test('lists every article passing a query made only of filters', () => {
+    assert.deepEqual(slugs('tag:kubernetes'), ['k8s', 'pt'])
+    assert.deepEqual(slugs('-tag:kubernetes'), ['docker', 'funcoes'])
+    assert.deepEqual(slugs(''), [])
+  })
+
+  test('applies the filter', () => {
+    const results = engine.search(index, texts, 'kubernetes ', {filter: item => item.language === 'pt-BR'})
+    assert.deepEqual(results.map(result => result.item.slug), ['pt'])
+  })
+})
+
+describe('facets', () => {
+  test('counts results by tag and by language, most common first', () => {
+    const results = engine.search(index, texts, 'kubernetes containers ')
+    assert.deepEqual(engine.facets(results), {
+      tags: [{value: 'kubernetes', count: 2}, {value: 'docker', count: 1}, {value: 'web', count: 1}],
+      languages: [{value: 'en', count: 2}, {value: 'pt', count: 1}]
+    })
+  })
+
+  test('is empty without results', () => {
+    assert.deepEqual(engine.facets([]), {tags: [], languages: []})
+  })
+})
+
+describe('suggest', () => {
+  test('replaces unknown words with the closest indexed spelling', () => {
+    assert.equal(engine.suggest(index, 'kubernetis rolling'), 'kubernetes rolling')
+    assert.equal(engine.suggest(index, 'fumções'), 'funções')
+  })
+
+  test('is null when every word is known or half-typed', () => {
+    assert.equal(engine.suggest(index, 'rolling update'), null)
+    assert.equal(engine.suggest(index, 'kuber'), null)
+  })
+
+  test('is null when nothing is close', () => {
+    assert.equal(engine.suggest(index, 'zzzzzz'), null)
+  })
+
+  test('leaves filters alone', () => {
+    assert.equal(engine.suggest(index, 'kubernetis tag:kubernetis'), 'kubernetes tag:kubernetis')
+  })
+})
+
+describe('excerpt', () => {
+  test('highlights matches in the body', () => {
+    assert.equal(
+      engine.excerpt(texts[0], '"rolling update"', 'en'),
+      "Kubernetes's scheduler places pods. A <mark>rolling</mark> <mark>update</mark> replaces pods one by one."
+    )
+  })
+
+  test('starts shortly before the densest run of matches', () => {
+    const text = 'Intro words here. ' + 'filler '.repeat(40) + 'The elixir release uses elixir.'
+    assert.equal(
+      engine.excerpt(text, 'elixir ', 'en'),
+      '…filler filler filler filler The <mark>elixir</mark> release uses <mark>elixir</mark>.'
+    )
+  })
+
+  test('escapes HTML', () => {
+    assert.equal(engine.excerpt('Use <b> tags', 'tags ', 'en'), 'Use &lt;b&gt; <mark>tags</mark>')
+  })
+
+  test('is null when nothing matches', () => {
+    assert.equal(engine.excerpt('Nothing here', 'elixir ', 'en'), null)
+  })
+})
+
+describe('highlight', () => {
+  test('marks matching words in a title', () => {
+    assert.equal(engine.highlight('Docker basics', 'dock', 'en'), '<mark>Docker</mark> basics')
+  })
+
+  test('marks accented and misspelled matches given the index', () => {
+    assert.equal(engine.highlight('Funções puras', 'funcoes ', 'pt-BR'), '<mark>Funções</mark> puras')
+    assert.equal(engine.highlight('Kubernetes in practice', 'kubernetis ', 'en', index), '<mark>Kubernetes</mark> in practice')
+  })
+})
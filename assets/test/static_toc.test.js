@@ -0,0 +1,29 @@
+import {test, describe} from "node:test"
+import assert from "node:assert/strict"
+import {readFileSync} from "node:fs"
+
+// See static_filters.test.js
+function loadToc() {
+  const window = {addEventListener() {}}
+  const document = {readyState: 'loading', addEventListener() {}}
+  const source = readFileSync(new URL("../../priv/static/static-toc.js", import.meta.url), "utf8")
+  new Function("window", "document", source)(window, document)
+  return window.blogToc
+}
+
+const {activeSection} = loadToc()
+
+describe('activeSection', () => {
+  test('is the last heading scrolled past the offset', () => {
+    assert.equal(activeSection([-800, -200, 100, 900], 120), 2)
+    assert.equal(activeSection([-800, -200, 300, 900], 120), 1)
+  })
+
+  test('is none above the first heading', () => {
+    assert.equal(activeSection([400, 900], 120), -1)
+  })
+
+  test('is the last one past the last heading', () => {
+    assert.equal(activeSection([-900, -500], 120), 1)
+  })
+})
@@ -0,0 +1,169 @@
+import {test, describe} from "node:test"
+import assert from "node:assert/strict"
+import {toggleWrap, insertLink, insertText, toggleLinePrefix, findFences, toggleFence, replaceText} from "../js/text_ops.js"
+
+// Builds a state from text with the selection marked by [ and ] (or a single |)
+function state(marked) {
+  if (marked.includes('|')) {
+    const caret = marked.indexOf('|')
+    return {value: marked.replace('|', ''), selectionStart: caret, selectionEnd: caret}
+  }
+  const start = marked.indexOf('[')
+  const end = marked.indexOf(']') - 1
+  return {value: marked.replace('[', '').replace(']', ''), selectionStart: start, selectionEnd: end}
+}
+
+function selected({value, selectionStart, selectionEnd}) {
+  return value.substring(selectionStart, selectionEnd)
+}
+
+describe('toggleWrap', () => {
+  test('wraps the selection and moves the caret after it', () => {
+    const result = toggleWrap(state('a [word] b'), '**')
+    assert.equal(result.value, 'a **word** b')
+    assert.equal(result.selectionStart, 10)
+    assert.equal(result.selectionEnd, 10)
+  })
+
+  test('places the caret between markers when nothing is selected', () => {
+    const result = toggleWrap(state('a | b'), '*')
+    assert.equal(result.value, 'a ** b')
+    assert.equal(result.selectionStart, 3)
+  })
+
+  test('unwraps when the selection is surrounded by the markers', () => {
+    const result = toggleWrap({value: 'a **word** b', selectionStart: 4, selectionEnd: 8}, '**')
+    assert.equal(result.value, 'a word b')
+    assert.equal(selected(result), 'word')
+  })
+
+  test('unwraps when the markers are part of the selection', () => {
+    const result = toggleWrap(state('a [~~word~~] b'), '~~')
+    assert.equal(result.value, 'a word b')
+    assert.equal(selected(result), 'word')
+  })
+})
+
+describe('insertLink and insertText', () => {
+  test('insertLink uses the selection as text and selects the url', () => {
+    const result = insertLink(state('see [docs] here'))
+    assert.equal(result.value, 'see [docs](url) here')
+    assert.equal(selected(result), 'url')
+  })
+
+  test('insertLink falls back to placeholder text', () => {
+    assert.equal(insertLink(state('|')).value, '[link text](url)')
+  })
+
+  test('insertText replaces the selection', () => {
+    const result = insertText(state('a [b] c'), '![x](y)')
+    assert.equal(result.value, 'a ![x](y) c')
+    assert.equal(result.selectionStart, 9)
+  })
+})
+
+describe('toggleLinePrefix', () => {
+  test('prefixes every selected line', () => {
+    const result = toggleLinePrefix(state('[one\ntwo]\nthree'), '> ')
+    assert.equal(result.value, '> one\n> two\nthree')
+    assert.equal(selected(result), 'one\n> two')
+  })
+
+  test('removes the prefix when every line has it', () => {
+    const result = toggleLinePrefix(state('> o[ne\n> tw]o'), '> ')
+    assert.equal(result.value, 'one\ntwo')
+    assert.equal(selected(result), 'ne\ntw')
+  })
+
+  test('ignores a line only touched by a trailing newline', () => {
+    const result = toggleLinePrefix(state('[one\n]two'), '- ')
+    assert.equal(result.value, '- one\ntwo')
+  })
+})
+
+describe('findFences', () => {
+  test('closes only on the same character with at least the same length', () => {
+    const lines = ['````md', '```js', 'code', '```', '````', '~~~', 'x']
+    assert.deepEqual(findFences(lines), [
+      {open: 0, close: 4, char: '`', length: 4},
+      {open: 5, close: null, char: '~', length: 3}
+    ])
+  })
+
+  test('a fence with an info string does not close a block', () => {
+    const lines = ['```', 'a', '```js', 'b', '```']
+    assert.deepEqual(findFences(lines), [{open: 0, close: 4, char: '`', length: 3}])
+  })
+})
+
+describe('toggleFence', () => {
+  test('wraps the current line and selects it', () => {
+    const result = toggleFence(state('intro\nco|de\noutro'))
+    assert.equal(result.value, 'intro\n```\ncode\n```\noutro')
+    assert.equal(selected(result), 'code')
+  })
+
+  test('unwraps a block containing the caret', () => {
+    const result = toggleFence(state('intro\n```js\nco|de\n```\noutro'))
+    assert.equal(result.value, 'intro\ncode\noutro')
+    assert.equal(result.selectionStart, 8)
+  })
+
+  test('unwraps a fence at the start of the file', () => {
+    const result = toggleFence(state('```\n[a\nb]\n```'))
+    assert.equal(result.value, 'a\nb')
+    assert.equal(selected(result), 'a\nb')
+  })
+
+  test('wraps the first line of the file', () => {
+    const result = toggleFence(state('|first\nsecond'))
+    assert.equal(result.value, '```\nfirst\n```\nsecond')
+  })
+
+  test('unwraps an unclosed fence', () => {
+    const result = toggleFence(state('text\n```\nco|de'))
+    assert.equal(result.value, 'text\ncode')
+  })
+
+  test('unwraps when the fence lines themselves are selected', () => {
+    const result = toggleFence(state('[```\ncode\n```]\nafter'))
+    assert.equal(result.value, 'code\nafter')
+  })
+
+  test('uses a longer fence around nested fences', () => {
+    const result = toggleFence(state('[text\n```js\ncode\n```]'))
+    assert.equal(result.value, '````\ntext\n```js\ncode\n```\n````')
+    assert.deepEqual(findFences(result.value.split('\n')).map(b => [b.open, b.close]), [[0, 5]])
+  })
+
+  test('grows a selection spanning a fence over the whole block', () => {
+    const result = toggleFence(state('be[fore\n```\nco]de\n```\nafter'))
+    assert.equal(result.value, '````\nbefore\n```\ncode\n```\n````\nafter')
+    assert.equal(selected(result), 'before\n```\ncode\n```')
+  })
+
+  test('toggling twice restores the text', () => {
+    const original = state('a\n[b\n```\nc\n```]\nd')
+    const wrapped = toggleFence(original)
+    assert.equal(toggleFence(wrapped).value, original.value)
+  })
+})
+
+describe('replaceText', () => {
+  test('replaces in place and keeps the caret after it in step', () => {
+    const value = 'a ![Uploading image-1…]() b'
+    const caret = value.length
+    const result = replaceText({value, selectionStart: caret, selectionEnd: caret}, '![Uploading image-1…]()', '![cat](/uploads/1.png)')
+    assert.equal(result.value, 'a ![cat](/uploads/1.png) b')
+    assert.equal(result.selectionStart, result.value.length)
+  })
+
+  test('leaves a caret before the placeholder alone', () => {
+    const result = replaceText({value: 'xx PH', selectionStart: 1, selectionEnd: 1}, 'PH', 'longer')
+    assert.equal(result.selectionStart, 1)
+  })
+
+  test('returns null once the placeholder is gone', () => {
+    assert.equal(replaceText({value: 'text', selectionStart: 0, selectionEnd: 0}, 'PH', ''), null)
+  })
+})
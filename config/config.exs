@@ -11,6 +11,14 @@ config :curupira,
   ecto_repos: [Curupira.Repo],
   generators: [timestamp_type: :utc_datetime]
 
+# Editor image uploads are resized in the browser to at most this width
+config :curupira, :image_uploads, max_width: 1600
+
+# How article lists page: :pages (previous/next links), :load_more (a
+# button appending the next page) or :infinite_scroll (appending it as the
+# reader gets there). Used by the admin list and `mix build_static`.
+config :curupira, :pagination, mode: :pages
+
 # Configures the endpoint
 config :curupira, CurupiraWeb.Endpoint,
   url: [host: "localhost"],
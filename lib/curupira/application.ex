@@ -12,6 +12,7 @@ defmodule Curupira.Application do
       Curupira.Repo,
       {DNSCluster, query: Application.get_env(:curupira, :dns_cluster_query) || :ignore},
       {Phoenix.PubSub, name: Curupira.PubSub},
+      Curupira.Search.Cache,
       # Start a worker by calling: Curupira.Worker.start_link(arg)
       # {Curupira.Worker, arg},
       # Start to serve requests, typically the last entry
@@ -8,6 +8,11 @@ defmodule Curupira.Blog do
 
   alias Curupira.Blog.Article
   alias Curupira.Blog.Profile
+  alias Curupira.Blog.ReadingTime
+  alias Curupira.Blog.Tag
+  alias Curupira.Blog.TagCategory
+  alias Curupira.Blog.Taxonomy
+  alias Curupira.Search
 
   @doc """
   Returns the list of articles.
@@ -50,15 +55,18 @@ defmodule Curupira.Blog do
 
     * `:page` - Page number (default: 1)
     * `:per_page` - Items per page (default: 10)
-    * `:search` - Search term to filter by title (optional)
+    * `:search` - Full-text search query (optional). Matching articles are
+      ranked by relevance, the same way the static site's search ranks them
+      (see `Curupira.Search`), and `:suggestion` holds a "did you mean"
+      correction for misspelled queries (or `nil`)
 
   ## Examples
 
       iex> list_articles_paginated(page: 1, per_page: 10)
-      %{articles: [%Article{}, ...], total_count: 100, page: 1, per_page: 10, total_pages: 10}
+      %{articles: [%Article{}, ...], total_count: 100, page: 1, per_page: 10, total_pages: 10, suggestion: nil}
 
-      iex> list_articles_paginated(page: 1, per_page: 10, search: "elixir")
-      %{articles: [%Article{}, ...], total_count: 5, page: 1, per_page: 10, total_pages: 1}
+      iex> list_articles_paginated(page: 1, per_page: 10, search: "elixr")
+      %{articles: [%Article{}, ...], total_count: 5, page: 1, per_page: 10, total_pages: 1, suggestion: "elixir"}
 
   """
   def list_articles_paginated(opts \\ []) do
@@ -69,10 +77,10 @@ defmodule Curupira.Blog do
     offset = (page - 1) * per_page
 
     base_query = from a in Article
+    {search_query, suggestion} = maybe_filter_by_search(base_query, search)
 
     query =
-      base_query
-      |> maybe_filter_by_search(search)
+      search_query
       |> order_by([a], [
         desc: a.pinned,
         asc: fragment("CASE WHEN ? = 'published' THEN 1 ELSE 0 END", a.status),
@@ -82,10 +90,8 @@ defmodule Curupira.Blog do
       |> limit(^per_page)
       |> offset(^offset)
 
-    count_query = maybe_filter_by_search(base_query, search)
-
     articles = Repo.all(query)
-    total_count = Repo.aggregate(count_query, :count)
+    total_count = Repo.aggregate(exclude(search_query, :order_by), :count)
     total_pages = ceil(total_count / per_page)
 
     %{
@@ -93,15 +99,62 @@ defmodule Curupira.Blog do
       total_count: total_count,
       page: page,
       per_page: per_page,
-      total_pages: total_pages
+      total_pages: total_pages,
+      suggestion: suggestion
     }
   end
 
-  defp maybe_filter_by_search(query, nil), do: query
-  defp maybe_filter_by_search(query, ""), do: query
+  # Ranks every article in memory with the static site's search and keeps
+  # the matches, best first (the default ordering only breaks ties). The
+  # index is built once and kept until articles or tags change (see
+  # `Curupira.Search.Cache`).
+  defp maybe_filter_by_search(query, nil), do: {query, nil}
+  defp maybe_filter_by_search(query, ""), do: {query, nil}
   defp maybe_filter_by_search(query, search) do
-    search_pattern = "%#{search}%"
-    from a in query, where: ilike(a.title, ^search_pattern)
+    {index, texts} = Search.Cache.fetch(fn -> build_search_index(query) end)
+    docs = List.to_tuple(index.docs)
+
+    ids =
+      index
+      |> Search.search(texts, search)
+      |> Enum.map(fn {doc, _score} -> elem(docs, doc).id end)
+
+    query =
+      from a in query,
+        where: a.id in ^ids,
+        order_by: fragment("array_position(?::bigint[], ?)", ^ids, a.id)
+
+    {query, Search.suggest(index, search)}
+  end
+
+  # Tags are normalized as on the static site, so tag:kubernetes finds "k8s"
+  defp build_search_index(query) do
+    taxonomy = get_taxonomy()
+
+    documents =
+      query
+      |> Repo.all()
+      |> Enum.map(&Search.article_document(&1, tags: Taxonomy.normalize_tags(taxonomy, &1.tags)))
+
+    {Search.Index.build(documents), Enum.map(documents, & &1.body)}
+  end
+
+  # Writes to what the admin's search indexes drop its cached index
+  defp invalidate_search({:ok, _} = result) do
+    Search.Cache.invalidate()
+    result
+  end
+
+  defp invalidate_search(result), do: result
+
+  @doc """
+  How article lists page, from `config :curupira, :pagination, mode: ...`:
+  `:pages`, `:load_more` or `:infinite_scroll`.
+  """
+  def pagination_mode do
+    :curupira
+    |> Application.get_env(:pagination, [])
+    |> Keyword.get(:mode, :pages)
   end
 
   @doc """
@@ -120,6 +173,22 @@ defmodule Curupira.Blog do
   """
   def get_article!(id), do: Repo.get!(Article, id)
 
+  @doc """
+  Gets a single article.
+
+  Returns `nil` if the Article does not exist.
+
+  ## Examples
+
+      iex> get_article(123)
+      %Article{}
+
+      iex> get_article(456)
+      nil
+
+  """
+  def get_article(id), do: Repo.get(Article, id)
+
   @doc """
   Gets a single article by dev.to ID.
 
@@ -153,12 +222,19 @@ defmodule Curupira.Blog do
   def create_article(attrs) do
     %Article{}
     |> Article.changeset(attrs)
+    |> put_reading_time(attrs)
     |> Repo.insert()
+    |> invalidate_search()
   end
 
   @doc """
   Updates a article.
 
+  Every update bumps `lock_version`, so an editor holding an older copy
+  gets a conflict instead of overwriting it (see
+  `update_article_from_version/3`). An article changed since it was loaded
+  isn't updated: the changeset has an error on `:lock_version`.
+
   ## Examples
 
       iex> update_article(article, %{field: new_value})
@@ -171,7 +247,54 @@ defmodule Curupira.Blog do
   def update_article(%Article{} = article, attrs) do
     article
     |> Article.changeset(attrs)
-    |> Repo.update()
+    |> put_reading_time(attrs)
+    |> Ecto.Changeset.optimistic_lock(:lock_version)
+    |> Repo.update(stale_error_field: :lock_version)
+    |> invalidate_search()
+  end
+
+  @doc """
+  Updates an article only if it is still at `base_version`.
+
+  Editors send the `lock_version` their copy was based on. If the article was
+  saved elsewhere in the meantime (pinned and published too), or deleted, the
+  update is rejected instead of silently overwriting those changes.
+
+  ## Examples
+
+      iex> update_article_from_version(article, %{field: new_value}, 3)
+      {:ok, %Article{lock_version: 4}}
+
+      iex> update_article_from_version(article, %{field: new_value}, 2)
+      {:error, :stale}
+
+      iex> update_article_from_version(article, %{field: bad_value}, 3)
+      {:error, %Ecto.Changeset{}}
+
+  """
+  def update_article_from_version(%Article{} = article, attrs, base_version) do
+    case update_article(%{article | lock_version: base_version}, attrs) do
+      {:error, %Ecto.Changeset{errors: errors} = changeset} ->
+        if Keyword.has_key?(errors, :lock_version), do: {:error, :stale}, else: {:error, changeset}
+
+      ok ->
+        ok
+    end
+  end
+
+  # Reading time follows the content and its language, unless it's given
+  # (the dev.to importer brings dev.to's)
+  defp put_reading_time(changeset, attrs) do
+    given? = not is_nil(attrs[:reading_time_minutes] || attrs["reading_time_minutes"])
+    changed? = Ecto.Changeset.changed?(changeset, :content) or Ecto.Changeset.changed?(changeset, :language)
+    content = Ecto.Changeset.get_field(changeset, :content)
+
+    if given? or not changed? or is_nil(content) do
+      changeset
+    else
+      language = Ecto.Changeset.get_field(changeset, :language)
+      Ecto.Changeset.put_change(changeset, :reading_time_minutes, ReadingTime.minutes(content, language))
+    end
   end
 
   @doc """
@@ -187,7 +310,9 @@ defmodule Curupira.Blog do
 
   """
   def delete_article(%Article{} = article) do
-    Repo.delete(article)
+    article
+    |> Repo.delete()
+    |> invalidate_search()
   end
 
   @doc """
@@ -214,14 +339,15 @@ defmodule Curupira.Blog do
   """
   def pin_article(%Article{} = article) do
     Repo.transaction(fn ->
-      # Unpin all articles first
-      from(a in Article, where: a.pinned == true)
-      |> Repo.update_all(set: [pinned: false])
+      # Unpin all other articles first, as new versions of them
+      from(a in Article, where: a.pinned == true and a.id != ^article.id)
+      |> Repo.update_all(set: [pinned: false], inc: [lock_version: 1])
 
       # Pin the selected article
-      article
-      |> Article.changeset(%{pinned: true})
-      |> Repo.update!()
+      case update_article(article, %{pinned: true}) do
+        {:ok, article} -> article
+        {:error, changeset} -> Repo.rollback(changeset)
+      end
     end)
   end
 
@@ -235,9 +361,7 @@ defmodule Curupira.Blog do
 
   """
   def unpin_article(%Article{} = article) do
-    article
-    |> Article.changeset(%{pinned: false})
-    |> Repo.update()
+    update_article(article, %{pinned: false})
   end
 
   @doc """
@@ -327,4 +451,190 @@ defmodule Curupira.Blog do
   def change_profile(%Profile{} = profile, attrs \\ %{}) do
     Profile.changeset(profile, attrs)
   end
+
+  # Tag taxonomy functions
+
+  @doc """
+  Returns the tag taxonomy: categories, aliases and hidden tags.
+
+  ## Examples
+
+      iex> get_taxonomy()
+      %Taxonomy{}
+
+  """
+  def get_taxonomy do
+    Taxonomy.new(list_tag_categories(), list_tags())
+  end
+
+  @doc """
+  Counts how many articles use each tag, normalized by the taxonomy.
+
+  ## Examples
+
+      iex> count_tags(taxonomy)
+      %{"kubernetes" => 3, "ruby" => 5}
+
+  """
+  def count_tags(%Taxonomy{} = taxonomy) do
+    Taxonomy.count(taxonomy, list_articles())
+  end
+
+  @doc """
+  Returns the list of tag categories, in display order.
+
+  ## Examples
+
+      iex> list_tag_categories()
+      [%TagCategory{}, ...]
+
+  """
+  def list_tag_categories do
+    from(c in TagCategory, order_by: [c.position, c.name])
+    |> Repo.all()
+  end
+
+  @doc """
+  Gets a single tag category.
+
+  Raises `Ecto.NoResultsError` if the TagCategory does not exist.
+  """
+  def get_tag_category!(id), do: Repo.get!(TagCategory, id)
+
+  # Tag categories only group tags into filters: unlike tags and their
+  # aliases, they aren't part of the admin's search index, so writing them
+  # leaves it as it is (see `invalidate_search/1`)
+
+  @doc """
+  Creates a tag category.
+
+  ## Examples
+
+      iex> create_tag_category(%{name: "Languages", icon: "💻"})
+      {:ok, %TagCategory{}}
+
+      iex> create_tag_category(%{name: nil})
+      {:error, %Ecto.Changeset{}}
+
+  """
+  def create_tag_category(attrs) do
+    %TagCategory{}
+    |> TagCategory.changeset(attrs)
+    |> Repo.insert()
+  end
+
+  @doc """
+  Updates a tag category.
+  """
+  def update_tag_category(%TagCategory{} = category, attrs) do
+    category
+    |> TagCategory.changeset(attrs)
+    |> Repo.update()
+  end
+
+  @doc """
+  Deletes a tag category. Its tags are kept, uncategorised.
+  """
+  def delete_tag_category(%TagCategory{} = category) do
+    Repo.delete(category)
+  end
+
+  @doc """
+  Returns an `%Ecto.Changeset{}` for tracking tag category changes.
+  """
+  def change_tag_category(%TagCategory{} = category, attrs \\ %{}) do
+    TagCategory.changeset(category, attrs)
+  end
+
+  @doc """
+  Returns the list of tags, in display order.
+
+  ## Examples
+
+      iex> list_tags()
+      [%Tag{}, ...]
+
+  """
+  def list_tags do
+    from(t in Tag, order_by: [t.position, t.name])
+    |> Repo.all()
+  end
+
+  @doc """
+  Gets a single tag.
+
+  Raises `Ecto.NoResultsError` if the Tag does not exist.
+  """
+  def get_tag!(id), do: Repo.get!(Tag, id)
+
+  @doc """
+  Creates a tag.
+
+  ## Examples
+
+      iex> create_tag(%{name: "kubernetes", aliases: "k8s, kube"})
+      {:ok, %Tag{}}
+
+      iex> create_tag(%{name: "k8s"})
+      {:error, %Ecto.Changeset{}}
+
+  """
+  def create_tag(attrs) do
+    %Tag{}
+    |> Tag.changeset(attrs)
+    |> validate_tag_spellings()
+    |> Repo.insert()
+    |> invalidate_search()
+  end
+
+  @doc """
+  Updates a tag.
+  """
+  def update_tag(%Tag{} = tag, attrs) do
+    tag
+    |> Tag.changeset(attrs)
+    |> validate_tag_spellings()
+    |> Repo.update()
+    |> invalidate_search()
+  end
+
+  @doc """
+  Deletes a tag. Articles keep using it, uncategorised.
+  """
+  def delete_tag(%Tag{} = tag) do
+    tag
+    |> Repo.delete()
+    |> invalidate_search()
+  end
+
+  @doc """
+  Returns an `%Ecto.Changeset{}` for tracking tag changes.
+  """
+  def change_tag(%Tag{} = tag, attrs \\ %{}) do
+    Tag.changeset(tag, attrs)
+  end
+
+  # Each spelling resolves to one tag: a name can't be another tag's alias,
+  # nor an alias another tag's name or alias
+  defp validate_tag_spellings(changeset) do
+    others =
+      case Ecto.Changeset.get_field(changeset, :id) do
+        nil -> list_tags()
+        id -> Enum.reject(list_tags(), &(&1.id == id))
+      end
+
+    aliases = others |> Enum.flat_map(& &1.aliases) |> MapSet.new()
+    spellings = others |> Enum.map(& &1.name) |> MapSet.new() |> MapSet.union(aliases)
+
+    changeset
+    |> Ecto.Changeset.validate_change(:name, fn :name, name ->
+      if MapSet.member?(aliases, name), do: [name: "is an alias of another tag"], else: []
+    end)
+    |> Ecto.Changeset.validate_change(:aliases, fn :aliases, tag_aliases ->
+      case Enum.filter(tag_aliases, &MapSet.member?(spellings, &1)) do
+        [] -> []
+        taken -> [aliases: "already used by another tag: #{Enum.join(taken, ", ")}"]
+      end
+    end)
+  end
 end
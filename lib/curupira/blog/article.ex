@@ -20,6 +20,7 @@ defmodule Curupira.Blog.Article do
     field :tags, {:array, :string}
     field :language, :string, default: "en"
     field :pinned, :boolean, default: false
+    field :lock_version, :integer, default: 1
 
     timestamps(type: :utc_datetime)
   end
@@ -0,0 +1,66 @@
+defmodule Curupira.Blog.ReadingTime do
+  @moduledoc """
+  Estimated reading time of an article, in whole minutes.
+
+  Words of the rendered text (see `Curupira.Search.plain_text/1`) at the
+  reading speed of the article's language: Portuguese words are longer, so
+  they're read slower than English ones. Regional variants read as their
+  language ("pt-BR" as "pt").
+
+  `Curupira.Blog` keeps `Article.reading_time_minutes` up to date as
+  articles are written, and `mix build_static` fills it in for articles
+  saved before.
+  """
+
+  alias Curupira.Search
+
+  @words_per_minute %{"en" => 230, "pt" => 200}
+  @default_words_per_minute 220
+
+  @doc """
+  Minutes it takes to read a markdown body, at least one.
+
+  ## Examples
+
+      iex> minutes(String.duplicate("word ", 460), "en")
+      2
+
+      iex> minutes(String.duplicate("palavra ", 460), "pt-BR")
+      3
+
+      iex> minutes("", "en")
+      1
+
+  """
+  def minutes(content, language) do
+    words = content |> Search.plain_text() |> String.split() |> length()
+    rate = words_per_minute(language)
+
+    max(1, div(words + rate - 1, rate))
+  end
+
+  @doc """
+  The article's reading time, estimated if it has none yet.
+  """
+  def for_article(%{reading_time_minutes: minutes}) when is_integer(minutes), do: minutes
+  def for_article(article), do: minutes(article.content, article.language)
+
+  @doc """
+  Words read per minute in a language.
+
+  ## Examples
+
+      iex> words_per_minute("pt-BR")
+      200
+
+      iex> words_per_minute(nil)
+      220
+
+  """
+  def words_per_minute(nil), do: @default_words_per_minute
+
+  def words_per_minute(language) do
+    base = language |> String.downcase() |> String.split("-") |> hd()
+    Map.get(@words_per_minute, base, @default_words_per_minute)
+  end
+end
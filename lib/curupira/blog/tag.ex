@@ -0,0 +1,52 @@
+defmodule Curupira.Blog.Tag do
+  use Ecto.Schema
+  import Ecto.Changeset
+
+  alias Curupira.Blog.Taxonomy
+
+  schema "tags" do
+    field :name, :string
+    field :aliases, {:array, :string}, default: []
+    field :hidden, :boolean, default: false
+    field :position, :integer, default: 0
+
+    belongs_to :category, Curupira.Blog.TagCategory
+
+    timestamps(type: :utc_datetime)
+  end
+
+  @doc """
+  Names and aliases are stored normalized (trimmed, lowercase), the way
+  article tags are matched against them. Aliases may be given as a
+  comma-separated string.
+  """
+  def changeset(tag, attrs) do
+    tag
+    |> cast(split_aliases(attrs), [:name, :aliases, :hidden, :position, :category_id])
+    |> update_change(:name, &(&1 && Taxonomy.clean(&1)))
+    |> validate_required([:name])
+    |> clean_aliases()
+    |> unique_constraint(:name)
+    |> foreign_key_constraint(:category_id)
+  end
+
+  # "k8s, kube" from the form, as cast/3 only takes lists for :aliases
+  defp split_aliases(%{"aliases" => aliases} = attrs) when is_binary(aliases),
+    do: %{attrs | "aliases" => String.split(aliases, ",")}
+
+  defp split_aliases(%{aliases: aliases} = attrs) when is_binary(aliases),
+    do: %{attrs | aliases: String.split(aliases, ",")}
+
+  defp split_aliases(attrs), do: attrs
+
+  defp clean_aliases(changeset) do
+    name = get_field(changeset, :name)
+
+    update_change(changeset, :aliases, fn aliases ->
+      (aliases || [])
+      |> Enum.map(&Taxonomy.clean/1)
+      |> Enum.reject(&(&1 == "" or &1 == name))
+      |> Enum.uniq()
+    end)
+  end
+end
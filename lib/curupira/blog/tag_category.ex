@@ -0,0 +1,26 @@
+defmodule Curupira.Blog.TagCategory do
+  use Ecto.Schema
+  import Ecto.Changeset
+
+  schema "tag_categories" do
+    field :name, :string
+    field :icon, :string
+    field :position, :integer, default: 0
+
+    has_many :tags, Curupira.Blog.Tag, foreign_key: :category_id
+
+    timestamps(type: :utc_datetime)
+  end
+
+  @doc false
+  def changeset(category, attrs) do
+    category
+    |> cast(attrs, [:name, :icon, :position])
+    |> update_change(:name, &(&1 && String.trim(&1)))
+    |> validate_required([:name])
+    |> validate_exclusion(:name, [Curupira.Blog.Taxonomy.other_category()],
+      message: "is reserved for uncategorised tags"
+    )
+    |> unique_constraint(:name)
+  end
+end
@@ -0,0 +1,124 @@
+defmodule Curupira.Blog.Taxonomy do
+  @moduledoc """
+  How article tags are spelled and grouped into filter categories.
+
+  Built from the tag categories and tags managed in the admin (see
+  `Curupira.Blog.get_taxonomy/0`). Aliases map other spellings onto a tag
+  ("k8s" is "kubernetes"), hidden tags are never offered as filters, and
+  tags that articles use but no category lists are collected in an "Other"
+  category, so every tag can be filtered by.
+
+  `mix build_static` writes `categories/2` to `tags.json` and renders the
+  tag pills from it.
+  """
+
+  defstruct categories: [], aliases: %{}, hidden: MapSet.new()
+
+  @other_category "Other"
+  @other_icon "🏷️"
+
+  @doc """
+  Name of the category collecting uncategorised tags.
+  """
+  def other_category, do: @other_category
+
+  @doc """
+  Builds the taxonomy from categories, in display order, and all tags.
+  """
+  def new(categories, tags) do
+    tags = Enum.sort_by(tags, &{&1.position, &1.name})
+
+    %__MODULE__{
+      categories:
+        Enum.map(categories, fn category ->
+          %{
+            name: category.name,
+            icon: category.icon,
+            tags: for(tag <- tags, tag.category_id == category.id, not tag.hidden, do: tag.name)
+          }
+        end),
+      # The first tag claiming an alias keeps it
+      aliases:
+        tags
+        |> Enum.flat_map(fn tag -> Enum.map(tag.aliases, &{&1, tag.name}) end)
+        |> Enum.reverse()
+        |> Map.new(),
+      hidden: tags |> Enum.filter(& &1.hidden) |> MapSet.new(& &1.name)
+    }
+  end
+
+  @doc """
+  Trims and lowercases a tag.
+
+  ## Examples
+
+      iex> clean(" PostgreSQL ")
+      "postgresql"
+
+  """
+  def clean(tag), do: tag |> String.trim() |> String.downcase()
+
+  @doc """
+  The tag a spelling stands for: cleaned, and resolved if it's an alias.
+  """
+  def normalize(%__MODULE__{aliases: aliases}, tag) do
+    tag = clean(tag)
+    Map.get(aliases, tag, tag)
+  end
+
+  @doc """
+  Normalizes a list of tags, dropping blanks and duplicates.
+  """
+  def normalize_tags(%__MODULE__{} = taxonomy, tags) do
+    (tags || [])
+    |> Enum.map(&normalize(taxonomy, &1))
+    |> Enum.reject(&(&1 == ""))
+    |> Enum.uniq()
+  end
+
+  @doc """
+  Whether a (normalized) tag is kept out of the filters.
+  """
+  def hidden?(%__MODULE__{hidden: hidden}, tag), do: MapSet.member?(hidden, tag)
+
+  @doc """
+  How many articles use each normalized tag.
+  """
+  def count(%__MODULE__{} = taxonomy, articles) do
+    articles
+    |> Enum.flat_map(&normalize_tags(taxonomy, &1.tags))
+    |> Enum.frequencies()
+  end
+
+  @doc """
+  The filter categories for tag counts (see `count/2`), with uncategorised
+  tags in a last "Other" category:
+
+      [%{category: "Languages", icon: "💻", tags: [%{tag: "ruby", count: 12}]}]
+
+  Tags are sorted by count, keeping their position on ties. Hidden tags,
+  unused tags and empty categories are left out.
+  """
+  def categories(%__MODULE__{} = taxonomy, counts) do
+    categorised = taxonomy.categories |> Enum.flat_map(& &1.tags) |> MapSet.new()
+
+    other =
+      counts
+      |> Map.keys()
+      |> Enum.reject(&(MapSet.member?(categorised, &1) or hidden?(taxonomy, &1)))
+      |> Enum.sort()
+
+    (taxonomy.categories ++ [%{name: @other_category, icon: @other_icon, tags: other}])
+    |> Enum.map(fn category ->
+      %{category: category.name, icon: category.icon, tags: tag_counts(category.tags, counts)}
+    end)
+    |> Enum.reject(&(&1.tags == []))
+  end
+
+  defp tag_counts(tags, counts) do
+    tags
+    |> Enum.filter(&Map.has_key?(counts, &1))
+    |> Enum.map(&%{tag: &1, count: Map.fetch!(counts, &1)})
+    |> Enum.sort_by(& &1.count, :desc)
+  end
+end
@@ -1,6 +1,29 @@
 defmodule Curupira.Markdown.Parser do
-  def to_html(markdown) when is_binary(markdown) do
-    opts = [
+  @doc """
+  Renders markdown to HTML.
+
+  ## Options
+
+    * `:sourcepos` - annotate block elements with `data-sourcepos="line:col-line:col"`
+      attributes pointing back into the markdown. The editor preview uses them to
+      sync scrolling; published pages leave them out. Defaults to `false`.
+
+  ## Examples
+
+      iex> to_html("**Hi**")
+      {:ok, "<p><strong>Hi</strong></p>\n"}
+
+      iex> to_html("Hi", sourcepos: true)
+      {:ok, "<p data-sourcepos=\"1:1-1:2\">Hi</p>\n"}
+
+      iex> to_html(nil)
+      {:error, :invalid_input}
+
+  """
+  def to_html(markdown, opts \\ [])
+
+  def to_html(markdown, opts) when is_binary(markdown) do
+    mdex_opts = [
       extension: [
         strikethrough: true,
         table: true,
@@ -14,15 +37,80 @@ defmodule Curupira.Markdown.Parser do
       ],
       render: [
         hardbreaks: true,
-        unsafe: true
+        unsafe: true,
+        sourcepos: Keyword.get(opts, :sourcepos, false)
       ]
     ]
 
-    case MDEx.to_html(markdown, opts) do
+    case MDEx.to_html(markdown, mdex_opts) do
       {:ok, html} -> {:ok, html}
       {:error, reason} -> {:error, reason}
     end
   end
 
-  def to_html(_), do: {:error, :invalid_input}
+  def to_html(_, _), do: {:error, :invalid_input}
+
+  @doc ~S"""
+  Renders markdown to HTML along with its headings, nested by level (see
+  `headings/1`). Takes the same options as `to_html/2`.
+
+  ## Examples
+
+      iex> {:ok, _html, toc} = to_html_with_toc("## Setup\n\n### Install\n\n## Usage")
+      iex> toc
+      [
+        %{id: "setup", text: "Setup", level: 2, children: [%{id: "install", text: "Install", level: 3, children: []}]},
+        %{id: "usage", text: "Usage", level: 2, children: []}
+      ]
+
+  """
+  def to_html_with_toc(markdown, opts \\ []) do
+    with {:ok, html} <- to_html(markdown, opts) do
+      {:ok, html, headings(html)}
+    end
+  end
+
+  @doc ~S"""
+  Headings of rendered HTML, each with the id of its anchor, its text and
+  level, and the headings under it (of a higher level, up to the next one
+  of its level or lower) as `:children`.
+
+  ## Examples
+
+      iex> headings(~s(<h2><a href="#a-b" aria-hidden="true" class="anchor" id="a-b"></a>A &amp; <em>B</em></h2>))
+      [%{id: "a-b", text: "A & B", level: 2, children: []}]
+
+  """
+  def headings(html) do
+    ~r{<h([1-6])\b([^>]*)>(.*?)</h\1>}s
+    |> Regex.scan(html, capture: :all_but_first)
+    |> Enum.flat_map(fn [level, attrs, inner] ->
+      # The id is on the heading's anchor (or on the heading itself)
+      case Regex.run(~r/(?:^|\s)id="([^"]+)"/, attrs <> inner, capture: :all_but_first) do
+        [id] -> [%{id: id, text: heading_text(inner), level: String.to_integer(level)}]
+        nil -> []
+      end
+    end)
+    |> nest()
+  end
+
+  defp nest([]), do: []
+
+  defp nest([heading | rest]) do
+    {children, siblings} = Enum.split_while(rest, &(&1.level > heading.level))
+    [Map.put(heading, :children, nest(children)) | nest(siblings)]
+  end
+
+  defp heading_text(html) do
+    html
+    |> String.replace(~r/<[^>]*>/, "")
+    |> String.replace(["&lt;", "&gt;", "&quot;", "&#39;", "&#x27;"], fn
+      "&lt;" -> "<"
+      "&gt;" -> ">"
+      "&quot;" -> "\""
+      _ -> "'"
+    end)
+    |> String.replace("&amp;", "&")
+    |> String.trim()
+  end
 end
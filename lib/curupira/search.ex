@@ -0,0 +1,443 @@
+defmodule Curupira.Search do
+  @moduledoc """
+  Full-text article search, ranked with BM25 over a `Curupira.Search.Index`.
+
+  The static site runs the same ranking in the browser
+  (`priv/static/static-search-engine.js`), so a query returns the same
+  articles in the same order in the admin and on the published site. Keep
+  the two in sync.
+
+  Queries are words (any of them; articles matching more words rank higher),
+  `prefix*` words and `"quoted phrases"`. The last word also matches as a
+  prefix while it is still being typed. Accents are ignored, and a word the
+  index doesn't know matches close misspellings (see `suggest/2`).
+
+  Articles can be narrowed down with `-word` and `-"phrase"` exclusions and
+  field filters: `tag:rust`, `lang:pt` (and their `-tag:`/`-lang:`
+  negations), `before:2024` and `after:2023-06` (years, months or days). A
+  query made only of these lists every article passing them.
+  """
+
+  alias Curupira.Markdown.Parser
+  alias Curupira.Search.{Index, Stemmer}
+
+  @k1 1.2
+  @b 0.75
+  # Prefix and fuzzy expansions rank below exact word matches
+  @prefix_weight 0.7
+  @fuzzy_weight 0.5
+  @phrase_boost 1.5
+
+  @field_regex ~r/^(tag|lang|before|after):(.+)$/i
+  @date_regex ~r/^\d{4}(-\d{2}(-\d{2})?)?$/
+
+  @doc """
+  Indexable document for an article (see `Curupira.Search.Index.build/1`).
+
+  ## Options
+
+    * `:tags` - tags to index instead of the article's own
+    * `:meta` - extra fields to store for the article in the index, which
+      always keeps its `:title` and `:language` (used for phrases)
+
+  Field filters read `:tags` and `:published_at` from the stored fields,
+  which default to the article's own.
+  """
+  def article_document(article, opts \\ []) do
+    language = article.language || "en"
+    tags = Keyword.get(opts, :tags, article.tags || [])
+    meta = Keyword.get(opts, :meta, %{id: article.id, tags: tags, published_at: article.published_at})
+
+    %{
+      title: article.title,
+      tags: tags,
+      language: language,
+      body: plain_text(article.content),
+      meta: Map.merge(meta, %{title: article.title, language: language})
+    }
+  end
+
+  @doc """
+  Plain text of a markdown body: rendered, tags stripped, entities decoded
+  and whitespace collapsed.
+  """
+  def plain_text(markdown) do
+    {:ok, html} = Parser.to_html(markdown || "")
+
+    html
+    |> String.replace(~r/<[^>]*>/, " ")
+    |> String.replace(["&lt;", "&gt;", "&quot;", "&#39;", "&#x27;"], fn
+      "&lt;" -> "<"
+      "&gt;" -> ">"
+      "&quot;" -> "\""
+      _ -> "'"
+    end)
+    |> String.replace("&amp;", "&")
+    |> String.replace(~r/\s+/, " ")
+    |> String.trim()
+  end
+
+  @doc """
+  Splits a query into its parts:
+
+      %{
+        words: [%{text: word, prefix: boolean}],
+        phrases: [[word]],
+        exclude: %{words: [word], phrases: [[word]]},
+        filters: [%{field: "tag" | "lang" | "before" | "after", value: value, negate: boolean}]
+      }
+
+  ## Examples
+
+      iex> parse_query(~s(deploy* "rolling update" -docker tag:k8s kube))
+      %{
+        words: [%{text: "deploy", prefix: true}, %{text: "kube", prefix: true}],
+        phrases: [["rolling", "update"]],
+        exclude: %{words: ["docker"], phrases: []},
+        filters: [%{field: "tag", value: "k8s", negate: false}]
+      }
+
+  """
+  def parse_query(query) do
+    query = query || ""
+
+    quoted =
+      ~r/(-?)"([^"]*)"?/
+      |> Regex.scan(query)
+      |> Enum.map(fn [_match, minus, phrase] -> {minus == "-", Index.tokenize(phrase)} end)
+
+    parts =
+      ~r/(-?)"([^"]*)"?/
+      |> Regex.replace(query, " ")
+      |> String.split()
+
+    filters = parts |> Enum.map(&parse_filter/1) |> Enum.reject(&is_nil/1)
+    {excluded_parts, word_parts} = parts |> Enum.reject(&parse_filter/1) |> Enum.split_with(&excluded?/1)
+
+    words =
+      Enum.flat_map(word_parts, fn part ->
+        prefix = String.ends_with?(part, "*")
+        for text <- Index.tokenize(part), do: %{text: text, prefix: prefix}
+      end)
+
+    %{
+      words: still_typing(for({false, [text]} <- quoted, do: %{text: text, prefix: false}) ++ words, parts, query),
+      phrases: for({false, tokens} <- quoted, length(tokens) > 1, do: tokens),
+      exclude: %{
+        words: for({true, [text]} <- quoted, do: text) ++ Enum.flat_map(excluded_parts, &Index.tokenize/1),
+        phrases: for({true, tokens} <- quoted, length(tokens) > 1, do: tokens)
+      },
+      filters: filters
+    }
+  end
+
+  defp excluded?(part), do: String.length(part) > 1 and String.starts_with?(part, "-")
+
+  # %{field, value, negate} for a `field:value` part, nil for other parts
+  # (and for dates that aren't YYYY, YYYY-MM or YYYY-MM-DD)
+  defp parse_filter(part) do
+    {negate, rest} =
+      case part do
+        "-" <> rest -> {true, rest}
+        _ -> {false, part}
+      end
+
+    case Regex.run(@field_regex, rest) do
+      [_match, field, value] ->
+        field = String.downcase(field)
+        value = String.downcase(value)
+
+        cond do
+          field not in ["before", "after"] -> %{field: field, value: value, negate: negate}
+          # Dates can't be negated: before:X already is -after:X
+          Regex.match?(@date_regex, value) and not negate -> %{field: field, value: value, negate: false}
+          true -> nil
+        end
+
+      nil ->
+        nil
+    end
+  end
+
+  # The last word also matches as a prefix until the query moves past it
+  # (to a space, a filter or an exclusion)
+  defp still_typing([], _parts, _query), do: []
+
+  defp still_typing(words, parts, query) do
+    last_part = List.last(parts) || ""
+    typing_word = is_nil(parse_filter(last_part)) and not String.starts_with?(last_part, "-")
+
+    if typing_word and Regex.match?(~r/[\p{L}\p{N}]\z/u, query),
+      do: List.update_at(words, -1, &%{&1 | prefix: true}),
+      else: words
+  end
+
+  # Whether an article's stored fields pass every field filter. Dates
+  # compare as ISO prefixes, so before:2024 means published before 2024
+  # started and after:2023-06 after June 2023 ended.
+  defp matches_filters?(doc, filters) do
+    Enum.all?(filters, fn %{field: field, value: value, negate: negate} ->
+      published = doc |> Map.get(:published_at) |> iso_date() |> String.slice(0, String.length(value))
+
+      case field do
+        "tag" -> Enum.any?(Map.get(doc, :tags) || [], &(String.downcase(&1) == value)) != negate
+        "lang" -> language_matches?(String.downcase(Map.get(doc, :language) || "en"), value) != negate
+        "before" -> published != "" and published < value
+        "after" -> published != "" and published > value
+      end
+    end)
+  end
+
+  defp language_matches?(language, value), do: language == value or String.starts_with?(language, value <> "-")
+
+  defp iso_date(nil), do: ""
+  defp iso_date(%DateTime{} = date), do: DateTime.to_iso8601(date)
+  defp iso_date(%NaiveDateTime{} = date), do: NaiveDateTime.to_iso8601(date)
+  defp iso_date(date) when is_binary(date), do: date
+
+  # Whether a document contains an excluded word or phrase
+  defp excluded_doc?(index, texts, doc, %{words: words, phrases: phrases}) do
+    Enum.any?(words, fn word ->
+      Enum.any?(query_stems(word), &Map.has_key?(postings(index, &1), doc))
+    end) or Enum.any?(phrases, &phrase_in?(index, texts, doc, &1))
+  end
+
+  @doc """
+  Ranks the indexed documents for a query.
+
+  `texts` are the document bodies in index order (for phrases). Returns
+  `[{doc, score}]`, best first, `doc` being the position in the index.
+  Queries without words or phrases score every article passing their
+  filters and exclusions 0.
+  """
+  def search(index, texts, query) do
+    %{words: words, phrases: phrases, exclude: exclude, filters: filters} = parse_query(query)
+    texts = List.to_tuple(texts)
+    # Documents and their lengths are looked up by position for each posting
+    index = %{index | docs: List.to_tuple(index.docs), lengths: List.to_tuple(index.lengths)}
+
+    passes? = fn doc ->
+      matches_filters?(elem(index.docs, doc), filters) and not excluded_doc?(index, texts, doc, exclude)
+    end
+
+    if words == [] and phrases == [] do
+      narrowed? = filters != [] or exclude.words != [] or exclude.phrases != []
+      if narrowed?, do: for(doc <- 0..(tuple_size(index.docs) - 1)//1, passes?.(doc), do: {doc, 0}), else: []
+    else
+      rank(index, texts, words, phrases, passes?)
+    end
+  end
+
+  defp rank(index, texts, words, phrases, passes?) do
+    word_scores = Enum.map(words, &score_word(index, &1))
+    phrase_scores = Enum.map(phrases, &score_phrase(index, texts, &1))
+    clauses = word_scores ++ phrase_scores
+
+    totals = Enum.reduce(clauses, %{}, &add_scores/2)
+    matched = Enum.reduce(clauses, %{}, fn scores, acc -> add_scores(Map.new(scores, fn {doc, _} -> {doc, 1} end), acc) end)
+
+    totals
+    # Every phrase must match
+    |> Enum.filter(fn {doc, _score} -> Enum.all?(phrase_scores, &Map.has_key?(&1, doc)) end)
+    |> Enum.filter(fn {doc, _score} -> passes?.(doc) end)
+    # Articles matching more of the query come first
+    |> Enum.map(fn {doc, score} -> {doc, score * matched[doc] / length(clauses)} end)
+    |> Enum.sort_by(fn {doc, score} -> {-score, doc} end)
+  end
+
+  defp add_scores(scores, totals) do
+    Enum.reduce(scores, totals, fn {doc, score}, totals -> Map.update(totals, doc, score, &(&1 + score)) end)
+  end
+
+  # Best score of each document for one query word
+  defp score_word(index, word) do
+    index
+    |> expand_word(word)
+    |> Enum.reduce(%{}, fn {term, weight}, scores ->
+      postings = postings(index, term)
+      document_frequency = map_size(postings)
+
+      Enum.reduce(postings, scores, fn {doc, frequency}, scores ->
+        score = weight * bm25(index, frequency, doc, document_frequency)
+        Map.update(scores, doc, score, &max(&1, score))
+      end)
+    end)
+  end
+
+  # Every phrase word present, in order, in the title or body
+  defp score_phrase(index, texts, phrase) do
+    [first | _] = per_word = Enum.map(phrase, &score_word(index, %{text: &1, prefix: false}))
+
+    first
+    |> Map.keys()
+    |> Enum.filter(fn doc -> Enum.all?(per_word, &Map.has_key?(&1, doc)) end)
+    |> Enum.filter(fn doc -> phrase_in?(index, texts, doc, phrase) end)
+    |> Map.new(fn doc -> {doc, Enum.sum(Enum.map(per_word, & &1[doc])) * @phrase_boost} end)
+  end
+
+  defp phrase_in?(index, texts, doc, phrase) do
+    %{title: title, language: language} = elem(index.docs, doc)
+    stems = Enum.map(phrase, &Stemmer.stem(&1, language))
+
+    tokens =
+      "#{title} #{elem(texts, doc)}"
+      |> Index.tokenize()
+      |> Enum.map(&Stemmer.stem(&1, language))
+
+    tokens
+    |> Enum.chunk_every(length(stems), 1, :discard)
+    |> Enum.member?(stems)
+  end
+
+  # Index terms a query word matches, with their weight. Misspellings are
+  # only looked for when the word matches nothing as it is.
+  defp expand_word(index, word) do
+    stems = query_stems(word.text)
+    exact = for term <- stems, Map.has_key?(index.terms, term), into: %{}, do: {term, 1}
+
+    matches =
+      if word.prefix do
+        prefixes = [word.text | stems]
+
+        index.terms
+        |> Map.keys()
+        |> Enum.filter(fn term -> Enum.any?(prefixes, &String.starts_with?(term, &1)) end)
+        |> Map.new(&{&1, @prefix_weight})
+        |> Map.merge(exact)
+      else
+        exact
+      end
+
+    if map_size(matches) == 0,
+      do: index |> fuzzy_terms(word.text) |> Map.new(fn {term, _distance} -> {term, @fuzzy_weight} end),
+      else: matches
+  end
+
+  defp postings(index, term) do
+    index.terms
+    |> Map.get(term, [])
+    |> Enum.chunk_every(2)
+    |> Map.new(fn [doc, frequency] -> {doc, frequency} end)
+  end
+
+  defp bm25(index, frequency, doc, document_frequency) do
+    count = tuple_size(index.docs)
+    idf = :math.log(1 + (count - document_frequency + 0.5) / (document_frequency + 0.5))
+    avg_length = if index.avg_length == 0, do: 1, else: index.avg_length
+    norm = 1 - @b + @b * (elem(index.lengths, doc) / avg_length)
+    idf * (frequency * (@k1 + 1)) / (frequency + @k1 * norm)
+  end
+
+  # Queries don't say which language they're in: try both stemmers
+  defp query_stems(word), do: Enum.uniq([Stemmer.stem(word, "en"), Stemmer.stem(word, "pt")])
+
+  @doc """
+  "Did you mean": the query with every word the index doesn't know replaced
+  by the closest indexed word, or `nil` when there is nothing to fix.
+  Filters (`tag:rust`) are left alone.
+  """
+  def suggest(index, query) do
+    suggestion =
+      ~r/(\s+)/
+      |> Regex.split(query, include_captures: true)
+      |> Enum.map_join(fn part ->
+        if parse_filter(part),
+          do: part,
+          else: Regex.replace(~r/[\p{L}\p{M}\p{N}]+/u, part, &correct(index, &1))
+      end)
+
+    if suggestion != query, do: suggestion
+  end
+
+  # The closest indexed spelling of an unknown word, else the word
+  defp correct(index, part) do
+    with [word | _] <- Index.tokenize(part),
+         false <- known?(index, word),
+         [{term, _distance} | _] <- fuzzy_terms(index, word) do
+      Map.get(index.words, term, term)
+    else
+      _ -> part
+    end
+  end
+
+  defp known?(index, word) do
+    Enum.any?(query_stems(word), &Map.has_key?(index.terms, &1)) or
+      # Half-typed words aren't misspelled
+      Enum.any?(Map.keys(index.terms), &String.starts_with?(&1, word))
+  end
+
+  # Index terms within reach of a word that isn't in the index:
+  # [{term, distance}] closest first, then most common, then alphabetical
+  defp fuzzy_terms(index, word) do
+    word
+    |> query_stems()
+    |> Enum.flat_map(fn stem ->
+      max = max_edits(stem)
+
+      if max == 0 do
+        []
+      else
+        for term <- Map.keys(index.terms),
+            distance = edit_distance(stem, term, max),
+            distance <= max,
+            do: {term, distance}
+      end
+    end)
+    |> Enum.sort_by(fn {term, distance} -> {distance, -length(index.terms[term]), term} end)
+    |> Enum.uniq_by(fn {term, _distance} -> term end)
+  end
+
+  # Edits allowed for a misspelled stem: none for short words
+  defp max_edits(term) do
+    case String.length(term) do
+      length when length <= 3 -> 0
+      length when length <= 7 -> 1
+      _ -> 2
+    end
+  end
+
+  @doc """
+  Levenshtein distance between two words, or `max + 1` once it is known to
+  exceed `max`.
+
+  ## Examples
+
+      iex> edit_distance("kubernetis", "kubernet", 2)
+      2
+
+      iex> edit_distance("elixir", "erlang", 1)
+      2
+
+  """
+  def edit_distance(a, b, max) do
+    left = String.codepoints(a)
+    right = String.codepoints(b)
+
+    if abs(length(left) - length(right)) > max do
+      max + 1
+    else
+      first_row = Enum.to_list(0..length(right))
+
+      left
+      |> Enum.with_index(1)
+      |> Enum.reduce_while(first_row, fn {char, i}, previous ->
+        row = next_row(char, i, right, previous)
+        if Enum.min(row) > max, do: {:halt, :exceeded}, else: {:cont, row}
+      end)
+      |> case do
+        :exceeded -> max + 1
+        row -> List.last(row)
+      end
+    end
+  end
+
+  defp next_row(char, i, right, previous) do
+    right
+    |> Enum.zip(Enum.zip(previous, tl(previous)))
+    |> Enum.reduce([i], fn {other, {diagonal, above}}, [left | _] = row ->
+      cost = if char == other, do: 0, else: 1
+      [min(min(above + 1, left + 1), diagonal + cost) | row]
+    end)
+    |> Enum.reverse()
+  end
+end
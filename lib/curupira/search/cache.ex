@@ -0,0 +1,59 @@
+defmodule Curupira.Search.Cache do
+  @moduledoc """
+  The admin's search index, built on the first search and kept until the
+  articles or tags it was built from change.
+
+  `Curupira.Blog` calls `invalidate/0` after every write that changes what
+  is indexed. The index lives in a public ETS table, so searches read it
+  without going through this process; each invalidation bumps a
+  generation, and an index is only served for the generation it was built
+  in, so one built while an article was being saved isn't kept.
+
+  The table is shared by the whole node, sandboxed tests included:
+  `Curupira.DataCase` drops the index before each test, and tests that
+  search can't run `async`.
+  """
+
+  use GenServer
+
+  @table __MODULE__
+
+  def start_link(opts) do
+    GenServer.start_link(__MODULE__, opts, name: __MODULE__)
+  end
+
+  @doc """
+  The cached index, or the one `build` returns, which is cached.
+  """
+  def fetch(build) when is_function(build, 0) do
+    generation = generation()
+
+    case :ets.lookup(@table, :index) do
+      [{:index, ^generation, index}] ->
+        index
+
+      _ ->
+        index = build.()
+        :ets.insert(@table, {:index, generation, index})
+        index
+    end
+  end
+
+  @doc """
+  Drops the cached index: the next search builds it again.
+  """
+  def invalidate do
+    :ets.update_counter(@table, :generation, 1)
+    :ets.delete(@table, :index)
+    :ok
+  end
+
+  defp generation, do: :ets.lookup_element(@table, :generation, 2)
+
+  @impl true
+  def init(_opts) do
+    :ets.new(@table, [:named_table, :public, :set, read_concurrency: true])
+    :ets.insert(@table, {:generation, 0})
+    {:ok, nil}
+  end
+end
@@ -0,0 +1,124 @@
+defmodule Curupira.Search.Index do
+  @moduledoc """
+  Inverted index for the static site's client-side search.
+
+  `mix build_static` writes it to `search-index.json` and
+  `priv/static/static-search-engine.js` ranks queries against it with BM25
+  (as does `Curupira.Search` for the admin). Words are folded (lowercase,
+  no diacritics) and stemmed with the article's language (see
+  `Curupira.Search.Stemmer`), so the index maps stems to postings:
+
+      %{
+        docs: [%{slug: "...", title: "...", ...}],
+        lengths: [412, 980],
+        avg_length: 696.0,
+        terms: %{"kubernet" => [0, 3, 1, 12]},
+        words: %{"kubernet" => "kubernetes"}
+      }
+
+  Postings are flat `[doc, term_frequency, doc, term_frequency, ...]` lists
+  in document order, which keeps the JSON small. Title and tag words count
+  several times, so matches there rank higher. `words` holds the most common
+  word behind each stem, to suggest corrections with.
+  """
+
+  alias Curupira.Search.Stemmer
+
+  # Title and tag words count as this many body occurrences
+  @title_weight 3
+  @tag_weight 2
+
+  @doc """
+  Lowercases text and strips its diacritics.
+
+  ## Examples
+
+      iex> fold("Função")
+      "funcao"
+
+  """
+  def fold(text) do
+    text
+    |> :unicode.characters_to_nfd_binary()
+    |> String.replace(~r/\p{Mn}/u, "")
+    |> String.downcase()
+  end
+
+  @doc """
+  Splits text into folded word tokens, dropping punctuation and
+  one-character words ("Kubernetes's" gives `["kubernetes"]`).
+
+  ## Examples
+
+      iex> tokenize("Deploying Kubernetes's pods, rápido!")
+      ["deploying", "kubernetes", "pods", "rapido"]
+
+  """
+  def tokenize(text), do: text |> words() |> Enum.map(fn {_word, token} -> token end)
+
+  # {word, token} pairs: each word lowercased as written, and folded
+  defp words(text) when is_binary(text) do
+    ~r/[\p{L}\p{M}\p{N}]+/u
+    |> Regex.scan(text |> :unicode.characters_to_nfc_binary() |> String.downcase())
+    |> Enum.map(fn [word] -> {word, fold(word)} end)
+    |> Enum.filter(fn {_word, token} -> String.length(token) > 1 end)
+  end
+
+  defp words(_), do: []
+
+  @doc """
+  Builds the index for a list of documents.
+
+  Each document is a map with `:title`, `:tags`, `:language` and `:body`
+  (plain text) used for indexing, and `:meta`, stored as-is in `docs` for
+  rendering results.
+  """
+  def build(documents) do
+    tokens = Enum.map(documents, &weighted_tokens/1)
+    counts = Enum.map(tokens, &Enum.frequencies(Enum.map(&1, fn {_word, term} -> term end)))
+    lengths = Enum.map(counts, fn doc_counts -> doc_counts |> Map.values() |> Enum.sum() end)
+
+    terms =
+      counts
+      |> Enum.with_index()
+      |> Enum.reduce(%{}, fn {doc_counts, doc}, terms ->
+        Enum.reduce(doc_counts, terms, fn {term, frequency}, terms ->
+          Map.update(terms, term, [frequency, doc], &[frequency, doc | &1])
+        end)
+      end)
+      |> Map.new(fn {term, postings} -> {term, Enum.reverse(postings)} end)
+
+    %{
+      docs: Enum.map(documents, & &1.meta),
+      lengths: lengths,
+      avg_length: average(lengths),
+      terms: terms,
+      words: common_words(tokens)
+    }
+  end
+
+  # {word, stem} pairs, title and tag words repeated by their weight
+  defp weighted_tokens(document) do
+    title = words(document.title)
+    tags = Enum.flat_map(document.tags || [], &words/1)
+
+    (List.duplicate(title, @title_weight) ++ List.duplicate(tags, @tag_weight) ++ [words(document.body)])
+    |> List.flatten()
+    |> Enum.map(fn {word, token} -> {word, Stemmer.stem(token, document.language)} end)
+  end
+
+  # Most frequent spelling for each stem (alphabetically first on ties)
+  defp common_words(tokens) do
+    tokens
+    |> List.flatten()
+    |> Enum.frequencies()
+    |> Enum.group_by(fn {{_word, term}, _count} -> term end, fn {{word, _term}, count} -> {word, count} end)
+    |> Map.new(fn {term, words} ->
+      {word, _count} = Enum.min_by(words, fn {word, count} -> {-count, word} end)
+      {term, word}
+    end)
+  end
+
+  defp average([]), do: 0.0
+  defp average(lengths), do: Enum.sum(lengths) / length(lengths)
+end
@@ -0,0 +1,123 @@
+defmodule Curupira.Search.Stemmer do
+  @moduledoc """
+  Light suffix-stripping stemmers for English and Portuguese.
+
+  Search only needs related word forms ("containers", "container",
+  "containing") to land on the same key, so these are far simpler than
+  Porter or RSLP and happily produce non-words ("kubernet").
+
+  `priv/static/static-search-engine.js` stems queries with the same rules;
+  change both together. `test/support/fixtures/search_stems.json` holds the
+  cases both test suites check.
+  """
+
+  @pt_verb_suffixes [
+    {"ando", 3},
+    {"endo", 3},
+    {"indo", 3},
+    {"ado", 3},
+    {"ada", 3},
+    {"ido", 3},
+    {"ida", 3},
+    {"ar", 4},
+    {"er", 4},
+    {"ir", 4}
+  ]
+
+  @doc """
+  Stems a folded word (lowercase, no diacritics; see
+  `Curupira.Search.Index.tokenize/1`). Portuguese rules apply to `"pt"` and
+  `"pt-BR"`, English rules to every other language.
+
+  ## Examples
+
+      iex> stem("containers", "en")
+      "container"
+
+      iex> stem("configurando", "pt-BR")
+      "configur"
+  """
+  def stem(word, language) do
+    cond do
+      String.length(word) <= 3 -> word
+      portuguese?(language) -> word |> pt_plural() |> pt_adverb() |> pt_verb() |> pt_vowel()
+      true -> word |> en_plural() |> en_suffix() |> en_final_e()
+    end
+  end
+
+  defp portuguese?(language), do: language in ["pt", "pt-BR"]
+
+  # English
+
+  defp en_plural(word) do
+    cond do
+      ends?(word, "ies") and len(word) > 4 -> drop(word, 3) <> "y"
+      ends?(word, "sses") -> drop(word, 2)
+      Regex.match?(~r/(s|x|z|ch|sh)es$/u, word) -> drop(word, 2)
+      ends?(word, "s") and not Enum.any?(["ss", "us", "is"], &ends?(word, &1)) -> drop(word, 1)
+      true -> word
+    end
+  end
+
+  defp en_suffix(word) do
+    cond do
+      ends?(word, "ing") and len(word) - 3 >= 4 -> word |> drop(3) |> undouble()
+      ends?(word, "ed") and len(word) - 2 >= 4 -> word |> drop(2) |> undouble()
+      ends?(word, "ly") and len(word) - 2 >= 4 -> drop(word, 2)
+      true -> word
+    end
+  end
+
+  # "runn" -> "run", but "fall" and "pass" stay
+  defp undouble(word) do
+    case String.codepoints(word) |> Enum.take(-2) do
+      [c, c] -> if c in ~w(a e i o u l s z), do: word, else: drop(word, 1)
+      _ -> word
+    end
+  end
+
+  defp en_final_e(word) do
+    if ends?(word, "e") and len(word) > 4, do: drop(word, 1), else: word
+  end
+
+  # Portuguese
+
+  defp pt_plural(word) do
+    cond do
+      ends?(word, "oes") or ends?(word, "aes") -> drop(word, 3) <> "ao"
+      ends?(word, "ais") and len(word) > 4 -> drop(word, 2) <> "l"
+      ends?(word, "eis") and len(word) > 4 -> drop(word, 3) <> "el"
+      ends?(word, "ns") -> drop(word, 2) <> "m"
+      ends?(word, "res") -> drop(word, 2)
+      ends?(word, "s") and not Enum.any?(["ss", "us", "is"], &ends?(word, &1)) -> drop(word, 1)
+      true -> word
+    end
+  end
+
+  defp pt_adverb(word) do
+    if ends?(word, "mente") and len(word) - 5 >= 3, do: drop(word, 5), else: word
+  end
+
+  defp pt_verb(word) do
+    case Enum.find(@pt_verb_suffixes, fn {suffix, _} -> ends?(word, suffix) end) do
+      {suffix, min} ->
+        if len(word) - String.length(suffix) >= min,
+          do: drop(word, String.length(suffix)),
+          else: word
+
+      nil ->
+        word
+    end
+  end
+
+  # "rapida" -> "rapid", but "configuracao" keeps its "ao"
+  defp pt_vowel(word) do
+    if Regex.match?(~r/[aeo]$/u, word) and not ends?(word, "ao") and len(word) > 4,
+      do: drop(word, 1),
+      else: word
+  end
+
+  defp ends?(word, suffix), do: String.ends_with?(word, suffix)
+  defp len(word), do: String.length(word)
+  defp drop(word, count), do: String.slice(word, 0, len(word) - count)
+end
@@ -3,8 +3,11 @@ defmodule CurupiraWeb.ArticleLive.Form do
 
   alias Curupira.Blog
   alias Curupira.Blog.Article
+  alias Curupira.Blog.Taxonomy
   alias Curupira.Markdown.Parser
 
+  @stale_settings_message "This article was saved somewhere else. Save your changes to review them, then try again."
+
   @impl true
   def mount(params, _session, socket) do
     article =
@@ -17,13 +20,15 @@ defmodule CurupiraWeb.ArticleLive.Form do
      socket
      |> assign(:article, article)
      |> assign(:form, to_form(Blog.change_article(article)))
-     |> assign(:preview_html, generate_preview(article.title, article.content))
+     |> assign(:preview_mode, "server")
+     |> assign_preview(article.title, article.content)
      |> assign(:tag_input, "")
+     |> assign_taxonomy()
      |> assign(:layout_mode, "split")
      |> assign(:save_state, "idle")
      |> allow_upload(:images,
-       accept: ~w(.jpg .jpeg .png .gif .webp),
-       max_entries: 1,
+       accept: ~w(.jpg .jpeg .png .gif .webp .avif),
+       max_entries: 10,
        max_file_size: 5_000_000,
        auto_upload: true,
        progress: &handle_progress/3
@@ -39,14 +44,42 @@ defmodule CurupiraWeb.ArticleLive.Form do
       |> Blog.change_article(article_params)
       |> Map.put(:action, :validate)
 
-    preview_html = generate_preview(article_params["title"], article_params["content"])
-
     {:noreply,
      socket
      |> assign(:form, to_form(changeset))
-     |> assign(:preview_html, preview_html)}
+     |> assign_preview(article_params["title"], article_params["content"])
+     |> reject_invalid_uploads()}
+  end
+
+  @impl true
+  def handle_event("cancel_image_upload", %{"ref" => ref}, socket) do
+    {:noreply, cancel_upload(socket, :images, ref)}
   end
 
+  # Entries LiveView won't upload (too large, wrong type) are dropped and
+  # reported, so the editor can mark their placeholders as failed
+  defp reject_invalid_uploads(socket) do
+    Enum.reduce(socket.assigns.uploads.images.entries, socket, fn entry, socket ->
+      case upload_errors(socket.assigns.uploads.images, entry) do
+        [] ->
+          socket
+
+        [error | _] ->
+          socket
+          |> cancel_upload(:images, entry.ref)
+          |> push_event("image-upload-failed", %{
+            name: entry.client_name,
+            reason: upload_error_message(error)
+          })
+      end
+    end)
+  end
+
+  defp upload_error_message(:too_large), do: "larger than 5 MB"
+  defp upload_error_message(:not_accepted), do: "not a JPG, PNG, GIF, WebP or AVIF image"
+  defp upload_error_message(:too_many_files), do: "too many files"
+  defp upload_error_message(_error), do: "upload error"
+
   defp handle_progress(:images, entry, socket) when entry.done? do
     uploaded_file =
       consume_uploaded_entry(socket, entry, fn %{path: path} ->
@@ -71,18 +104,34 @@ defmodule CurupiraWeb.ArticleLive.Form do
         end
       end)
 
-    {:noreply, push_event(socket, "image-uploaded", %{url: uploaded_file})}
+    case uploaded_file do
+      :error ->
+        {:noreply,
+         push_event(socket, "image-upload-failed", %{
+           name: entry.client_name,
+           reason: "could not be saved"
+         })}
+
+      url ->
+        {:noreply, push_event(socket, "image-uploaded", %{name: entry.client_name, url: url})}
+    end
   end
 
-  defp handle_progress(:images, _entry, socket) do
-    # Upload still in progress, do nothing
-    {:noreply, socket}
+  defp handle_progress(:images, entry, socket) do
+    # Upload still in progress: the editor shows it, and needs the ref to cancel it
+    {:noreply,
+     push_event(socket, "image-upload-progress", %{
+       name: entry.client_name,
+       ref: entry.ref,
+       progress: entry.progress
+     })}
   end
 
   @impl true
   def handle_event("save", %{"article" => article_params}, socket) do
+    {base_version, article_params} = Map.pop(article_params, "lock_version")
     article_params = process_tags(article_params)
-    save_article(socket, socket.assigns.article.id, article_params)
+    save_article(socket, socket.assigns.article.id, article_params, base_version)
   end
 
   @impl true
@@ -92,7 +141,8 @@ defmodule CurupiraWeb.ArticleLive.Form do
 
   @impl true
   def handle_event("add_tag", %{"value" => tag}, socket) do
-    tag = String.trim(tag)
+    # Aliases become the tag they stand for ("k8s" is "kubernetes")
+    tag = Taxonomy.normalize(socket.assigns.taxonomy, tag)
 
     if tag != "" do
       current_tags = get_current_tags(socket)
@@ -152,18 +202,38 @@ defmodule CurupiraWeb.ArticleLive.Form do
     {:noreply, assign(socket, :layout_mode, mode)}
   end
 
+  # "client": the ClientPreview hook renders markdown in the browser and the
+  # server stops sending preview HTML on every change
   @impl true
-  def handle_event("change_language", %{"language" => language}, socket) do
-    article = socket.assigns.article
+  def handle_event("set_preview_mode", %{"mode" => mode}, socket) when mode in ["server", "client"] do
+    form = socket.assigns.form
+
+    {:noreply,
+     socket
+     |> assign(:preview_mode, mode)
+     |> assign(:preview_html, "")
+     |> assign_preview(form[:title].value, form[:content].value)}
+  end
+
+  # Outline of the client render, as ClientPreview sends it when its
+  # headings change
+  @impl true
+  def handle_event("preview_toc", %{"toc" => toc}, socket) do
+    {:noreply, assign(socket, :preview_toc, client_toc(toc))}
+  end
 
-    case Blog.update_article(article, %{"language" => language}) do
+  @impl true
+  def handle_event("change_language", %{"language" => language}, socket) do
+    case update_settings(socket, %{"language" => language}) do
       {:ok, updated_article} ->
         {:noreply,
          socket
-         |> assign(:article, updated_article)
-         |> assign(:form, to_form(Blog.change_article(updated_article)))
+         |> assign_settings(updated_article)
          |> put_flash(:info, "Language updated successfully")}
 
+      {:error, :stale} ->
+        {:noreply, put_flash(socket, :error, @stale_settings_message)}
+
       {:error, changeset} ->
         {:noreply,
          socket
@@ -182,16 +252,18 @@ defmodule CurupiraWeb.ArticleLive.Form do
       "published_at" => if(new_status == "published", do: DateTime.utc_now(), else: nil)
     }
 
-    case Blog.update_article(article, attrs) do
+    case update_settings(socket, attrs) do
       {:ok, updated_article} ->
         message = if new_status == "published", do: "Article published", else: "Article unpublished"
 
         {:noreply,
          socket
-         |> assign(:article, updated_article)
-         |> assign(:form, to_form(Blog.change_article(updated_article)))
+         |> assign_settings(updated_article)
          |> put_flash(:info, message)}
 
+      {:error, :stale} ->
+        {:noreply, put_flash(socket, :error, @stale_settings_message)}
+
       {:error, changeset} ->
         {:noreply,
          socket
@@ -200,12 +272,27 @@ defmodule CurupiraWeb.ArticleLive.Form do
     end
   end
 
+  # Language and status are saved on their own, on top of the version being
+  # edited: a copy saved elsewhere in the meantime isn't overwritten
+  defp update_settings(socket, attrs) do
+    article = socket.assigns.article
+    Blog.update_article_from_version(article, attrs, article.lock_version)
+  end
+
+  # The editor's next save is based on the new version
+  defp assign_settings(socket, article) do
+    socket
+    |> assign(:article, article)
+    |> assign(:form, to_form(Blog.change_article(article)))
+    |> push_event("article-version", %{lock_version: article.lock_version})
+  end
+
   @impl true
   def handle_info(:reset_save_state, socket) do
     {:noreply, assign(socket, :save_state, "idle")}
   end
 
-  defp save_article(socket, nil, article_params) do
+  defp save_article(socket, nil, article_params, _base_version) do
     case Blog.create_article(article_params) do
       {:ok, article} ->
         Process.send_after(self(), :reset_save_state, 2000)
@@ -214,6 +301,7 @@ defmodule CurupiraWeb.ArticleLive.Form do
          socket
          |> put_flash(:info, "Article created successfully")
          |> assign(:save_state, "saved")
+         |> push_event("article-saved", %{})
          |> push_navigate(to: ~p"/articles/#{article}/edit")}
 
       {:error, %Ecto.Changeset{} = changeset} ->
@@ -221,30 +309,170 @@ defmodule CurupiraWeb.ArticleLive.Form do
     end
   end
 
-  defp save_article(socket, _id, article_params) do
-    case Blog.update_article(socket.assigns.article, article_params) do
-      {:ok, _article} ->
+  defp save_article(socket, id, article_params, base_version) do
+    # A save that doesn't say which version it's based on may overwrite any
+    # of them: it's a conflict too
+    result =
+      case parse_version(base_version) do
+        {:ok, base_version} -> Blog.update_article_from_version(socket.assigns.article, article_params, base_version)
+        :error -> {:error, :stale}
+      end
+
+    case result do
+      {:ok, article} ->
         Process.send_after(self(), :reset_save_state, 2000)
 
         {:noreply,
          socket
+         |> assign(:article, article)
          |> put_flash(:info, "Article updated successfully")
-         |> assign(:save_state, "saved")}
+         |> assign(:save_state, "saved")
+         |> push_event("article-saved", %{lock_version: article.lock_version})
+         |> push_server_preview(article)}
+
+      {:error, :stale} ->
+        case Blog.get_article(id) do
+          nil ->
+            {:noreply, put_flash(socket, :error, "This article was deleted somewhere else. Your changes were not saved.")}
+
+          current ->
+            {:noreply,
+             socket
+             |> assign(:article, current)
+             |> put_flash(:error, "This article was saved somewhere else. Review the merge before saving again.")
+             |> push_event("save-conflict", %{
+               title: current.title,
+               content: current.content,
+               lock_version: current.lock_version
+             })}
+        end
 
       {:error, %Ecto.Changeset{} = changeset} ->
         {:noreply, assign(socket, form: to_form(changeset))}
     end
   end
 
+  defp parse_version(version) when is_integer(version), do: {:ok, version}
+
+  defp parse_version(version) when is_binary(version) do
+    case Integer.parse(version) do
+      {int, ""} -> {:ok, int}
+      _ -> :error
+    end
+  end
+
+  defp parse_version(_version), do: :error
+
+  # The browser renders the preview in client mode, and sends its outline
+  # ("preview_toc")
+  defp assign_preview(%{assigns: %{preview_mode: "client"}} = socket, _title, _content), do: socket
+
+  defp assign_preview(socket, title, content) do
+    {html, toc} = render_preview(title, content)
+
+    socket
+    |> assign(:preview_html, html)
+    |> assign(:preview_toc, toc)
+  end
+
+  # The server render stays authoritative: in client preview mode it is sent
+  # after each save so the browser can check its own render against it
+  defp push_server_preview(%{assigns: %{preview_mode: "client"}} = socket, article) do
+    push_event(socket, "server-preview", %{
+      markdown: build_full_markdown(article.title, article.content),
+      html: generate_preview(article.title, article.content)
+    })
+  end
+
+  defp push_server_preview(socket, _article), do: socket
+
   defp generate_preview(title, content) do
+    {html, _toc} = render_preview(title, content)
+    html
+  end
+
+  defp render_preview(title, content) do
     full_markdown = build_full_markdown(title, content)
 
-    case Parser.to_html(full_markdown) do
-      {:ok, html} -> html
-      {:error, _} -> "<p class='text-red-500'>Error parsing markdown</p>"
+    case Parser.to_html_with_toc(full_markdown, sourcepos: true) do
+      {:ok, html, toc} -> {html, toc}
+      {:error, _} -> {"<p class='text-red-500'>Error parsing markdown</p>", []}
     end
   end
 
+  # Outline of the draft above the preview, its headings linked to their
+  # anchors (PreviewAnchorScroll scrolls to them). The title heading is left
+  # out, its sections listed from the top. Opened with JS commands, which
+  # stay applied as the preview is patched.
+  attr :toc, :list, required: true
+
+  defp preview_toc(assigns) do
+    assigns = assign(assigns, :headings, toc_headings(assigns.toc))
+
+    ~H"""
+    <nav :if={length(@headings) > 1} id="preview-toc" aria-label="Table of contents" class="mb-6 text-sm">
+      <button
+        type="button"
+        class="font-semibold text-base-content/60 uppercase tracking-wide hover:text-base-content/80"
+        aria-controls="preview-toc-list"
+        aria-expanded="false"
+        phx-click={
+          JS.toggle_class("hidden", to: "#preview-toc-list")
+          |> JS.toggle_attribute({"aria-expanded", "true", "false"})
+        }
+      >
+        Contents
+      </button>
+      <div id="preview-toc-list" class="hidden">
+        <.toc_list headings={@headings} />
+      </div>
+    </nav>
+    """
+  end
+
+  attr :headings, :list, required: true
+
+  defp toc_list(assigns) do
+    ~H"""
+    <ul class="mt-2 ml-1 pl-3 border-l border-base-300 space-y-1">
+      <li :for={heading <- @headings}>
+        <a href={"#" <> heading.id} class="text-base-content/70 hover:text-primary">{heading.text}</a>
+        <.toc_list :if={heading.children != []} headings={heading.children} />
+      </li>
+    </ul>
+    """
+  end
+
+  # Headings as Parser.to_html_with_toc/2 returns them, keeping the
+  # well-formed ones
+  defp client_toc(headings) when is_list(headings) do
+    for %{"id" => id, "text" => text, "level" => level} = heading <- headings,
+        is_binary(id) and is_binary(text) and is_integer(level) do
+      %{id: id, text: text, level: level, children: client_toc(heading["children"])}
+    end
+  end
+
+  defp client_toc(_headings), do: []
+
+  # The draft's title is its only h1, with every section under it
+  defp toc_headings([%{level: 1, children: children}]), do: children
+  defp toc_headings(toc), do: toc
+
+  # Preview source positions count lines of the "# title\n\ncontent" markdown;
+  # the ScrollSync hook needs the line where the content textarea starts
+  defp content_line_offset(title) when is_binary(title) and title != "" do
+    length(String.split(title, "\n")) + 1
+  end
+
+  defp content_line_offset(_), do: 0
+
+  # Images wider than this are scaled down in the browser before upload
+  defp image_max_width do
+    :curupira
+    |> Application.get_env(:image_uploads, [])
+    |> Keyword.get(:max_width, 1600)
+  end
+
   defp build_full_markdown(nil, nil), do: ""
   defp build_full_markdown(nil, content) when is_binary(content), do: content
   defp build_full_markdown("", content) when is_binary(content), do: content
@@ -268,6 +496,15 @@ defmodule CurupiraWeb.ArticleLive.Form do
   end
   defp process_tags(params), do: params
 
+  # Known tags are suggested as the tag input is typed in
+  defp assign_taxonomy(socket) do
+    taxonomy = Blog.get_taxonomy()
+
+    socket
+    |> assign(:taxonomy, taxonomy)
+    |> assign(:known_tags, taxonomy |> Blog.count_tags() |> Map.keys() |> Enum.sort())
+  end
+
   defp tags_to_string(nil), do: ""
   defp tags_to_string([]), do: ""
   defp tags_to_string(tags) when is_list(tags), do: Enum.join(tags, ", ")
@@ -3,6 +3,8 @@ defmodule CurupiraWeb.ArticleLive.Index do
 
   alias Curupira.Blog
 
+  @per_page 10
+
   @impl true
   def mount(_params, _session, socket) do
     profile = Blog.get_or_create_profile()
@@ -10,25 +12,20 @@ defmodule CurupiraWeb.ArticleLive.Index do
     {:ok,
      socket
      |> assign(:profile, profile)
-     |> assign(:profile_form, Blog.change_profile(profile))}
+     |> assign(:profile_form, Blog.change_profile(profile))
+     |> assign(:pagination_mode, Blog.pagination_mode())}
   end
 
   @impl true
   def handle_params(params, _url, socket) do
-    page = String.to_integer(params["page"] || "1")
+    page = parse_page(params["page"])
     search_query = params["q"] || ""
 
-    opts = [page: page, per_page: 10]
-    opts = if search_query != "", do: Keyword.put(opts, :search, search_query), else: opts
-
-    pagination = Blog.list_articles_paginated(opts)
-
     {:noreply,
      socket
      |> apply_action(socket.assigns.live_action, params)
      |> assign(:search_query, search_query)
-     |> assign(:pagination, pagination)
-     |> stream(:articles, pagination.articles, reset: true)}
+     |> load_articles(page)}
   end
 
   defp apply_action(socket, :index, _params) do
@@ -54,6 +51,23 @@ defmodule CurupiraWeb.ArticleLive.Index do
     {:noreply, push_patch(socket, to: ~p"/articles?#{params}")}
   end
 
+  # :load_more and :infinite_scroll append the next page to the list
+  @impl true
+  def handle_event("load_more", _params, socket) do
+    %{page: page, total_pages: total_pages, articles: loaded} = socket.assigns.pagination
+
+    if page < total_pages do
+      pagination = Blog.list_articles_paginated(list_opts(socket, page: page + 1, per_page: @per_page))
+
+      {:noreply,
+       socket
+       |> assign(:pagination, %{pagination | articles: loaded ++ pagination.articles})
+       |> stream(:articles, pagination.articles)}
+    else
+      {:noreply, socket}
+    end
+  end
+
   @impl true
   def handle_event("update_profile", %{"field" => field, "value" => value}, socket) do
     profile = socket.assigns.profile
@@ -110,17 +124,9 @@ defmodule CurupiraWeb.ArticleLive.Index do
         message = if updated_article.pinned, do: "Article pinned", else: "Article unpinned"
 
         # Refresh all articles to reflect pinned changes
-        opts = [page: socket.assigns.pagination.page, per_page: 10]
-        opts = if socket.assigns.search_query != "",
-          do: Keyword.put(opts, :search, socket.assigns.search_query),
-          else: opts
-
-        pagination = Blog.list_articles_paginated(opts)
-
         {:noreply,
          socket
-         |> assign(:pagination, pagination)
-         |> stream(:articles, pagination.articles, reset: true)
+         |> load_articles(socket.assigns.pagination.page)
          |> put_flash(:info, message)}
 
       {:error, _changeset} ->
@@ -128,6 +134,64 @@ defmodule CurupiraWeb.ArticleLive.Index do
     end
   end
 
+  defp parse_page(page) when is_binary(page) do
+    case Integer.parse(page) do
+      {page, ""} when page > 0 -> page
+      _ -> 1
+    end
+  end
+
+  defp parse_page(_page), do: 1
+
+  # In :pages mode the list holds the page; in the scrolling modes it holds
+  # every page up to it, so a reload or coming back from an article finds
+  # the reader's place. That page is no further than the last one.
+  defp load_articles(socket, page) do
+    pagination =
+      if socket.assigns.pagination_mode == :pages do
+        Blog.list_articles_paginated(list_opts(socket, page: page, per_page: @per_page))
+      else
+        first = Blog.list_articles_paginated(list_opts(socket, page: 1, per_page: @per_page))
+        page = page |> min(first.total_pages) |> max(1)
+
+        pages =
+          if page == 1,
+            do: first,
+            else: Blog.list_articles_paginated(list_opts(socket, page: 1, per_page: page * @per_page))
+
+        %{pages | page: page, per_page: @per_page, total_pages: first.total_pages}
+      end
+
+    socket
+    |> assign(:pagination, pagination)
+    |> stream(:articles, pagination.articles, reset: true)
+  end
+
+  defp list_opts(socket, opts) do
+    case socket.assigns.search_query do
+      "" -> opts
+      search_query -> Keyword.put(opts, :search, search_query)
+    end
+  end
+
+  # Top matches listed in the search dropdown
+  defp search_matches("", _pagination), do: []
+  defp search_matches(_search_query, pagination), do: Enum.take(pagination.articles, 5)
+
+  # Read out by screen readers as the results change
+  defp search_announcement("", _pagination), do: ""
+
+  defp search_announcement(_search_query, %{total_count: count, suggestion: suggestion}) do
+    found =
+      case count do
+        0 -> "No articles found"
+        1 -> "1 article found"
+        count -> "#{count} articles found"
+      end
+
+    if suggestion, do: "#{found}. Did you mean #{suggestion}?", else: found
+  end
+
   defp pagination_range(current_page, total_pages) do
     cond do
       # If 7 or fewer pages, show all
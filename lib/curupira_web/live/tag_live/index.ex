@@ -0,0 +1,168 @@
+defmodule CurupiraWeb.TagLive.Index do
+  use CurupiraWeb, :live_view
+
+  alias Curupira.Blog
+  alias Curupira.Blog.Tag
+  alias Curupira.Blog.TagCategory
+  alias Curupira.Blog.Taxonomy
+
+  @impl true
+  def mount(_params, _session, socket) do
+    {:ok,
+     socket
+     |> assign(:page_title, "Tags")
+     |> assign_category_form(%TagCategory{})
+     |> assign_tag_form(%Tag{})
+     |> load_taxonomy()}
+  end
+
+  @impl true
+  def handle_event("validate_category", %{"tag_category" => params}, socket) do
+    changeset =
+      socket.assigns.editing_category
+      |> Blog.change_tag_category(params)
+      |> Map.put(:action, :validate)
+
+    {:noreply, assign(socket, :category_form, to_form(changeset))}
+  end
+
+  @impl true
+  def handle_event("save_category", %{"tag_category" => params}, socket) do
+    result =
+      case socket.assigns.editing_category do
+        %TagCategory{id: nil} -> Blog.create_tag_category(params)
+        category -> Blog.update_tag_category(category, params)
+      end
+
+    case result do
+      {:ok, category} ->
+        {:noreply,
+         socket
+         |> assign_category_form(%TagCategory{})
+         |> load_taxonomy()
+         |> put_flash(:info, "Category #{category.name} saved")}
+
+      {:error, changeset} ->
+        {:noreply, assign(socket, :category_form, to_form(changeset))}
+    end
+  end
+
+  @impl true
+  def handle_event("edit_category", %{"id" => id}, socket) do
+    {:noreply, assign_category_form(socket, Blog.get_tag_category!(id))}
+  end
+
+  @impl true
+  def handle_event("cancel_category", _params, socket) do
+    {:noreply, assign_category_form(socket, %TagCategory{})}
+  end
+
+  @impl true
+  def handle_event("delete_category", %{"id" => id}, socket) do
+    {:ok, category} = id |> Blog.get_tag_category!() |> Blog.delete_tag_category()
+
+    {:noreply,
+     socket
+     |> assign_category_form(%TagCategory{})
+     |> load_taxonomy()
+     |> put_flash(:info, "Category #{category.name} deleted, its tags are now uncategorised")}
+  end
+
+  @impl true
+  def handle_event("validate_tag", %{"tag" => params}, socket) do
+    changeset =
+      socket.assigns.editing_tag
+      |> Blog.change_tag(params)
+      |> Map.put(:action, :validate)
+
+    {:noreply, assign(socket, :tag_form, to_form(changeset))}
+  end
+
+  @impl true
+  def handle_event("save_tag", %{"tag" => params}, socket) do
+    result =
+      case socket.assigns.editing_tag do
+        %Tag{id: nil} -> Blog.create_tag(params)
+        tag -> Blog.update_tag(tag, params)
+      end
+
+    case result do
+      {:ok, tag} ->
+        {:noreply,
+         socket
+         |> assign_tag_form(%Tag{})
+         |> load_taxonomy()
+         |> put_flash(:info, "Tag #{tag.name} saved")}
+
+      {:error, changeset} ->
+        {:noreply, assign(socket, :tag_form, to_form(changeset))}
+    end
+  end
+
+  @impl true
+  def handle_event("edit_tag", %{"id" => id}, socket) do
+    {:noreply, assign_tag_form(socket, Blog.get_tag!(id))}
+  end
+
+  # Uncategorised tags are only used by articles: start a tag for them
+  @impl true
+  def handle_event("categorise_tag", %{"name" => name}, socket) do
+    {:noreply, assign_tag_form(socket, %Tag{}, %{"name" => name})}
+  end
+
+  @impl true
+  def handle_event("cancel_tag", _params, socket) do
+    {:noreply, assign_tag_form(socket, %Tag{})}
+  end
+
+  @impl true
+  def handle_event("delete_tag", %{"id" => id}, socket) do
+    {:ok, tag} = id |> Blog.get_tag!() |> Blog.delete_tag()
+
+    {:noreply,
+     socket
+     |> assign_tag_form(%Tag{})
+     |> load_taxonomy()
+     |> put_flash(:info, "Tag #{tag.name} deleted")}
+  end
+
+  defp assign_category_form(socket, category) do
+    socket
+    |> assign(:editing_category, category)
+    |> assign(:category_form, to_form(Blog.change_tag_category(category)))
+  end
+
+  defp assign_tag_form(socket, tag, params \\ %{}) do
+    socket
+    |> assign(:editing_tag, tag)
+    |> assign(:tag_form, to_form(Blog.change_tag(tag, params)))
+  end
+
+  # Tags grouped under their category, and the filters they add up to on
+  # the static site (with the "Other" bucket)
+  defp load_taxonomy(socket) do
+    taxonomy = Blog.get_taxonomy()
+    counts = Blog.count_tags(taxonomy)
+    tags = Blog.list_tags()
+    categories = Blog.list_tag_categories()
+
+    known = MapSet.new(tags, & &1.name)
+
+    uncategorised =
+      counts
+      |> Enum.reject(fn {name, _count} -> MapSet.member?(known, name) end)
+      |> Enum.sort_by(fn {name, count} -> {-count, name} end)
+
+    socket
+    |> assign(:categories, categories)
+    |> assign(:category_options, Enum.map(categories, &{"#{&1.icon} #{&1.name}", &1.id}))
+    |> assign(:tags_by_category, Enum.group_by(tags, & &1.category_id))
+    |> assign(:counts, counts)
+    |> assign(:uncategorised, uncategorised)
+    |> assign(:filters, Taxonomy.categories(taxonomy, counts))
+  end
+
+  defp aliases_to_string(aliases) when is_list(aliases), do: Enum.join(aliases, ", ")
+  defp aliases_to_string(aliases) when is_binary(aliases), do: aliases
+  defp aliases_to_string(_), do: ""
+end
@@ -21,6 +21,7 @@ defmodule CurupiraWeb.Router do
     live "/articles", ArticleLive.Index, :index
     live "/articles/new", ArticleLive.Form, :new
     live "/articles/:id/edit", ArticleLive.Form, :edit
+    live "/tags", TagLive.Index, :index
   end
 
   # Other scopes may use custom stacks.
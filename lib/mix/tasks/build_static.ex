@@ -15,6 +15,8 @@ defmodule Mix.Tasks.BuildStatic do
   use Mix.Task
   require Logger
 
+  alias Curupira.Blog.{ReadingTime, Taxonomy}
+
   @output_dir "static_output"
   @articles_per_page 10
   @site_url "https://leandronsp.com"  # TODO: Make this configurable
@@ -39,10 +41,29 @@ defmodule Mix.Tasks.BuildStatic do
     # Build optimized CSS for static site (returns hashed filename)
     css_file = build_optimized_css()
 
-    # Get all published articles
-    articles = Curupira.Blog.list_published_articles()
+    # Get all published articles, with tags spelled as the taxonomy does and
+    # reading times for the ones saved before they were estimated
+    taxonomy = Curupira.Blog.get_taxonomy()
+
+    articles =
+      Curupira.Blog.list_published_articles()
+      |> Enum.map(fn article ->
+        %{
+          article
+          | tags: Taxonomy.normalize_tags(taxonomy, article.tags),
+            reading_time_minutes: ReadingTime.for_article(article)
+        }
+      end)
+
     Logger.info("📄 Found #{length(articles)} published articles")
 
+    # Tag filter categories, uncategorised tags under "Other", each tag with
+    # the path of its page
+    tag_categories =
+      taxonomy
+      |> Taxonomy.categories(Taxonomy.count(taxonomy, articles))
+      |> put_tag_paths()
+
     # Get profile
     profile = Curupira.Blog.get_or_create_profile()
 
@@ -50,17 +71,25 @@ defmodule Mix.Tasks.BuildStatic do
     js_files = copy_assets()
 
     # Generate pages with hashed asset filenames
-    generate_homepage(articles, profile, css_file, js_files)
+    home_paths = generate_homepage(articles, tag_categories, profile, css_file, js_files)
+    landing_paths = generate_landing_pages(articles, tag_categories, profile, css_file, js_files)
     generate_article_pages(articles, profile, css_file, js_files)
+    generate_search_page(profile, css_file, js_files)
+    generate_offline_page(profile, css_file, js_files)
 
     # Copy uploads
     copy_uploads()
 
     # Generate SEO files
     generate_search_index(articles)
-    generate_sitemap(articles)
+    generate_tags_json(tag_categories)
+    generate_sitemap(articles, home_paths ++ landing_paths)
     generate_robots_txt()
 
+    # Installable, and readable offline
+    generate_manifest(profile)
+    generate_service_worker(css_file, js_files)
+
     # Create .nojekyll for GitHub Pages
     File.write!(Path.join(@output_dir, ".nojekyll"), "")
 
@@ -108,11 +137,107 @@ defmodule Mix.Tasks.BuildStatic do
     "/assets/css/app.#{hash}.css"
   end
 
-  defp generate_homepage(articles, profile, css_file, js_files) do
+  # The homepage and its next pages (/page/2/, ...). Returns the paths of
+  # the next ones.
+  defp generate_homepage(articles, tag_categories, profile, css_file, js_files) do
     Logger.info("🏠 Generating homepage...")
 
-    html = render_homepage(articles, profile, css_file, js_files)
-    File.write!(Path.join(@output_dir, "index.html"), html)
+    listing = %{
+      path: "/",
+      title: blog_name(profile),
+      description: site_description(profile),
+      heading: nil,
+      filter: %{},
+      articles: articles,
+      counts: tag_counts(articles)
+    }
+
+    [_home | paths] = write_listing_pages(listing, tag_categories, profile, css_file, js_files)
+
+    Logger.info("  ✓ #{length(paths) + 1} pages")
+    paths
+  end
+
+  # Real pages for what the homepage filters client-side, one per tag
+  # (/tags/<tag>/) and language (/lang/<code>/), paginated, so crawlers and
+  # readers without JavaScript get them too. Returns their paths.
+  defp generate_landing_pages(articles, tag_categories, profile, css_file, js_files) do
+    Logger.info("🏷️  Generating tag and language pages...")
+
+    tag_landings =
+      tag_categories
+      |> Enum.flat_map(& &1.tags)
+      |> Enum.uniq_by(& &1.tag)
+      |> Enum.map(fn %{tag: tag, path: path} ->
+        tagged = Enum.filter(articles, &(tag in &1.tags))
+        label = tag_label(tag)
+
+        %{
+          path: path,
+          title: "#{label} - #{blog_name(profile)}",
+          description: "#{count_articles(length(tagged))} about #{label} on #{blog_name(profile)}.",
+          heading: "Articles tagged #{label}",
+          filter: %{tag: tag, path: path},
+          articles: tagged,
+          counts: tag_counts(articles)
+        }
+      end)
+
+    lang_landings =
+      articles
+      |> Enum.group_by(&lang_code/1)
+      |> Enum.sort_by(fn {code, _articles} -> code end)
+      |> Enum.map(fn {code, in_language} ->
+        name = language_name(code)
+
+        %{
+          path: lang_path(code),
+          title: "#{name} - #{blog_name(profile)}",
+          description: "#{count_articles(length(in_language))} in #{name} on #{blog_name(profile)}.",
+          heading: "Articles in #{name}",
+          filter: %{lang: code},
+          articles: in_language,
+          counts: tag_counts(in_language)
+        }
+      end)
+
+    paths =
+      Enum.flat_map(tag_landings ++ lang_landings, fn landing ->
+        write_listing_pages(landing, tag_categories, profile, css_file, js_files)
+      end)
+
+    Logger.info("  ✓ #{length(tag_landings)} tags and #{length(lang_landings)} languages in #{length(paths)} pages")
+    paths
+  end
+
+  # Writes a listing a page of articles at a time, newest first: its first
+  # page at its path, the next ones under page/<n>/. Returns their paths.
+  defp write_listing_pages(listing, tag_categories, profile, css_file, js_files) do
+    pages =
+      case listing.articles |> sort_by_date() |> Enum.chunk_every(@articles_per_page) do
+        [] -> [[]]
+        pages -> pages
+      end
+
+    total_pages = length(pages)
+
+    pages
+    |> Enum.with_index(1)
+    |> Enum.map(fn {page_articles, page} ->
+      path = page_path(listing.path, page)
+      # The homepage highlights its pinned article
+      pinned = if page == 1 and listing.filter == %{}, do: Enum.find(listing.articles, & &1.pinned)
+
+      page_listing =
+        Map.merge(listing, %{path: path, articles: page_articles, page: page, total_pages: total_pages, pinned: pinned})
+
+      html = render_listing(page_listing, tag_categories, profile, css_file, js_files)
+      dir = Path.join(@output_dir, path)
+      File.mkdir_p!(dir)
+      File.write!(Path.join(dir, "index.html"), html)
+
+      path
+    end)
   end
 
   defp generate_article_pages(articles, profile, css_file, js_files) do
@@ -126,13 +251,27 @@ defmodule Mix.Tasks.BuildStatic do
     end)
   end
 
+  defp generate_search_page(profile, css_file, js_files) do
+    Logger.info("🔎 Generating search page...")
+
+    html = render_search_page(profile, css_file, js_files)
+    File.write!(Path.join(@output_dir, "search.html"), html)
+  end
+
+  defp generate_offline_page(profile, css_file, js_files) do
+    Logger.info("📴 Generating offline page...")
+
+    html = render_offline_page(profile, css_file, js_files)
+    File.write!(Path.join(@output_dir, "offline.html"), html)
+  end
+
   defp copy_assets do
     Logger.info("📦 Copying and minifying JavaScript...")
 
     priv_static = "priv/static"
 
     # Minify and hash static JavaScript files
-    js_files = ["static-theme.js", "static-filters.js", "static-search.js", "static-pagination.js", "static-giscus.js"]
+    js_files = ["static-theme.js", "static-router.js", "static-filters.js", "static-search-engine.js", "static-combobox.js", "static-search.js", "static-search-page.js", "static-pagination.js", "static-article-loader.js", "static-giscus.js", "static-offline.js", "static-reading.js", "static-toc.js"]
     |> Enum.reduce(%{}, fn file, acc ->
       src = Path.join(priv_static, file)
       dest_temp = Path.join(@output_dir, file)
@@ -199,124 +338,167 @@ defmodule Mix.Tasks.BuildStatic do
   defp generate_search_index(articles) do
     Logger.info("🔍 Generating search index...")
 
-    # Generate article index with snippets
-    index = Enum.map(articles, fn article ->
-      # Generate plain text snippet for search (no HTML formatting)
-      {:ok, html} = Curupira.Markdown.Parser.to_html(article.content || "")
+    documents = Enum.map(articles, fn article ->
+      document = Curupira.Search.article_document(article, meta: %{
+        slug: article.slug,
+        tags: article.tags,
+        published_at: article.published_at
+      })
 
-      snippet = html
-        |> String.replace(~r/<[^>]*>/, "")   # Remove all HTML tags
-        |> String.replace(~r/\s+/, " ")      # Normalize whitespace
-        |> String.trim()
+      snippet = document.body
         |> String.slice(0..200)
         |> then(fn s ->
           content_length = String.length(article.content || "")
           if content_length > 200, do: s <> "...", else: s
         end)
 
-      # Normalize tags for consistent filtering
-      normalized_tags = (article.tags || [])
-        |> Enum.map(&normalize_tag/1)
-        |> Enum.uniq()
-
-      %{
-        slug: article.slug,
-        title: article.title,
-        tags: normalized_tags,
-        language: article.language || "en",
-        snippet: snippet,
-        published_at: article.published_at
-      }
+      put_in(document, [:meta, :snippet], snippet)
     end)
 
-    json = Jason.encode!(index)
-    File.write!(Path.join(@output_dir, "search-index.json"), json)
+    index = Curupira.Search.Index.build(documents)
+    File.write!(Path.join(@output_dir, "search-index.json"), Jason.encode!(index))
 
-    # Generate curated tags with semantic grouping
-    curated_tags = generate_curated_tags(articles)
-    tags_json = Jason.encode!(curated_tags)
-    File.write!(Path.join(@output_dir, "tags.json"), tags_json)
+    # Article bodies, in index order, for phrase queries and result excerpts
+    texts = Enum.map(documents, & &1.body)
+    File.write!(Path.join(@output_dir, "search-text.json"), Jason.encode!(texts))
+
+    Logger.info("  ✓ Indexed #{map_size(index.terms)} terms in #{length(documents)} articles")
+  end
 
-    total_tags = curated_tags
+  defp generate_tags_json(tag_categories) do
+    File.write!(Path.join(@output_dir, "tags.json"), Jason.encode!(tag_categories))
+
+    total_tags = tag_categories
       |> Enum.flat_map(fn category -> category.tags end)
       |> length()
-    Logger.info("  ✓ Generated #{total_tags} curated tags in #{length(curated_tags)} categories")
+    Logger.info("  ✓ Generated #{total_tags} tags in #{length(tag_categories)} categories")
   end
 
-  # Curated tags with semantic grouping
-  defp generate_curated_tags(articles) do
-    # Normalize tags: k8s -> kubernetes, shellscript/bash merge, etc.
-    normalized_articles = Enum.map(articles, fn article ->
-      normalized_tags = (article.tags || [])
-        |> Enum.map(&normalize_tag/1)
-        |> Enum.uniq()
+  # Desktop tag filter pills, each category's led by its icon. Counts are
+  # the page's (static-filters.js keeps the homepage's up to date)
+  defp render_tag_pills(tag_categories, counts) do
+    Enum.map_join(tag_categories, "\n", fn category ->
+      icon = ~s(<span class="ml-2 text-sm" title="#{escape(category.category)}" aria-hidden="true">#{escape(category.icon)}</span>)
+
+      pills = Enum.map_join(category.tags, "\n", fn %{tag: tag, path: path} ->
+        render_tag_pill(tag, path, Map.get(counts, tag, 0), "tag-pill px-4 py-1.5 text-sm font-medium rounded-full transition-all whitespace-nowrap cursor-pointer bg-transparent hover:bg-base-200 text-base-content")
+      end)
 
-      %{article | tags: normalized_tags}
+      icon <> "\n" <> pills
     end)
+  end
 
-    # Count normalized tags
-    tag_counts = normalized_articles
-      |> Enum.flat_map(fn article -> article.tags end)
-      |> Enum.frequencies()
+  # Mobile tag filter pills, grouped under their category
+  defp render_mobile_tag_pills(tag_categories, counts) do
+    Enum.map_join(tag_categories, "\n", fn category ->
+      pills = Enum.map_join(category.tags, "\n", fn %{tag: tag, path: path} ->
+        render_tag_pill(tag, path, Map.get(counts, tag, 0), "mobile-tag-pill px-4 py-2 text-sm font-medium rounded-full transition-all bg-base-200 hover:bg-base-300 text-base-content")
+      end)
 
-    # Define curated categories with semantic grouping
-    [
-      %{
-        category: "Languages",
-        icon: "💻",
-        tags: build_tag_list(["ruby", "javascript", "rust", "go", "haskell", "bash", "assembly"], tag_counts)
-      },
-      %{
-        category: "Infrastructure",
-        icon: "🚀",
-        tags: build_tag_list(["kubernetes", "docker", "linux", "aws"], tag_counts)
-      },
-      %{
-        category: "Data",
-        icon: "🗄️",
-        tags: build_tag_list(["postgres", "sql"], tag_counts)
-      },
-      %{
-        category: "Tools",
-        icon: "🔧",
-        tags: build_tag_list(["git"], tag_counts)
-      }
-    ]
-    |> Enum.filter(fn category -> length(category.tags) > 0 end)
+      """
+      <h4 class="mt-3 mb-2 text-xs font-medium text-base-content/60">#{escape(category.icon)} #{escape(category.category)}</h4>
+      <div class="flex flex-wrap gap-2">
+        #{pills}
+      </div>
+      """
+    end)
   end
 
-  defp normalize_tag(tag) do
-    tag_lower = String.downcase(tag)
+  # Links to the tag's page; static-filters.js turns them into toggles
+  defp render_tag_pill(tag, path, count, class) do
+    ~s(<a href="#{path}" class="#{class}" data-tag="#{escape(tag)}" data-count="#{count}">#{escape(tag_label(tag))}<span class="tag-count ml-1 text-xs opacity-70">\(#{count}\)</span></a>)
+  end
 
-    cond do
-      tag_lower == "k8s" -> "kubernetes"
-      tag_lower == "shellscript" -> "bash"
-      tag_lower == "postgresql" -> "postgres"
-      tag_lower == "js" -> "javascript"
-      tag_lower == "rubyonrails" -> "rails"
-      true -> tag_lower
-    end
+  defp escape(nil), do: ""
+  defp escape(text), do: text |> Phoenix.HTML.html_escape() |> Phoenix.HTML.safe_to_string()
+
+  # Comma-separated tags for static-filters.js to match exactly
+  defp data_tags(article) do
+    Enum.join(article.tags || [], ",")
   end
 
-  defp build_tag_list(tag_names, tag_counts) do
-    tag_names
-      |> Enum.map(fn tag ->
-        count = Map.get(tag_counts, tag, 0)
-        if count > 0 do
-          %{tag: tag, count: count}
-        else
-          nil
-        end
-      end)
-      |> Enum.reject(&is_nil/1)
-      |> Enum.sort_by(fn %{count: count} -> -count end)
+  defp blog_name(profile), do: profile.name || "Blog"
+
+  defp site_description(profile) do
+    profile.bio || "Personal blog about software development, programming, and technology"
   end
 
-  defp generate_sitemap(articles) do
+  defp tag_counts(articles) do
+    articles
+    |> Enum.flat_map(&(&1.tags || []))
+    |> Enum.frequencies()
+  end
+
+  defp tag_label(tag), do: String.capitalize(tag)
+
+  # Adds the path of its page to every tag (see tag_paths/1)
+  defp put_tag_paths(tag_categories) do
+    paths = tag_paths(tag_categories)
+
+    Enum.map(tag_categories, fn category ->
+      %{category | tags: Enum.map(category.tags, &Map.put(&1, :path, Map.fetch!(paths, &1.tag)))}
+    end)
+  end
+
+  # A page per tag, at /tags/<slug>/. Tags that slug alike ("c", "c#" and
+  # "c++") get a numbered slug each ("c", "c-2", "c-3"): the tag spelled as
+  # its slug keeps it, then the rest in order.
+  defp tag_paths(tag_categories) do
+    tag_categories
+    |> Enum.flat_map(& &1.tags)
+    |> Enum.map(& &1.tag)
+    |> Enum.uniq()
+    |> Enum.sort_by(&{tag_slug(&1) != &1, &1})
+    |> Enum.reduce({%{}, MapSet.new()}, fn tag, {paths, taken} ->
+      slug = unique_slug(tag_slug(tag), taken)
+      {Map.put(paths, tag, "/tags/#{slug}/"), MapSet.put(taken, slug)}
+    end)
+    |> elem(0)
+  end
+
+  # Directory-safe tag for its page's URL
+  defp tag_slug(tag) do
+    slug =
+      tag
+      |> String.replace(~r/[^\p{L}\p{N}]+/u, "-")
+      |> String.trim("-")
+
+    if slug == "", do: raise("Tag #{inspect(tag)} has no letters or digits to name its page after")
+    slug
+  end
+
+  # The slug, or the first of slug-2, slug-3, ... no other tag has
+  defp unique_slug(slug, taken) do
+    numbered = Stream.map(Stream.iterate(2, &(&1 + 1)), &"#{slug}-#{&1}")
+    Enum.find(Stream.concat([slug], numbered), &(not MapSet.member?(taken, &1)))
+  end
+
+  # Languages as static-filters.js groups them: pt and pt-BR are "pt"
+  defp lang_code(%{language: language}) when language in ["pt", "pt-BR"], do: "pt"
+  defp lang_code(%{language: language}), do: language || "en"
+
+  defp lang_path(code), do: "/lang/#{code}/"
+
+  defp language_name("pt"), do: "Portuguese"
+  defp language_name("en"), do: "English"
+  defp language_name(code), do: String.upcase(code)
+
+  defp count_articles(1), do: "1 article"
+  defp count_articles(count), do: "#{count} articles"
+
+  defp page_path(path, 1), do: path
+  defp page_path(path, page), do: "#{path}page/#{page}/"
+
+  defp sort_by_date(articles) do
+    Enum.sort_by(articles, fn a -> a.published_at || a.inserted_at end, {:desc, DateTime})
+  end
+
+  defp generate_sitemap(articles, landing_paths) do
     Logger.info("🗺️  Generating sitemap.xml...")
 
     urls = [
       sitemap_url("/", "1.0", "daily"),
+      Enum.map(landing_paths, &sitemap_url(&1, "0.6", "weekly")),
       # Add article URLs
       Enum.map(articles, fn article ->
         date = if article.published_at do
@@ -370,11 +552,65 @@ defmodule Mix.Tasks.BuildStatic do
     File.write!(Path.join(@output_dir, "robots.txt"), robots)
   end
 
-  defp render_homepage(articles, profile, css_file, js_files) do
-    total_pages = ceil(length(articles) / @articles_per_page)
+  defp generate_manifest(profile) do
+    Logger.info("📱 Generating web manifest...")
+
+    manifest = %{
+      name: blog_name(profile),
+      short_name: blog_name(profile),
+      description: site_description(profile),
+      start_url: "/",
+      scope: "/",
+      display: "standalone",
+      background_color: "#ffffff",
+      theme_color: "#ffffff",
+      icons: [%{src: "/images/favicon.svg", sizes: "any", type: "image/svg+xml", purpose: "any"}]
+    }
+
+    File.write!(Path.join(@output_dir, "manifest.webmanifest"), Jason.encode!(manifest, pretty: true))
+  end
+
+  # /sw.js from priv/static/static-sw.js, with the shell it precaches and
+  # its version, a hash of the shell's contents, so each build that changes
+  # it replaces the previous one
+  defp generate_service_worker(css_file, js_files) do
+    Logger.info("📴 Generating service worker...")
+
+    precache =
+      ["/", "/offline.html", "/search.html", css_file] ++
+        Enum.sort(Map.values(js_files)) ++
+        ["/search-index.json", "/search-text.json", "/tags.json", "/manifest.webmanifest", "/images/favicon.svg"]
 
-    # SEO metadata for homepage
-    site_description = profile.bio || "Personal blog about software development, programming, and technology"
+    version =
+      precache
+      |> Enum.map(&File.read!(output_file(&1)))
+      |> then(&:crypto.hash(:md5, &1))
+      |> Base.encode16(case: :lower)
+      |> String.slice(0, 8)
+
+    source = File.read!("priv/static/static-sw.js")
+
+    header = """
+    const VERSION = #{Jason.encode!(version)};
+    const PRECACHE = #{Jason.encode!(precache)};
+
+    """
+
+    File.write!(Path.join(@output_dir, "sw.js"), header <> source)
+
+    Logger.info("  ✓ Service worker #{version}, #{length(precache)} files precached")
+  end
+
+  defp output_file("/"), do: Path.join(@output_dir, "index.html")
+  defp output_file(path), do: Path.join(@output_dir, path)
+
+  # A page of the homepage, listing every article, or of a tag or language
+  # page (`listing.filter` has its tag or lang). static-pagination.js swaps
+  # pages in place, static-filters.js filters the homepage further.
+  defp render_listing(listing, tag_categories, profile, css_file, js_files) do
+    home? = listing.filter == %{}
+    articles = listing.articles
+    title = if listing.page > 1, do: "#{listing.title} - Page #{listing.page}", else: listing.title
 
     """
     <!DOCTYPE html>
@@ -382,28 +618,30 @@ defmodule Mix.Tasks.BuildStatic do
     <head>
       <meta charset="UTF-8">
       <meta name="viewport" content="width=device-width, initial-scale=1.0">
-      <title>#{profile.name || "Blog"}</title>
+      <title>#{escape(title)}</title>
       <link rel="icon" type="image/svg+xml" href="/images/favicon.svg">
+      #{render_pwa_head()}
 
       <!-- SEO Meta Tags -->
-      <meta name="description" content="#{site_description}">
+      <meta name="description" content="#{escape(listing.description)}">
       <meta name="author" content="#{profile.name || ""}">
-      <link rel="canonical" href="#{@site_url}/">
+      <link rel="canonical" href="#{@site_url}#{listing.path}">
+      #{render_page_links(listing)}
 
       <!-- Open Graph / Facebook -->
       <meta property="og:type" content="website">
-      <meta property="og:url" content="#{@site_url}/">
-      <meta property="og:title" content="#{profile.name || "Blog"}">
-      <meta property="og:description" content="#{site_description}">
-      <meta property="og:site_name" content="#{profile.name || "Blog"}">
+      <meta property="og:url" content="#{@site_url}#{listing.path}">
+      <meta property="og:title" content="#{escape(title)}">
+      <meta property="og:description" content="#{escape(listing.description)}">
+      <meta property="og:site_name" content="#{blog_name(profile)}">
 
       <!-- JSON-LD Schema -->
       <script type="application/ld+json">
       {
         "@context": "https://schema.org",
-        "@type": "Blog",
-        "name": "#{profile.name || "Blog"}",
-        "description": "#{String.replace(site_description, "\"", "\\\"")}"#{if profile.name do
+        "@type": "#{if home?, do: "Blog", else: "CollectionPage"}",
+        "name": "#{String.replace(listing.title, "\"", "\\\"")}",
+        "description": "#{String.replace(listing.description, "\"", "\\\"")}"#{if profile.name do
           ~s(,\n        "author": {\n          "@type": "Person",\n          "name": "#{profile.name}"\n        })
         else
           ""
@@ -490,7 +728,9 @@ defmodule Mix.Tasks.BuildStatic do
         }
       </style>
     </head>
-    <body class="min-h-screen bg-base-100">
+    <body class="min-h-screen bg-base-100"#{render_filter_attrs(listing.filter)}>
+      <!-- Reading progress, see static-reading.js -->
+      <div id="reading-progress" class="fixed top-0 left-0 z-[60] h-1 bg-primary" style="width: 0" role="progressbar" aria-label="Reading progress" aria-valuemin="0" aria-valuemax="100" aria-valuenow="0"></div>
       <!-- Fixed Header -->
       <header class="sticky top-0 z-50 bg-base-100 border-b border-base-300 shadow-sm">
         <div class="container mx-auto px-4 sm:px-6 py-4 max-w-6xl">
@@ -545,13 +785,23 @@ defmodule Mix.Tasks.BuildStatic do
           <div class="flex gap-3 items-center relative">
             <!-- Search Container -->
             <div class="relative flex-1 md:max-w-2xl">
+              <!-- Enter without a highlighted result opens the full results page -->
+              <form action="/search.html" method="get" role="search">
               <input
                 type="text"
                 id="search-input"
+                name="q"
                 placeholder="Search articles..."
                 class="w-full h-12 pl-12 pr-12 text-base bg-base-200 border-2 border-base-300 rounded-full transition-all focus:border-primary focus:outline-none focus:ring-2 focus:ring-primary/20"
                 autocomplete="off"
+                role="combobox"
+                aria-label="Search articles"
+                aria-autocomplete="list"
+                aria-expanded="false"
+                aria-controls="search-listbox"
+                aria-keyshortcuts="/"
               />
+              </form>
               <svg xmlns="http://www.w3.org/2000/svg" class="h-5 w-5 absolute left-4 top-1/2 -translate-y-1/2 text-base-content/40" fill="none" viewBox="0 0 24 24" stroke="currentColor" stroke-width="2">
                 <path stroke-linecap="round" stroke-linejoin="round" d="M21 21l-6-6m2-5a7 7 0 11-14 0 7 7 0 0114 0z" />
               </svg>
@@ -569,6 +819,7 @@ defmodule Mix.Tasks.BuildStatic do
               <div id="search-results" class="hidden absolute top-full mt-2 left-0 w-[calc(100%+60px)] md:w-full bg-base-100 border-2 border-base-300 rounded-2xl shadow-2xl max-h-[60vh] md:max-h-[500px] overflow-y-auto z-50 p-3">
                 <!-- Results will be inserted here by JavaScript -->
               </div>
+              <div id="search-status" role="status" aria-live="polite" class="sr-only"></div>
             </div>
 
             <!-- Mobile: Filter Button (shows dropdown) -->
@@ -584,20 +835,20 @@ defmodule Mix.Tasks.BuildStatic do
 
             <!-- Desktop: Language Switcher -->
             <div class="hidden md:flex lang-switcher-bg gap-0 bg-blue-50/80 border border-blue-100 rounded-full p-1 ml-auto shadow-sm">
-              <button class="lang-filter-btn px-4 py-1.5 text-sm font-medium rounded-full whitespace-nowrap cursor-pointer bg-primary text-white" data-lang="all" onclick="window.blogFilters.setLanguage('all')">All</button>
-              <button class="lang-filter-btn px-4 py-1.5 text-sm font-medium rounded-full whitespace-nowrap cursor-pointer bg-transparent hover:bg-white/60 text-base-content" data-lang="pt" onclick="window.blogFilters.setLanguage('pt')">🇧🇷 PT</button>
-              <button class="lang-filter-btn px-4 py-1.5 text-sm font-medium rounded-full whitespace-nowrap cursor-pointer bg-transparent hover:bg-white/60 text-base-content" data-lang="en" onclick="window.blogFilters.setLanguage('en')">🇺🇸 EN</button>
+              <a href="#{lang_href(listing, "all")}" class="lang-filter-btn px-4 py-1.5 text-sm font-medium rounded-full whitespace-nowrap cursor-pointer bg-primary text-white" data-lang="all">All</a>
+              <a href="#{lang_href(listing, "pt")}" class="lang-filter-btn px-4 py-1.5 text-sm font-medium rounded-full whitespace-nowrap cursor-pointer bg-transparent hover:bg-white/60 text-base-content" data-lang="pt">🇧🇷 PT</a>
+              <a href="#{lang_href(listing, "en")}" class="lang-filter-btn px-4 py-1.5 text-sm font-medium rounded-full whitespace-nowrap cursor-pointer bg-transparent hover:bg-white/60 text-base-content" data-lang="en">🇺🇸 EN</a>
             </div>
 
             <!-- Mobile: Filters Dropdown (hidden by default) -->
-            <div id="mobile-filters-dropdown" class="hidden md:hidden absolute top-full right-0 mt-2 w-80 max-w-[calc(100vw-2rem)] bg-base-100 border-2 border-base-300 rounded-2xl shadow-2xl z-50 p-4">
+            <div id="mobile-filters-dropdown" class="hidden md:hidden absolute top-full right-0 mt-2 w-80 max-w-[calc(100vw-2rem)] max-h-[70vh] overflow-y-auto bg-base-100 border-2 border-base-300 rounded-2xl shadow-2xl z-50 p-4">
               <!-- Language Group -->
               <div class="mb-4">
                 <h3 class="text-sm font-semibold text-base-content/70 mb-3">Language</h3>
                 <div class="flex flex-wrap gap-2">
-                  <button class="mobile-lang-pill px-4 py-2 text-sm font-medium rounded-full transition-all bg-primary text-white" data-lang="all" onclick="window.blogFilters.setLanguage('all')">All</button>
-                  <button class="mobile-lang-pill px-4 py-2 text-sm font-medium rounded-full transition-all bg-base-200 hover:bg-base-300 text-base-content" data-lang="pt" onclick="window.blogFilters.setLanguage('pt')">🇧🇷 PT</button>
-                  <button class="mobile-lang-pill px-4 py-2 text-sm font-medium rounded-full transition-all bg-base-200 hover:bg-base-300 text-base-content" data-lang="en" onclick="window.blogFilters.setLanguage('en')">🇺🇸 EN</button>
+                  <a href="#{lang_href(listing, "all")}" class="mobile-lang-pill px-4 py-2 text-sm font-medium rounded-full transition-all bg-primary text-white" data-lang="all">All</a>
+                  <a href="#{lang_href(listing, "pt")}" class="mobile-lang-pill px-4 py-2 text-sm font-medium rounded-full transition-all bg-base-200 hover:bg-base-300 text-base-content" data-lang="pt">🇧🇷 PT</a>
+                  <a href="#{lang_href(listing, "en")}" class="mobile-lang-pill px-4 py-2 text-sm font-medium rounded-full transition-all bg-base-200 hover:bg-base-300 text-base-content" data-lang="en">🇺🇸 EN</a>
                 </div>
               </div>
 
@@ -605,14 +856,12 @@ defmodule Mix.Tasks.BuildStatic do
               <div>
                 <h3 class="text-sm font-semibold text-base-content/70 mb-3">Tags</h3>
                 <div class="flex flex-wrap gap-2">
-                  <button class="mobile-tag-pill px-4 py-2 text-sm font-medium rounded-full transition-all bg-primary text-white" data-tag="all" onclick="window.blogFilters.clearTag()">All</button>
-                  <button class="mobile-tag-pill px-4 py-2 text-sm font-medium rounded-full transition-all bg-base-200 hover:bg-base-300 text-base-content" data-tag="ruby" onclick="window.blogFilters.setTag('ruby')">Ruby</button>
-                  <button class="mobile-tag-pill px-4 py-2 text-sm font-medium rounded-full transition-all bg-base-200 hover:bg-base-300 text-base-content" data-tag="rust" onclick="window.blogFilters.setTag('rust')">Rust</button>
-                  <button class="mobile-tag-pill px-4 py-2 text-sm font-medium rounded-full transition-all bg-base-200 hover:bg-base-300 text-base-content" data-tag="haskell" onclick="window.blogFilters.setTag('haskell')">Haskell</button>
-                  <button class="mobile-tag-pill px-4 py-2 text-sm font-medium rounded-full transition-all bg-base-200 hover:bg-base-300 text-base-content" data-tag="assembly" onclick="window.blogFilters.setTag('assembly')">Assembly</button>
-                  <button class="mobile-tag-pill px-4 py-2 text-sm font-medium rounded-full transition-all bg-base-200 hover:bg-base-300 text-base-content" data-tag="bash" onclick="window.blogFilters.setTag('bash')">Bash</button>
-                  <button class="mobile-tag-pill px-4 py-2 text-sm font-medium rounded-full transition-all bg-base-200 hover:bg-base-300 text-base-content" data-tag="postgres" onclick="window.blogFilters.setTag('postgres')">Postgres</button>
-                  <button class="mobile-tag-pill px-4 py-2 text-sm font-medium rounded-full transition-all bg-base-200 hover:bg-base-300 text-base-content" data-tag="kubernetes" onclick="window.blogFilters.setTag('kubernetes')">Kubernetes</button>
+                  <a href="#{all_tags_href(listing)}" class="mobile-tag-pill px-4 py-2 text-sm font-medium rounded-full transition-all bg-primary text-white" data-tag="all">All</a>
+                </div>
+                #{render_mobile_tag_pills(tag_categories, listing.counts)}
+                <div class="tag-mode-switch hidden mt-3 flex items-center gap-1 text-xs" role="group" aria-label="Articles with">
+                  <button class="tag-mode-btn px-3 py-1 rounded-full" data-mode="or" onclick="window.blogFilters.setTagMode('or')">Any tag</button>
+                  <button class="tag-mode-btn px-3 py-1 rounded-full" data-mode="and" onclick="window.blogFilters.setTagMode('and')">All tags</button>
                 </div>
               </div>
             </div>
@@ -646,7 +895,9 @@ defmodule Mix.Tasks.BuildStatic do
               const urlParams = new URLSearchParams(window.location.search);
               const urlLang = urlParams.get('lang');
               const savedLang = localStorage.getItem('blog-filter-lang') || 'all';
-              const currentLang = urlLang || savedLang;
+              // Tag and language pages filter by what they list
+              const page = document.body.dataset;
+              const currentLang = page.filterLang || (page.filterTag ? 'all' : urlLang || savedLang);
 
               const buttons = document.querySelectorAll('.lang-filter-btn');
               buttons.forEach(function(btn) {
@@ -668,14 +919,13 @@ defmodule Mix.Tasks.BuildStatic do
             <div class="py-3">
               <div class="flex flex-wrap gap-2 items-center">
                 <div id="tags-pills" class="flex flex-wrap gap-2 items-center">
-                  <button class="tag-pill px-4 py-1.5 text-sm font-medium rounded-full transition-all whitespace-nowrap cursor-pointer bg-primary text-white" data-tag="all" onclick="window.blogFilters.clearTag()">All</button>
-                  <button class="tag-pill px-4 py-1.5 text-sm font-medium rounded-full transition-all whitespace-nowrap cursor-pointer bg-transparent hover:bg-base-200 text-base-content" data-tag="ruby" onclick="window.blogFilters.setTag('ruby')">Ruby</button>
-                  <button class="tag-pill px-4 py-1.5 text-sm font-medium rounded-full transition-all whitespace-nowrap cursor-pointer bg-transparent hover:bg-base-200 text-base-content" data-tag="rust" onclick="window.blogFilters.setTag('rust')">Rust</button>
-                  <button class="tag-pill px-4 py-1.5 text-sm font-medium rounded-full transition-all whitespace-nowrap cursor-pointer bg-transparent hover:bg-base-200 text-base-content" data-tag="haskell" onclick="window.blogFilters.setTag('haskell')">Haskell</button>
-                  <button class="tag-pill px-4 py-1.5 text-sm font-medium rounded-full transition-all whitespace-nowrap cursor-pointer bg-transparent hover:bg-base-200 text-base-content" data-tag="assembly" onclick="window.blogFilters.setTag('assembly')">Assembly</button>
-                  <button class="tag-pill px-4 py-1.5 text-sm font-medium rounded-full transition-all whitespace-nowrap cursor-pointer bg-transparent hover:bg-base-200 text-base-content" data-tag="bash" onclick="window.blogFilters.setTag('bash')">Bash</button>
-                  <button class="tag-pill px-4 py-1.5 text-sm font-medium rounded-full transition-all whitespace-nowrap cursor-pointer bg-transparent hover:bg-base-200 text-base-content" data-tag="postgres" onclick="window.blogFilters.setTag('postgres')">Postgres</button>
-                  <button class="tag-pill px-4 py-1.5 text-sm font-medium rounded-full transition-all whitespace-nowrap cursor-pointer bg-transparent hover:bg-base-200 text-base-content" data-tag="kubernetes" onclick="window.blogFilters.setTag('kubernetes')">Kubernetes</button>
+                  <a href="#{all_tags_href(listing)}" class="tag-pill px-4 py-1.5 text-sm font-medium rounded-full transition-all whitespace-nowrap cursor-pointer bg-primary text-white" data-tag="all">All</a>
+                  #{render_tag_pills(tag_categories, listing.counts)}
+                </div>
+                <!-- Shown once several tags are selected -->
+                <div class="tag-mode-switch hidden ml-auto flex items-center gap-1 text-xs" role="group" aria-label="Articles with">
+                  <button class="tag-mode-btn px-3 py-1 rounded-full" data-mode="or" onclick="window.blogFilters.setTagMode('or')">Any tag</button>
+                  <button class="tag-mode-btn px-3 py-1 rounded-full" data-mode="and" onclick="window.blogFilters.setTagMode('and')">All tags</button>
                 </div>
               </div>
             </div>
@@ -686,13 +936,16 @@ defmodule Mix.Tasks.BuildStatic do
               const urlParams = new URLSearchParams(window.location.search);
               const urlTag = urlParams.get('tag');
               const savedTag = localStorage.getItem('blog-filter-tag');
-              const currentTag = urlTag || savedTag || null;
+              // Comma-separated selection, see static-filters.js
+              const page = document.body.dataset;
+              const currentTags = page.filterTag ? [page.filterTag]
+                : page.filterLang ? [] : (urlTag || savedTag || '').split(',').filter(Boolean);
 
               // Update tag buttons
               const buttons = document.querySelectorAll('.tag-pill');
               buttons.forEach(function(btn) {
                 const tag = btn.getAttribute('data-tag');
-                const isActive = (tag === 'all' && !currentTag) || (tag === currentTag);
+                const isActive = (tag === 'all' && currentTags.length === 0) || currentTags.indexOf(tag) !== -1;
                 if (isActive) {
                   btn.className = 'tag-pill px-4 py-1.5 text-sm font-medium rounded-full whitespace-nowrap cursor-pointer bg-primary text-white';
                 } else {
@@ -730,19 +983,34 @@ defmodule Mix.Tasks.BuildStatic do
           </div>
         </div>
 
-        <!-- Pinned Article (Full Width) -->
-        #{render_pinned_article_section(articles)}
+        <div id="articles-list-view">
+          #{render_listing_heading(listing)}
+
+          <!-- Pinned Article (Full Width) -->
+          #{if listing.pinned, do: render_pinned_article(listing.pinned), else: ""}
+
+          <!-- Articles Grid -->
+          <div
+            class="grid grid-cols-1 md:grid-cols-2 gap-6"
+            id="articles-container"
+            data-base-path="#{base_path(listing)}"
+            data-page="#{listing.page}"
+            data-total-pages="#{listing.total_pages}"
+            data-per-page="#{@articles_per_page}"
+            data-pagination-mode="#{Curupira.Blog.pagination_mode()}"
+          >
+            #{render_regular_articles_only(articles)}
+          </div>
 
-        <!-- Articles Grid -->
-        <div class="grid grid-cols-1 md:grid-cols-2 gap-6" id="articles-container">
-          #{render_regular_articles_only(articles)}
+          <!-- Pagination -->
+          <div id="pagination-container">
+            #{render_page_nav(listing)}
+          </div>
         </div>
 
-        <!-- Pagination -->
-        <div id="pagination-container" class="flex justify-center">
-          <div class="text-sm text-base-content/60">
-            <span id="page-indicator">Page <span id="current-page">1</span> of <span id="total-pages">#{total_pages}</span></span>
-          </div>
+        <!-- Article shown in place by static-article-loader.js -->
+        <div id="article-viewer" class="hidden" role="region" aria-label="Article">
+          <div id="article-content" tabindex="-1"></div>
         </div>
       </main>
 
@@ -797,9 +1065,17 @@ defmodule Mix.Tasks.BuildStatic do
       </div>
 
       <script src="#{js_files["static-theme.js"]}" defer></script>
+      <script src="#{js_files["static-router.js"]}" defer></script>
       <script src="#{js_files["static-filters.js"]}" defer></script>
+      <script src="#{js_files["static-search-engine.js"]}" defer></script>
+      <script src="#{js_files["static-combobox.js"]}" defer></script>
       <script src="#{js_files["static-search.js"]}" defer></script>
       <script src="#{js_files["static-pagination.js"]}" defer></script>
+      <script src="#{js_files["static-article-loader.js"]}" defer></script>
+      <script src="#{js_files["static-giscus.js"]}" defer></script>
+      <script src="#{js_files["static-offline.js"]}" defer></script>
+      <script src="#{js_files["static-reading.js"]}" defer></script>
+      <script src="#{js_files["static-toc.js"]}" defer></script>
 
       <!-- Lazy load Google Analytics after page is fully interactive -->
       <script>
@@ -829,8 +1105,126 @@ defmodule Mix.Tasks.BuildStatic do
     """
   end
 
+  # Table of contents of an article, from its headings (see
+  # Curupira.Markdown.Parser.to_html_with_toc/2): the top ones and those
+  # right under them, collapsed above the article on small screens and
+  # sticky beside it on large ones. static-toc.js highlights the section
+  # being read. Articles with fewer than two headings go without.
+  defp render_toc(toc) do
+    if count_headings(toc) < 2 do
+      ""
+    else
+      list = render_toc_list(toc, 1)
+
+      """
+      <nav data-toc aria-label="Table of contents" class="mb-8 lg:mb-0 lg:order-last lg:w-60 lg:flex-shrink-0">
+        <details class="lg:hidden p-4 bg-base-200/50 rounded-xl border border-base-300">
+          <summary class="text-sm font-semibold text-base-content/70 cursor-pointer">On this page</summary>
+          #{list}
+        </details>
+        <div class="hidden lg:block lg:sticky lg:top-24 max-h-[calc(100vh-8rem)] overflow-y-auto">
+          <p class="mb-3 text-sm font-semibold uppercase tracking-wide text-base-content/60">On this page</p>
+          #{list}
+        </div>
+      </nav>
+      """
+    end
+  end
+
+  defp render_toc_list(headings, depth) do
+    items =
+      Enum.map_join(headings, "", fn heading ->
+        children =
+          if depth < 2 and heading.children != [], do: render_toc_list(heading.children, depth + 1), else: ""
+
+        ~s(<li><a href="##{heading.id}" class="block py-1 text-sm text-base-content/70 hover:text-primary no-underline transition-colors">#{escape(heading.text)}</a>#{children}</li>)
+      end)
+
+    class = if depth > 1, do: "ml-1 pl-3 border-l border-base-300", else: "mt-3 lg:mt-0"
+    ~s(<ul class="#{class} space-y-1">#{items}</ul>)
+  end
+
+  defp count_headings(headings) do
+    Enum.reduce(headings, 0, &(&2 + 1 + count_headings(&1.children)))
+  end
+
+  # Manifest and theme color, for the site to be installed
+  defp render_pwa_head do
+    ~s(<link rel="manifest" href="/manifest.webmanifest">\n      <meta name="theme-color" content="#ffffff">)
+  end
+
+  defp render_filter_attrs(%{tag: tag}), do: ~s( data-filter-tag="#{escape(tag)}")
+  defp render_filter_attrs(%{lang: code}), do: ~s( data-filter-lang="#{code}")
+  defp render_filter_attrs(_filter), do: ""
+
+  # Where the language links lead without JavaScript: a tag page keeps its
+  # tag for "All"
+  defp lang_href(%{filter: %{tag: _tag, path: path}}, "all"), do: path
+  defp lang_href(_listing, "all"), do: "/"
+  defp lang_href(_listing, code), do: lang_path(code)
+
+  defp all_tags_href(%{filter: %{lang: code}}), do: lang_path(code)
+  defp all_tags_href(_listing), do: "/"
+
+  defp render_listing_heading(%{heading: nil}), do: ""
+
+  defp render_listing_heading(listing) do
+    count = if listing.total_pages > 1, do: " · page #{listing.page} of #{listing.total_pages}", else: ""
+
+    """
+    <div class="mb-8">
+      <h1 class="text-3xl font-bold text-base-content">#{escape(listing.heading)}</h1>
+      <p class="mt-2 text-base-content/70">#{escape(listing.description)}#{count}</p>
+    </div>
+    """
+  end
+
+  # rel=prev/next for paginated listings
+  defp render_page_links(%{page: page, total_pages: total_pages} = listing) do
+    base = base_path(listing)
+
+    [
+      page > 1 && ~s(<link rel="prev" href="#{@site_url}#{page_path(base, page - 1)}">),
+      page < total_pages && ~s(<link rel="next" href="#{@site_url}#{page_path(base, page + 1)}">)
+    ]
+    |> Enum.filter(& &1)
+    |> Enum.join("\n  ")
+  end
+
+  # Links to the previous and next pages, which static-pagination.js
+  # follows in place (it renders the same markup)
+  defp render_page_nav(%{total_pages: total_pages}) when total_pages <= 1, do: ""
+
+  defp render_page_nav(%{page: page, total_pages: total_pages} = listing) do
+    base = base_path(listing)
+
+    """
+    <nav class="flex items-center justify-center gap-6 mt-16" aria-label="Pagination">
+      #{render_page_link(base, page - 1, page > 1, "prev", "Previous page", "M15.75 19.5 8.25 12l7.5-7.5")}
+      <span class="text-base text-base-content/80 font-medium px-4">Page #{page} of #{total_pages}</span>
+      #{render_page_link(base, page + 1, page < total_pages, "next", "Next page", "m8.25 4.5 7.5 7.5-7.5 7.5")}
+    </nav>
+    """
+  end
+
+  defp render_page_link(base, page, enabled?, rel, label, arrow) do
+    class = "px-4 py-3 rounded-full border-2 border-base-300 bg-base-100 hover:bg-base-200 hover:border-primary/30 text-base-content transition-all cursor-pointer shadow-sm"
+    icon = ~s(<svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke-width="2" stroke="currentColor" class="w-5 h-5 pointer-events-none" aria-hidden="true"><path stroke-linecap="round" stroke-linejoin="round" d="#{arrow}"/></svg>)
+
+    if enabled? do
+      ~s(<a href="#{page_path(base, page)}" rel="#{rel}" data-page="#{page}" class="#{class}" aria-label="#{label}">#{icon}</a>)
+    else
+      ~s(<span class="#{class} opacity-30 cursor-not-allowed" aria-hidden="true">#{icon}</span>)
+    end
+  end
+
+  # A listing's first page
+  defp base_path(%{filter: %{tag: _tag, path: path}}), do: path
+  defp base_path(%{filter: %{lang: code}}), do: lang_path(code)
+  defp base_path(_listing), do: "/"
+
   defp render_article(article, profile, css_file, js_files) do
-    {:ok, html_content} = Curupira.Markdown.Parser.to_html(article.content || "")
+    {:ok, html_content, toc} = Curupira.Markdown.Parser.to_html_with_toc(article.content || "")
 
     published_date = if article.published_at do
       Calendar.strftime(article.published_at, "%d %b %Y")
@@ -860,6 +1254,7 @@ defmodule Mix.Tasks.BuildStatic do
       <meta name="viewport" content="width=device-width, initial-scale=1.0">
       <title>#{article.title} - #{profile.name || "Blog"}</title>
       <link rel="icon" type="image/svg+xml" href="/images/favicon.svg">
+      #{render_pwa_head()}
 
       <!-- SEO Meta Tags -->
       <meta name="description" content="#{description}">
@@ -1000,6 +1395,8 @@ defmodule Mix.Tasks.BuildStatic do
       </style>
     </head>
     <body class="min-h-screen bg-base-100">
+      <!-- Reading progress, see static-reading.js -->
+      <div id="reading-progress" class="fixed top-0 left-0 z-[60] h-1 bg-primary" style="width: 0" role="progressbar" aria-label="Reading progress" aria-valuemin="0" aria-valuemax="100" aria-valuenow="0"></div>
       <!-- Fixed Header - Article page: focus on reading -->
       <header class="sticky top-0 z-50 bg-base-100 border-b border-base-300 shadow-sm">
         <div class="container mx-auto px-4 sm:px-6 py-4 max-w-6xl">
@@ -1054,9 +1451,9 @@ defmodule Mix.Tasks.BuildStatic do
 
       <!-- Main Content -->
       <main class="container mx-auto max-w-6xl">
-        <article class="bg-base-100">
-          <!-- Back to home link -->
-          <a href="/" class="inline-flex items-center gap-2 text-lg font-medium transition-colors text-base-content/70 hover:text-primary mb-6">
+        <article class="bg-base-100" data-slug="#{article.slug}">
+          <!-- Back to home link (back to the list when shown in place) -->
+          <a href="/" data-back-link class="inline-flex items-center gap-2 text-lg font-medium transition-colors text-base-content/70 hover:text-primary mb-6">
             <svg xmlns="http://www.w3.org/2000/svg" class="h-5 w-5" fill="none" viewBox="0 0 24 24" stroke="currentColor" stroke-width="2">
               <path stroke-linecap="round" stroke-linejoin="round" d="M10 19l-7-7m0 0l7-7m-7 7h18" />
             </svg>
@@ -1074,6 +1471,13 @@ defmodule Mix.Tasks.BuildStatic do
               <span>Published #{published_date}</span>
             </div>
 
+            <div class="flex items-center gap-1.5">
+              <svg xmlns="http://www.w3.org/2000/svg" class="h-5 w-5" fill="none" viewBox="0 0 24 24" stroke="currentColor" aria-hidden="true">
+                <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z" />
+              </svg>
+              <span>#{article.reading_time_minutes} min read</span>
+            </div>
+
             #{if article.tags && length(article.tags) > 0 do
               """
               <div class="flex items-center gap-1.5">
@@ -1090,10 +1494,22 @@ defmodule Mix.Tasks.BuildStatic do
             else
               ""
             end}
+
+            <!-- Shown by static-offline.js where offline reading works -->
+            <button type="button" data-save-offline="/articles/#{article.slug}.html" aria-pressed="false" class="hidden inline-flex items-center gap-1.5 px-3 py-1 text-sm border border-base-content/25 rounded-full hover:border-primary hover:text-primary transition-colors cursor-pointer">
+              <svg xmlns="http://www.w3.org/2000/svg" class="h-4 w-4" fill="none" viewBox="0 0 24 24" stroke="currentColor" stroke-width="2" aria-hidden="true">
+                <path stroke-linecap="round" stroke-linejoin="round" d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-4l-4 4m0 0l-4-4m4 4V4" />
+              </svg>
+              <span data-label>Save for offline</span>
+            </button>
           </div>
 
-          <div class="prose prose-lg max-w-none">
-            #{html_content}
+          <div class="lg:flex lg:gap-10">
+            #{render_toc(toc)}
+
+            <div class="prose prose-lg max-w-none min-w-0 lg:flex-1">
+              #{html_content}
+            </div>
           </div>
 
           <!-- Back to top -->
@@ -1108,7 +1524,7 @@ defmodule Mix.Tasks.BuildStatic do
         </article>
 
         <!-- Giscus Comments -->
-        <div class="mt-16">
+        <div id="comments" class="mt-16">
           <div class="border-t border-base-300 pt-8">
             <h2 class="text-2xl font-bold mb-6">Comments</h2>
             <script src="https://giscus.app/client.js"
@@ -1160,9 +1576,15 @@ defmodule Mix.Tasks.BuildStatic do
       </main>
 
       <script src="#{js_files["static-theme.js"]}" defer></script>
+      <script src="#{js_files["static-router.js"]}" defer></script>
       <script src="#{js_files["static-filters.js"]}" defer></script>
+      <script src="#{js_files["static-search-engine.js"]}" defer></script>
+      <script src="#{js_files["static-combobox.js"]}" defer></script>
       <script src="#{js_files["static-search.js"]}" defer></script>
       <script src="#{js_files["static-giscus.js"]}" defer></script>
+      <script src="#{js_files["static-offline.js"]}" defer></script>
+      <script src="#{js_files["static-reading.js"]}" defer></script>
+      <script src="#{js_files["static-toc.js"]}" defer></script>
 
       <!-- Lazy load Google Analytics after page is fully interactive -->
       <script>
@@ -1192,6 +1614,194 @@ defmodule Mix.Tasks.BuildStatic do
     """
   end
 
+  # Full search results for ?q=, rendered in the browser by
+  # static-search-page.js from the search index
+  defp render_search_page(profile, css_file, js_files) do
+    """
+    <!DOCTYPE html>
+    <html lang="pt-BR" data-theme="light">
+    <head>
+      <meta charset="UTF-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>Search - #{profile.name || "Blog"}</title>
+      <link rel="icon" type="image/svg+xml" href="/images/favicon.svg">
+      #{render_pwa_head()}
+      <meta name="robots" content="noindex">
+
+      <link rel="preload" href="#{css_file}" as="style">
+      <script>
+        // Prevent FOUC (Flash of Unstyled Content) by setting theme before CSS loads
+        (function() {
+          const theme = localStorage.getItem('theme') || 'light';
+          document.documentElement.setAttribute('data-theme', theme);
+        })();
+      </script>
+      <link rel="stylesheet" href="#{css_file}">
+      <style>
+        /* Force scrollbar to always be visible to prevent layout shift */
+        html {
+          overflow-y: scroll;
+        }
+
+        /* Softer dark theme colors */
+        [data-theme="dark"] {
+          --base-100: #2a2f3a;
+          --base-200: #232831;
+          --base-300: #1e222a;
+          --base-content: #e8eaed;
+        }
+        [data-theme="dark"] input {
+          background-color: #2f3542;
+          border-color: #3d4454;
+          color: #e8eaed;
+        }
+        [data-theme="dark"] input::placeholder {
+          color: #9ca3af;
+        }
+        /* Blog name styling - system font first, Google Font loads async */
+        .blog-name {
+          font-family: 'Nunito', -apple-system, BlinkMacSystemFont, 'Segoe UI', Arial, sans-serif;
+          font-weight: 800;
+          letter-spacing: -0.02em;
+        }
+      </style>
+    </head>
+    <body class="min-h-screen bg-base-100">
+      <header class="sticky top-0 z-50 bg-base-100 border-b border-base-300 shadow-sm">
+        <div class="container mx-auto px-4 sm:px-6 py-4 max-w-6xl">
+          <div class="flex items-center gap-3 mb-4">
+            <a href="/" class="blog-name text-2xl sm:text-3xl font-bold text-base-content flex-shrink-0 no-underline cursor-pointer hover:opacity-80 transition-opacity">#{profile.name || "Blog"}</a>
+            <button id="theme-toggle" class="text-base-content/60 hover:text-primary transition-colors" title="Toggle theme">
+              <svg xmlns="http://www.w3.org/2000/svg" class="sun-icon h-5 w-5 hidden" fill="none" viewBox="0 0 24 24" stroke="currentColor" stroke-width="2"><path stroke-linecap="round" stroke-linejoin="round" d="M12 3v1m0 16v1m9-9h-1M4 12H3m15.364 6.364l-.707-.707M6.343 6.343l-.707-.707m12.728 0l-.707.707M6.343 17.657l-.707.707M16 12a4 4 0 11-8 0 4 4 0 018 0z" /></svg>
+              <svg xmlns="http://www.w3.org/2000/svg" class="moon-icon h-5 w-5" fill="none" viewBox="0 0 24 24" stroke="currentColor" stroke-width="2"><path stroke-linecap="round" stroke-linejoin="round" d="M20.354 15.354A9 9 0 018.646 3.646 9.003 9.003 0 0012 21a9.003 9.003 0 008.354-5.646z" /></svg>
+            </button>
+          </div>
+
+          <form action="/search.html" method="get" role="search" class="relative md:max-w-2xl">
+            <input
+              type="search"
+              id="search-page-input"
+              name="q"
+              placeholder="Search articles... (tag:rust lang:pt before:2024 -draft)"
+              aria-label="Search articles"
+              class="w-full h-12 pl-12 pr-4 text-base bg-base-200 border-2 border-base-300 rounded-full transition-all focus:border-primary focus:outline-none focus:ring-2 focus:ring-primary/20"
+              autocomplete="off"
+            />
+            <svg xmlns="http://www.w3.org/2000/svg" class="h-5 w-5 absolute left-4 top-1/2 -translate-y-1/2 text-base-content/40" fill="none" viewBox="0 0 24 24" stroke="currentColor" stroke-width="2">
+              <path stroke-linecap="round" stroke-linejoin="round" d="M21 21l-6-6m2-5a7 7 0 11-14 0 7 7 0 0114 0z" />
+            </svg>
+          </form>
+        </div>
+      </header>
+
+      <main class="container mx-auto px-4 sm:px-6 py-8 max-w-6xl">
+        <p id="search-summary" role="status" aria-live="polite" class="mb-6 text-sm text-base-content/60"></p>
+
+        <div class="flex flex-col md:flex-row gap-8">
+          <aside id="search-facets" aria-label="Refine results" class="md:w-56 flex-shrink-0"></aside>
+
+          <div class="flex-1 min-w-0">
+            <ol id="search-page-results" class="space-y-3"></ol>
+            <nav id="search-pagination" aria-label="Search results pages" class="mt-8"></nav>
+          </div>
+        </div>
+      </main>
+
+      <script src="#{js_files["static-theme.js"]}" defer></script>
+      <script src="#{js_files["static-search-engine.js"]}" defer></script>
+      <script src="#{js_files["static-search-page.js"]}" defer></script>
+      <script src="#{js_files["static-offline.js"]}" defer></script>
+    </body>
+    </html>
+    """
+  end
+
+  # The service worker's page for pages not cached when offline. It lists
+  # the articles that are (static-offline.js), and search works from the
+  # cached index.
+  defp render_offline_page(profile, css_file, js_files) do
+    """
+    <!DOCTYPE html>
+    <html lang="pt-BR" data-theme="light">
+    <head>
+      <meta charset="UTF-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>Offline - #{blog_name(profile)}</title>
+      <link rel="icon" type="image/svg+xml" href="/images/favicon.svg">
+      #{render_pwa_head()}
+      <meta name="robots" content="noindex">
+
+      <script>
+        // Prevent FOUC (Flash of Unstyled Content) by setting theme before CSS loads
+        (function() {
+          const theme = localStorage.getItem('theme') || 'light';
+          document.documentElement.setAttribute('data-theme', theme);
+        })();
+      </script>
+      <link rel="stylesheet" href="#{css_file}">
+      <style>
+        /* Softer dark theme colors */
+        [data-theme="dark"] {
+          --base-100: #2a2f3a;
+          --base-200: #232831;
+          --base-300: #1e222a;
+          --base-content: #e8eaed;
+        }
+        [data-theme="dark"] input {
+          background-color: #2f3542;
+          border-color: #3d4454;
+          color: #e8eaed;
+        }
+        /* Blog name styling - system font first, Google Font loads async */
+        .blog-name {
+          font-family: 'Nunito', -apple-system, BlinkMacSystemFont, 'Segoe UI', Arial, sans-serif;
+          font-weight: 800;
+          letter-spacing: -0.02em;
+        }
+      </style>
+    </head>
+    <body class="min-h-screen bg-base-100">
+      <header class="sticky top-0 z-50 bg-base-100 border-b border-base-300 shadow-sm">
+        <div class="container mx-auto px-4 sm:px-6 py-4 max-w-6xl">
+          <div class="flex items-center gap-3">
+            <a href="/" class="blog-name text-2xl sm:text-3xl font-bold text-base-content flex-shrink-0 no-underline cursor-pointer hover:opacity-80 transition-opacity">#{blog_name(profile)}</a>
+            <button id="theme-toggle" class="text-base-content/60 hover:text-primary transition-colors" title="Toggle theme">
+              <svg xmlns="http://www.w3.org/2000/svg" class="sun-icon h-5 w-5 hidden" fill="none" viewBox="0 0 24 24" stroke="currentColor" stroke-width="2"><path stroke-linecap="round" stroke-linejoin="round" d="M12 3v1m0 16v1m9-9h-1M4 12H3m15.364 6.364l-.707-.707M6.343 6.343l-.707-.707m12.728 0l-.707.707M6.343 17.657l-.707.707M16 12a4 4 0 11-8 0 4 4 0 018 0z" /></svg>
+              <svg xmlns="http://www.w3.org/2000/svg" class="moon-icon h-5 w-5" fill="none" viewBox="0 0 24 24" stroke="currentColor" stroke-width="2"><path stroke-linecap="round" stroke-linejoin="round" d="M20.354 15.354A9 9 0 018.646 3.646 9.003 9.003 0 0012 21a9.003 9.003 0 008.354-5.646z" /></svg>
+            </button>
+          </div>
+        </div>
+      </header>
+
+      <main class="container mx-auto px-4 sm:px-6 py-8 max-w-3xl">
+        <h1 class="text-3xl font-bold mb-2">You're offline</h1>
+        <p class="mb-6 text-base-content/70">This page isn't saved on this device. These articles are, and search still works.</p>
+
+        <form action="/search.html" method="get" role="search" class="relative mb-8">
+          <input
+            type="search"
+            name="q"
+            placeholder="Search articles..."
+            aria-label="Search articles"
+            class="w-full h-12 pl-12 pr-4 text-base bg-base-200 border-2 border-base-300 rounded-full transition-all focus:border-primary focus:outline-none focus:ring-2 focus:ring-primary/20"
+            autocomplete="off"
+          />
+          <svg xmlns="http://www.w3.org/2000/svg" class="h-5 w-5 absolute left-4 top-1/2 -translate-y-1/2 text-base-content/40" fill="none" viewBox="0 0 24 24" stroke="currentColor" stroke-width="2">
+            <path stroke-linecap="round" stroke-linejoin="round" d="M21 21l-6-6m2-5a7 7 0 11-14 0 7 7 0 0114 0z" />
+          </svg>
+        </form>
+
+        <h2 class="text-lg font-semibold mb-4">Available offline</h2>
+        <ul id="offline-articles" class="space-y-3" aria-live="polite"></ul>
+      </main>
+
+      <script src="#{js_files["static-theme.js"]}" defer></script>
+      <script src="#{js_files["static-offline.js"]}" defer></script>
+    </body>
+    </html>
+    """
+  end
+
   # Generate HTML snippet with formatting but no clickable links
   defp generate_snippet_html(content) do
     # Convert markdown to HTML
@@ -1303,15 +1913,6 @@ defmodule Mix.Tasks.BuildStatic do
     pinned_html <> regular_html
   end
 
-  defp render_pinned_article_section(articles) do
-    pinned = Enum.find(articles, & &1.pinned)
-
-    case pinned do
-      nil -> ""
-      article -> render_pinned_article(article)
-    end
-  end
-
   defp render_regular_articles_only(articles) do
     articles
     |> Enum.sort_by(fn a -> a.published_at || a.inserted_at end, {:desc, DateTime})
@@ -1343,7 +1944,7 @@ defmodule Mix.Tasks.BuildStatic do
       class="article-card pinned-article group block p-8 bg-amber-50/50 dark:bg-slate-800 border border-amber-200/40 dark:border-blue-400/20 shadow-md shadow-orange-100/30 dark:shadow-blue-900/30 rounded-xl hover:border-amber-400/70 dark:hover:border-blue-300 transition-all cursor-pointer mb-8 relative no-underline"
       data-slug="#{article.slug}"
       data-title="#{String.downcase(article.title)}"
-      data-tags="#{String.downcase(Enum.join(article.tags || [], " "))}"
+      data-tags="#{data_tags(article)}"
       data-language="#{article.language || "en"}"
       data-pinned="true"
     >
@@ -1376,7 +1977,10 @@ defmodule Mix.Tasks.BuildStatic do
           #{published_date}
         </time>
         <span>•</span>
+        <span>#{article.reading_time_minutes} min read</span>
+        <span>•</span>
         <span class="text-xl">#{Curupira.Blog.Article.language_flag(article)}</span>
+        <span data-continue-reading class="hidden ml-auto font-medium text-primary"></span>
       </div>
     </a>
     """
@@ -1406,7 +2010,7 @@ defmodule Mix.Tasks.BuildStatic do
       class="article-card group block p-6 bg-base-100 border border-transparent rounded-xl hover:shadow-lg hover:border-primary/20 dark:hover:border-base-content/10 transition-all cursor-pointer no-underline"
       data-slug="#{article.slug}"
       data-title="#{String.downcase(article.title)}"
-      data-tags="#{String.downcase(Enum.join(article.tags || [], " "))}"
+      data-tags="#{data_tags(article)}"
       data-language="#{article.language || "en"}"
       #{if article.pinned, do: ~s(data-pinned="true"), else: ""}
     >
@@ -1431,7 +2035,10 @@ defmodule Mix.Tasks.BuildStatic do
           #{published_date}
         </time>
         <span>•</span>
+        <span>#{article.reading_time_minutes} min read</span>
+        <span>•</span>
         <span class="text-lg">#{Curupira.Blog.Article.language_flag(article)}</span>
+        <span data-continue-reading class="hidden ml-auto font-medium text-primary"></span>
       </div>
     </a>
     """
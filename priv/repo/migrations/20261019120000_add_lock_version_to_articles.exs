@@ -0,0 +1,9 @@
+defmodule Curupira.Repo.Migrations.AddLockVersionToArticles do
+  use Ecto.Migration
+
+  def change do
+    alter table(:articles) do
+      add :lock_version, :integer, default: 1, null: false
+    end
+  end
+end
@@ -0,0 +1,28 @@
+defmodule Curupira.Repo.Migrations.CreateTagTaxonomy do
+  use Ecto.Migration
+
+  def change do
+    create table(:tag_categories) do
+      add :name, :string, null: false
+      add :icon, :string
+      add :position, :integer, default: 0, null: false
+
+      timestamps(type: :utc_datetime)
+    end
+
+    create unique_index(:tag_categories, [:name])
+
+    create table(:tags) do
+      add :name, :string, null: false
+      add :aliases, {:array, :string}, default: [], null: false
+      add :hidden, :boolean, default: false, null: false
+      add :position, :integer, default: 0, null: false
+      add :category_id, references(:tag_categories, on_delete: :nilify_all)
+
+      timestamps(type: :utc_datetime)
+    end
+
+    create unique_index(:tags, [:name])
+    create index(:tags, [:category_id])
+  end
+end
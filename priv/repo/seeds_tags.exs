@@ -0,0 +1,59 @@
+# Script to populate the tag taxonomy with the categories and aliases the
+# static site used to hard-code. Manage them afterwards at /tags.
+# Run with: mix run priv/repo/seeds_tags.exs
+
+alias Curupira.Repo
+alias Curupira.Blog
+alias Curupira.Blog.{Tag, TagCategory}
+
+# Delete existing taxonomy if any
+Repo.delete_all(Tag)
+Repo.delete_all(TagCategory)
+
+categories = [
+  {"Languages", "💻", [
+    {"ruby", []},
+    {"javascript", ["js"]},
+    {"rust", []},
+    {"go", []},
+    {"haskell", []},
+    {"bash", ["shellscript"]},
+    {"assembly", []}
+  ]},
+  {"Infrastructure", "🚀", [
+    {"kubernetes", ["k8s"]},
+    {"docker", []},
+    {"linux", []},
+    {"aws", []}
+  ]},
+  {"Data", "🗄️", [
+    {"postgres", ["postgresql"]},
+    {"sql", []}
+  ]},
+  {"Tools", "🔧", [
+    {"git", []}
+  ]}
+]
+
+categories
+|> Enum.with_index()
+|> Enum.each(fn {{name, icon, tags}, position} ->
+  {:ok, category} = Blog.create_tag_category(%{name: name, icon: icon, position: position})
+
+  tags
+  |> Enum.with_index()
+  |> Enum.each(fn {{tag, aliases}, tag_position} ->
+    {:ok, _tag} =
+      Blog.create_tag(%{
+        name: tag,
+        aliases: aliases,
+        position: tag_position,
+        category_id: category.id
+      })
+  end)
+end)
+
+# Uncategorised tags land in "Other"; this one only needs its alias
+{:ok, _tag} = Blog.create_tag(%{name: "rails", aliases: ["rubyonrails"]})
+
+IO.puts("✓ Tag taxonomy populated successfully!")
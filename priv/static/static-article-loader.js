@@ -1,10 +1,102 @@
-// Article loader for static site - loads articles inline in right column
+// Article loader for static site - opens articles in place of the list
+//
+// The article shown is in the URL (its page's, /articles/<slug>.html) through
+// window.blogRouter, so reloads land on its page and Back and Forward move
+// between it and the list. Cards prefetch their article on hover, focus or
+// as they come into view, into a cache keeping the CACHE_SIZE articles used
+// last.
 (function() {
+  const CACHE_SIZE = 20;
+  const router = window.blogRouter;
+
+  // Map keeping entries in the order they were last used, the oldest
+  // dropped once there are more than `limit`
+  function createCache(limit) {
+    const entries = new Map();
+
+    return {
+      get(key) {
+        if (!entries.has(key)) return undefined;
+
+        const value = entries.get(key);
+        entries.delete(key);
+        entries.set(key, value);
+        return value;
+      },
+
+      set(key, value) {
+        entries.delete(key);
+        entries.set(key, value);
+        while (entries.size > limit) entries.delete(entries.keys().next().value);
+      },
+
+      has(key) {
+        return entries.has(key);
+      },
+
+      keys() {
+        return [...entries.keys()];
+      }
+    };
+  }
+
+  const articleCache = createCache(CACHE_SIZE);
+  const pending = new Map();
   let currentSlug = null;
-  let articleCache = {};
+  let listScroll = 0;
+  let listTitle = null;
+
+  // The parts of an article's page shown in place: the article and its
+  // comments (with their Giscus script)
+  function extractArticle(html) {
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    const article = doc.querySelector('article');
+    if (!article) throw new Error('Article content not found');
+
+    const comments = doc.getElementById('comments');
+    return {
+      title: doc.title,
+      html: article.outerHTML + (comments ? comments.outerHTML : '')
+    };
+  }
+
+  // Cached, or fetched once however many times it's asked for meanwhile
+  function fetchArticle(slug) {
+    const cached = articleCache.get(slug);
+    if (cached) return Promise.resolve(cached);
+    if (pending.has(slug)) return pending.get(slug);
+
+    const request = fetch(`/articles/${encodeURIComponent(slug)}.html`)
+      .then(response => {
+        if (!response.ok) throw new Error('Article not found');
+        return response.text();
+      })
+      .then(html => {
+        const article = extractArticle(html);
+        articleCache.set(slug, article);
+        return article;
+      })
+      .finally(() => pending.delete(slug));
+
+    pending.set(slug, request);
+    return request;
+  }
+
+  function prefetch(slug) {
+    if (!slug || articleCache.has(slug) || pending.has(slug)) return;
+    fetchArticle(slug).catch(() => {});
+  }
+
+  // Load article content inline. Opening one from another replaces its
+  // history entry, so the entry before an article's is always the list's.
+  window.loadArticle = function(slug) {
+    if (currentSlug === slug) return;
 
-  // Load article content inline
-  window.loadArticle = async function(slug) {
+    router.navigate({ article: slug }, { replace: currentSlug !== null });
+    return showArticle(slug);
+  };
+
+  async function showArticle(slug) {
     if (currentSlug === slug) return;
 
     const listView = document.getElementById('articles-list-view');
@@ -13,9 +105,17 @@
 
     if (!viewer || !content || !listView) return;
 
+    if (currentSlug === null) {
+      listScroll = window.scrollY;
+      listTitle = document.title;
+    }
+    currentSlug = slug;
+    highlightActiveArticle(slug);
+
     // Hide list, show viewer
     listView.classList.add('hidden');
     viewer.classList.remove('hidden');
+    viewer.setAttribute('aria-busy', 'true');
 
     // Show loading state
     content.innerHTML = `
@@ -24,46 +124,17 @@
         <p class="text-base-content/60 mt-4">Loading article...</p>
       </div>
     `;
-
-    // Scroll to top of main content column
-    const mainColumn = viewer.parentElement;
-    if (mainColumn) {
-      mainColumn.scrollTop = 0;
-      window.scrollTo(0, 0);
-    }
+    window.scrollTo(0, 0);
 
     try {
-      // Check cache first
-      if (articleCache[slug]) {
-        displayArticle(articleCache[slug]);
-        currentSlug = slug;
-        return;
-      }
-
-      // Fetch article HTML
-      const response = await fetch(`/articles/${slug}.html`);
-      if (!response.ok) throw new Error('Article not found');
-
-      const htmlText = await response.text();
-
-      // Parse the HTML to extract article content
-      const parser = new DOMParser();
-      const doc = parser.parseFromString(htmlText, 'text/html');
-      const articleElement = doc.querySelector('article');
-
-      if (!articleElement) throw new Error('Article content not found');
-
-      // Cache it
-      articleCache[slug] = articleElement.outerHTML;
-
-      // Display it
-      displayArticle(articleCache[slug]);
-      currentSlug = slug;
-
-      // Highlight active article in list
-      highlightActiveArticle(slug);
+      const article = await fetchArticle(slug);
+      // Another article, or the list, was asked for meanwhile
+      if (currentSlug !== slug) return;
 
+      displayArticle(article);
     } catch (error) {
+      if (currentSlug !== slug) return;
+
       console.error('Error loading article:', error);
       content.innerHTML = `
         <div class="text-center text-error mt-20">
@@ -74,35 +145,98 @@
           <p class="text-sm text-base-content/60 mt-2">${error.message}</p>
         </div>
       `;
+      content.focus({ preventScroll: true });
+    } finally {
+      if (currentSlug === slug) viewer.removeAttribute('aria-busy');
     }
-  };
+  }
 
-  // Show article list (back button)
+  // Show article list (back buttons): back to the list's entry, which the
+  // router subscriber below shows
   window.showArticleList = function() {
+    if (router.state().article) {
+      window.history.back();
+    } else {
+      showList();
+    }
+  };
+
+  // Hides the article for changes to the list itself (filters, search),
+  // which record their own URL
+  function close() {
+    if (currentSlug) showList({ restoreFocus: false });
+  }
+
+  function showList({ restoreFocus = true } = {}) {
     const listView = document.getElementById('articles-list-view');
     const viewer = document.getElementById('article-viewer');
+    const content = document.getElementById('article-content');
 
     if (!listView || !viewer) return;
 
-    // Show list, hide viewer
+    // Show list, hide viewer (and stop whatever the article loaded)
     viewer.classList.add('hidden');
+    viewer.removeAttribute('aria-busy');
     listView.classList.remove('hidden');
+    if (content) content.innerHTML = '';
 
-    // Clear current slug
+    const slug = currentSlug;
     currentSlug = null;
+    if (listTitle) document.title = listTitle;
 
     // Remove highlights
     document.querySelectorAll('.article-card').forEach(card => {
       card.classList.remove('ring-2', 'ring-primary', 'border-primary');
     });
 
-    // Scroll to top
-    window.scrollTo(0, 0);
-  };
+    // Back where the list was left, on the card the article was opened from
+    window.scrollTo(0, listScroll);
+    const card = cardFor(slug);
+    if (restoreFocus && card) card.focus({ preventScroll: true });
+  }
+
+  // Back and Forward show their entry's article, or the list
+  router.subscribe(state => {
+    if (state.article) {
+      showArticle(state.article);
+    } else if (currentSlug) {
+      showList();
+    }
+  });
 
-  function displayArticle(articleHTML) {
+  function displayArticle(article) {
     const content = document.getElementById('article-content');
-    content.innerHTML = articleHTML;
+    content.innerHTML = article.html;
+    runScripts(content);
+    if (article.title) document.title = article.title;
+
+    // Screen readers go on from the article's title
+    const heading = content.querySelector('h1');
+    if (heading) {
+      heading.setAttribute('tabindex', '-1');
+      heading.focus({ preventScroll: true });
+    }
+
+    // For page-level scripts to set up the article, as on its own page
+    document.dispatchEvent(new CustomEvent('blog:article-shown', { detail: { slug: currentSlug } }));
+  }
+
+  // Scripts inserted as HTML don't run, so they're inserted again as
+  // elements (Giscus loads the comments of the page's pathname, the
+  // article's by now)
+  function runScripts(root) {
+    root.querySelectorAll('script').forEach(original => {
+      const script = document.createElement('script');
+      Array.from(original.attributes).forEach(attr => script.setAttribute(attr.name, attr.value));
+      script.textContent = original.textContent;
+      original.replaceWith(script);
+    });
+  }
+
+  function cardFor(slug) {
+    if (!slug) return null;
+    return Array.from(document.querySelectorAll('.article-card[data-slug]'))
+      .find(card => card.dataset.slug === slug) || null;
   }
 
   function highlightActiveArticle(slug) {
@@ -112,22 +246,81 @@
     });
 
     // Add highlight to current
-    const activeCard = document.querySelector(`[data-slug="${slug}"]`);
+    const activeCard = cardFor(slug);
     if (activeCard) {
       activeCard.classList.add('ring-2', 'ring-primary', 'border-primary');
     }
   }
 
-  // Setup article theme toggle
-  document.addEventListener('DOMContentLoaded', () => {
-    const articleToggle = document.getElementById('article-theme-toggle');
-    const mainToggle = document.getElementById('theme-toggle');
+  // Plain clicks on cards open their article here; modified ones (new tab,
+  // new window) go on to its page
+  function handleClick(event) {
+    if (event.defaultPrevented || event.button !== 0) return;
+    if (event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) return;
 
-    if (articleToggle && mainToggle) {
-      articleToggle.addEventListener('click', () => {
-        // Trigger the main theme toggle
-        mainToggle.click();
-      });
+    const back = event.target.closest('#article-viewer [data-back-link]');
+    if (back) {
+      event.preventDefault();
+      window.showArticleList();
+      return;
     }
-  });
+
+    const card = event.target.closest('a.article-card[data-slug]');
+    if (!card) return;
+
+    event.preventDefault();
+    window.loadArticle(card.dataset.slug);
+  }
+
+  function handleIntent(event) {
+    const card = event.target.closest && event.target.closest('a.article-card[data-slug]');
+    if (card) prefetch(card.dataset.slug);
+  }
+
+  function saveData() {
+    return Boolean(navigator.connection && navigator.connection.saveData);
+  }
+
+  // Cards prefetch their article once they've come into view, when the
+  // browser is idle (cards added by the pagination too)
+  function prefetchInView() {
+    if (!('IntersectionObserver' in window) || saveData()) return;
+
+    const idle = window.requestIdleCallback || (fn => setTimeout(fn, 200));
+    const observer = new IntersectionObserver(entries => {
+      entries.filter(entry => entry.isIntersecting).forEach(entry => {
+        observer.unobserve(entry.target);
+        idle(() => prefetch(entry.target.dataset.slug));
+      });
+    });
+    const observe = () => {
+      document.querySelectorAll('.article-card[data-slug]').forEach(card => observer.observe(card));
+    };
+
+    observe();
+    const container = document.getElementById('articles-container');
+    if (container) new MutationObserver(observe).observe(container, { childList: true });
+  }
+
+  function init() {
+    if (!document.getElementById('article-viewer')) return;
+
+    document.addEventListener('click', handleClick);
+    document.addEventListener('pointerover', handleIntent);
+    document.addEventListener('focusin', handleIntent);
+    prefetchInView();
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+
+  window.blogArticles = {
+    createCache,
+    fetchArticle,
+    prefetch,
+    close
+  };
 })();
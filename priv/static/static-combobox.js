@@ -0,0 +1,195 @@
+// WAI-ARIA combobox: a text input driving a popup listbox of results.
+//
+// Used by the static site's search (static-search.js) and, bundled into
+// app.js, by the admin's article search (the SearchCombobox hook). Focus
+// stays in the input; the active option is tracked with
+// aria-activedescendant and marked aria-selected (style it with Tailwind's
+// aria-selected: variant). Whoever renders the popup only has to render
+// [role="option"] elements inside its [role="listbox"]: the options are
+// picked up again whenever the listbox changes, so it works with innerHTML
+// and with LiveView patches alike.
+//
+//   ArrowDown / ArrowUp   next / previous option (wrapping), opening the popup
+//   Home / End            first / last option, once one is active
+//   Enter                 clicks the active option
+//   Escape                closes the popup, or clears the input if closed
+//   /                     focuses the input from anywhere on the page
+(function() {
+  // Index reached from `index` (-1 for none) by a navigation key, or null
+  // for keys that don't navigate
+  function nextIndex(index, count, key) {
+    if (count === 0) return null;
+
+    switch (key) {
+      case 'ArrowDown': return index < 0 ? 0 : (index + 1) % count;
+      case 'ArrowUp': return index < 0 ? count - 1 : (index - 1 + count) % count;
+      case 'Home': return 0;
+      case 'End': return count - 1;
+      default: return null;
+    }
+  }
+
+  // Where "/" is typed rather than used as a shortcut
+  function isTypingTarget(el) {
+    if (!el || !el.tagName) return false;
+    return el.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(el.tagName);
+  }
+
+  let comboboxCount = 0;
+
+  // `popup` is shown and hidden with the `hidden` class. Options:
+  //   listbox    the [role="listbox"] element (defaults to the one in popup)
+  //   status     live region for announce()
+  //   shortcut   key that focuses the input (false to disable)
+  function attach(input, popup, options = {}) {
+    const id = input.id || `combobox-${++comboboxCount}`;
+    const status = options.status || null;
+    const shortcut = options.shortcut === undefined ? '/' : options.shortcut;
+    const listbox = () => options.listbox || popup.querySelector('[role="listbox"]');
+
+    let expanded = false;
+    let active = null;
+
+    function optionElements() {
+      const list = listbox();
+      return list ? Array.from(list.querySelectorAll('[role="option"]')) : [];
+    }
+
+    function setAttribute(el, name, value) {
+      if (value === null) {
+        if (el.hasAttribute(name)) el.removeAttribute(name);
+      } else if (el.getAttribute(name) !== value) {
+        el.setAttribute(name, value);
+      }
+    }
+
+    // Writes the state back to the DOM, only where it differs: re-rendered
+    // markup comes back without it
+    function sync() {
+      const items = optionElements();
+      if (active && !items.includes(active)) active = null;
+
+      items.forEach((item, index) => {
+        if (!item.id) item.id = `${id}-option-${index}`;
+        setAttribute(item, 'tabindex', '-1');
+        setAttribute(item, 'aria-selected', String(item === active));
+      });
+
+      const list = listbox();
+      if (list && !list.id) list.id = `${id}-listbox`;
+
+      setAttribute(input, 'role', 'combobox');
+      setAttribute(input, 'aria-autocomplete', 'list');
+      setAttribute(input, 'aria-controls', list ? list.id : null);
+      setAttribute(input, 'aria-expanded', String(expanded));
+      setAttribute(input, 'aria-activedescendant', expanded && active ? active.id : null);
+      if (popup.classList.contains('hidden') === expanded) popup.classList.toggle('hidden', !expanded);
+    }
+
+    function setActive(item) {
+      active = item;
+      sync();
+      if (item) item.scrollIntoView({ block: 'nearest' });
+    }
+
+    function open() {
+      expanded = true;
+      sync();
+    }
+
+    function close() {
+      expanded = false;
+      active = null;
+      sync();
+    }
+
+    function announce(message) {
+      if (status && status.textContent !== message) status.textContent = message;
+    }
+
+    function onKeydown(e) {
+      if (e.altKey || e.ctrlKey || e.metaKey) return;
+
+      const items = optionElements();
+
+      if (e.key === 'Enter') {
+        if (!expanded || !active) return;
+        e.preventDefault();
+        const item = active;
+        close();
+        item.click();
+        return;
+      }
+
+      if (e.key === 'Escape') {
+        if (expanded) {
+          e.preventDefault();
+          close();
+        } else if (input.value) {
+          e.preventDefault();
+          input.value = '';
+          input.dispatchEvent(new Event('input', { bubbles: true }));
+        }
+        return;
+      }
+
+      if (e.key === 'Tab') {
+        close();
+        return;
+      }
+
+      // Home and End move the caret until an option is active
+      if ((e.key === 'Home' || e.key === 'End') && !(expanded && active)) return;
+
+      const index = nextIndex(items.indexOf(active), items.length, e.key);
+      if (index === null) return;
+
+      e.preventDefault();
+      if (!expanded) open();
+      setActive(items[index]);
+    }
+
+    function onShortcut(e) {
+      if (e.key !== shortcut || e.altKey || e.ctrlKey || e.metaKey) return;
+      if (isTypingTarget(e.target)) return;
+
+      e.preventDefault();
+      input.focus();
+      input.select();
+    }
+
+    // Clicks outside close the popup (the path, since clicking inside may
+    // re-render the results and detach the target)
+    function onDocumentClick(e) {
+      const path = e.composedPath();
+      if (!path.includes(input) && !path.includes(popup)) close();
+    }
+
+    // Options rendered into the popup, and attributes reset by re-rendering
+    const observer = new MutationObserver(sync);
+    observer.observe(popup, { childList: true, subtree: true, attributes: true, attributeFilter: ['class', 'aria-selected', 'id'] });
+    observer.observe(input, { attributes: true, attributeFilter: ['aria-expanded', 'aria-activedescendant', 'aria-controls', 'role'] });
+
+    input.addEventListener('keydown', onKeydown);
+    document.addEventListener('click', onDocumentClick);
+    if (shortcut) document.addEventListener('keydown', onShortcut);
+
+    expanded = !popup.classList.contains('hidden');
+    sync();
+
+    return {
+      open,
+      close,
+      announce,
+      isOpen: () => expanded,
+      destroy() {
+        observer.disconnect();
+        input.removeEventListener('keydown', onKeydown);
+        document.removeEventListener('click', onDocumentClick);
+        if (shortcut) document.removeEventListener('keydown', onShortcut);
+      }
+    };
+  }
+
+  window.blogCombobox = { attach, nextIndex, isTypingTarget };
+})();
@@ -1,39 +1,158 @@
 // Blog filters management with URL persistence
+//
+// Several tags can be selected at once, matching articles with any of them
+// (tagMode 'or', the default) or with all of them ('and'). The selection is
+// kept comma-separated in ?tag=a,b (&tagmode=and) and in the
+// blog-filter-tag localStorage key (blog-filter-tag-mode) for article pages.
+//
+// A single tag or language has its own page (/tags/<tag>/, /lang/<code>/,
+// see `mix build_static`), which the pills and language buttons link to:
+// changing the filters goes to the page listing them, and only filters the
+// current page in place when that's the page already.
+//
+// The URL is window.blogRouter's (static-router.js): filters follow Back and
+// Forward through it.
 (function() {
+  const router = window.blogRouter;
+
   let tagCategories = [];
   let currentFilters = {
     lang: 'all',
-    tag: null,
+    tags: [],
+    tagMode: 'or',
     search: ''
   };
 
+  // "Kubernetes, docker,,kubernetes" -> ['kubernetes', 'docker']
+  const parseTags = router.parseTags;
+
+  function parseTagMode(value) {
+    return value === 'and' ? 'and' : 'or';
+  }
+
+  // Whether an article's tags (exact tokens, not substrings) satisfy the
+  // selection; no selection matches everything
+  function matchesTags(articleTags, tags, mode = 'or') {
+    if (!tags || tags.length === 0) return true;
+
+    const own = (articleTags || []).map(tag => tag.toLowerCase());
+    return mode === 'and'
+      ? tags.every(tag => own.includes(tag))
+      : tags.some(tag => own.includes(tag));
+  }
+
+  function matchesLanguage(articleLang, lang) {
+    if (lang === 'all') return true;
+    if (lang === 'pt') return articleLang === 'pt-BR' || articleLang === 'pt';
+    return articleLang === lang;
+  }
+
   // URL params management
   function getUrlParams() {
-    const params = new URLSearchParams(window.location.search);
+    const state = router.state();
     return {
-      lang: params.get('lang') || 'all',
-      tag: params.get('tag') || null,
-      search: params.get('q') || '',
-      page: parseInt(params.get('page')) || 1
+      lang: state.lang,
+      tags: state.tags,
+      tagMode: state.tagMode,
+      search: state.q,
+      page: state.page
     };
   }
 
-  function updateUrlParams(updates) {
-    const params = new URLSearchParams(window.location.search);
+  // URL and localStorage values for the tag selection ('or' is the default
+  // and left out)
+  function tagParams(filters = currentFilters) {
+    const multiple = filters.tags.length > 1;
+    return {
+      tag: filters.tags.join(','),
+      tagmode: multiple && filters.tagMode === 'and' ? 'and' : null
+    };
+  }
 
-    Object.entries(updates).forEach(([key, value]) => {
-      if (value === null || value === '' || value === 'all' || value === 1) {
-        params.delete(key);
-      } else {
-        params.set(key, value);
-      }
-    });
+  function saveTags() {
+    const { tag, tagmode } = tagParams();
+
+    if (tag) {
+      localStorage.setItem('blog-filter-tag', tag);
+    } else {
+      localStorage.removeItem('blog-filter-tag');
+    }
 
-    const newUrl = params.toString()
-      ? `${window.location.pathname}?${params.toString()}`
-      : window.location.pathname;
+    if (tagmode) {
+      localStorage.setItem('blog-filter-tag-mode', tagmode);
+    } else {
+      localStorage.removeItem('blog-filter-tag-mode');
+    }
+  }
+
+  // Homepage URL for a selection
+  function homeUrl(filters = currentFilters) {
+    return router.url({ path: '/', lang: filters.lang, tags: filters.tags, tagMode: filters.tagMode });
+  }
 
-    window.history.pushState({}, '', newUrl);
+  // Link to a tag's or language's page, as rendered in the filters
+  function filterLink(selector, attribute, value) {
+    const links = [...document.querySelectorAll(selector)];
+    const link = links.find(link => link.getAttribute(attribute) === value);
+    return link ? link.getAttribute('href') : null;
+  }
+
+  // The page listing a selection: a lone tag's or language's own page, the
+  // homepage with the selection in its URL otherwise (or on pages without
+  // the filter links, like article pages)
+  function listingUrl(filters = currentFilters) {
+    const { tags, lang } = filters;
+
+    if (tags.length === 0 && lang === 'all') return '/';
+    if (tags.length === 1 && lang === 'all') {
+      return filterLink('a.tag-pill[data-tag]', 'data-tag', tags[0]) || homeUrl(filters);
+    }
+    if (tags.length === 0) {
+      return filterLink('a.lang-filter-btn[data-lang]', 'data-lang', lang) || homeUrl(filters);
+    }
+    return homeUrl(filters);
+  }
+
+  // The listing's own path stays in the router while an article is shown
+  // in place, under the article's URL
+  function samePage(url) {
+    if (isArticlePage()) return false;
+
+    const path = pathname => pathname.replace(/\/index\.html$/, '/');
+    return path(new URL(url, window.location.href).pathname) === path(router.state().path);
+  }
+
+  // Goes to the page listing the current filters, unless it's this one
+  function navigate() {
+    const url = listingUrl();
+    if (samePage(url)) return false;
+
+    window.location.href = url;
+    return true;
+  }
+
+  // Records changes to the listing in the URL; an article shown in place
+  // gives way to the list they change
+  function navigateListing(changes, options) {
+    if (window.blogArticles) window.blogArticles.close();
+    router.navigate({ ...changes, article: null }, options);
+  }
+
+  // The tag or language a tag or language page lists, if this is one
+  function pageFilter() {
+    const { filterTag, filterLang } = document.body ? document.body.dataset : {};
+    if (!filterTag && !filterLang) return null;
+
+    return { tags: filterTag ? [filterTag] : [], lang: filterLang || 'all' };
+  }
+
+  // Tags come from the URL, so chips escape them
+  function escapeHtml(text) {
+    return text.replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+  }
+
+  function cardTags(article) {
+    return parseTags(article.getAttribute('data-tags'));
   }
 
   // Load tags from tags.json (curated with categories)
@@ -58,23 +177,9 @@
       const toHide = [];
 
       articles.forEach(article => {
-        let visible = true;
-
-        // Language filter
-        if (currentFilters.lang !== 'all') {
-          const articleLang = article.getAttribute('data-language') || 'en';
-          if (currentFilters.lang === 'pt') {
-            visible = visible && (articleLang === 'pt-BR' || articleLang === 'pt');
-          } else {
-            visible = visible && (articleLang === currentFilters.lang);
-          }
-        }
-
-        // Tag filter
-        if (currentFilters.tag) {
-          const articleTags = article.getAttribute('data-tags') || '';
-          visible = visible && articleTags.includes(currentFilters.tag.toLowerCase());
-        }
+        const articleLang = article.getAttribute('data-language') || 'en';
+        const visible = matchesLanguage(articleLang, currentFilters.lang) &&
+          matchesTags(cardTags(article), currentFilters.tags, currentFilters.tagMode);
 
         // Collect elements to show/hide
         if (visible) {
@@ -92,16 +197,91 @@
       if (window.pagination && window.pagination.handleSearch) {
         window.pagination.handleSearch();
       }
+
+      // Open search results follow the filters too
+      if (window.blogSearch) {
+        window.blogSearch.refresh();
+      }
+    });
+  }
+
+  // Articles each pill would show if clicked: those in the current language
+  // with the tag, and in 'and' mode with the other selected tags too. Pinned
+  // articles are rendered twice, so cards are counted by slug. Tag and
+  // language pages, and the homepage until static-pagination.js has loaded
+  // all its pages, keep the rendered counts.
+  function tagCounts() {
+    const allCards = !window.pagination || window.pagination.hasAllArticles();
+    if (pageFilter() || !allCards) return renderedTagCounts();
+
+    const articles = new Map();
+    document.querySelectorAll('.article-card[data-slug]').forEach(article => {
+      const lang = article.getAttribute('data-language') || 'en';
+      if (matchesLanguage(lang, currentFilters.lang)) {
+        articles.set(article.getAttribute('data-slug'), cardTags(article));
+      }
+    });
+
+    const counts = { all: articles.size };
+    const andMode = currentFilters.tagMode === 'and';
+
+    document.querySelectorAll('.tag-pill[data-tag], .mobile-tag-pill[data-tag]').forEach(btn => {
+      const tag = btn.getAttribute('data-tag');
+      if (tag in counts) return;
+
+      const required = andMode ? [...new Set([...currentFilters.tags, tag])] : [tag];
+      counts[tag] = [...articles.values()].filter(tags => matchesTags(tags, required, 'and')).length;
+    });
+
+    return counts;
+  }
+
+  function renderedTagCounts() {
+    const counts = {};
+    document.querySelectorAll('.tag-pill[data-count], .mobile-tag-pill[data-count]').forEach(link => {
+      counts[link.getAttribute('data-tag')] = parseInt(link.getAttribute('data-count')) || 0;
+    });
+    return counts;
+  }
+
+  function updateTagCounts() {
+    const counts = tagCounts();
+
+    document.querySelectorAll('.tag-pill[data-tag], .mobile-tag-pill[data-tag]').forEach(btn => {
+      const tag = btn.getAttribute('data-tag');
+      const count = counts[tag];
+      const label = btn.querySelector('.tag-count');
+      if (label) label.textContent = count === undefined ? '' : `(${count})`;
+
+      // Selected pills stay clickable so they can be turned off
+      const empty = count === 0 && !currentFilters.tags.includes(tag);
+      btn.classList.toggle('opacity-40', empty);
     });
   }
 
+  function updateTagModeUI() {
+    const multiple = currentFilters.tags.length > 1;
+
+    document.querySelectorAll('.tag-mode-switch').forEach(el => el.classList.toggle('hidden', !multiple));
+    document.querySelectorAll('.tag-mode-btn').forEach(btn => {
+      const active = btn.getAttribute('data-mode') === currentFilters.tagMode;
+      btn.setAttribute('aria-pressed', String(active));
+      btn.className = `tag-mode-btn px-3 py-1 rounded-full cursor-pointer ${active ? 'bg-primary text-white' : 'bg-base-200 hover:bg-base-300 text-base-content'}`;
+    });
+  }
+
+  function isTagActive(tag) {
+    return tag === 'all' ? currentFilters.tags.length === 0 : currentFilters.tags.includes(tag);
+  }
+
   // Update tag pills UI (tags are already rendered in HTML by server)
   function updateTagsUI() {
     // Desktop tag pills
     const buttons = document.querySelectorAll('.tag-pill');
     buttons.forEach(btn => {
       const tag = btn.getAttribute('data-tag');
-      const isActive = (tag === 'all' && !currentFilters.tag) || (tag === currentFilters.tag);
+      const isActive = isTagActive(tag);
+      btn.setAttribute('aria-pressed', String(isActive));
       if (isActive) {
         btn.className = 'tag-pill px-4 py-1.5 text-sm font-medium rounded-full whitespace-nowrap cursor-pointer bg-primary text-white';
       } else {
@@ -113,13 +293,17 @@
     const mobileButtons = document.querySelectorAll('.mobile-tag-pill');
     mobileButtons.forEach(btn => {
       const tag = btn.getAttribute('data-tag');
-      const isActive = (tag === 'all' && !currentFilters.tag) || (tag === currentFilters.tag);
+      const isActive = isTagActive(tag);
+      btn.setAttribute('aria-pressed', String(isActive));
       if (isActive) {
         btn.className = 'mobile-tag-pill px-4 py-2 text-sm font-medium rounded-full transition-all bg-primary text-white';
       } else {
         btn.className = 'mobile-tag-pill px-4 py-2 text-sm font-medium rounded-full transition-all bg-base-200 hover:bg-base-300 text-base-content';
       }
     });
+
+    updateTagModeUI();
+    updateTagCounts();
   }
 
   // Render tag pills (stub function for compatibility)
@@ -158,7 +342,7 @@
 
     if (!container || !chipsContainer) return;
 
-    const hasActiveFilters = currentFilters.lang !== 'all' || currentFilters.tag;
+    const hasActiveFilters = currentFilters.lang !== 'all' || currentFilters.tags.length > 0;
 
     if (!hasActiveFilters) {
       container.classList.add('hidden');
@@ -181,16 +365,17 @@
       `);
     }
 
-    // Tag chip
-    if (currentFilters.tag) {
-      const tagLabel = currentFilters.tag.charAt(0).toUpperCase() + currentFilters.tag.slice(1);
-      chips.push(`
-        <button onclick="window.blogFilters.clearTag()" class="inline-flex items-center gap-2 px-3 py-1.5 bg-primary/10 text-primary rounded-full text-sm font-medium hover:bg-primary/20 transition-colors">
-          <span>${tagLabel}</span>
+    // Tag chips, one per selected tag
+    currentFilters.tags.forEach((tag, index) => {
+      const tagLabel = tag.charAt(0).toUpperCase() + tag.slice(1);
+      const joiner = index > 0 ? `<span class="text-xs text-base-content/60">${currentFilters.tagMode === 'and' ? 'and' : 'or'}</span>` : '';
+      chips.push(`${joiner}
+        <button data-tag="${escapeHtml(tag)}" onclick="window.blogFilters.setTag(this.dataset.tag)" class="inline-flex items-center gap-2 px-3 py-1.5 bg-primary/10 text-primary rounded-full text-sm font-medium hover:bg-primary/20 transition-colors">
+          <span>${escapeHtml(tagLabel)}</span>
           <svg class="h-3 w-3" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M6 18L18 6M6 6l12 12"/></svg>
         </button>
       `);
-    }
+    });
 
     chipsContainer.innerHTML = chips.join('');
 
@@ -200,9 +385,21 @@
     resultsCount.innerHTML = `Showing ${count} article${count !== 1 ? 's' : ''}`;
   }
 
-  // Check if we're on an article page (not homepage)
+  // Check if we're on an article page (not homepage, which shows articles
+  // in place under their URL too)
   function isArticlePage() {
-    return window.location.pathname.includes('/articles/');
+    return !document.getElementById('articles-list-view') && window.location.pathname.includes('/articles/');
+  }
+
+  // Saves the tag selection and applies it, here or on the page listing it
+  function applyTags() {
+    saveTags();
+    if (navigate()) return;
+
+    navigateListing({ tags: currentFilters.tags, tagMode: currentFilters.tagMode, page: 1 });
+    updateTagsUI();
+    filterArticles();
+    updateMobileFilters();
   }
 
   // Public API
@@ -211,94 +408,103 @@
       // Save to localStorage for article pages
       localStorage.setItem('blog-filter-lang', lang);
 
-      // If on article page, navigate to home with filter
-      if (isArticlePage()) {
-        const params = new URLSearchParams();
-        if (lang !== 'all') params.set('lang', lang);
-        window.location.href = '/' + (params.toString() ? '?' + params.toString() : '');
-        return;
-      }
-
       currentFilters.lang = lang;
-      updateUrlParams({ lang, page: 1 });
+      if (navigate()) return;
+
+      navigateListing({ lang, page: 1 });
       updateLanguageUI();
-      updateTagsUI();
+      updateTagsUI();  // Counts depend on the language
       filterArticles();
       updateMobileFilters();
     },
 
+    // Adds the tag to the selection, or removes it if already selected
     setTag(tag) {
-      // Save to localStorage for article pages
-      if (tag) {
-        localStorage.setItem('blog-filter-tag', tag);
-      } else {
-        localStorage.removeItem('blog-filter-tag');
-      }
+      tag = tag.toLowerCase();
+      currentFilters.tags = currentFilters.tags.includes(tag)
+        ? currentFilters.tags.filter(selected => selected !== tag)
+        : [...currentFilters.tags, tag];
+      if (currentFilters.tags.length < 2) currentFilters.tagMode = 'or';
 
-      // If on article page, navigate to home with filter
-      if (isArticlePage()) {
-        const params = new URLSearchParams();
-        params.set('tag', tag);
-        window.location.href = '/' + '?' + params.toString();
-        return;
-      }
-
-      // Toggle tag if clicking same one
-      if (currentFilters.tag === tag) {
-        currentFilters.tag = null;
-        localStorage.removeItem('blog-filter-tag');
-      } else {
-        currentFilters.tag = tag;
-      }
+      applyTags();
+    },
 
-      updateUrlParams({ tag: currentFilters.tag, page: 1 });
-      updateTagsUI();
-      filterArticles();
-      updateMobileFilters();
+    setTagMode(mode) {
+      currentFilters.tagMode = parseTagMode(mode);
+      applyTags();
     },
 
     clearTag() {
-      // Remove from localStorage
-      localStorage.removeItem('blog-filter-tag');
-
-      // If on article page, navigate to home
-      if (isArticlePage()) {
-        window.location.href = '/';
-        return;
-      }
-
-      currentFilters.tag = null;
-      updateUrlParams({ tag: null, page: 1 });
-      updateTagsUI();
-      filterArticles();
-      updateMobileFilters();
+      currentFilters.tags = [];
+      currentFilters.tagMode = 'or';
+      applyTags();
     },
 
-    remove(type) {
+    remove(type, tag) {
       if (type === 'lang') {
         this.setLanguage('all');
       } else if (type === 'tag') {
-        this.setTag(currentFilters.tag); // Toggle off
+        if (tag) {
+          this.setTag(tag); // Toggle off
+        } else {
+          this.clearTag();
+        }
       }
     },
 
     clearAll() {
       currentFilters.lang = 'all';
-      currentFilters.tag = null;
-      updateUrlParams({ lang: null, tag: null, page: 1 });
+      currentFilters.tags = [];
+      currentFilters.tagMode = 'or';
+      localStorage.setItem('blog-filter-lang', 'all');
+      saveTags();
+      if (navigate()) return;
+
+      navigateListing({ lang: 'all', tags: [], tagMode: 'or', page: 1 });
       updateLanguageUI();
       renderTagsPills();
       filterArticles();
       updateMobileFilters();
     },
 
+    // Applies the filters again, to cards added since
+    refresh() {
+      updateTagsUI();
+      filterArticles();
+      updateMobileFilters();
+    },
+
     getFilters() {
-      return { ...currentFilters };
+      return { ...currentFilters, tags: [...currentFilters.tags] };
+    },
+
+    getUrlParams,
+    parseTags,
+    matchesTags,
+    listingUrl,
+
+    // Keeps the search query in ?q= so searches can be shared and reloaded
+    setSearch(query) {
+      if (currentFilters.search === query) return;
+
+      currentFilters.search = query;
+      navigateListing({ q: query }, { replace: true });
     },
 
     init() {
-      // If on article page, try to restore filters from referrer or localStorage
-      if (isArticlePage()) {
+      const page = pageFilter();
+
+      if (page) {
+        // A tag or language page filters by what it lists
+        currentFilters.lang = page.lang;
+        currentFilters.tags = page.tags;
+        currentFilters.tagMode = 'or';
+        currentFilters.search = getUrlParams().search;
+
+        localStorage.setItem('blog-filter-lang', currentFilters.lang);
+        saveTags();
+      } else if (isArticlePage()) {
+        // If on article page, try to restore filters from referrer or localStorage
         let langRestored = false;
         let tagRestored = false;
 
@@ -317,7 +523,8 @@
                 langRestored = true;
               }
               if (tagParam) {
-                currentFilters.tag = tagParam;
+                currentFilters.tags = parseTags(tagParam);
+                currentFilters.tagMode = parseTagMode(referrerParams.get('tagmode'));
                 tagRestored = true;
               }
             }
@@ -331,38 +538,70 @@
           currentFilters.lang = localStorage.getItem('blog-filter-lang') || 'all';
         }
         if (!tagRestored) {
-          const savedTag = localStorage.getItem('blog-filter-tag');
-          currentFilters.tag = savedTag || null;
+          currentFilters.tags = parseTags(localStorage.getItem('blog-filter-tag'));
+          currentFilters.tagMode = parseTagMode(localStorage.getItem('blog-filter-tag-mode'));
         }
       } else {
         // Restore from current URL (homepage)
         const params = getUrlParams();
         currentFilters.lang = params.lang;
-        currentFilters.tag = params.tag;
+        currentFilters.tags = params.tags;
+        currentFilters.tagMode = params.tagMode;
         currentFilters.search = params.search;
 
         // Save to localStorage for article pages to use
         localStorage.setItem('blog-filter-lang', currentFilters.lang);
-        if (currentFilters.tag) {
-          localStorage.setItem('blog-filter-tag', currentFilters.tag);
-        } else {
-          localStorage.removeItem('blog-filter-tag');
-        }
+        saveTags();
       }
+    }
+  };
 
-      // Restore search input (homepage only)
-      const searchInput = document.getElementById('search-input');
-      if (searchInput && currentFilters.search && !isArticlePage()) {
-        searchInput.value = currentFilters.search;
-      }
+  // The pills and language buttons are links to their pages: plain clicks
+  // toggle the filter instead (which may still lead there)
+  function handleFilterLinkClick(event) {
+    const link = event.target.closest && event.target.closest('a.tag-pill, a.mobile-tag-pill, a.lang-filter-btn, a.mobile-lang-pill');
+    if (!link) return;
+    if (event.button !== 0 || event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) return;
+
+    event.preventDefault();
+
+    const lang = link.getAttribute('data-lang');
+    const tag = link.getAttribute('data-tag');
 
+    if (lang) {
+      window.blogFilters.setLanguage(lang);
+    } else if (tag === 'all') {
+      window.blogFilters.clearTag();
+    } else if (tag) {
+      window.blogFilters.setTag(tag);
     }
-  };
+  }
+
+  // Back and Forward bring back the filters of their history entry (a tag
+  // or language page keeps filtering by what it lists)
+  function restoreFilters(state) {
+    const page = pageFilter();
+
+    currentFilters.lang = page ? page.lang : state.lang;
+    currentFilters.tags = page ? page.tags : state.tags;
+    currentFilters.tagMode = page ? 'or' : state.tagMode;
+    currentFilters.search = state.q;
+
+    localStorage.setItem('blog-filter-lang', currentFilters.lang);
+    saveTags();
+
+    updateLanguageUI();
+    updateTagsUI();
+    filterArticles();
+    updateMobileFilters();
+  }
 
   // Initialize on DOM ready
   async function init() {
     await loadTags();
     window.blogFilters.init();
+    document.addEventListener('click', handleFilterLinkClick);
+    if (!isArticlePage()) router.subscribe(restoreFilters);
     renderTagsPills();
     filterArticles();  // Apply filters on page load
     updateMobileFilters();  // Update mobile filter chips on page load
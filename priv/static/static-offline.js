@@ -0,0 +1,151 @@
+// Offline reading: registers the service worker (/sw.js, see static-sw.js),
+// saves articles for offline from their "Save for offline" buttons and lists
+// the articles there are to read on /offline.html.
+//
+// Saved articles are kept in the 'blog-saved' cache with their images; the
+// ones just read are in 'blog-articles', which the service worker trims.
+(function() {
+  const SAVED_CACHE = 'blog-saved';
+  const ARTICLES_CACHE = 'blog-articles';
+
+  function supported() {
+    return 'serviceWorker' in navigator && 'caches' in window;
+  }
+
+  // Saved articles first, then the ones read, each once, from the paths
+  // cached in both
+  function offlineArticles(saved, read) {
+    const articles = saved.map(path => ({ path, saved: true }));
+    read.filter(path => !saved.includes(path)).forEach(path => articles.push({ path, saved: false }));
+    return articles.filter(article => /^\/articles\/[^/]+\.html$/.test(article.path));
+  }
+
+  function cachedPaths(name) {
+    return caches.open(name)
+      .then(cache => cache.keys())
+      .then(requests => requests.map(request => new URL(request.url).pathname));
+  }
+
+  // Same-origin images of an article, saved along with it
+  function imagesOf(article) {
+    if (!article) return [];
+
+    return Array.from(article.querySelectorAll('img[src]'))
+      .map(img => new URL(img.getAttribute('src'), window.location.href))
+      .filter(url => url.origin === window.location.origin)
+      .map(url => url.pathname);
+  }
+
+  function renderButton(button, saved) {
+    button.setAttribute('aria-pressed', saved ? 'true' : 'false');
+    button.querySelector('[data-label]').textContent = saved ? 'Saved for offline' : 'Save for offline';
+    button.classList.remove('hidden');
+  }
+
+  function updateButtons() {
+    if (!supported()) return;
+
+    const buttons = document.querySelectorAll('[data-save-offline]');
+    if (buttons.length === 0) return;
+
+    caches.open(SAVED_CACHE).then(cache => {
+      buttons.forEach(button => {
+        cache.match(button.dataset.saveOffline).then(saved => renderButton(button, Boolean(saved)));
+      });
+    });
+  }
+
+  // Saves the article, or drops its saved copy if it's saved already
+  async function toggleSaved(button) {
+    const path = button.dataset.saveOffline;
+    const images = imagesOf(button.closest('article'));
+    const cache = await caches.open(SAVED_CACHE);
+
+    button.disabled = true;
+    try {
+      if (await cache.match(path)) {
+        await Promise.all([path, ...images].map(url => cache.delete(url)));
+        renderButton(button, false);
+      } else {
+        await cache.add(path);
+        // An image that fails leaves the article readable
+        await Promise.all(images.map(url => cache.add(url).catch(() => {})));
+        renderButton(button, true);
+      }
+    } catch (error) {
+      console.error('Failed to save article for offline:', error);
+    } finally {
+      button.disabled = false;
+    }
+  }
+
+  function handleClick(event) {
+    const button = event.target.closest('[data-save-offline]');
+    if (!button) return;
+
+    event.preventDefault();
+    toggleSaved(button);
+  }
+
+  function escapeHtml(text) {
+    return text.replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+  }
+
+  // The article's title, from its cached page
+  function titleOf(name, path) {
+    return caches.open(name)
+      .then(cache => cache.match(path))
+      .then(response => response ? response.text() : '')
+      .then(html => {
+        const heading = new DOMParser().parseFromString(html, 'text/html').querySelector('article h1');
+        return heading ? heading.textContent.trim() : path;
+      })
+      .catch(() => path);
+  }
+
+  async function renderOfflineList(list) {
+    const [saved, read] = await Promise.all([cachedPaths(SAVED_CACHE), cachedPaths(ARTICLES_CACHE)]);
+    const articles = offlineArticles(saved, read);
+
+    if (articles.length === 0) {
+      list.innerHTML = '<li class="text-base-content/60">No articles have been read or saved on this device yet.</li>';
+      return;
+    }
+
+    const titles = await Promise.all(articles.map(article => titleOf(article.saved ? SAVED_CACHE : ARTICLES_CACHE, article.path)));
+    list.innerHTML = articles.map((article, i) => `
+      <li>
+        <a href="${article.path}" class="flex items-center justify-between gap-3 p-4 bg-base-200/50 rounded-xl hover:bg-base-200 transition-colors no-underline">
+          <span class="font-medium text-base-content">${escapeHtml(titles[i])}</span>
+          ${article.saved ? '<span class="px-2.5 py-1 text-xs font-medium bg-primary/10 text-primary rounded-md">Saved</span>' : ''}
+        </a>
+      </li>
+    `).join('');
+  }
+
+  function init() {
+    if (!supported()) return;
+
+    navigator.serviceWorker.register('/sw.js').catch(error => {
+      console.error('Service worker registration failed:', error);
+    });
+
+    document.addEventListener('click', handleClick);
+    // Articles shown in place by static-article-loader.js bring their button
+    document.addEventListener('blog:article-shown', updateButtons);
+    updateButtons();
+
+    const list = document.getElementById('offline-articles');
+    if (list) renderOfflineList(list);
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+
+  window.blogOffline = {
+    offlineArticles
+  };
+})();
@@ -1,46 +1,229 @@
 // Pagination with URL persistence
+//
+// `mix build_static` renders listings a page at a time (/, /page/2/, ... and
+// the same under /tags/<tag>/ and /lang/<code>/) with links to the previous
+// and next pages. Following them here fetches the other page and swaps its
+// cards in, instead of loading it whole. The homepage filtered further
+// (?tag=a,b, or a tag and a language) needs every article: it fetches the
+// cards of all its pages once and paginates them itself, in ?page=.
+//
+// With `config :curupira, :pagination, mode: :load_more` (or
+// :infinite_scroll) the next page is appended instead, from a "Load more"
+// link (or as soon as it comes into view). The URL then follows the page
+// being read, and coming back to it restores the loaded pages and the
+// scroll position (kept in sessionStorage).
+//
+// The URL is window.blogRouter's (static-router.js): the page follows Back
+// and Forward through it.
 (function() {
-  const ARTICLES_PER_PAGE = 10;
+  const STORAGE_KEY = 'blog-pagination';
+  const router = window.blogRouter;
+
+  let container = null;
+  let basePath = '/';
+  let perPage = 10;
+  let mode = 'pages';
   let currentPage = 1;
   let totalPages = 1;
+  let firstPage = 1;  // Pages appended, in the scrolling modes
+  let lastPage = 1;
   let allArticles = [];
+  let allLoaded = false;
+  let loadingAll = null;
+  let loadingMore = false;
+  let pendingRestore = null;
+  let loadMoreObserver = null;
+  const pages = new Map();
+
+  // "/" and 2 -> "/page/2/", as `mix build_static` writes them
+  function pagePath(base, page) {
+    return page > 1 ? `${base}page/${page}/` : base;
+  }
 
-  function getUrlParams() {
-    const params = new URLSearchParams(window.location.search);
-    return {
-      page: parseInt(params.get('page')) || 1
-    };
+  // "/tags/ruby/page/3/" -> 3
+  function pageFromPath(pathname) {
+    const match = pathname.match(/\/page\/(\d+)\/?(?:index\.html)?$/);
+    return match ? parseInt(match[1]) : 1;
   }
 
-  function updateUrlParams(page) {
-    const params = new URLSearchParams(window.location.search);
+  // Pages are fetched once, whole, for their cards
+  function fetchPage(page) {
+    if (!pages.has(page)) {
+      const request = fetch(pagePath(basePath, page))
+        .then(response => {
+          if (!response.ok) throw new Error(`Failed to load page ${page}: ${response.status}`);
+          return response.text();
+        })
+        .then(html => {
+          const doc = new DOMParser().parseFromString(html, 'text/html');
+          const cards = doc.querySelectorAll('#articles-container > .article-card');
+          return Array.from(cards, card => document.importNode(card, true));
+        });
+
+      // A failed page can be tried again
+      request.catch(() => pages.delete(page));
+      pages.set(page, request);
+    }
+
+    return pages.get(page);
+  }
 
-    if (page === 1) {
-      params.delete('page');
-    } else {
-      params.set('page', page);
+  // Whether the homepage is filtered beyond what its pages list
+  function isFiltered() {
+    if (basePath !== '/' || !window.blogFilters) return false;
+
+    const filters = window.blogFilters.getFilters();
+    return filters.lang !== 'all' || filters.tags.length > 0;
+  }
+
+  function loadAll() {
+    if (!loadingAll) {
+      const requests = [];
+      for (let page = 1; page <= totalPages; page++) requests.push(fetchPage(page));
+
+      loadingAll = Promise.all(requests)
+        .then(cards => {
+          container.replaceChildren(...cards.flat());
+          allArticles = pinnedArticles().concat(cards.flat());
+          allLoaded = true;
+
+          // They're paginated from the first page on
+          if (pageFromPath(router.state().path) !== 1) {
+            router.navigate({ path: basePath }, { replace: true });
+          }
+
+          // Filter, count and paginate every article now
+          if (window.blogFilters) window.blogFilters.refresh();
+        })
+        .catch(error => {
+          console.error('Failed to load articles:', error);
+          loadingAll = null;
+        });
     }
 
-    const newUrl = params.toString()
-      ? `${window.location.pathname}?${params.toString()}`
-      : window.location.pathname;
+    return loadingAll;
+  }
+
+  function pinnedArticles() {
+    return Array.from(document.querySelectorAll('.pinned-article'));
+  }
+
+  function scrolling() {
+    return mode === 'load_more' || mode === 'infinite_scroll';
+  }
+
+  // Cards remember their page, for the URL to follow the one being read
+  function markPage(cards, page) {
+    cards.forEach(card => { card.dataset.page = page; });
+    return cards;
+  }
+
+  // Page of the card at the top of the viewport, from the visible cards'
+  // pages and tops (relative to the viewport), in order
+  function pageInView(cards, threshold = 0) {
+    const read = cards.filter(card => card.top <= threshold);
+    return read.length > 0 ? read[read.length - 1].page : (cards[0] ? cards[0].page : 1);
+  }
+
+  function currentUrl() {
+    return window.location.pathname + window.location.search;
+  }
+
+  // The loaded pages and scroll position to come back to, when back (or
+  // forward) on the same URL
+  function savedState() {
+    const navigation = window.performance && performance.getEntriesByType
+      ? performance.getEntriesByType('navigation')[0]
+      : null;
+    if (!navigation || navigation.type !== 'back_forward') return null;
+
+    try {
+      const saved = JSON.parse(sessionStorage.getItem(STORAGE_KEY));
+      return saved && saved.url === currentUrl() ? saved : null;
+    } catch (e) {
+      return null;
+    }
+  }
 
-    window.history.pushState({}, '', newUrl);
+  function saveState() {
+    sessionStorage.setItem(STORAGE_KEY, JSON.stringify({
+      url: currentUrl(),
+      first: firstPage,
+      last: lastPage,
+      scrollY: window.scrollY
+    }));
   }
 
   function init() {
+    container = document.getElementById('articles-container');
+    if (!container) return;
+
+    basePath = container.dataset.basePath || '/';
+    perPage = parseInt(container.dataset.perPage) || perPage;
+    currentPage = parseInt(container.dataset.page) || 1;
+    totalPages = parseInt(container.dataset.totalPages) || 1;
+
+    mode = container.dataset.paginationMode || mode;
+    firstPage = lastPage = currentPage;
+
     allArticles = Array.from(document.querySelectorAll('.article-card'));
+    const cards = markPage(Array.from(container.querySelectorAll('.article-card')), currentPage);
+    pages.set(currentPage, Promise.resolve(cards));
+    allLoaded = totalPages <= 1;
+
+    document.getElementById('pagination-container').addEventListener('click', handlePageClick);
+
+    if (scrolling()) {
+      // Scroll positions are restored once the pages are back
+      pendingRestore = savedState();
+      if ('scrollRestoration' in history) history.scrollRestoration = 'manual';
+
+      let frame = null;
+      window.addEventListener('scroll', () => {
+        if (frame) return;
+        frame = requestAnimationFrame(() => {
+          frame = null;
+          trackPage();
+        });
+      }, { passive: true });
+      window.addEventListener('pagehide', saveState);
+    } else {
+      router.subscribe(restorePage);
+    }
 
     // Don't show page yet - let filters initialize first
     // The filter system will trigger handleSearch() which will restore the page from URL
   }
 
+  // Plain clicks on the page links go to the page in place
+  function handlePageClick(event) {
+    const link = event.target.closest('a[data-page]');
+    if (!link) return;
+    if (event.button !== 0 || event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) return;
+
+    event.preventDefault();
+    if (link.hasAttribute('data-load-more')) {
+      loadMore();
+    } else {
+      showPage(parseInt(link.dataset.page));
+    }
+  }
+
+  // Back and Forward between pages of the listing (paginating every article
+  // here, the filters apply the entry's ?page= again)
+  function restorePage(state, previous) {
+    if (state.article || allLoaded || state.path === previous.path) return;
+
+    const page = pageFromPath(state.path);
+    if (page !== currentPage) showServerPage(page, false);
+  }
+
   function recalculatePagination() {
     // Exclude pinned article from pagination count (use class-based filtering)
     const visibleArticles = allArticles.filter(
       article => !article.classList.contains('js-hidden') && !article.classList.contains('pinned-article')
     );
-    totalPages = Math.max(1, Math.ceil(visibleArticles.length / ARTICLES_PER_PAGE));
+    totalPages = Math.max(1, Math.ceil(visibleArticles.length / perPage));
 
     // If current page is beyond total pages, go to last page
     if (currentPage > totalPages) {
@@ -48,18 +231,135 @@
     }
   }
 
+  // Called by the filters once they're applied
   function handleSearch() {
+    if (!container) return;
+
+    if (!allLoaded) {
+      if (isFiltered()) {
+        loadAll();
+      } else if (pendingRestore) {
+        restorePages(pendingRestore);
+        pendingRestore = null;
+      } else {
+        renderPagination();
+      }
+      return;
+    }
+
+    // Every article is here: paginate them all, from ?page= on the first page
     recalculatePagination();
 
-    // Restore page from URL if available, otherwise reset to page 1
-    const params = getUrlParams();
-    const targetPage = params.page <= totalPages ? params.page : 1;
+    const { page } = router.state();
+    const targetPage = page <= totalPages ? page : 1;
+
+    showClientPage(targetPage, false);  // Don't scroll when filtering
 
-    showPage(targetPage, false);  // Don't scroll when filtering
+    if (pendingRestore) {
+      window.scrollTo(0, pendingRestore.scrollY);
+      pendingRestore = null;
+    }
+  }
+
+  // Appends the next page, in the scrolling modes
+  function loadMore() {
+    if (loadingMore || lastPage >= totalPages) return;
+
+    if (allLoaded) {
+      showClientPage(lastPage + 1, false);
+      return;
+    }
+
+    const page = lastPage + 1;
+    loadingMore = true;
+
+    fetchPage(page)
+      .then(cards => {
+        container.append(...markPage(cards, page));
+        lastPage = page;
+        loadingMore = false;
+        renderPagination();
+      })
+      .catch(error => {
+        // Load it whole instead
+        console.error(error);
+        window.location.href = pagePath(basePath, page);
+      });
+  }
+
+  // Back to where the reader left: the same pages, scrolled the same
+  function restorePages(saved) {
+    const requests = [];
+    for (let page = saved.first; page <= saved.last; page++) {
+      requests.push(fetchPage(page).then(cards => markPage(cards, page)));
+    }
+
+    return Promise.all(requests)
+      .then(cards => {
+        container.replaceChildren(...cards.flat());
+        firstPage = saved.first;
+        lastPage = saved.last;
+        renderPagination();
+        window.scrollTo(0, saved.scrollY);
+      })
+      .catch(error => {
+        console.error('Failed to restore articles:', error);
+        renderPagination();
+      });
+  }
+
+  // Keeps the URL on the page being read
+  function trackPage() {
+    // The list is hidden behind an article shown in place
+    if (router.state().article) return;
+
+    const cards = Array.from(container.querySelectorAll('.article-card[data-page]'))
+      .filter(card => !card.classList.contains('hidden') && !card.classList.contains('js-hidden'))
+      .map(card => ({ page: parseInt(card.dataset.page), top: card.getBoundingClientRect().top }));
+    if (cards.length === 0) return;
+
+    const page = pageInView(cards, window.innerHeight / 3);
+    if (page === currentPage) return;
+
+    currentPage = page;
+    router.navigate(allLoaded ? { page } : { path: pagePath(basePath, page) }, { replace: true });
   }
 
   function showPage(page, shouldScroll = true) {
+    if (allLoaded) {
+      showClientPage(page, shouldScroll);
+    } else {
+      showServerPage(page, true, shouldScroll);
+    }
+  }
+
+  // Swaps in the cards of one of the listing's pages
+  function showServerPage(page, push = true, shouldScroll = true) {
+    return fetchPage(page)
+      .then(cards => {
+        currentPage = page;
+        container.replaceChildren(...cards);
+
+        // The pinned article is highlighted on the first page only
+        pinnedArticles().forEach(article => article.classList.toggle('hidden', page !== 1));
+
+        if (push) router.navigate({ path: pagePath(basePath, page) });
+
+        renderPagination();
+        if (shouldScroll) container.scrollIntoView({ behavior: 'smooth', block: 'start' });
+      })
+      .catch(error => {
+        // Load it whole instead
+        console.error(error);
+        window.location.href = pagePath(basePath, page);
+      });
+  }
+
+  // Shows a page of the articles, or every page up to it in the scrolling
+  // modes
+  function showClientPage(page, shouldScroll = true) {
     currentPage = page;
+    lastPage = page;
 
     // Separate pinned and regular articles (use class-based filtering)
     const pinnedArticle = allArticles.find(
@@ -70,8 +370,8 @@
       article => !article.classList.contains('js-hidden') && !article.classList.contains('pinned-article')
     );
 
-    const start = (page - 1) * ARTICLES_PER_PAGE;
-    const end = start + ARTICLES_PER_PAGE;
+    const start = scrolling() ? 0 : (page - 1) * perPage;
+    const end = page * perPage;
 
     // Hide all first
     allArticles.forEach(article => {
@@ -87,69 +387,80 @@
     regularArticles.forEach((article, index) => {
       if (index >= start && index < end) {
         article.classList.remove('hidden');
+        article.dataset.page = Math.floor(index / perPage) + 1;
       }
     });
 
     renderPagination();
     renderEmptyState(regularArticles.length === 0);
-    updateUrlParams(page);
+
+    // In the scrolling modes the URL follows the reader instead
+    if (!scrolling()) router.navigate({ page });
+
+    if (shouldScroll) container.scrollIntoView({ behavior: 'smooth', block: 'start' });
   }
 
-  function renderPagination() {
-    const container = document.getElementById('pagination-container');
-    if (!container) return;
+  // Where a page link leads: the page itself, or ?page= when paginating
+  // every article here
+  function pageHref(page) {
+    const state = router.state();
+    return allLoaded ? router.url({ ...state, page }) : router.url({ ...state, path: pagePath(basePath, page), page: 1 });
+  }
 
-    // Update top page indicator
-    const currentPageEl = document.getElementById('current-page');
-    const totalPagesEl = document.getElementById('total-pages');
-    if (currentPageEl) currentPageEl.textContent = currentPage;
-    if (totalPagesEl) totalPagesEl.textContent = totalPages;
+  // Same markup as `mix build_static` renders
+  function pageLink(page, enabled, rel, label, arrow) {
+    const className = 'px-4 py-3 rounded-full border-2 border-base-300 bg-base-100 hover:bg-base-200 hover:border-primary/30 text-base-content transition-all cursor-pointer shadow-sm';
+    const icon = `<svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke-width="2" stroke="currentColor" class="w-5 h-5 pointer-events-none" aria-hidden="true"><path stroke-linecap="round" stroke-linejoin="round" d="${arrow}"/></svg>`;
 
-    const visibleArticles = allArticles.filter(
-      article => !article.classList.contains('js-hidden')
-    );
+    return enabled
+      ? `<a href="${pageHref(page)}" rel="${rel}" data-page="${page}" class="${className}" aria-label="${label}">${icon}</a>`
+      : `<span class="${className} opacity-30 cursor-not-allowed" aria-hidden="true">${icon}</span>`;
+  }
+
+  function renderPagination() {
+    const paginationContainer = document.getElementById('pagination-container');
+    if (!paginationContainer) return;
 
     if (totalPages <= 1) {
-      container.innerHTML = '';
+      paginationContainer.innerHTML = '';
       return;
     }
 
-    const start = Math.min((currentPage - 1) * ARTICLES_PER_PAGE + 1, visibleArticles.length);
-    const end = Math.min(currentPage * ARTICLES_PER_PAGE, visibleArticles.length);
-
-    container.innerHTML = `
-      <div class="flex items-center justify-center gap-6 mt-16">
-        <button class="px-4 py-3 rounded-full border-2 border-base-300 bg-base-100 hover:bg-base-200 hover:border-primary/30 text-base-content transition-all disabled:opacity-30 disabled:cursor-not-allowed disabled:hover:bg-base-100 disabled:hover:border-base-300 cursor-pointer shadow-sm" id="prev-page" onclick="window.pagination.prevPage()" aria-label="Previous page">
-          <svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke-width="2" stroke="currentColor" class="w-5 h-5 pointer-events-none" aria-hidden="true">
-            <path stroke-linecap="round" stroke-linejoin="round" d="M15.75 19.5 8.25 12l7.5-7.5"/>
-          </svg>
-        </button>
-
-        <span class="text-base text-base-content/80 font-medium px-4">
-          Page ${currentPage} of ${totalPages}
-        </span>
+    if (scrolling()) {
+      renderLoadMore(paginationContainer);
+      return;
+    }
 
-        <button class="px-4 py-3 rounded-full border-2 border-base-300 bg-base-100 hover:bg-base-200 hover:border-primary/30 text-base-content transition-all disabled:opacity-30 disabled:cursor-not-allowed disabled:hover:bg-base-100 disabled:hover:border-base-300 cursor-pointer shadow-sm" id="next-page" onclick="window.pagination.nextPage()" aria-label="Next page">
-          <svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke-width="2" stroke="currentColor" class="w-5 h-5 pointer-events-none" aria-hidden="true">
-            <path stroke-linecap="round" stroke-linejoin="round" d="m8.25 4.5 7.5 7.5-7.5 7.5"/>
-          </svg>
-        </button>
-      </div>
+    paginationContainer.innerHTML = `
+      <nav class="flex items-center justify-center gap-6 mt-16" aria-label="Pagination">
+        ${pageLink(currentPage - 1, currentPage > 1, 'prev', 'Previous page', 'M15.75 19.5 8.25 12l7.5-7.5')}
+        <span class="text-base text-base-content/80 font-medium px-4">Page ${currentPage} of ${totalPages}</span>
+        ${pageLink(currentPage + 1, currentPage < totalPages, 'next', 'Next page', 'm8.25 4.5 7.5 7.5-7.5 7.5')}
+      </nav>
     `;
-
-    updatePaginationButtons();
   }
 
-  function updatePaginationButtons() {
-    const prevBtn = document.getElementById('prev-page');
-    const nextBtn = document.getElementById('next-page');
+  // A link to the next page, which is appended instead of followed
+  function renderLoadMore(paginationContainer) {
+    if (loadMoreObserver) loadMoreObserver.disconnect();
 
-    if (prevBtn) {
-      prevBtn.disabled = currentPage === 1;
+    if (lastPage >= totalPages) {
+      paginationContainer.innerHTML = '';
+      return;
     }
 
-    if (nextBtn) {
-      nextBtn.disabled = currentPage === totalPages;
+    paginationContainer.innerHTML = `
+      <div class="flex justify-center mt-16">
+        <a href="${pageHref(lastPage + 1)}" data-page="${lastPage + 1}" data-load-more class="px-6 py-3 rounded-full border-2 border-base-300 bg-base-100 hover:bg-base-200 hover:border-primary/30 text-base-content font-medium transition-all cursor-pointer shadow-sm">Load more</a>
+      </div>
+    `;
+
+    // In :infinite_scroll it's loaded before the reader gets there
+    if (mode === 'infinite_scroll' && 'IntersectionObserver' in window) {
+      loadMoreObserver = new IntersectionObserver(entries => {
+        if (entries.some(entry => entry.isIntersecting)) loadMore();
+      }, { rootMargin: '400px 0px' });
+      loadMoreObserver.observe(paginationContainer.querySelector('[data-load-more]'));
     }
   }
 
@@ -159,12 +470,12 @@
     if (isEmpty) {
       if (!emptyStateEl) {
         // Create empty state element if it doesn't exist
-        const container = document.querySelector('main');
-        if (container) {
+        const main = document.querySelector('main');
+        if (main) {
           emptyStateEl = document.createElement('div');
           emptyStateEl.id = 'empty-state';
           emptyStateEl.className = 'text-center py-16';
-          container.appendChild(emptyStateEl);
+          main.appendChild(emptyStateEl);
         }
       }
 
@@ -199,7 +510,16 @@
   window.pagination = {
     nextPage,
     prevPage,
-    handleSearch
+    handleSearch,
+    pagePath,
+    pageFromPath,
+    pageInView,
+
+    // Whether every article of the listing is in the page (tag counts need
+    // them all)
+    hasAllArticles() {
+      return allLoaded;
+    }
   };
 
   // Initialize on DOM ready
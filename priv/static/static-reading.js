@@ -0,0 +1,135 @@
+// Reading progress of articles: a bar along the top of article pages (and
+// of articles shown in place by static-article-loader.js), and where each
+// article was left, kept per slug in localStorage. Articles open there
+// again, and their cards on the listings offer to continue reading them.
+(function() {
+  const STORAGE_KEY = 'blog-reading';
+  const MAX_ENTRIES = 50;
+  // Below STARTED an article isn't worth coming back to, past FINISHED
+  // it's been read
+  const STARTED = 0.05;
+  const FINISHED = 0.95;
+
+  let frame = null;
+  let lastSaved = null;
+
+  // How far into an article the reader is, from 0 (its top at the
+  // viewport's) to 1 (its bottom at the viewport's). `top` is the article's
+  // top relative to the viewport.
+  function progressOf(top, height, viewport) {
+    const scrollable = height - viewport;
+    if (scrollable <= 0) return 1;
+
+    return Math.min(1, Math.max(0, -top / scrollable));
+  }
+
+  // Positions with the article's, which is dropped when it's barely
+  // started or finished, keeping the MAX_ENTRIES articles read last
+  function record(positions, slug, progress, now = Date.now()) {
+    const next = { ...positions };
+    delete next[slug];
+    if (progress >= STARTED && progress < FINISHED) next[slug] = { progress, at: now };
+
+    Object.keys(next)
+      .sort((a, b) => next[b].at - next[a].at)
+      .slice(MAX_ENTRIES)
+      .forEach(stale => delete next[stale]);
+    return next;
+  }
+
+  function load() {
+    try {
+      return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+    } catch (e) {
+      return {};
+    }
+  }
+
+  function save(slug, progress) {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(record(load(), slug, progress)));
+    renderCards();
+  }
+
+  // The article being read: the page's, or the one shown in place
+  function currentArticle() {
+    return document.querySelector('article[data-slug]');
+  }
+
+  function update() {
+    frame = null;
+
+    const bar = document.getElementById('reading-progress');
+    const article = currentArticle();
+    const progress = article ? progressOf(article.getBoundingClientRect().top, article.offsetHeight, window.innerHeight) : 0;
+
+    if (bar) {
+      bar.style.width = `${progress * 100}%`;
+      bar.setAttribute('aria-valuenow', Math.round(progress * 100));
+    }
+
+    // Saved as it moves by a percent or more
+    if (article && (!lastSaved || lastSaved.slug !== article.dataset.slug || Math.abs(lastSaved.progress - progress) >= 0.01)) {
+      lastSaved = { slug: article.dataset.slug, progress };
+      save(article.dataset.slug, progress);
+    }
+  }
+
+  function scheduleUpdate() {
+    if (!frame) frame = requestAnimationFrame(update);
+  }
+
+  // Back where the article was left, unless the URL points somewhere in it
+  function resume() {
+    const article = currentArticle();
+    if (!article || window.location.hash) return;
+
+    const saved = load()[article.dataset.slug];
+    const scrollable = article.offsetHeight - window.innerHeight;
+    lastSaved = saved ? { slug: article.dataset.slug, progress: saved.progress } : null;
+    if (!saved || scrollable <= 0) return;
+
+    window.scrollTo(0, window.scrollY + article.getBoundingClientRect().top + saved.progress * scrollable);
+  }
+
+  // "Continue reading" on the cards of articles left halfway
+  function renderCards() {
+    const positions = load();
+
+    document.querySelectorAll('.article-card[data-slug]').forEach(card => {
+      const badge = card.querySelector('[data-continue-reading]');
+      if (!badge) return;
+
+      const saved = positions[card.dataset.slug];
+      badge.textContent = saved ? `Continue reading · ${Math.round(saved.progress * 100)}%` : '';
+      badge.classList.toggle('hidden', !saved);
+    });
+  }
+
+  function init() {
+    resume();
+    update();
+    renderCards();
+
+    window.addEventListener('scroll', scheduleUpdate, { passive: true });
+    window.addEventListener('resize', scheduleUpdate);
+    document.addEventListener('blog:article-shown', () => {
+      resume();
+      update();
+    });
+
+    // Cards the pagination adds
+    const container = document.getElementById('articles-container');
+    if (container) new MutationObserver(renderCards).observe(container, { childList: true });
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+
+  window.blogReading = {
+    progressOf,
+    record
+  };
+})();
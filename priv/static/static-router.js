@@ -0,0 +1,121 @@
+// URL state of the static site, shared by the filters, the pagination and
+// the article viewer
+//
+// The state is {path, lang, tags, tagMode, q, page, article}: `path` is the
+// listing's pathname (/, /tags/<tag>/, /lang/<code>/page/2/, ...), the rest
+// its query (?lang=pt&tag=a,b&tagmode=and&q=...&page=2), and `article` the
+// slug of an article shown in place, whose URL is its page's
+// (/articles/<slug>.html). Scripts change it with navigate() and subscribe()
+// to restore their views when Back or Forward moves to another entry.
+(function() {
+  const DEFAULTS = {
+    path: '/',
+    lang: 'all',
+    tags: [],
+    tagMode: 'or',
+    q: '',
+    page: 1,
+    article: null
+  };
+
+  const subscribers = [];
+  let current = null;
+
+  function parseTags(value) {
+    if (!value) return [];
+
+    const tags = value.split(',').map(tag => tag.trim().toLowerCase()).filter(Boolean);
+    return [...new Set(tags)];
+  }
+
+  // State of a URL (listing state behind an article comes from its history
+  // entry, see navigate())
+  function parse(href) {
+    const url = new URL(href, 'http://localhost');
+    const params = url.searchParams;
+    const article = url.pathname.match(/^\/articles\/([^/]+)\.html$/);
+
+    return {
+      path: article ? DEFAULTS.path : url.pathname.replace(/\/index\.html$/, '/'),
+      lang: params.get('lang') || DEFAULTS.lang,
+      tags: parseTags(params.get('tag')),
+      tagMode: params.get('tagmode') === 'and' ? 'and' : DEFAULTS.tagMode,
+      q: params.get('q') || DEFAULTS.q,
+      page: parseInt(params.get('page')) || DEFAULTS.page,
+      article: article ? decodeURIComponent(article[1]) : DEFAULTS.article
+    };
+  }
+
+  // URL of a state, leaving defaults out
+  function url(state) {
+    if (state.article) return `/articles/${encodeURIComponent(state.article)}.html`;
+
+    const params = new URLSearchParams();
+    if (state.lang && state.lang !== DEFAULTS.lang) params.set('lang', state.lang);
+    if (state.tags && state.tags.length > 0) params.set('tag', state.tags.join(','));
+    if (state.tags && state.tags.length > 1 && state.tagMode === 'and') params.set('tagmode', 'and');
+    if (state.q) params.set('q', state.q);
+    if (state.page > 1) params.set('page', state.page);
+
+    const query = params.toString();
+    return (state.path || DEFAULTS.path) + (query ? '?' + query : '');
+  }
+
+  function normalize(state) {
+    return { ...DEFAULTS, ...state, tags: [...(state.tags || [])] };
+  }
+
+  function state() {
+    if (!current) {
+      current = normalize((window.history.state && window.history.state.blogRouter) || parse(window.location.href));
+    }
+    return normalize(current);
+  }
+
+  // Applies changes to the state and records them in the URL: a new history
+  // entry, or the current one replaced (for changes as frequent as typing or
+  // scrolling). Callers update their own view; subscribers aren't notified.
+  function navigate(changes, { replace = false } = {}) {
+    const next = normalize({ ...state(), ...changes });
+    const href = url(next);
+
+    current = next;
+    if (replace) {
+      window.history.replaceState({ blogRouter: next }, '', href);
+    } else {
+      window.history.pushState({ blogRouter: next }, '', href);
+    }
+    return next;
+  }
+
+  // fn(state, previous) runs when Back or Forward changes the state
+  function subscribe(fn) {
+    subscribers.push(fn);
+    return () => {
+      const index = subscribers.indexOf(fn);
+      if (index !== -1) subscribers.splice(index, 1);
+    };
+  }
+
+  window.addEventListener('popstate', event => {
+    const previous = state();
+    current = normalize((event.state && event.state.blogRouter) || parse(window.location.href));
+
+    subscribers.forEach(fn => {
+      try {
+        fn(state(), previous);
+      } catch (error) {
+        console.error('Router subscriber failed:', error);
+      }
+    });
+  });
+
+  window.blogRouter = {
+    state,
+    navigate,
+    subscribe,
+    parse,
+    url,
+    parseTags
+  };
+})();
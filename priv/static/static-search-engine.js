@@ -0,0 +1,555 @@
+// Full-text search over the prebuilt index (search-index.json, built by
+// Curupira.Search.Index). Pure functions only; static-search.js owns the UI.
+//
+// Query words are folded and stemmed like the index and ranked with BM25,
+// exactly as Curupira.Search ranks them on the server (the admin search);
+// keep the two in sync. Supported queries:
+//   kubernetes deploy   any of the words, articles with more of them first
+//   funcao              accents don't matter ("função")
+//   kubernetis          words not in the index match close misspellings
+//   kube                the last word also matches as a prefix while typing
+//   deploy*             explicit prefix
+//   "rolling update"    exact phrase
+//   -docker -"hello world"          articles without the word or phrase
+//   tag:rust lang:pt                articles with the tag / in the language
+//   -tag:rust -lang:en              articles without them
+//   before:2024 after:2023-06       published before / after the year, month or day
+// A query made only of filters and exclusions lists every article passing them.
+(function() {
+  const K1 = 1.2;
+  const B = 0.75;
+  // Prefix and fuzzy expansions rank below exact word matches
+  const PREFIX_WEIGHT = 0.7;
+  const FUZZY_WEIGHT = 0.5;
+  const EXCERPT_WORDS = 30;
+
+  // Tokenizing and stemming (mirrors Curupira.Search.Index.tokenize/1 and
+  // Curupira.Search.Stemmer)
+
+  // Combining accents belong to the word until folded away
+  const WORD_RE = /[\p{L}\p{M}\p{N}]+/gu;
+
+  // Lowercase without diacritics: "Função" -> "funcao"
+  function fold(text) {
+    return (text || '').normalize('NFD').replace(/\p{Mn}/gu, '').toLowerCase();
+  }
+
+  function tokenize(text) {
+    return ((text || '').normalize('NFC').match(WORD_RE) || []).map(fold).filter(token => [...token].length > 1);
+  }
+
+  function len(word) {
+    return [...word].length;
+  }
+
+  function drop(word, count) {
+    return [...word].slice(0, len(word) - count).join('');
+  }
+
+  function isPortuguese(language) {
+    return language === 'pt' || language === 'pt-BR';
+  }
+
+  function keepsFinalS(word) {
+    return ['ss', 'us', 'is'].some(suffix => word.endsWith(suffix));
+  }
+
+  function enPlural(word) {
+    if (word.endsWith('ies') && len(word) > 4) return drop(word, 3) + 'y';
+    if (word.endsWith('sses')) return drop(word, 2);
+    if (/(s|x|z|ch|sh)es$/u.test(word)) return drop(word, 2);
+    if (word.endsWith('s') && !keepsFinalS(word)) return drop(word, 1);
+    return word;
+  }
+
+  // "runn" -> "run", but "fall" and "pass" stay
+  function undouble(word) {
+    const chars = [...word];
+    const last = chars[chars.length - 1];
+    if (chars.length > 1 && last === chars[chars.length - 2] && !'aeioulsz'.includes(last)) {
+      return drop(word, 1);
+    }
+    return word;
+  }
+
+  function enSuffix(word) {
+    if (word.endsWith('ing') && len(word) - 3 >= 4) return undouble(drop(word, 3));
+    if (word.endsWith('ed') && len(word) - 2 >= 4) return undouble(drop(word, 2));
+    if (word.endsWith('ly') && len(word) - 2 >= 4) return drop(word, 2);
+    return word;
+  }
+
+  function enFinalE(word) {
+    return word.endsWith('e') && len(word) > 4 ? drop(word, 1) : word;
+  }
+
+  function ptPlural(word) {
+    if (word.endsWith('oes') || word.endsWith('aes')) return drop(word, 3) + 'ao';
+    if (word.endsWith('ais') && len(word) > 4) return drop(word, 2) + 'l';
+    if (word.endsWith('eis') && len(word) > 4) return drop(word, 3) + 'el';
+    if (word.endsWith('ns')) return drop(word, 2) + 'm';
+    if (word.endsWith('res')) return drop(word, 2);
+    if (word.endsWith('s') && !keepsFinalS(word)) return drop(word, 1);
+    return word;
+  }
+
+  function ptAdverb(word) {
+    return word.endsWith('mente') && len(word) - 5 >= 3 ? drop(word, 5) : word;
+  }
+
+  const PT_VERB_SUFFIXES = [
+    ['ando', 3], ['endo', 3], ['indo', 3], ['ado', 3], ['ada', 3],
+    ['ido', 3], ['ida', 3], ['ar', 4], ['er', 4], ['ir', 4]
+  ];
+
+  function ptVerb(word) {
+    const match = PT_VERB_SUFFIXES.find(([suffix]) => word.endsWith(suffix));
+    if (!match) return word;
+
+    const [suffix, min] = match;
+    return len(word) - len(suffix) >= min ? drop(word, len(suffix)) : word;
+  }
+
+  // "rapida" -> "rapid", but "configuracao" keeps its "ao"
+  function ptVowel(word) {
+    return /[aeo]$/u.test(word) && !word.endsWith('ao') && len(word) > 4 ? drop(word, 1) : word;
+  }
+
+  function stem(word, language) {
+    if (len(word) <= 3) return word;
+    if (isPortuguese(language)) return ptVowel(ptVerb(ptAdverb(ptPlural(word))));
+    return enFinalE(enSuffix(enPlural(word)));
+  }
+
+  // Queries don't say which language they're in: try both stemmers
+  function queryStems(word) {
+    return [...new Set([stem(word, 'en'), stem(word, 'pt')])];
+  }
+
+  // Query parsing
+
+  const FIELD_RE = /^(tag|lang|before|after):(.+)$/i;
+  const DATE_RE = /^\d{4}(-\d{2}(-\d{2})?)?$/;
+
+  // {field, value, negate} for a `field:value` part, null for other parts
+  // (and for dates that aren't YYYY, YYYY-MM or YYYY-MM-DD)
+  function parseFilter(part) {
+    const negate = part.startsWith('-');
+    const match = (negate ? part.slice(1) : part).match(FIELD_RE);
+    if (!match) return null;
+
+    const field = match[1].toLowerCase();
+    const value = match[2].toLowerCase();
+    if (field === 'before' || field === 'after') {
+      // Dates can't be negated: before:X already is -after:X
+      return DATE_RE.test(value) && !negate ? { field, value, negate } : null;
+    }
+    return { field, value, negate };
+  }
+
+  // {words: [{text, prefix}], phrases: [[token, ...]],
+  //  exclude: {words: [token], phrases: [[token, ...]]}, filters: [{field, value, negate}]}
+  function parseQuery(query) {
+    const words = [];
+    const phrases = [];
+    const exclude = { words: [], phrases: [] };
+    const filters = [];
+
+    const rest = (query || '').replace(/(-?)"([^"]*)"?/g, (_match, minus, phrase) => {
+      const tokens = tokenize(phrase);
+      if (minus) {
+        if (tokens.length > 1) exclude.phrases.push(tokens);
+        else exclude.words.push(...tokens);
+      } else if (tokens.length > 1) {
+        phrases.push(tokens);
+      } else if (tokens.length === 1) {
+        words.push({ text: tokens[0], prefix: false });
+      }
+      return ' ';
+    });
+
+    const parts = rest.split(/\s+/).filter(Boolean);
+    parts.forEach(part => {
+      const filter = parseFilter(part);
+      if (filter) {
+        filters.push(filter);
+      } else if (part.length > 1 && part.startsWith('-')) {
+        exclude.words.push(...tokenize(part));
+      } else {
+        const prefix = part.endsWith('*');
+        tokenize(part).forEach(text => words.push({ text, prefix }));
+      }
+    });
+
+    // Still typing the last word: let it match as a prefix too
+    const last = words[words.length - 1];
+    const lastPart = parts[parts.length - 1] || '';
+    const typingWord = !parseFilter(lastPart) && !lastPart.startsWith('-');
+    if (last && typingWord && /[\p{L}\p{N}]$/u.test(query || '')) last.prefix = true;
+
+    return { words, phrases, exclude, filters };
+  }
+
+  // Whether an article's metadata passes every field filter. Dates compare
+  // as ISO prefixes, so before:2024 means published before 2024 started
+  // and after:2023-06 after June 2023 ended.
+  function matchesFilters(item, filters) {
+    return filters.every(({field, value, negate}) => {
+      const published = (item.published_at || '').slice(0, value.length);
+
+      switch (field) {
+        case 'tag':
+          return (item.tags || []).some(tag => tag.toLowerCase() === value) !== negate;
+        case 'lang': {
+          const language = (item.language || 'en').toLowerCase();
+          return (language === value || language.startsWith(`${value}-`)) !== negate;
+        }
+        case 'before':
+          return published !== '' && published < value;
+        case 'after':
+          return published !== '' && published > value;
+        default:
+          return true;
+      }
+    });
+  }
+
+  // Fuzzy matching
+
+  // Edits allowed for a misspelled stem: none for short words
+  function maxEdits(term) {
+    const length = len(term);
+    if (length <= 3) return 0;
+    return length <= 7 ? 1 : 2;
+  }
+
+  // Levenshtein distance, or max + 1 once it is known to exceed max
+  function editDistance(a, b, max) {
+    const left = [...a];
+    const right = [...b];
+    if (Math.abs(left.length - right.length) > max) return max + 1;
+
+    let previous = Array.from({ length: right.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= left.length; i++) {
+      const current = [i];
+      let rowMin = i;
+      for (let j = 1; j <= right.length; j++) {
+        const cost = left[i - 1] === right[j - 1] ? 0 : 1;
+        current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+        rowMin = Math.min(rowMin, current[j]);
+      }
+      if (rowMin > max) return max + 1;
+      previous = current;
+    }
+    return previous[right.length];
+  }
+
+  // Index terms within reach of a word that isn't in the index:
+  // [{term, distance}] closest first, then most common, then alphabetical
+  function fuzzyTerms(index, word) {
+    const distances = new Map();
+    queryStems(word).forEach(stemmed => {
+      const max = maxEdits(stemmed);
+      if (max === 0) return;
+
+      Object.keys(index.terms).forEach(term => {
+        const distance = editDistance(stemmed, term, max);
+        if (distance <= max && !(distances.get(term) <= distance)) distances.set(term, distance);
+      });
+    });
+
+    const frequency = term => index.terms[term].length;
+    return [...distances].map(([term, distance]) => ({ term, distance })).sort((a, b) =>
+      a.distance - b.distance || frequency(b.term) - frequency(a.term) || (a.term < b.term ? -1 : 1)
+    );
+  }
+
+  // Ranking
+
+  function postingsOf(index, term) {
+    const flat = index.terms[term];
+    if (!flat) return null;
+
+    const postings = new Map();
+    for (let i = 0; i < flat.length; i += 2) postings.set(flat[i], flat[i + 1]);
+    return postings;
+  }
+
+  function bm25(index, frequency, doc, documentFrequency) {
+    const count = index.docs.length;
+    const idf = Math.log(1 + (count - documentFrequency + 0.5) / (documentFrequency + 0.5));
+    const norm = 1 - B + B * (index.lengths[doc] / (index.avg_length || 1));
+    return idf * (frequency * (K1 + 1)) / (frequency + K1 * norm);
+  }
+
+  // Index terms a query word matches, with their weight. Misspellings are
+  // only looked for when the word matches nothing as it is.
+  function expandWord(index, word) {
+    const stems = queryStems(word.text);
+    const matches = new Map(stems.filter(term => index.terms[term]).map(term => [term, 1]));
+
+    if (word.prefix) {
+      const prefixes = [word.text, ...stems];
+      Object.keys(index.terms).forEach(term => {
+        if (!matches.has(term) && prefixes.some(prefix => term.startsWith(prefix))) {
+          matches.set(term, PREFIX_WEIGHT);
+        }
+      });
+    }
+
+    if (matches.size === 0) {
+      fuzzyTerms(index, word.text).forEach(({term}) => matches.set(term, FUZZY_WEIGHT));
+    }
+    return matches;
+  }
+
+  // Best score of each document for one query word
+  function scoreWord(index, word) {
+    const scores = new Map();
+
+    expandWord(index, word).forEach((weight, term) => {
+      const postings = postingsOf(index, term);
+      postings.forEach((frequency, doc) => {
+        const score = weight * bm25(index, frequency, doc, postings.size);
+        if (score > (scores.get(doc) || 0)) scores.set(doc, score);
+      });
+    });
+    return scores;
+  }
+
+  // Word tokens of a text with their stems and character ranges
+  function textTokens(text, language) {
+    const tokens = [];
+    for (const match of (text || '').matchAll(WORD_RE)) {
+      const word = fold(match[0]);
+      if (len(word) < 2) continue;
+      tokens.push({ stem: stem(word, language), word, start: match.index, end: match.index + match[0].length });
+    }
+    return tokens;
+  }
+
+  function phraseStarts(tokens, phrase, language) {
+    const stems = phrase.map(word => stem(word, language));
+    const starts = [];
+    for (let i = 0; i + stems.length <= tokens.length; i++) {
+      if (stems.every((term, j) => tokens[i + j].stem === term)) starts.push(i);
+    }
+    return starts;
+  }
+
+  // Whether a document contains an excluded word or phrase
+  function isExcluded(index, texts, doc, exclude) {
+    const hasWord = exclude.words.some(word =>
+      queryStems(word).some(term => postingsOf(index, term)?.has(doc))
+    );
+    if (hasWord || exclude.phrases.length === 0) return hasWord;
+
+    const item = index.docs[doc];
+    const tokens = textTokens(`${item.title} ${texts[doc] || ''}`, item.language);
+    return exclude.phrases.some(phrase => phraseStarts(tokens, phrase, item.language).length > 0);
+  }
+
+  // Ranks documents for a query. `texts` are the article bodies
+  // (search-text.json), needed for phrases and excerpts. `options.filter`
+  // narrows the results further, on top of the query's own filters.
+  // Returns [{doc, score, item}] best first, `item` being the document
+  // metadata; queries without words or phrases score every article 0.
+  function search(index, texts, query, options) {
+    const filter = (options && options.filter) || (() => true);
+    const {words, phrases, exclude, filters} = parseQuery(query);
+    const passes = doc =>
+      filter(index.docs[doc]) && matchesFilters(index.docs[doc], filters) && !isExcluded(index, texts, doc, exclude);
+
+    if (words.length === 0 && phrases.length === 0) {
+      const narrowed = filters.length > 0 || exclude.words.length > 0 || exclude.phrases.length > 0;
+      if (!narrowed) return [];
+
+      return index.docs.map((item, doc) => ({ doc, item, score: 0 })).filter(({doc}) => passes(doc));
+    }
+
+    const totals = new Map();
+    const matched = new Map();
+    const add = (scores) => {
+      scores.forEach((score, doc) => {
+        totals.set(doc, (totals.get(doc) || 0) + score);
+        matched.set(doc, (matched.get(doc) || 0) + 1);
+      });
+    };
+
+    words.forEach(word => add(scoreWord(index, word)));
+
+    // Phrases: every word must be there, in order, and every phrase must match
+    const phraseMatches = new Map();
+    phrases.forEach(phrase => {
+      const perWord = phrase.map(text => scoreWord(index, { text, prefix: false }));
+      const scores = new Map();
+
+      perWord[0].forEach((_score, doc) => {
+        if (!perWord.every(wordScores => wordScores.has(doc))) return;
+
+        const item = index.docs[doc];
+        const tokens = textTokens(`${item.title} ${texts[doc] || ''}`, item.language);
+        if (phraseStarts(tokens, phrase, item.language).length === 0) return;
+
+        scores.set(doc, perWord.reduce((sum, wordScores) => sum + wordScores.get(doc), 0) * 1.5);
+        phraseMatches.set(doc, (phraseMatches.get(doc) || 0) + 1);
+      });
+      add(scores);
+    });
+
+    const clauses = words.length + phrases.length;
+
+    return [...totals.entries()]
+      .filter(([doc]) => (phraseMatches.get(doc) || 0) === phrases.length)
+      .filter(([doc]) => passes(doc))
+      // Articles matching more of the query come first
+      .map(([doc, score]) => ({ doc, item: index.docs[doc], score: score * matched.get(doc) / clauses }))
+      .sort((a, b) => b.score - a.score || a.doc - b.doc);
+  }
+
+  // Result counts by tag and by language (pt-BR counting as pt), most
+  // common first: {tags: [{value, count}], languages: [{value, count}]}
+  function facets(results) {
+    const tags = new Map();
+    const languages = new Map();
+
+    results.forEach(({item}) => {
+      new Set((item.tags || []).map(tag => tag.toLowerCase())).forEach(tag => tags.set(tag, (tags.get(tag) || 0) + 1));
+      const language = (item.language || 'en').toLowerCase().split('-')[0];
+      languages.set(language, (languages.get(language) || 0) + 1);
+    });
+
+    const sorted = counts => [...counts].map(([value, count]) => ({ value, count }))
+      .sort((a, b) => b.count - a.count || (a.value < b.value ? -1 : 1));
+    return { tags: sorted(tags), languages: sorted(languages) };
+  }
+
+  // Suggestions
+
+  function isKnown(index, word) {
+    const stems = queryStems(word);
+    if (stems.some(term => index.terms[term])) return true;
+    // Half-typed words aren't misspelled
+    return Object.keys(index.terms).some(term => term.startsWith(word));
+  }
+
+  // "Did you mean": the query with every word the index doesn't know
+  // replaced by the closest indexed word. Null when there is nothing to fix.
+  // Filters (tag:rust) are left alone.
+  function suggest(index, query) {
+    const suggestion = (query || '').split(/(\s+)/).map(part =>
+      parseFilter(part) ? part : part.replace(WORD_RE, word => correct(index, word))
+    ).join('');
+
+    return suggestion !== query ? suggestion : null;
+  }
+
+  // The closest indexed spelling of an unknown word, else the word
+  function correct(index, part) {
+    const [word] = tokenize(part);
+    if (!word || isKnown(index, word)) return part;
+
+    const [closest] = fuzzyTerms(index, word);
+    return closest ? (index.words[closest.term] || closest.term) : part;
+  }
+
+  // Highlighting
+
+  function escapeHtml(text) {
+    return text
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  // Token indexes in `tokens` matching the query. With the index,
+  // misspelled words highlight what they matched.
+  function matchingTokens(tokens, query, language, index) {
+    const {words, phrases} = parseQuery(query);
+    const hits = new Set();
+
+    const terms = new Set();
+    words.forEach(word => {
+      if (index) expandWord(index, word).forEach((_weight, term) => terms.add(term));
+      queryStems(word.text).forEach(term => terms.add(term));
+    });
+    const prefixes = words.filter(word => word.prefix).map(word => word.text);
+
+    tokens.forEach((token, i) => {
+      if (terms.has(token.stem) || prefixes.some(prefix => token.word.startsWith(prefix))) hits.add(i);
+    });
+
+    phrases.forEach(phrase => {
+      phraseStarts(tokens, phrase, language).forEach(start => {
+        for (let i = start; i < start + phrase.length; i++) hits.add(i);
+      });
+    });
+    return hits;
+  }
+
+  // HTML for `text` with the query matches wrapped in <mark>
+  function markRange(text, tokens, hits, from, to) {
+    let html = '';
+    let position = tokens[from] ? tokens[from].start : 0;
+    const end = to < tokens.length ? tokens[to].start : text.length;
+
+    for (let i = from; i < to; i++) {
+      if (!hits.has(i)) continue;
+      html += escapeHtml(text.slice(position, tokens[i].start));
+      html += `<mark>${escapeHtml(text.slice(tokens[i].start, tokens[i].end))}</mark>`;
+      position = tokens[i].end;
+    }
+    return html + escapeHtml(text.slice(position, end));
+  }
+
+  function highlight(text, query, language, index) {
+    const tokens = textTokens(text, language);
+    const hits = matchingTokens(tokens, query, language, index);
+    if (tokens.length === 0) return escapeHtml(text || '');
+
+    const start = tokens[0].start;
+    return escapeHtml(text.slice(0, start)) + markRange(text, tokens, hits, 0, tokens.length);
+  }
+
+  // The ~30 word window of `text` with the most query matches, highlighted.
+  // Null when nothing in the text matches.
+  function excerpt(text, query, language, index) {
+    const tokens = textTokens(text, language);
+    const hits = [...matchingTokens(tokens, query, language, index)].sort((a, b) => a - b);
+    if (hits.length === 0) return null;
+
+    // Slide a window over the hits and keep the densest
+    let best = hits[0];
+    let bestCount = 0;
+    let last = 0;
+    for (let first = 0; first < hits.length; first++) {
+      while (last < hits.length && hits[last] < hits[first] + EXCERPT_WORDS) last++;
+      if (last - first > bestCount) {
+        bestCount = last - first;
+        best = hits[first];
+      }
+    }
+
+    // A little context before the first match
+    const from = Math.max(0, best - 5);
+    const to = Math.min(tokens.length, from + EXCERPT_WORDS);
+    const hitSet = new Set(hits);
+
+    const prefix = from > 0 ? '…' : '';
+    const suffix = to < tokens.length ? '…' : '';
+    return prefix + markRange(text, tokens, hitSet, from, to).trim() + suffix;
+  }
+
+  window.blogSearchEngine = {
+    tokenize,
+    stem,
+    parseQuery,
+    search,
+    facets,
+    suggest,
+    highlight,
+    excerpt,
+    escapeHtml
+  };
+})();
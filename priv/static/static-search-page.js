@@ -0,0 +1,216 @@
+// Full search results page (/search.html?q=...&page=N), rendered from the
+// search index with static-search-engine.js. The query and the page live in
+// the URL, so results can be linked to and reloaded; facets refine the
+// query with its own syntax (tag:rust, lang:pt).
+(function() {
+  const searchInput = document.getElementById('search-page-input');
+  if (!searchInput) return;
+
+  const engine = window.blogSearchEngine;
+  const summary = document.getElementById('search-summary');
+  const resultsList = document.getElementById('search-page-results');
+  const facetsPanel = document.getElementById('search-facets');
+  const pagination = document.getElementById('search-pagination');
+
+  const RESULTS_PER_PAGE = 10;
+  const MAX_TAG_FACETS = 12;
+  const LANGUAGES = { pt: '🇧🇷 Português', en: '🇺🇸 English' };
+
+  let searchIndex = null;
+  let searchTexts = [];
+
+  async function loadSearchIndex() {
+    try {
+      const [indexResponse, textsResponse] = await Promise.all([
+        fetch('/search-index.json'),
+        fetch('/search-text.json')
+      ]);
+      searchIndex = await indexResponse.json();
+      searchTexts = await textsResponse.json();
+    } catch (error) {
+      console.error('Failed to load search index:', error);
+      searchIndex = null;
+      searchTexts = [];
+    }
+  }
+
+  function searchUrl(query, page = 1) {
+    const params = new URLSearchParams();
+    if (query) params.set('q', query);
+    if (page > 1) params.set('page', page);
+    return params.toString() ? `/search.html?${params.toString()}` : '/search.html';
+  }
+
+  function formatDate(dateString) {
+    const date = new Date(dateString);
+    const day = String(date.getDate()).padStart(2, '0');
+    const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+    return `${day} ${months[date.getMonth()]} ${date.getFullYear()}`;
+  }
+
+  function getLanguageFlag(lang) {
+    if (lang === 'pt-BR' || lang === 'pt') return '🇧🇷';
+    if (lang === 'en') return '🇺🇸';
+    return '';
+  }
+
+  function renderResult({doc, item}, query) {
+    const title = engine.highlight(item.title, query, item.language, searchIndex);
+    const snippet = item.snippet || '';
+    const excerpt = engine.excerpt(searchTexts[doc] || '', query, item.language, searchIndex) ||
+      engine.escapeHtml(snippet.length > 160 ? snippet.substring(0, 160) + '...' : snippet);
+    const tags = (item.tags || []).slice(0, 4);
+
+    return `
+      <li>
+        <a href="/articles/${item.slug}.html" class="block px-5 py-4 bg-base-200/30 hover:bg-base-200 rounded-xl transition-all duration-200 group">
+          <h2 class="font-semibold text-lg text-base-content group-hover:text-primary transition-colors leading-snug">${title}</h2>
+          ${excerpt ? `<p class="mt-2 text-sm text-base-content/70 leading-relaxed">${excerpt}</p>` : ''}
+          <div class="mt-3 flex flex-wrap items-center gap-3 text-xs text-base-content/60">
+            ${item.published_at ? `<span class="font-medium">${formatDate(item.published_at)}</span>` : ''}
+            <span>${getLanguageFlag(item.language)}</span>
+            ${tags.map(tag => `<span class="px-2.5 py-1 bg-yellow-100 rounded-full">${engine.escapeHtml(tag)}</span>`).join('')}
+          </div>
+        </a>
+      </li>
+    `;
+  }
+
+  // The query with a `field:value` filter added, or removed if it's there
+  function toggleFilter(query, field, value) {
+    const filter = `${field}:${value}`;
+    const parts = query.split(/\s+/).filter(Boolean);
+    const kept = parts.filter(part => part.toLowerCase() !== filter);
+    return (kept.length === parts.length ? [...parts, filter] : kept).join(' ');
+  }
+
+  function isFiltered(query, field, value) {
+    return engine.parseQuery(query).filters.some(filter =>
+      filter.field === field && filter.value === value && !filter.negate
+    );
+  }
+
+  function renderFacetGroup(title, query, field, facets, label) {
+    if (facets.length === 0) return '';
+
+    const links = facets.map(({value, count}) => {
+      const active = isFiltered(query, field, value);
+      return `
+        <li>
+          <a href="${engine.escapeHtml(searchUrl(toggleFilter(query, field, value)))}"
+             ${active ? 'aria-current="true"' : ''}
+             class="flex justify-between gap-2 px-3 py-1.5 rounded-lg text-sm ${active ? 'bg-primary text-white' : 'hover:bg-base-200 text-base-content'}">
+            <span class="truncate">${engine.escapeHtml(label(value))}</span>
+            <span class="${active ? '' : 'text-base-content/50'}">${count}</span>
+          </a>
+        </li>
+      `;
+    }).join('');
+
+    return `
+      <section class="mb-6">
+        <h2 class="mb-2 px-3 text-xs font-semibold uppercase tracking-wide text-base-content/50">${title}</h2>
+        <ul class="space-y-1">${links}</ul>
+      </section>
+    `;
+  }
+
+  function renderFacets(query, results) {
+    const {tags, languages} = engine.facets(results);
+
+    facetsPanel.innerHTML =
+      renderFacetGroup('Language', query, 'lang', languages, value => LANGUAGES[value] || value) +
+      renderFacetGroup('Tags', query, 'tag', tags.slice(0, MAX_TAG_FACETS), value => value);
+  }
+
+  function renderPagination(query, page, totalPages) {
+    if (totalPages <= 1) {
+      pagination.innerHTML = '';
+      return;
+    }
+
+    const link = (target, text, label) => `
+      <a href="${engine.escapeHtml(searchUrl(query, target))}" aria-label="${label}"
+         ${target === page ? 'aria-current="page"' : ''}
+         class="px-3 py-1.5 rounded-lg text-sm ${target === page ? 'bg-primary text-white' : 'hover:bg-base-200 text-base-content'}">${text}</a>
+    `;
+
+    const pages = Array.from({ length: totalPages }, (_, i) => i + 1)
+      .map(target => link(target, target, `Page ${target}`));
+
+    pagination.innerHTML = `
+      <div class="flex flex-wrap items-center justify-center gap-1">
+        ${page > 1 ? link(page - 1, '←', 'Previous page') : ''}
+        ${pages.join('')}
+        ${page < totalPages ? link(page + 1, '→', 'Next page') : ''}
+      </div>
+    `;
+  }
+
+  function renderEmpty(query) {
+    const suggestion = engine.suggest(searchIndex, query);
+
+    resultsList.innerHTML = `
+      <li class="px-5 py-10 text-center text-base-content/60">
+        <p class="text-lg font-semibold mb-4">No articles found for “${engine.escapeHtml(query)}”</p>
+        ${suggestion ? `<p class="mb-4">Did you mean <a href="${engine.escapeHtml(searchUrl(suggestion))}" class="link link-primary font-semibold">${engine.escapeHtml(suggestion)}</a>?</p>` : ''}
+        <ul class="text-sm text-base-content/50 space-y-1">
+          <li>Try fewer or more general words</li>
+          <li>Remove filters such as <code>tag:</code>, <code>lang:</code>, <code>before:</code> or <code>after:</code></li>
+          <li><a href="/" class="link">Browse all articles</a></li>
+        </ul>
+      </li>
+    `;
+  }
+
+  function render(query, requestedPage) {
+    if (!query) {
+      summary.textContent = 'Type something to search the articles.';
+      return;
+    }
+
+    if (!searchIndex) {
+      summary.textContent = 'Search is unavailable right now.';
+      return;
+    }
+
+    const results = engine.search(searchIndex, searchTexts, query);
+    const totalPages = Math.max(1, Math.ceil(results.length / RESULTS_PER_PAGE));
+    const page = Math.min(Math.max(1, requestedPage), totalPages);
+
+    renderFacets(query, results);
+
+    if (results.length === 0) {
+      summary.textContent = 'No results';
+      renderEmpty(query);
+      renderPagination(query, 1, 1);
+      return;
+    }
+
+    const first = (page - 1) * RESULTS_PER_PAGE;
+    const shown = results.slice(first, first + RESULTS_PER_PAGE);
+
+    summary.textContent = `${results.length} ${results.length === 1 ? 'result' : 'results'} for “${query}”` +
+      (totalPages > 1 ? ` (page ${page} of ${totalPages})` : '');
+    resultsList.innerHTML = shown.map(result => renderResult(result, query)).join('');
+    renderPagination(query, page, totalPages);
+  }
+
+  async function init() {
+    const params = new URLSearchParams(window.location.search);
+    const query = (params.get('q') || '').trim();
+    const page = parseInt(params.get('page')) || 1;
+
+    searchInput.value = query;
+    if (query) document.title = `${query} - ${document.title}`;
+
+    await loadSearchIndex();
+    render(query, page);
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+})();
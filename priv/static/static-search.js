@@ -1,48 +1,36 @@
-// Search with dropdown results
+// Search with dropdown results (ranking and highlighting:
+// static-search-engine.js, keyboard and screen readers: static-combobox.js)
 (function() {
   const searchInput = document.getElementById('search-input');
   if (!searchInput) return;
 
+  const engine = window.blogSearchEngine;
   const searchResults = document.getElementById('search-results');
   const searchClear = document.getElementById('search-clear');
-  let searchIndex = [];
+  // More results are on the full results page (static-search-page.js)
+  const MAX_RESULTS = 8;
+  const combobox = window.blogCombobox.attach(searchInput, searchResults, {
+    status: document.getElementById('search-status')
+  });
+  let searchIndex = null;
+  let searchTexts = [];
 
-  // Load search index
+  // Load the inverted index and the article bodies (for phrases and excerpts)
   async function loadSearchIndex() {
     try {
-      const response = await fetch('/search-index.json');
-      searchIndex = await response.json();
+      const [indexResponse, textsResponse] = await Promise.all([
+        fetch('/search-index.json'),
+        fetch('/search-text.json')
+      ]);
+      searchIndex = await indexResponse.json();
+      searchTexts = await textsResponse.json();
     } catch (error) {
       console.error('Failed to load search index:', error);
-      searchIndex = [];
+      searchIndex = null;
+      searchTexts = [];
     }
   }
 
-  function normalizeText(text) {
-    return (text || '').toLowerCase().trim();
-  }
-
-  function scoreMatch(item, query) {
-    const normalizedQuery = normalizeText(query);
-    const title = normalizeText(item.title);
-    const tags = normalizeText((item.tags || []).join(' '));
-    const snippet = normalizeText(item.snippet || '');
-
-    let score = 0;
-
-    // Title match is worth more
-    if (title.includes(normalizedQuery)) score += 10;
-    if (title.startsWith(normalizedQuery)) score += 5;
-
-    // Tags match
-    if (tags.includes(normalizedQuery)) score += 5;
-
-    // Snippet match
-    if (snippet.includes(normalizedQuery)) score += 1;
-
-    return score;
-  }
-
   function formatDate(dateString) {
     const date = new Date(dateString);
     const day = String(date.getDate()).padStart(2, '0');
@@ -58,9 +46,23 @@
     return '';
   }
 
-  function renderResults(results) {
+  // "Did you mean ...?" for misspelled queries
+  function renderSuggestion(suggestion) {
+    if (!suggestion) return '';
+
+    return `
+      <p class="px-4 py-2 mb-2 text-sm text-base-content/70">
+        Did you mean <button type="button" data-search-suggestion="${engine.escapeHtml(suggestion)}" class="link link-primary font-semibold">${engine.escapeHtml(suggestion)}</button>?
+      </p>
+    `;
+  }
+
+  // The listbox is always there (empty without results) for aria-controls
+  function renderResults(results, query, suggestion) {
+    const listbox = (options) => `<div role="listbox" id="search-listbox" aria-label="Search results">${options}</div>`;
+
     if (results.length === 0) {
-      searchResults.innerHTML = `
+      searchResults.innerHTML = renderSuggestion(suggestion) + listbox('') + `
         <div class="px-8 py-10 text-center text-base-content/60">
           <svg xmlns="http://www.w3.org/2000/svg" class="h-12 w-12 mx-auto mb-4 text-base-content/20" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M9.172 16.172a4 4 0 015.656 0M9 10h.01M15 10h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z" /></svg>
           <p class="text-lg font-semibold text-base-content/60 mb-2">No articles found</p>
@@ -70,63 +72,70 @@
       return;
     }
 
-    const html = results.map(item => {
+    const html = results.slice(0, MAX_RESULTS).map(({doc, item}) => {
       const tags = (item.tags || []).slice(0, 3);
+      const title = engine.highlight(item.title, query, item.language, searchIndex);
+      // Where the query matched in the body, else the article's opening
       const snippet = item.snippet || item.description || '';
-      const truncatedSnippet = snippet.length > 80 ? snippet.substring(0, 80) + '...' : snippet;
+      const excerpt = engine.excerpt(searchTexts[doc] || '', query, item.language, searchIndex) ||
+        engine.escapeHtml(snippet.length > 80 ? snippet.substring(0, 80) + '...' : snippet);
 
       return `
-        <a href="/articles/${item.slug}.html" class="block px-4 py-4 mb-2 last:mb-0 bg-base-200/30 hover:bg-base-200 rounded-xl transition-all duration-200 group">
+        <a href="/articles/${item.slug}.html" role="option" id="search-option-${doc}" class="block px-4 py-4 mb-2 last:mb-0 bg-base-200/30 hover:bg-base-200 aria-selected:bg-base-200 aria-selected:ring-2 aria-selected:ring-primary/40 rounded-xl transition-all duration-200 group">
           <div class="flex flex-col gap-3">
-            <h3 class="font-semibold text-base text-base-content group-hover:text-primary transition-colors leading-snug line-clamp-2">${item.title}</h3>
-            ${truncatedSnippet ? `<p class="text-sm text-base-content/70 leading-relaxed line-clamp-2">${truncatedSnippet}</p>` : ''}
+            <h3 class="font-semibold text-base text-base-content group-hover:text-primary transition-colors leading-snug line-clamp-2">${title}</h3>
+            ${excerpt ? `<p class="text-sm text-base-content/70 leading-relaxed line-clamp-3">${excerpt}</p>` : ''}
             <div class="flex flex-wrap items-center gap-3 text-xs text-base-content/60">
               <span class="font-medium">${formatDate(item.published_at)}</span>
               ${item.language ? `<span class="flex items-center gap-1.5"><span class="w-1 h-1 rounded-full bg-base-content/30"></span>${getLanguageFlag(item.language)}</span>` : ''}
-              ${tags.length > 0 ? `<span class="flex items-center gap-2">${tags.map(tag => `<span class="px-2.5 py-1 bg-yellow-100 group-hover:bg-yellow-200 rounded-full transition-colors">${tag}</span>`).join('')}</span>` : ''}
+              ${tags.length > 0 ? `<span class="flex items-center gap-2">${tags.map(tag => `<span class="px-2.5 py-1 bg-yellow-100 group-hover:bg-yellow-200 rounded-full transition-colors">${engine.escapeHtml(tag)}</span>`).join('')}</span>` : ''}
             </div>
           </div>
         </a>
       `;
     }).join('');
 
-    searchResults.innerHTML = html;
+    const more = results.length > MAX_RESULTS ? `
+      <a href="/search.html?q=${encodeURIComponent(query)}" role="option" id="search-option-all" class="block px-4 py-3 text-center text-sm font-semibold text-primary hover:bg-base-200 aria-selected:bg-base-200 rounded-xl">
+        See all ${results.length} results
+      </a>
+    ` : '';
+
+    searchResults.innerHTML = renderSuggestion(suggestion) + listbox(html + more);
+  }
+
+  function announcement(count, suggestion) {
+    const found = count === 0 ? 'No articles found' : `${count} ${count === 1 ? 'article' : 'articles'} found`;
+    return suggestion ? `${found}. Did you mean ${suggestion}?` : found;
   }
 
   function search(query) {
-    if (!query || query.length < 2) {
-      searchResults.classList.add('hidden');
+    if (!query || query.length < 2 || !searchIndex) {
+      combobox.close();
+      combobox.announce('');
       return;
     }
 
-    // Apply language filter if active
-    const filters = window.blogFilters ? window.blogFilters.getFilters() : { lang: 'all' };
-
-    // Score and filter results
-    const scored = searchIndex
-      .map(item => ({
-        item,
-        score: scoreMatch(item, query)
-      }))
-      .filter(({score, item}) => {
-        if (score === 0) return false;
-
-        // Apply language filter
-        if (filters.lang !== 'all') {
-          const language = item.language || 'en';
-          if (filters.lang === 'pt') {
-            return language === 'pt-BR' || language === 'pt';
-          }
-          return language === filters.lang;
-        }
+    // The active language and tag filters narrow the query's own filters
+    const filters = window.blogFilters ? window.blogFilters.getFilters() : { lang: 'all', tags: [] };
 
-        return true;
-      })
-      .sort((a, b) => b.score - a.score)
-      .map(({item}) => item);
+    const results = engine.search(searchIndex, searchTexts, query, {
+      filter: item => {
+        if (window.blogFilters && !window.blogFilters.matchesTags(item.tags, filters.tags, filters.tagMode)) return false;
+        if (filters.lang === 'all') return true;
+
+        const language = item.language || 'en';
+        if (filters.lang === 'pt') {
+          return language === 'pt-BR' || language === 'pt';
+        }
+        return language === filters.lang;
+      }
+    });
 
-    renderResults(scored);
-    searchResults.classList.remove('hidden');
+    const suggestion = engine.suggest(searchIndex, query);
+    renderResults(results, query, suggestion);
+    combobox.open();
+    combobox.announce(announcement(results.length, suggestion));
   }
 
   // Toggle clear button visibility
@@ -144,36 +153,62 @@
   if (searchClear) {
     searchClear.addEventListener('click', () => {
       searchInput.value = '';
-      searchResults.classList.add('hidden');
+      combobox.close();
+      combobox.announce('');
       toggleClearButton();
+      saveQuery();
       searchInput.focus();
     });
   }
 
+  function saveQuery() {
+    if (window.blogFilters) window.blogFilters.setSearch(searchInput.value.trim());
+  }
+
   // Search on input
   searchInput.addEventListener('input', (e) => {
     search(e.target.value);
     toggleClearButton();
+    saveQuery();
   });
 
-  // Close dropdown when clicking outside
-  document.addEventListener('click', (e) => {
-    if (!searchInput.contains(e.target) && !searchResults.contains(e.target)) {
-      searchResults.classList.add('hidden');
-    }
+  // Search for the suggestion instead
+  searchResults.addEventListener('click', (e) => {
+    const suggestion = e.target.closest('[data-search-suggestion]');
+    if (!suggestion) return;
+
+    searchInput.value = suggestion.getAttribute('data-search-suggestion');
+    search(searchInput.value);
+    saveQuery();
+    searchInput.focus();
   });
 
-  // Close on ESC key
-  document.addEventListener('keydown', (e) => {
-    if (e.key === 'Escape') {
-      searchResults.classList.add('hidden');
-      searchInput.blur();
+  // Re-run an open search, e.g. when the filters change
+  window.blogSearch = {
+    refresh() {
+      if (combobox.isOpen()) search(searchInput.value);
     }
-  });
+  };
 
-  // Initialize
+  // Initialize, searching for ?q= straight away
   async function init() {
+    const query = window.blogFilters ? window.blogFilters.getUrlParams().search : '';
+    if (query && !searchInput.value) searchInput.value = query;
+    toggleClearButton();
+
+    // Back and Forward bring back their entry's query
+    if (window.blogRouter) {
+      window.blogRouter.subscribe(state => {
+        if (state.q === searchInput.value.trim()) return;
+
+        searchInput.value = state.q;
+        combobox.close();
+        toggleClearButton();
+      });
+    }
+
     await loadSearchIndex();
+    if (searchInput.value) search(searchInput.value);
   }
 
   if (document.readyState === 'loading') {
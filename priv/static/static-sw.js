@@ -0,0 +1,133 @@
+// Service worker of the static site. `mix build_static` writes it to /sw.js
+// with VERSION (a hash of the shell) and PRECACHE (the shell's URLs: pages,
+// CSS, scripts, search index and tags) defined before it.
+//
+// The shell is cached per version, the rest as it's fetched: articles
+// stale-while-revalidate (the ones saved for offline, see
+// static-offline.js, in a cache of their own that's never trimmed), hashed
+// assets and uploads cache-first, other pages and data network-first. Pages
+// not cached fall back to /offline.html, which lists the articles that are.
+(function() {
+  const SHELL_CACHE = `blog-shell-${VERSION}`;
+  const ARTICLES_CACHE = 'blog-articles';
+  const SAVED_CACHE = 'blog-saved';
+  const PAGES_CACHE = 'blog-pages';
+  const ASSETS_CACHE = 'blog-assets';
+  const CACHES = [SHELL_CACHE, ARTICLES_CACHE, SAVED_CACHE, PAGES_CACHE, ASSETS_CACHE];
+  const MAX_ARTICLES = 50;
+  const MAX_PAGES = 30;
+  const OFFLINE_URL = '/offline.html';
+
+  // How a same-origin GET is answered: 'article', 'asset' or 'page'
+  function strategy(url) {
+    if (/^\/articles\/[^/]+\.html$/.test(url.pathname)) return 'article';
+    if (/^\/(assets|fonts|uploads|images)\//.test(url.pathname)) return 'asset';
+    if (/^\/static-[\w-]+\.[0-9a-f]+\.js$/.test(url.pathname)) return 'asset';
+    return 'page';
+  }
+
+  // Drops the entries put first once there are more than `max`
+  function trim(cache, max) {
+    return cache.keys().then(keys => Promise.all(keys.slice(0, Math.max(0, keys.length - max)).map(key => cache.delete(key))));
+  }
+
+  // Kept for reading offline, and refreshed in the saved copies too
+  function cacheArticle(key, response) {
+    return Promise.all([
+      caches.open(ARTICLES_CACHE)
+        .then(cache => cache.put(key, response.clone()).then(() => trim(cache, MAX_ARTICLES))),
+      caches.open(SAVED_CACHE)
+        .then(cache => cache.match(key).then(saved => saved && cache.put(key, response.clone())))
+    ]);
+  }
+
+  // The cached copy at once, the network's for next time
+  function staleWhileRevalidate(event, key) {
+    const network = fetch(event.request).then(response => {
+      if (!response.ok) return response;
+      return cacheArticle(key, response.clone()).then(() => response);
+    });
+
+    return caches.match(key).then(cached => {
+      if (!cached) return network;
+
+      event.waitUntil(network.catch(() => {}));
+      return cached;
+    });
+  }
+
+  function cacheFirst(request) {
+    return caches.match(request).then(cached => cached || fetch(request).then(response => {
+      if (!response.ok) return response;
+
+      const copy = response.clone();
+      return caches.open(ASSETS_CACHE).then(cache => cache.put(request, copy)).then(() => response);
+    }));
+  }
+
+  // The shell's pages and data are answered from the network too, so they
+  // don't lag a version behind; the cache is the way back when offline
+  function networkFirst(request, key) {
+    return fetch(request)
+      .then(response => {
+        if (!response.ok || request.mode !== 'navigate') return response;
+
+        const copy = response.clone();
+        return caches.open(PAGES_CACHE)
+          .then(cache => cache.put(key, copy).then(() => trim(cache, MAX_PAGES)))
+          .then(() => response);
+      })
+      .catch(() => caches.match(key, { ignoreSearch: true }).then(cached => cached || Promise.reject()));
+  }
+
+  // Offline pages that aren't cached
+  function offline(request) {
+    if (request.mode === 'navigate') {
+      return caches.match(OFFLINE_URL).then(page => page || Response.error());
+    }
+    return Response.error();
+  }
+
+  self.addEventListener('install', event => {
+    event.waitUntil(
+      caches.open(SHELL_CACHE)
+        .then(cache => cache.addAll(PRECACHE))
+        .then(() => self.skipWaiting())
+    );
+  });
+
+  // Previous versions' shells go; what was read or saved stays
+  self.addEventListener('activate', event => {
+    event.waitUntil(
+      caches.keys()
+        .then(keys => Promise.all(
+          keys.filter(key => key.startsWith('blog-') && !CACHES.includes(key)).map(key => caches.delete(key))
+        ))
+        .then(() => self.clients.claim())
+    );
+  });
+
+  self.addEventListener('fetch', event => {
+    const request = event.request;
+    const url = new URL(request.url);
+    if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+    // Cached under their path, whatever the query (?lang=, ?q=, ...)
+    const key = url.pathname;
+
+    switch (strategy(url)) {
+      case 'article':
+        event.respondWith(staleWhileRevalidate(event, key).catch(() => offline(request)));
+        break;
+      case 'asset':
+        event.respondWith(cacheFirst(request).catch(() => offline(request)));
+        break;
+      default:
+        event.respondWith(networkFirst(request, key).catch(() => offline(request)));
+    }
+  });
+
+  self.blogServiceWorker = {
+    strategy
+  };
+})();
@@ -0,0 +1,93 @@
+// Table of contents of article pages (and of articles shown in place by
+// static-article-loader.js): highlights the section being read, with
+// aria-current, and jumps to sections without an entry in the history for
+// each jump.
+(function() {
+  // A section is being read once its heading is this close to the top of
+  // the viewport, under the sticky header
+  const OFFSET = 120;
+
+  let frame = null;
+
+  // Index of the section being read: the last heading scrolled past the
+  // offset, -1 above the first one. `tops` are the headings' tops relative
+  // to the viewport, in order.
+  function activeSection(tops, offset) {
+    return tops.reduce((active, top, i) => (top <= offset ? i : active), -1);
+  }
+
+  function tocLinks() {
+    return Array.from(document.querySelectorAll('[data-toc] a[href^="#"]'));
+  }
+
+  function headingOf(href) {
+    return document.getElementById(decodeURIComponent(href.slice(1)));
+  }
+
+  function update() {
+    frame = null;
+
+    const links = tocLinks();
+    if (links.length === 0) return;
+
+    // The TOC is there twice (collapsed on small screens), so each heading
+    // once
+    const sections = [...new Set(links.map(link => link.getAttribute('href')))]
+      .map(href => ({ href, heading: headingOf(href) }))
+      .filter(section => section.heading);
+
+    // The last sections may be too short to reach the top
+    const atBottom = window.innerHeight + window.scrollY >= document.documentElement.scrollHeight - 2;
+    const active = atBottom
+      ? sections.length - 1
+      : activeSection(sections.map(section => section.heading.getBoundingClientRect().top), OFFSET);
+    const current = active >= 0 ? sections[active].href : null;
+
+    links.forEach(link => {
+      if (link.getAttribute('href') === current) {
+        link.setAttribute('aria-current', 'location');
+      } else {
+        link.removeAttribute('aria-current');
+      }
+    });
+  }
+
+  function scheduleUpdate() {
+    if (!frame) frame = requestAnimationFrame(update);
+  }
+
+  function handleClick(event) {
+    const link = event.target.closest('[data-toc] a[href^="#"]');
+    if (!link) return;
+
+    const heading = headingOf(link.getAttribute('href'));
+    if (!heading) return;
+
+    event.preventDefault();
+    heading.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    // The section stays in the URL to be shared (the router keeps its state)
+    window.history.replaceState(window.history.state, '', link.getAttribute('href'));
+
+    const details = link.closest('details');
+    if (details) details.open = false;
+  }
+
+  function init() {
+    update();
+
+    window.addEventListener('scroll', scheduleUpdate, { passive: true });
+    window.addEventListener('resize', scheduleUpdate);
+    document.addEventListener('click', handleClick);
+    document.addEventListener('blog:article-shown', update);
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+
+  window.blogToc = {
+    activeSection
+  };
+})();
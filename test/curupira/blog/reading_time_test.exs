@@ -0,0 +1,22 @@
+defmodule Curupira.Blog.ReadingTimeTest do
+  use ExUnit.Case, async: true
+
+  alias Curupira.Blog.ReadingTime
+
+  doctest ReadingTime, import: true
+
+  test "minutes/2 counts the rendered text, not the markdown" do
+    markdown = "# Title\n\n**" <> String.duplicate("word ", 229) <> "**\n\n[link](https://example.com)"
+
+    assert ReadingTime.minutes(markdown, "en") == 1
+  end
+
+  test "minutes/2 reads unknown languages at the default speed" do
+    assert ReadingTime.minutes(String.duplicate("wort ", 221), "de") == 2
+  end
+
+  test "for_article/1 keeps a reading time already set" do
+    assert ReadingTime.for_article(%{reading_time_minutes: 7, content: "short", language: "en"}) == 7
+    assert ReadingTime.for_article(%{reading_time_minutes: nil, content: "short", language: "en"}) == 1
+  end
+end
@@ -0,0 +1,61 @@
+defmodule Curupira.Blog.TaxonomyTest do
+  use ExUnit.Case, async: true
+
+  alias Curupira.Blog.{Tag, TagCategory, Taxonomy}
+
+  doctest Taxonomy, import: true
+
+  @languages %TagCategory{id: 1, name: "Languages", icon: "💻"}
+  @infrastructure %TagCategory{id: 2, name: "Infrastructure", icon: "🚀"}
+
+  defp taxonomy do
+    Taxonomy.new([@languages, @infrastructure], [
+      %Tag{name: "ruby", category_id: 1, position: 1},
+      %Tag{name: "javascript", aliases: ["js"], category_id: 1, position: 0},
+      %Tag{name: "kubernetes", aliases: ["k8s"], category_id: 2},
+      %Tag{name: "aws", category_id: 2, hidden: true},
+      %Tag{name: "rails", aliases: ["rubyonrails"]}
+    ])
+  end
+
+  describe "normalize_tags/2" do
+    test "cleans, resolves aliases and drops blanks and duplicates" do
+      tags = ["K8s", " kubernetes", "", "RubyOnRails", "elixir"]
+
+      assert Taxonomy.normalize_tags(taxonomy(), tags) == ["kubernetes", "rails", "elixir"]
+    end
+
+    test "articles without tags" do
+      assert Taxonomy.normalize_tags(taxonomy(), nil) == []
+    end
+  end
+
+  describe "categories/2" do
+    test "groups tags in category order, sorted by count, then position" do
+      counts = %{"ruby" => 2, "javascript" => 2, "kubernetes" => 5}
+
+      assert [languages, infrastructure] = Taxonomy.categories(taxonomy(), counts)
+      assert languages.category == "Languages"
+      assert languages.tags == [%{tag: "javascript", count: 2}, %{tag: "ruby", count: 2}]
+      assert infrastructure.tags == [%{tag: "kubernetes", count: 5}]
+    end
+
+    test "collects uncategorised tags under Other" do
+      counts = %{"ruby" => 1, "rails" => 3, "elixir" => 3, "phoenix" => 1}
+
+      assert [_languages, other] = Taxonomy.categories(taxonomy(), counts)
+      assert other.category == Taxonomy.other_category()
+      assert Enum.map(other.tags, & &1.tag) == ["elixir", "rails", "phoenix"]
+    end
+
+    test "leaves out hidden tags and empty categories" do
+      assert Taxonomy.categories(taxonomy(), %{"aws" => 4}) == []
+    end
+  end
+
+  test "count/2 counts articles per normalized tag" do
+    articles = [%{tags: ["k8s", "kubernetes"]}, %{tags: ["Kubernetes", "ruby"]}, %{tags: nil}]
+
+    assert Taxonomy.count(taxonomy(), articles) == %{"kubernetes" => 2, "ruby" => 1}
+  end
+end
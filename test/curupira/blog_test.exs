@@ -41,12 +41,109 @@ defmodule Curupira.BlogTest do
       assert article.content == "some updated content"
     end
 
+    test "create_article/1 estimates the reading time from the content's language" do
+      content = String.duplicate("palavra ", 460)
+
+      assert {:ok, %Article{} = article} =
+               Blog.create_article(%{title: "t", content: content, language: "pt-BR"})
+
+      assert article.reading_time_minutes == 3
+    end
+
+    test "update_article/2 estimates the reading time again when the content changes" do
+      article = article_fixture()
+
+      assert {:ok, %Article{} = article} =
+               Blog.update_article(article, %{content: String.duplicate("word ", 700)})
+
+      assert article.reading_time_minutes == 4
+      assert {:ok, %Article{reading_time_minutes: 4}} = Blog.update_article(article, %{title: "renamed"})
+    end
+
+    test "update_article/2 keeps a reading time it is given" do
+      article = article_fixture()
+
+      assert {:ok, %Article{reading_time_minutes: 9}} =
+               Blog.update_article(article, %{content: "new content", reading_time_minutes: 9})
+    end
+
     test "update_article/2 with invalid data returns error changeset" do
       article = article_fixture()
       assert {:error, %Ecto.Changeset{}} = Blog.update_article(article, @invalid_attrs)
       assert article == Blog.get_article!(article.id)
     end
 
+    test "update_article_from_version/3 updates and bumps the version when it is current" do
+      article = article_fixture()
+
+      assert {:ok, %Article{} = updated} =
+               Blog.update_article_from_version(article, %{content: "new content"}, article.lock_version)
+
+      assert updated.content == "new content"
+      assert updated.lock_version == article.lock_version + 1
+    end
+
+    test "update_article_from_version/3 rejects saves based on a stale version" do
+      article = article_fixture()
+
+      assert {:ok, _} =
+               Blog.update_article_from_version(article, %{content: "first tab"}, article.lock_version)
+
+      assert {:error, :stale} =
+               Blog.update_article_from_version(article, %{content: "second tab"}, article.lock_version)
+
+      assert Blog.get_article!(article.id).content == "first tab"
+    end
+
+    test "update_article_from_version/3 rejects saves based on a version pinned since" do
+      article = article_fixture()
+
+      assert {:ok, %Article{pinned: true}} = Blog.pin_article(article)
+
+      assert {:error, :stale} =
+               Blog.update_article_from_version(article, %{content: "editor copy"}, article.lock_version)
+
+      assert Blog.get_article!(article.id).pinned
+    end
+
+    test "update_article/2 bumps the version, so editors based on the old one conflict" do
+      article = article_fixture()
+
+      assert {:ok, updated} = Blog.update_article(article, %{status: "published"})
+      assert updated.lock_version == article.lock_version + 1
+
+      assert {:error, :stale} =
+               Blog.update_article_from_version(article, %{content: "editor copy"}, article.lock_version)
+    end
+
+    test "pin_article/1 bumps the version of the article it unpins" do
+      pinned = article_fixture(title: "pinned")
+      {:ok, pinned} = Blog.pin_article(pinned)
+
+      assert {:ok, _} = Blog.pin_article(article_fixture(title: "other"))
+
+      unpinned = Blog.get_article!(pinned.id)
+      refute unpinned.pinned
+      assert unpinned.lock_version == pinned.lock_version + 1
+    end
+
+    test "update_article_from_version/3 rejects saves of a deleted article" do
+      article = article_fixture()
+      {:ok, _} = Blog.delete_article(article)
+
+      assert {:error, :stale} =
+               Blog.update_article_from_version(article, %{content: "new content"}, article.lock_version)
+
+      assert Blog.get_article(article.id) == nil
+    end
+
+    test "update_article_from_version/3 with invalid data returns error changeset" do
+      article = article_fixture()
+
+      assert {:error, %Ecto.Changeset{}} =
+               Blog.update_article_from_version(article, @invalid_attrs, article.lock_version)
+    end
+
     test "delete_article/1 deletes the article" do
       article = article_fixture()
       assert {:ok, %Article{}} = Blog.delete_article(article)
@@ -58,4 +155,110 @@ defmodule Curupira.BlogTest do
       assert %Ecto.Changeset{} = Blog.change_article(article)
     end
   end
+
+  describe "list_articles_paginated/1 with :search" do
+    import Curupira.BlogFixtures
+
+    test "ranks matches by relevance, ignoring accents" do
+      body_match = article_fixture(title: "Notas", content: "Uma função pura.", language: "pt-BR")
+      title_match = article_fixture(title: "Funções em Elixir", content: "Texto.", language: "pt-BR")
+      _other = article_fixture(title: "Docker", content: "Containers.")
+
+      result = Blog.list_articles_paginated(search: "funcao ")
+
+      assert Enum.map(result.articles, & &1.id) == [title_match.id, body_match.id]
+      assert result.total_count == 2
+      assert result.suggestion == nil
+    end
+
+    test "suggests a correction for misspelled words" do
+      article = article_fixture(title: "Kubernetes deployments")
+
+      result = Blog.list_articles_paginated(search: "kubernetis ")
+
+      assert Enum.map(result.articles, & &1.id) == [article.id]
+      assert result.suggestion == "kubernetes "
+    end
+
+    test "finds articles as they are written and deleted" do
+      article = article_fixture(title: "Docker basics")
+      assert Blog.list_articles_paginated(search: "docker").total_count == 1
+
+      {:ok, article} = Blog.update_article(article, %{title: "Podman basics"})
+      assert Blog.list_articles_paginated(search: "docker").total_count == 0
+      assert Blog.list_articles_paginated(search: "podman").total_count == 1
+
+      {:ok, _} = Blog.delete_article(article)
+      assert Blog.list_articles_paginated(search: "podman").total_count == 0
+    end
+  end
+
+  describe "tag taxonomy" do
+    alias Curupira.Blog.Taxonomy
+
+    import Curupira.BlogFixtures
+
+    test "create_tag/1 normalizes the name and aliases" do
+      assert {:ok, tag} = Blog.create_tag(%{name: " Kubernetes ", aliases: "K8s, kube, kubernetes,"})
+      assert tag.name == "kubernetes"
+      assert tag.aliases == ["k8s", "kube"]
+    end
+
+    test "create_tag/1 rejects spellings another tag already uses" do
+      tag_fixture(name: "kubernetes", aliases: ["k8s"])
+
+      assert {:error, changeset} = Blog.create_tag(%{name: "k8s"})
+      assert "is an alias of another tag" in errors_on(changeset).name
+
+      assert {:error, changeset} = Blog.create_tag(%{name: "kube", aliases: ["kubernetes"]})
+      assert "already used by another tag: kubernetes" in errors_on(changeset).aliases
+
+      assert {:error, changeset} = Blog.create_tag(%{name: "kubernetes"})
+      assert "has already been taken" in errors_on(changeset).name
+    end
+
+    test "update_tag/2 keeps the tag's own spellings" do
+      tag = tag_fixture(name: "kubernetes", aliases: ["k8s"])
+
+      assert {:ok, tag} = Blog.update_tag(tag, %{aliases: "k8s, kube"})
+      assert tag.aliases == ["k8s", "kube"]
+    end
+
+    test "create_tag_category/1 reserves the Other category" do
+      assert {:error, changeset} = Blog.create_tag_category(%{name: "Other"})
+      assert "is reserved for uncategorised tags" in errors_on(changeset).name
+    end
+
+    test "delete_tag_category/1 leaves its tags uncategorised" do
+      category = tag_category_fixture()
+      tag = tag_fixture(category_id: category.id)
+
+      assert {:ok, _category} = Blog.delete_tag_category(category)
+      assert Blog.get_tag!(tag.id).category_id == nil
+    end
+
+    test "get_taxonomy/0 groups article tags, with uncategorised ones under Other" do
+      languages = tag_category_fixture(name: "Languages", icon: "💻")
+      tag_fixture(name: "ruby", category_id: languages.id)
+      tag_fixture(name: "kubernetes", aliases: ["k8s"])
+      tag_fixture(name: "draft", hidden: true)
+
+      article_fixture(tags: ["Ruby", "k8s", "draft"])
+      article_fixture(tags: ["ruby", "rails"])
+
+      taxonomy = Blog.get_taxonomy()
+      counts = Blog.count_tags(taxonomy)
+
+      assert counts == %{"ruby" => 2, "kubernetes" => 1, "draft" => 1, "rails" => 1}
+
+      assert Taxonomy.categories(taxonomy, counts) == [
+               %{category: "Languages", icon: "💻", tags: [%{tag: "ruby", count: 2}]},
+               %{
+                 category: "Other",
+                 icon: "🏷️",
+                 tags: [%{tag: "kubernetes", count: 1}, %{tag: "rails", count: 1}]
+               }
+             ]
+    end
+  end
 end
@@ -38,5 +38,54 @@ defmodule Curupira.Markdown.ParserTest do
       assert {:error, :invalid_input} = Parser.to_html(nil)
       assert {:error, :invalid_input} = Parser.to_html(123)
     end
+
+    test "leaves out source positions by default" do
+      assert {:ok, html} = Parser.to_html("# Title\n\nText")
+      refute html =~ "data-sourcepos"
+    end
+  end
+
+  describe "to_html/2 with sourcepos: true" do
+    test "annotates blocks with their source lines" do
+      markdown = "# Title\n\nFirst paragraph\n\n- one\n- two"
+      assert {:ok, html} = Parser.to_html(markdown, sourcepos: true)
+      assert html =~ ~s(data-sourcepos="1:1-1:7")
+      assert html =~ ~s(<p data-sourcepos="3:1-3:15">)
+      assert html =~ ~s(<ul data-sourcepos="5:1-6:5">)
+    end
+  end
+
+  describe "to_html_with_toc/2" do
+    test "nests headings under the closest one of a lower level" do
+      markdown = "# Title\n\n## Setup\n\n### Install\n\n#### On Linux\n\n### Configure\n\n## Usage"
+
+      assert {:ok, html, [title]} = Parser.to_html_with_toc(markdown)
+      assert html =~ "Setup"
+      assert %{id: "title", level: 1, children: [setup, usage]} = title
+      assert %{id: "setup", children: [install, configure]} = setup
+      assert %{id: "install", children: [%{id: "on-linux", level: 4, children: []}]} = install
+      assert %{id: "configure", children: []} = configure
+      assert %{id: "usage", text: "Usage", children: []} = usage
+    end
+
+    test "keeps headings after a skipped level" do
+      assert {:ok, _html, [%{id: "a", children: [%{id: "b", level: 4}]}, %{id: "c", level: 2}]} =
+               Parser.to_html_with_toc("## A\n\n#### B\n\n## C")
+    end
+
+    test "reads the text of formatted headings, and their ids with source positions" do
+      assert {:ok, _html, [%{id: id, text: "Using Rust & Go"}]} =
+               Parser.to_html_with_toc("## Using `Rust` & **Go**", sourcepos: true)
+
+      assert id =~ "using-rust"
+    end
+
+    test "returns no headings for text without any" do
+      assert {:ok, _html, []} = Parser.to_html_with_toc("Just a paragraph")
+    end
+
+    test "returns error for invalid input" do
+      assert {:error, :invalid_input} = Parser.to_html_with_toc(nil)
+    end
   end
 end
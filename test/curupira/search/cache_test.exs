@@ -0,0 +1,31 @@
+defmodule Curupira.Search.CacheTest do
+  use ExUnit.Case
+
+  alias Curupira.Search.Cache
+
+  setup do
+    Cache.invalidate()
+    on_exit(&Cache.invalidate/0)
+  end
+
+  test "fetch/1 builds the index once" do
+    assert Cache.fetch(fn -> :built end) == :built
+    assert Cache.fetch(fn -> flunk("built again") end) == :built
+  end
+
+  test "invalidate/0 drops the index" do
+    Cache.fetch(fn -> :old end)
+    Cache.invalidate()
+
+    assert Cache.fetch(fn -> :new end) == :new
+  end
+
+  test "an index built while it was invalidated isn't kept" do
+    assert Cache.fetch(fn ->
+             Cache.invalidate()
+             :stale
+           end) == :stale
+
+    assert Cache.fetch(fn -> :fresh end) == :fresh
+  end
+end
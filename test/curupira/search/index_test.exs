@@ -0,0 +1,74 @@
+defmodule Curupira.Search.IndexTest do
+  use ExUnit.Case, async: true
+
+  alias Curupira.Search.Index
+
+  defp document(attrs) do
+    Map.merge(%{title: "", tags: [], language: "en", body: "", meta: %{}}, attrs)
+  end
+
+  describe "tokenize/1" do
+    test "lowercases, splits on punctuation and drops one-letter words" do
+      assert Index.tokenize("Kubernetes's pods, a (fast) API!") == ["kubernetes", "pods", "fast", "api"]
+    end
+
+    test "folds accented letters" do
+      assert Index.tokenize("Configuração rápida") == ["configuracao", "rapida"]
+    end
+
+    test "returns no tokens for nil" do
+      assert Index.tokenize(nil) == []
+    end
+  end
+
+  describe "fold/1" do
+    test "lowercases and strips diacritics" do
+      assert Index.fold("Ação Pública ÇÃO") == "acao publica cao"
+    end
+  end
+
+  describe "build/1" do
+    test "indexes stemmed body words with flat postings" do
+      index =
+        Index.build([
+          document(%{body: "Deploying containers", meta: %{slug: "a"}}),
+          document(%{body: "One container, then another container", meta: %{slug: "b"}})
+        ])
+
+      assert index.docs == [%{slug: "a"}, %{slug: "b"}]
+      assert index.terms["container"] == [0, 1, 1, 2]
+      assert index.terms["deploy"] == [0, 1]
+    end
+
+    test "stems with each article's language" do
+      index = Index.build([document(%{language: "pt-BR", body: "servidores"})])
+
+      assert index.terms["servidor"] == [0, 1]
+    end
+
+    test "weights title and tag words" do
+      index = Index.build([document(%{title: "Elixir", tags: ["otp"], body: "elixir"})])
+
+      assert index.terms["elixir"] == [0, 4]
+      assert index.terms["otp"] == [0, 2]
+      assert index.lengths == [6]
+      assert index.avg_length == 6.0
+    end
+
+    test "indexes accented and unaccented spellings under the same stem" do
+      index = Index.build([document(%{language: "pt-BR", body: "função funcao funções"})])
+
+      assert index.terms["funcao"] == [0, 3]
+    end
+
+    test "keeps the most common spelling of each stem" do
+      index = Index.build([document(%{language: "pt-BR", body: "Função funções função funcao"})])
+
+      assert index.words["funcao"] == "função"
+    end
+
+    test "builds an empty index" do
+      assert Index.build([]) == %{docs: [], lengths: [], avg_length: 0.0, terms: %{}, words: %{}}
+    end
+  end
+end
@@ -0,0 +1,35 @@
+defmodule Curupira.Search.StemmerTest do
+  use ExUnit.Case, async: true
+
+  alias Curupira.Search.Stemmer
+
+  # Shared with assets/test/static_search_engine.test.js, so the static
+  # site's query stemming matches the index
+  @cases "../../support/fixtures/search_stems.json"
+         |> Path.expand(__DIR__)
+         |> File.read!()
+         |> Jason.decode!()
+
+  describe "stem/2" do
+    test "matches the shared cases" do
+      for %{"word" => word, "language" => language, "stem" => stem} <- @cases do
+        assert Stemmer.stem(word, language) == stem, "#{word} (#{language})"
+      end
+    end
+
+    test "maps English word forms to the same stem" do
+      assert Stemmer.stem("deploying", "en") == Stemmer.stem("deploys", "en")
+      assert Stemmer.stem("libraries", "en") == Stemmer.stem("library", "en")
+    end
+
+    test "maps Portuguese word forms to the same stem" do
+      assert Stemmer.stem("configuracoes", "pt-BR") == Stemmer.stem("configuracao", "pt-BR")
+      assert Stemmer.stem("servidores", "pt") == Stemmer.stem("servidor", "pt")
+    end
+
+    test "leaves short words alone" do
+      assert Stemmer.stem("its", "en") == "its"
+      assert Stemmer.stem("dos", "pt-BR") == "dos"
+    end
+  end
+end
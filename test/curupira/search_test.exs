@@ -0,0 +1,117 @@
+defmodule Curupira.SearchTest do
+  use ExUnit.Case, async: true
+
+  alias Curupira.Search
+  alias Curupira.Search.Index
+
+  doctest Curupira.Search, only: [parse_query: 1, edit_distance: 3]
+
+  @documents [
+    %{title: "Kubernetes rolling updates", tags: ["devops"], language: "en", body: "Containers roll out one pod at a time.", meta: %{slug: "kube", tags: ["devops"], published_at: ~U[2024-03-10 09:00:00Z]}},
+    %{title: "Configuração do Phoenix", tags: ["elixir"], language: "pt-BR", body: "Cada função do endpoint e suas configurações.", meta: %{slug: "phoenix", tags: ["elixir"], published_at: ~U[2023-11-02 09:00:00Z]}},
+    %{title: "Elixir processes", tags: ["elixir"], language: "en", body: "Processes are cheap. Deploy them to Kubernetes.", meta: %{slug: "processes", tags: ["elixir"], published_at: ~U[2023-06-20 09:00:00Z]}}
+  ]
+
+  defp search(query) do
+    index = Index.build(@documents)
+
+    index
+    |> Search.search(Enum.map(@documents, & &1.body), query)
+    |> Enum.map(fn {doc, _score} -> Enum.at(index.docs, doc).slug end)
+  end
+
+  describe "parse_query/1" do
+    test "treats a quoted single word as a word" do
+      assert %{words: [%{text: "elixir", prefix: false}], phrases: []} = Search.parse_query(~s("elixir" ))
+    end
+
+    test "splits out exclusions and field filters" do
+      query = ~s(deploy -docker -"rolling update" TAG:Rust -lang:en after:2023-06 )
+
+      assert %{words: [%{text: "deploy", prefix: false}], exclude: exclude, filters: filters} = Search.parse_query(query)
+      assert exclude == %{words: ["docker"], phrases: [["rolling", "update"]]}
+
+      assert filters == [
+               %{field: "tag", value: "rust", negate: false},
+               %{field: "lang", value: "en", negate: true},
+               %{field: "after", value: "2023-06", negate: false}
+             ]
+    end
+
+    test "stops treating the last word as a prefix after a filter or exclusion" do
+      assert %{words: [%{prefix: false}]} = Search.parse_query("kube tag:docker")
+      assert %{words: [%{prefix: false}]} = Search.parse_query("kube -docker")
+    end
+
+    test "treats malformed or negated dates as words" do
+      assert %{words: words, filters: []} = Search.parse_query("before:soon -after:2020 ")
+      assert Enum.map(words, & &1.text) == ["before", "soon"]
+    end
+  end
+
+  describe "search/3" do
+    test "ranks title matches above body matches" do
+      assert search("kubernetes ") == ["kube", "processes"]
+    end
+
+    test "ranks articles matching more words first" do
+      assert search("elixir kubernetes ") |> hd() == "processes"
+    end
+
+    test "ignores accents" do
+      assert search("funcao configuracoes ") == ["phoenix"]
+      assert search("FUNÇÃO ") == ["phoenix"]
+    end
+
+    test "matches misspelled words" do
+      assert search("kubernetis ") == ["kube", "processes"]
+    end
+
+    test "filters by tag, language and publication date" do
+      assert search("elixir tag:elixir lang:pt") == ["phoenix"]
+      assert search("elixir -lang:pt") == ["processes"]
+      assert search("kubernetes before:2024") == ["processes"]
+      assert search("elixir after:2023-06") == ["phoenix"]
+    end
+
+    test "drops articles with excluded words and phrases" do
+      assert search("kubernetes -cheap") == ["kube"]
+      assert search(~s(kubernetes -"rolling updates")) == ["processes"]
+    end
+
+    test "lists every article passing a query made only of filters" do
+      assert search("tag:elixir") == ["phoenix", "processes"]
+      assert search("-tag:elixir") == ["kube"]
+      assert search("") == []
+    end
+
+    test "requires phrases in order" do
+      assert search(~s("rolling updates")) == ["kube"]
+      assert search(~s("updates rolling")) == []
+    end
+  end
+
+  describe "suggest/2" do
+    setup do
+      %{index: Index.build(@documents)}
+    end
+
+    test "replaces unknown words with the closest indexed spelling", %{index: index} do
+      assert Search.suggest(index, "kubernetis rolling") == "kubernetes rolling"
+      assert Search.suggest(index, "fumção") == "função"
+    end
+
+    test "returns nil when every word is known", %{index: index} do
+      assert Search.suggest(index, "elixir process") == nil
+      assert Search.suggest(index, "kuber") == nil
+    end
+
+    test "leaves filters alone", %{index: index} do
+      assert Search.suggest(index, "kubernetis tag:kubernetis") == "kubernetes tag:kubernetis"
+    end
+
+    test "returns nil when nothing is close", %{index: index} do
+      assert Search.suggest(index, "zzzzzz") == nil
+    end
+  end
+end
@@ -29,6 +29,9 @@ defmodule Curupira.DataCase do
 
   setup tags do
     Curupira.DataCase.setup_sandbox(tags)
+    # The admin's search index outlives the sandbox: built from the articles
+    # of another test, it would be served to this one
+    Curupira.Search.Cache.invalidate()
     :ok
   end
 
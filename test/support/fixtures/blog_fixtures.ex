@@ -18,4 +18,28 @@ defmodule Curupira.BlogFixtures do
 
     article
   end
+
+  @doc """
+  Generate a tag category.
+  """
+  def tag_category_fixture(attrs \\ %{}) do
+    {:ok, category} =
+      attrs
+      |> Enum.into(%{name: "some category #{System.unique_integer([:positive])}"})
+      |> Curupira.Blog.create_tag_category()
+
+    category
+  end
+
+  @doc """
+  Generate a tag.
+  """
+  def tag_fixture(attrs \\ %{}) do
+    {:ok, tag} =
+      attrs
+      |> Enum.into(%{name: "some tag #{System.unique_integer([:positive])}"})
+      |> Curupira.Blog.create_tag()
+
+    tag
+  end
 end